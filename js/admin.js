@@ -2,13 +2,73 @@
 import { authManager } from './auth.js'
 import { categoryConfig } from './category-config.js';
 import { db } from './db.js'
+import { registerServiceWorker } from './offline.js'
+import { isOnSale, discountConfig } from './pricing.js'
+import { SPLIT_PAYMENT, getSalePayments, getPaymentBadgeClass } from './payments.js'
+import { receiptManager } from './receipt.js'
+import { returnsManager, getRefundedTotal } from './returns.js'
+import { groupProductsByStyle, getVariantLabel, compareSizes } from './variants.js'
+import { cameraScanner } from './scanner.js'
+import { labelManager } from './labels.js'
+import { importManager } from './import.js'
+import {
+    exportDatasets,
+    toCsv,
+    downloadFile,
+    buildCatalogueExport,
+    buildInventoryExport,
+    buildSalesExport,
+    buildSummaryExport,
+    buildProfitExport
+} from './export.js'
+import {
+    getQuickRange,
+    getReportTimeZone,
+    setReportTimeZone,
+    getTimeZones,
+    getRangeBounds,
+    formatRangeLabel
+} from './date-range.js'
+import { profitGroups, formatPeriodKey, formatMoney, formatMargin } from './profit.js'
+import { trendRanges, trendMetrics, getTrendWindow, buildTrend, getChangePercent } from './trends.js'
+import { renderLineChart, renderChartLegend } from './charts.js'
+import { shiftManager, describeVariance, getVarianceStatus, cashMovementConfig, getCashMovementReason } from './shifts.js'
+import { permissionConfig, resolvePermissions, applyPermissions, formatRole } from './permissions.js'
 
 class AdminApp {
     constructor() {
         this.products = []
         this.sales = []
+        // Sales tab: the filter button picked, and the paid-ins/outs its
+        // "Paid In/Out" filter lists instead of sales
+        this.salesFilter = 'All'
+        this.cashMovements = []
         this.analytics = null
+        // Analytics trend chart: the stretch of time (a key of trendRanges),
+        // the measure drawn (a key of trendMetrics) and the series loaded
+        this.trendRange = 'week'
+        this.trendMetric = 'revenue'
+        this.trend = null
         this.currentTab = 'analytics'
+        // Reports tab: the date range shown ({ startDate, endDate, timeZone, label })
+        // and the analytics loaded for it
+        this.reportRange = getQuickRange('This Month')
+        this.reportData = null
+        // Shifts opened in that range
+        this.shifts = []
+        // What the Profit & Margin table breaks down by (a key of profitGroups)
+        this.profitGroup = 'product'
+        // Staff tab: every role's permissions, everyone with an account, and
+        // the staff member whose permissions dialog is open
+        this.rolePermissions = []
+        this.staff = []
+        this.editingStaffId = null
+        // The staff member in the add/edit dialog (null when adding) and the PIN dialog
+        this.staffDialogUserId = null
+        this.pinUserId = null
+        // Label printing: ticked products, and units added since the last restock labels
+        this.labelSelection = new Set()
+        this.restockedLabels = new Map()
         this.initializeDeleteModal();
         this.iconCache = new Map();
         this.iconsLoaded = false;
@@ -26,9 +86,8 @@ class AdminApp {
             return
         }
 
-        // Verify manager role
-        const userRole = await authManager.getCurrentUserRole()
-        if (userRole !== 'manager') {
+        // The back office takes can_access_admin, whatever the role
+        if (!authManager.can('can_access_admin')) {
             console.log('❌ Unauthorized access, redirecting...')
             alert('Access denied. Manager privileges required.')
             await authManager.logout()
@@ -38,13 +97,21 @@ class AdminApp {
         console.log('✅ Manager authenticated')
 
         await this.preloadIcons();
+        await registerServiceWorker()
 
         // Setup event listeners
         this.setupEventListeners()
 
-        // Load initial data
-        await this.loadAnalytics()
-        await this.loadProducts()
+        // Hide what this user is not allowed to do
+        applyPermissions((permission) => authManager.can(permission))
+
+        // Load initial data - without reports there is no Analytics tab to open on
+        if (authManager.can('can_view_reports')) {
+            await this.loadAnalytics()
+            await this.loadProducts()
+        } else {
+            this.switchTab('inventory')
+        }
 
         console.log('✅ Admin App Ready!')
     }
@@ -101,6 +168,67 @@ class AdminApp {
             await authManager.logout()
         })
 
+        // Receipt reprints from the sales list
+        receiptManager.bindDialog({
+            onMessage: (message, isError) => this.showToast(message, isError ? 'error' : 'success')
+        })
+
+        // Returns and exchanges - look up a sale or start from a sale card
+        returnsManager.bindDialog({
+            getProducts: () => this.products,
+            onMessage: (message, isError) => this.showToast(message, isError ? 'error' : 'success'),
+            onReturnCompleted: async () => {
+                const activeFilter = document.querySelector('#salesTab .filter-btn.active')
+                await this.loadSales(activeFilter ? activeFilter.textContent.trim() : 'All')
+                await this.loadProducts()
+            }
+        })
+        document.getElementById('openReturnBtn').addEventListener('click', () => {
+            returnsManager.openDialog()
+        })
+
+        // Staff tab - adding and editing staff, and resetting PINs
+        document.getElementById('addStaffBtn').addEventListener('click', () => {
+            this.openStaffDialog()
+        })
+        document.getElementById('closeStaffDialog').addEventListener('click', () => {
+            this.closeStaffDialog()
+        })
+        document.getElementById('cancelStaffBtn').addEventListener('click', () => {
+            this.closeStaffDialog()
+        })
+        document.getElementById('saveStaffBtn').addEventListener('click', () => {
+            this.saveStaffMember()
+        })
+        document.getElementById('closeStaffPinDialog').addEventListener('click', () => {
+            this.closeStaffPinDialog()
+        })
+        document.getElementById('cancelStaffPinBtn').addEventListener('click', () => {
+            this.closeStaffPinDialog()
+        })
+        document.getElementById('saveStaffPinBtn').addEventListener('click', () => {
+            this.saveStaffPin()
+        })
+        document.getElementById('managerApprovalPercent').addEventListener('change', () => {
+            this.saveApprovalThreshold()
+        })
+
+        // Staff tab - one staff member's permission overrides
+        document.getElementById('closeUserPermissionsDialog').addEventListener('click', () => {
+            this.closeUserPermissions()
+        })
+        document.getElementById('cancelUserPermissionsBtn').addEventListener('click', () => {
+            this.closeUserPermissions()
+        })
+        document.getElementById('saveUserPermissionsBtn').addEventListener('click', () => {
+            this.saveUserPermissions()
+        })
+
+        // X/Z reports for the shifts listed in Reports
+        shiftManager.bindDialog({
+            onMessage: (message, isError) => this.showToast(message, isError ? 'error' : 'success')
+        })
+
         // Tab navigation
         document.querySelectorAll('.nav-btn').forEach(btn => {
             btn.addEventListener('click', () => {
@@ -129,6 +257,43 @@ class AdminApp {
             this.handleProductSubmit()
         })
 
+        // Bulk import from CSV/XLSX
+        importManager.bindDialog({
+            getProducts: () => this.products,
+            onMessage: (message, isError) => this.showToast(message, isError ? 'error' : 'success'),
+            onImported: async () => {
+                await this.loadProducts()
+                await this.loadAnalytics()
+            }
+        })
+        document.getElementById('importProductsBtn').addEventListener('click', () => {
+            importManager.openDialog()
+        })
+
+        // Barcode/price labels
+        labelManager.bindDialog({
+            onMessage: (message, isError) => this.showToast(message, isError ? 'error' : 'success')
+        })
+        document.getElementById('labelSelectedBtn').addEventListener('click', () => {
+            this.openSelectedLabels()
+        })
+        document.getElementById('labelRestockBtn').addEventListener('click', () => {
+            this.openRestockLabels()
+        })
+
+        // Fill the new product's barcode from the camera
+        cameraScanner.bindDialog({
+            onMessage: (message, isError) => this.showToast(message, isError ? 'error' : 'success')
+        })
+        document.getElementById('scanBarcodeBtn').addEventListener('click', () => {
+            cameraScanner.open({
+                onScan: (code) => {
+                    document.getElementById('newProductBarcode').value = code
+                    this.showToast(`Scanned ${code}`, 'success')
+                }
+            })
+        })
+
         // Inventory search
         document.querySelector('#inventoryTab .search-input')?.addEventListener('input', (e) => {
             this.filterInventory(e.target.value)
@@ -148,17 +313,72 @@ class AdminApp {
             this.searchSales(e.target.value)
         })
 
-        // Reports date range
+        // Analytics sales trend - period picker and measure tabs
+        const trendRangeSelect = document.getElementById('trendRange')
+        trendRangeSelect.innerHTML = Object.entries(trendRanges)
+            .map(([value, range]) => `<option value="${value}">${range.label}</option>`)
+            .join('')
+        trendRangeSelect.value = this.trendRange
+        trendRangeSelect.addEventListener('change', () => {
+            this.trendRange = trendRangeSelect.value
+            this.loadTrend()
+        })
+
+        const trendMetricTabs = document.getElementById('trendMetrics')
+        trendMetricTabs.innerHTML = Object.entries(trendMetrics)
+            .map(([value, label]) => `<button class="trend-metric" role="tab" data-metric="${value}">${label}</button>`)
+            .join('')
+        trendMetricTabs.querySelectorAll('.trend-metric').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.trendMetric = btn.dataset.metric
+                this.renderTrend()
+            })
+        })
+
+        // Reports date range - quick filters, or any From/To pair
         document.querySelectorAll('.quick-filter').forEach(btn => {
             btn.addEventListener('click', () => {
-                document.querySelectorAll('.quick-filter').forEach(b => b.classList.remove('active'))
-                btn.classList.add('active')
-                this.loadReports(btn.textContent.trim())
+                this.loadReports(getQuickRange(btn.textContent.trim(), getReportTimeZone()))
             })
         })
+        ;['reportStartDate', 'reportEndDate'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.applyCustomRange())
+        })
 
-        // Export report button
-        document.querySelector('#reportsTab .btn-full')?.addEventListener('click', () => {
+        const timeZoneSelect = document.getElementById('reportTimeZone')
+        timeZoneSelect.innerHTML = getTimeZones()
+            .map(zone => `<option value="${zone}">${zone.replace(/_/g, ' ')}</option>`)
+            .join('')
+        timeZoneSelect.value = getReportTimeZone()
+        timeZoneSelect.addEventListener('change', () => {
+            setReportTimeZone(timeZoneSelect.value)
+            // A quick filter is re-worked out for the new zone's "today"; custom dates stay put
+            const { label } = this.reportRange
+            this.loadReports(label
+                ? getQuickRange(label, timeZoneSelect.value)
+                : { ...this.reportRange, timeZone: timeZoneSelect.value })
+        })
+
+        // Profit & Margin breakdown
+        const profitGroupSelect = document.getElementById('profitGroup')
+        profitGroupSelect.innerHTML = Object.entries(profitGroups)
+            .map(([value, label]) => `<option value="${value}">By ${label.toLowerCase()}</option>`)
+            .join('')
+        profitGroupSelect.value = this.profitGroup
+        profitGroupSelect.addEventListener('change', () => {
+            this.profitGroup = profitGroupSelect.value
+            this.renderProfitTable()
+        })
+
+        // Exports
+        const exportDataset = document.getElementById('exportDataset')
+        exportDataset.innerHTML = Object.entries(exportDatasets)
+            .filter(([value]) => value !== 'profit' || authManager.can('can_view_cost'))
+            .map(([value, label]) => `<option value="${value}">${label}</option>`)
+            .join('')
+        exportDataset.addEventListener('change', () => this.updateExportHint())
+        this.updateExportHint()
+        document.getElementById('exportReportBtn').addEventListener('click', () => {
             this.exportReport()
         })
     }
@@ -211,7 +431,11 @@ class AdminApp {
         } else if (tabName === 'sales') {
             this.loadSales()
         } else if (tabName === 'reports') {
-            this.loadReports('This Month')
+            this.loadReports(this.reportRange.label
+                ? getQuickRange(this.reportRange.label, this.reportRange.timeZone)
+                : this.reportRange)
+        } else if (tabName === 'staff') {
+            this.loadStaff()
         }
     }
 
@@ -230,6 +454,8 @@ class AdminApp {
                 console.error('Error loading analytics:', result.error)
             }
 
+            await this.loadTrend()
+
             // Also load low stock alerts
             await this.loadLowStockAlerts()
 
@@ -273,10 +499,47 @@ class AdminApp {
             }
         }
 
+        // Profit is null for users who cannot see costs
+        if (this.analytics.profit) {
+            this.renderProfitFigures(document.getElementById('analyticsProfit'), this.analytics.profit.totals)
+        }
+
         // Update top products
         this.renderTopProducts()
     }
 
+    // Gross profit, margin and what markdowns did to it, for the Analytics
+    // and Reports profit panels
+    renderProfitFigures(panel, totals) {
+        const container = panel?.querySelector('.profit-figures')
+        if (!container) return
+
+        const markdownImpact = totals.costedMarkdown > 0 && totals.fullPriceMargin !== null
+            ? `Markdowns took the margin from ${formatMargin(totals.fullPriceMargin)} to ${formatMargin(totals.margin)}`
+            : 'No markdowns on costed sales'
+
+        container.innerHTML = `
+            <div class="profit-figure">
+                <div class="profit-figure-value ${totals.profit < 0 ? 'negative' : ''}">${formatMoney(totals.profit)}</div>
+                <div class="profit-figure-label">Gross profit</div>
+            </div>
+            <div class="profit-figure">
+                <div class="profit-figure-value">${formatMargin(totals.margin)}</div>
+                <div class="profit-figure-label">Margin</div>
+            </div>
+            <div class="profit-figure">
+                <div class="profit-figure-value">${formatMoney(totals.markdown)}</div>
+                <div class="profit-figure-label">Marked down</div>
+            </div>
+            <div class="profit-note">${markdownImpact}</div>
+            ${totals.uncostedRevenue !== 0 ? `
+                <div class="profit-note warning">
+                    ${formatMoney(totals.uncostedRevenue)} of sales had no cost price recorded and is left out of profit and margin
+                </div>
+            ` : ''}
+        `
+    }
+
     renderTopProducts() {
         if (!this.analytics?.topProducts) return
 
@@ -293,7 +556,7 @@ class AdminApp {
                     </div>
                     <div class="top-product-stats">
                         <div class="top-product-revenue">$${product.revenue.toFixed(2)}</div>
-                        <div class="top-product-sold">${product.quantity} sold</div>
+                        <div class="top-product-sold">${product.quantity} sold${product.margin !== null ? ` • ${formatMoney(product.profit)} profit (${formatMargin(product.margin)})` : ''}${product.markdown > 0 ? ` • $${product.markdown.toFixed(2)} marked down` : ''}</div>
                     </div>
                 </div>
             `
@@ -303,6 +566,78 @@ class AdminApp {
         container.innerHTML = existingContent + productsHTML
     }
 
+    // Sales for the picked trend period and the one before it, bucketed in
+    // the report time zone
+    async loadTrend() {
+        const trendWindow = getTrendWindow(this.trendRange, getReportTimeZone())
+        const { start } = getRangeBounds(trendWindow.previous)
+        const { end } = getRangeBounds(trendWindow.current)
+
+        const result = await db.getSalesTrend(start, end, trendWindow.timeZone, trendWindow.unit === 'hour')
+
+        if (result.success) {
+            this.trend = buildTrend(trendWindow, result.data)
+            this.renderTrend()
+        } else {
+            console.error('Error loading sales trend:', result.error)
+            document.getElementById('trendChart').innerHTML =
+                '<p class="trend-empty">Could not load the sales trend</p>'
+        }
+    }
+
+    renderTrend() {
+        if (!this.trend) return
+
+        const { labels, previousLabels, current, previous, totals, label, previousLabel } = this.trend
+        const metric = this.trendMetric
+        const isCount = metric === 'orders'
+        const formatValue = isCount ? (value) => String(Math.round(value)) : formatMoney
+        const formatAxis = isCount ? formatValue : (value) => Number.isInteger(value) ? `$${value}` : formatMoney(value)
+
+        document.querySelectorAll('.trend-metric').forEach(btn => {
+            const active = btn.dataset.metric === metric
+            btn.classList.toggle('active', active)
+            btn.setAttribute('aria-selected', active)
+        })
+
+        // This period solid, the one before dashed
+        const series = metric === 'tenders'
+            ? [
+                { name: `Cash, ${label}`, values: current.map(bucket => bucket.cash), className: 'series-cash' },
+                { name: `Transfer, ${label}`, values: current.map(bucket => bucket.transfer), className: 'series-transfer' },
+                { name: `Cash, ${previousLabel}`, values: previous.map(bucket => bucket.cash), labels: previousLabels, className: 'series-cash previous' },
+                { name: `Transfer, ${previousLabel}`, values: previous.map(bucket => bucket.transfer), labels: previousLabels, className: 'series-transfer previous' }
+            ]
+            : [
+                { name: label, values: current.map(bucket => bucket[metric]), className: 'series-current' },
+                { name: previousLabel, values: previous.map(bucket => bucket[metric]), labels: previousLabels, className: 'series-current previous' }
+            ]
+
+        const describe = (key, name) => {
+            const change = getChangePercent(totals.current[key], totals.previous[key])
+            return `
+                <div class="trend-figure">
+                    <span class="trend-figure-value">${name}${formatValue(totals.current[key] ?? 0)}</span>
+                    <span class="trend-figure-previous">vs ${formatValue(totals.previous[key] ?? 0)} ${previousLabel.toLowerCase()}</span>
+                    ${change !== null ? `<span class="trend-change ${change < 0 ? 'down' : 'up'}">${change >= 0 ? '+' : ''}${change.toFixed(1)}%</span>` : ''}
+                </div>
+            `
+        }
+
+        document.getElementById('trendSummary').innerHTML = metric === 'tenders'
+            ? describe('cash', 'Cash ') + describe('transfer', 'Transfer ')
+            : describe(metric, '')
+
+        document.getElementById('trendChart').innerHTML = renderLineChart({
+            labels,
+            series,
+            title: `${trendMetrics[metric]}, ${label.toLowerCase()} vs ${previousLabel.toLowerCase()}`,
+            formatValue,
+            formatAxis,
+            minStep: isCount ? 1 : 0
+        }) + renderChartLegend(series)
+    }
+
     async loadLowStockAlerts() {
         try {
             const result = await db.getProducts({ activeOnly: true })
@@ -415,12 +750,67 @@ class AdminApp {
         // Remove old inventory items
         container.querySelectorAll('.inventory-item').forEach(item => item.remove())
 
-        products.forEach(product => {
-            const item = this.createInventoryItemElement(product)
-            container.appendChild(item)
+        // Styles with several variants get a size x colour stock grid above their variants
+        groupProductsByStyle(products).forEach(style => {
+            if (style.variants.length > 1) {
+                container.appendChild(this.createStyleGridElement(style))
+            }
+
+            style.variants
+                .sort((a, b) => compareSizes(a.size || '', b.size || '') || (a.colour || '').localeCompare(b.colour || ''))
+                .forEach(product => {
+                    container.appendChild(this.createInventoryItemElement(product))
+                })
         })
     }
 
+    createStyleGridElement(style) {
+        const div = document.createElement('div')
+        div.className = 'inventory-item style-grid'
+        div.setAttribute('data-category', style.category)
+
+        const sizes = style.sizes.length ? style.sizes : ['']
+        const colours = style.colours.length ? style.colours : ['']
+
+        const cell = (size, colour) => {
+            const variant = style.variants.find(v => (v.size || '') === size && (v.colour || '') === colour)
+            if (!variant) return '<td class="grid-empty">–</td>'
+
+            const stockClass = variant.stock_quantity === 0 ? 'grid-out' : variant.stock_quantity <= 10 ? 'grid-low' : ''
+            return `<td class="${stockClass}" title="${variant.barcode || ''}">${variant.stock_quantity}</td>`
+        }
+
+        div.innerHTML = `
+    <div class="inventory-header">
+        <div class="category-icon">${this.getCategoryIcon(style.category)}</div>
+        <div class="inventory-info">
+            <div class="inventory-name">${style.name}</div>
+            <div class="inventory-meta">${style.category} • ${style.variants.length} variants • ${style.totalStock} in stock</div>
+        </div>
+    </div>
+    <div class="stock-grid-wrap">
+        <table class="stock-grid">
+            <thead>
+                <tr>
+                    <th></th>
+                    ${sizes.map(size => `<th>${size || '—'}</th>`).join('')}
+                </tr>
+            </thead>
+            <tbody>
+                ${colours.map(colour => `
+                <tr>
+                    <th>${colour || '—'}</th>
+                    ${sizes.map(size => cell(size, colour)).join('')}
+                </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    </div>
+`
+
+        return div
+    }
+
     createInventoryItemElement(product) {
         const div = document.createElement('div');
         div.className = 'inventory-item';
@@ -442,8 +832,10 @@ class AdminApp {
         // Handle null values by providing defaults
         const priceValue = product.price || 0;
         const stockValue = product.stock_quantity || 0;
-        const sizeValue = product.size || '-';
+        const sizeValue = getVariantLabel(product) || '-';
         const barcodeValue = product.barcode || '-';
+        const salePriceValue = isOnSale(product) ? product.sale_price : '';
+        const priceLocked = authManager.can('can_edit_price') ? '' : 'disabled title="You don\'t have permission to change prices"';
 
         div.innerHTML = `
     <div class="inventory-header">
@@ -452,13 +844,21 @@ class AdminApp {
             <div class="inventory-name">${product.name}</div>
             <div class="inventory-meta">${product.category} • ${sizeValue} • ${barcodeValue}</div>
             <span class="inventory-badge ${badgeClass}">${badgeText}</span>
+            ${salePriceValue ? '<span class="inventory-badge badge-danger">On Sale</span>' : ''}
         </div>
+        <label class="label-select" title="Select for label printing">
+            <input type="checkbox" data-label-select ${this.labelSelection.has(product.id) ? 'checked' : ''} />
+        </label>
     </div>
 
     <div class="inventory-edit">
         <div class="edit-field">
             <label>Price ($)</label>
-            <input type="number" data-field="price" value="${priceValue}" step="0.01" min="0" />
+            <input type="number" data-field="price" value="${priceValue}" step="0.01" min="0" ${priceLocked} />
+        </div>
+        <div class="edit-field">
+            <label>Sale Price ($)</label>
+            <input type="number" data-field="sale_price" value="${salePriceValue}" step="0.01" min="0" placeholder="-" ${priceLocked} />
         </div>
         <div class="edit-field">
             <label>Stock Qty</label>
@@ -469,10 +869,12 @@ class AdminApp {
                 <img src="./icons/ui/save.svg" alt="Save" />
                 <div class="spinner"></div>
             </button>
+            ${authManager.can('can_manage_products') ? `
             <button class="btn-icon delete-btn" title="Delete">
                 <img src="./icons/ui/delete.svg" alt="Delete" />
                 <div class="spinner"></div>
             </button>
+            ` : ''}
         </div>
     </div>
 `;
@@ -484,9 +886,6 @@ class AdminApp {
         const saveIcon = saveBtn.querySelector('img');
         const saveSpinner = saveBtn.querySelector('.spinner');
 
-        const deleteIcon = deleteBtn.querySelector('img');
-        const deleteSpinner = deleteBtn.querySelector('.spinner');
-
         // --- Save button logic ---
         saveBtn.addEventListener('click', async () => {
             saveBtn.disabled = true;
@@ -501,10 +900,16 @@ class AdminApp {
         });
 
         // --- Delete button logic ---
-        deleteBtn.addEventListener('click', () => {
+        deleteBtn?.addEventListener('click', () => {
             this.openDeleteModal(product.id);
         });
 
+        // --- Label selection ---
+        div.querySelector('[data-label-select]').addEventListener('change', (e) => {
+            if (e.target.checked) this.labelSelection.add(product.id);
+            else this.labelSelection.delete(product.id);
+        });
+
 
         return div;
     }
@@ -514,24 +919,77 @@ class AdminApp {
         try {
             const stockInput = element.querySelector('[data-field="stock_quantity"]')
             const priceInput = element.querySelector('[data-field="price"]')
+            const salePriceInput = element.querySelector('[data-field="sale_price"]')
+
+            // An empty sale price takes the product off sale
+            const salePrice = salePriceInput.value ? parseFloat(salePriceInput.value) : null
+            if (salePrice !== null && salePrice >= parseFloat(priceInput.value)) {
+                this.showToast('Sale price must be lower than the price', 'error')
+                return
+            }
+
+            const stockQuantity = parseInt(stockInput.value)
+            if (isNaN(stockQuantity) || stockQuantity < 0) {
+                this.showToast('Enter a stock quantity of 0 or more', 'error')
+                return
+            }
+
+            // Stock moves by the difference from what this list loaded, so a
+            // sale rung up since then is never overwritten
+            const product = this.products.find(p => p.id === productId)
+            const stockChange = stockQuantity - (product?.stock_quantity || 0)
+
+            let reason = null
+            if (stockChange < 0) {
+                reason = prompt(`Why are ${-stockChange} coming off the stock? (damaged, lost, recount...)`)?.trim()
+                if (!reason) {
+                    this.showToast('Stock not changed - taking stock off needs a reason', 'error')
+                    return
+                }
+            }
 
-            const updates = {
-                stock_quantity: parseInt(stockInput.value),
-                price: parseFloat(priceInput.value)
+            const updates = {}
+
+            // Prices are only sent by someone allowed to change them
+            if (authManager.can('can_edit_price')) {
+                updates.price = parseFloat(priceInput.value)
+                updates.sale_price = salePrice
+                updates.is_on_sale = salePrice !== null
+
+                // A variant repriced on its own stops following its style's base price
+                if (product?.style_id && updates.price !== parseFloat(product.price)) {
+                    updates.price_override = true
+                }
             }
 
             console.log('💾 Saving product changes:', productId, updates)
 
-            const result = await db.updateProduct(productId, updates)
+            if (Object.keys(updates).length > 0) {
+                const result = await db.updateProduct(productId, updates)
+                if (!result.success) throw new Error(result.error)
+            }
 
-            if (result.success) {
-                this.showToast('Product updated successfully!', 'success')
-                await this.loadProducts()
-                await this.loadAnalytics()
-            } else {
-                throw new Error(result.error)
+            if (stockChange !== 0) {
+                const result = stockChange > 0
+                    ? await db.restockProduct(productId, stockChange, `Restocked ${stockChange} units from the inventory list`)
+                    : await db.adjustStock(productId, stockChange, reason)
+
+                // Sold down below the new figure since the list loaded
+                if (result.code === 'INSUFFICIENT_STOCK') {
+                    this.showToast(`${result.error} - stock not changed`, 'error')
+                    await this.loadProducts()
+                    return
+                }
+                if (!result.success) throw new Error(result.error)
+
+                // Units added here will need price tags
+                if (stockChange > 0) this.addRestockedLabels(productId, stockChange)
             }
 
+            this.showToast('Product updated successfully!', 'success')
+            await this.loadProducts()
+            await this.loadAnalytics()
+
         } catch (error) {
             console.error('Error saving product:', error)
             this.showToast('Error updating product', 'error')
@@ -572,17 +1030,72 @@ class AdminApp {
         const filtered = this.products.filter(product =>
             product.name.toLowerCase().includes(searchLower) ||
             product.category.toLowerCase().includes(searchLower) ||
-            product.barcode.toLowerCase().includes(searchLower)
+            product.barcode.toLowerCase().includes(searchLower) ||
+            (product.colour || '').toLowerCase().includes(searchLower)
         )
 
         this.renderInventory(filtered)
     }
 
+    // ==================== LABELS ====================
+
+    openSelectedLabels() {
+        const products = this.products.filter(product => this.labelSelection.has(product.id))
+        if (products.length === 0) {
+            this.showToast('Tick the products you want labels for', 'error')
+            return
+        }
+
+        labelManager.openDialog(products.map(product => ({ product, quantity: 1 })), {
+            title: `Labels for ${products.length} product${products.length === 1 ? '' : 's'}`,
+            onPrinted: () => {
+                this.labelSelection.clear()
+                this.renderInventory()
+            }
+        })
+    }
+
+    // One label per unit restocked (or added with a new product) since the last print
+    openRestockLabels() {
+        const items = [...this.restockedLabels.entries()]
+            .map(([productId, quantity]) => ({ product: this.products.find(p => p.id === productId), quantity }))
+            .filter(item => item.product)
+
+        if (items.length === 0) return
+
+        labelManager.openDialog(items, {
+            title: 'Restock Labels',
+            onPrinted: () => {
+                this.restockedLabels.clear()
+                this.updateRestockLabelButton()
+            }
+        })
+    }
+
+    addRestockedLabels(productId, quantity) {
+        this.restockedLabels.set(productId, (this.restockedLabels.get(productId) || 0) + quantity)
+        this.updateRestockLabelButton()
+    }
+
+    updateRestockLabelButton() {
+        const total = [...this.restockedLabels.values()].reduce((sum, quantity) => sum + quantity, 0)
+        document.getElementById('restockLabelCount').textContent = total
+        document.getElementById('labelRestockBtn').disabled = total === 0
+    }
+
     // ==================== MODAL ====================
 
-    openAddProductModal() {
+    async openAddProductModal() {
         document.getElementById('addProductModal').classList.add('active')
         this.clearProductForm()
+
+        // Suggest existing styles so new sizes/colours join them
+        const result = await db.getStyles()
+        if (result.success) {
+            document.getElementById('styleNames').innerHTML = result.data
+                .map(style => `<option value="${style.name}">${style.category}</option>`)
+                .join('')
+        }
     }
 
     closeModal() {
@@ -604,7 +1117,8 @@ class AdminApp {
                 name: form.querySelector('input[placeholder*="Blue Cotton"]').value,
                 category: form.querySelector('select').value,
                 size: form.querySelector('input[placeholder*="M, L"]').value,
-                barcode: form.querySelector('input[placeholder*="LIM013"]').value,
+                colour: document.getElementById('newProductColour').value,
+                barcode: document.getElementById('newProductBarcode').value,
                 price: form.querySelector('input[placeholder="0.00"]').value,
                 cost_price: form.querySelectorAll('input[placeholder="0.00"]')[1].value,
                 stock_quantity: form.querySelector('input[placeholder="0"]').value
@@ -621,7 +1135,11 @@ class AdminApp {
             const result = await db.createProduct(productData)
 
             if (result.success) {
-                this.showToast('Product added successfully!', 'success')
+                if (result.data.stock_quantity > 0) {
+                    this.addRestockedLabels(result.data.id, result.data.stock_quantity)
+                }
+
+                this.showToast(`Product added with barcode ${result.data.barcode}`, 'success')
                 this.closeModal()
                 await this.loadProducts()
                 await this.loadAnalytics()
@@ -631,7 +1149,7 @@ class AdminApp {
 
         } catch (error) {
             console.error('Error creating product:', error)
-            this.showToast('Error adding product', 'error')
+            this.showToast(`Error adding product: ${error.message}`, 'error')
         }
     }
 
@@ -640,6 +1158,7 @@ class AdminApp {
     async loadSales(filter = 'All') {
         try {
             console.log('💰 Loading sales...', filter)
+            this.salesFilter = filter
 
             let result
             const today = new Date()
@@ -665,6 +1184,9 @@ class AdminApp {
                 case 'Transfer':
                     result = await db.getSales({ payment_method: 'Transfer' })
                     break
+                case 'Paid In/Out':
+                    await this.loadCashMovements()
+                    return
                 default:
                     result = await db.getSales()
             }
@@ -704,9 +1226,12 @@ class AdminApp {
             minute: '2-digit'
         })
 
-        const paymentBadgeClass = sale.payment_method === 'Cash' ? 'payment-cash' : 'payment-transfer'
+        const paymentBadgeClass = getPaymentBadgeClass(sale.payment_method)
         const saleItems = sale.sale_items || []
         const cashierName = sale.users?.full_name || 'Unknown'
+        const discountTotal = parseFloat(sale.discount_total || 0)
+        const grossTotal = parseFloat(sale.subtotal ?? sale.total)
+        const refundedTotal = getRefundedTotal(sale)
 
         div.innerHTML = `
             <div class="sale-header">
@@ -719,17 +1244,56 @@ class AdminApp {
             <div class="sale-items">
                 ${saleItems.map(item => `
                     <div class="sale-item-row">
-                        <span>${item.product_name} x${item.quantity}</span>
+                        <span>${item.product_name} x${item.quantity}${item.discount_amount > 0 ? ` <em class="sale-item-discount">-$${parseFloat(item.discount_amount).toFixed(2)}</em>` : ''}</span>
                         <span>$${parseFloat(item.total).toFixed(2)}</span>
                     </div>
                 `).join('')}
             </div>
+            ${discountTotal > 0 ? `
+            <div class="sale-breakdown">
+                <div class="sale-item-row">
+                    <span>Gross</span>
+                    <span>$${grossTotal.toFixed(2)}</span>
+                </div>
+                <div class="sale-item-row sale-discount-row">
+                    <span>Discount</span>
+                    <span>-$${discountTotal.toFixed(2)}</span>
+                </div>
+            </div>
+            ` : ''}
+            ${sale.payment_method === SPLIT_PAYMENT ? `
+            <div class="sale-tenders">
+                ${getSalePayments(sale).map(payment => `${payment.method} $${payment.amount.toFixed(2)}`).join(' + ')}
+            </div>
+            ` : ''}
+            ${parseFloat(sale.cash_tendered) > 0 ? `
+            <div class="sale-tenders">
+                Cash received $${parseFloat(sale.cash_tendered).toFixed(2)} • Change $${parseFloat(sale.change_given || 0).toFixed(2)}
+            </div>
+            ` : ''}
+            ${refundedTotal > 0 ? `
+            <div class="sale-refund-row">
+                <span>Refunded</span>
+                <span>-$${refundedTotal.toFixed(2)}</span>
+            </div>
+            ` : ''}
             <div class="sale-footer">
                 <span>Total</span>
                 <span>$${parseFloat(sale.total).toFixed(2)}</span>
             </div>
+            <div class="sale-card-actions">
+                <button class="sale-action-btn" data-action="receipt">Receipt</button>
+                ${authManager.can('can_refund') ? '<button class="sale-action-btn" data-action="return">Return</button>' : ''}
+            </div>
         `
 
+        div.querySelector('[data-action="receipt"]').addEventListener('click', () => {
+            receiptManager.showDialog(receiptManager.build(sale))
+        })
+        div.querySelector('[data-action="return"]')?.addEventListener('click', () => {
+            returnsManager.openDialog(sale)
+        })
+
         return div
     }
 
@@ -738,6 +1302,11 @@ class AdminApp {
     }
 
     searchSales(searchTerm) {
+        if (this.salesFilter === 'Paid In/Out') {
+            this.searchCashMovements(searchTerm)
+            return
+        }
+
         if (!searchTerm) {
             this.renderSales()
             return
@@ -753,40 +1322,138 @@ class AdminApp {
         this.renderSales(filtered)
     }
 
-    // ==================== REPORTS TAB ====================
+    // ==================== PAID IN / PAID OUT ====================
 
-    async loadReports(period) {
+    async loadCashMovements() {
         try {
-            console.log('📈 Loading reports for:', period)
+            const result = await db.getCashMovements()
 
-            let dateRange = 'month'
-            switch (period) {
-                case 'Today':
-                    dateRange = 'today'
-                    break
-                case 'Yesterday':
-                case 'Last 7 Days':
-                    dateRange = 'week'
-                    break
-                case 'This Month':
-                    dateRange = 'month'
-                    break
-                case 'Last Month':
-                    dateRange = 'month'
-                    break
+            if (result.success) {
+                this.cashMovements = result.data
+                this.renderCashMovements()
+            } else {
+                this.showToast('Could not load paid in/out entries: ' + result.error, 'error')
             }
+        } catch (error) {
+            console.error('Error loading cash movements:', error)
+        }
+    }
+
+    // Listed in place of the sale cards, so they share the sale card styles
+    renderCashMovements(movements = null) {
+        const container = document.querySelector('#salesTab .search-box').parentElement
 
-            const result = await db.getSalesAnalytics(dateRange)
+        container.querySelectorAll('.sale-card').forEach(card => card.remove())
+
+        const list = movements || this.cashMovements
+        list.forEach(movement => {
+            container.appendChild(this.createCashMovementCardElement(movement))
+        })
+    }
+
+    createCashMovementCardElement(movement) {
+        const div = document.createElement('div')
+        div.className = 'sale-card cash-movement-card'
+
+        const formattedDate = new Date(movement.created_at).toLocaleDateString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        })
+        const amount = parseFloat(movement.amount)
+        const paidIn = movement.type === 'paid_in'
+
+        div.innerHTML = `
+            <div class="sale-header">
+                <div>
+                    <div class="sale-id">${getCashMovementReason(movement.type, movement.reason)}</div>
+                    <div class="sale-date">${formattedDate} • ${movement.users?.full_name || 'Unknown'}</div>
+                </div>
+                <span class="sale-payment-badge ${paidIn ? 'cash-paid-in' : 'cash-paid-out'}">${cashMovementConfig.types[movement.type]}</span>
+            </div>
+            <div class="cash-movement-notes"></div>
+            <div class="sale-footer">
+                <span>${paidIn ? 'Into the drawer' : 'Out of the drawer'}</span>
+                <span>${paidIn ? '' : '-'}$${amount.toFixed(2)}</span>
+            </div>
+        `
+        // Notes are free text typed at the till
+        const notes = div.querySelector('.cash-movement-notes')
+        if (movement.notes) notes.textContent = movement.notes
+        else notes.remove()
+
+        return div
+    }
+
+    searchCashMovements(searchTerm) {
+        if (!searchTerm) {
+            this.renderCashMovements()
+            return
+        }
+
+        const searchLower = searchTerm.toLowerCase()
+        const filtered = this.cashMovements.filter(movement =>
+            getCashMovementReason(movement.type, movement.reason).toLowerCase().includes(searchLower) ||
+            cashMovementConfig.types[movement.type].toLowerCase().includes(searchLower) ||
+            movement.notes?.toLowerCase().includes(searchLower) ||
+            movement.users?.full_name?.toLowerCase().includes(searchLower)
+        )
+
+        this.renderCashMovements(filtered)
+    }
+
+    // ==================== REPORTS TAB ====================
+
+    // `range` is { startDate, endDate, timeZone } plus the quick filter's
+    // `label` when it came from one
+    async loadReports(range = this.reportRange) {
+        try {
+            console.log('📈 Loading reports for:', range)
+
+            this.reportRange = range
+            this.updateReportRangeUI()
+            this.updateExportHint()
+
+            const result = await db.getSalesAnalytics(range)
 
             if (result.success) {
+                this.reportData = result.data
                 this.updateReportsUI(result.data)
+            } else {
+                this.showToast('Error loading report', 'error')
             }
 
+            await this.loadShifts()
+
         } catch (error) {
             console.error('Error loading reports:', error)
         }
     }
 
+    applyCustomRange() {
+        const startDate = document.getElementById('reportStartDate').value
+        const endDate = document.getElementById('reportEndDate').value
+        if (!startDate || !endDate) return
+
+        if (startDate > endDate) {
+            this.showToast('The From date must be on or before the To date', 'error')
+            return
+        }
+
+        this.loadReports({ startDate, endDate, timeZone: getReportTimeZone() })
+    }
+
+    // Date inputs and the active quick filter always show the range in use
+    updateReportRangeUI() {
+        const { startDate, endDate, label } = this.reportRange
+        document.getElementById('reportStartDate').value = startDate
+        document.getElementById('reportEndDate').value = endDate
+        document.querySelectorAll('.quick-filter').forEach(btn => {
+            btn.classList.toggle('active', btn.textContent.trim() === label)
+        })
+    }
+
     updateReportsUI(data) {
         // Update summary cards
         const summaryCards = document.querySelectorAll('#reportsTab .summary-card')
@@ -803,9 +1470,64 @@ class AdminApp {
         if (summaryCards[3]) {
             summaryCards[3].querySelector('.summary-value').textContent = `$${data.transferSales.toFixed(2)}`
         }
+        if (summaryCards[4]) {
+            summaryCards[4].querySelector('.summary-value').textContent = `$${data.totalMarkdown.toFixed(2)}`
+        }
+        if (summaryCards[5]) {
+            summaryCards[5].querySelector('.summary-value').textContent = `$${data.grossSales.toFixed(2)}`
+        }
+        if (summaryCards[6]) {
+            summaryCards[6].querySelector('.summary-value').textContent = `$${data.totalDiscount.toFixed(2)}`
+        }
+        if (summaryCards[7]) {
+            summaryCards[7].querySelector('.summary-value').textContent = `-$${data.totalRefunds.toFixed(2)}`
+        }
+        if (summaryCards[8] && data.profit) {
+            summaryCards[8].querySelector('.summary-value').textContent = formatMoney(data.profit.totals.profit)
+        }
+        if (summaryCards[9] && data.profit) {
+            summaryCards[9].querySelector('.summary-value').textContent = formatMargin(data.profit.totals.margin)
+        }
 
         // Update category performance
         this.renderCategoryPerformance(data.categoryPerformance)
+
+        if (data.profit) {
+            this.renderProfitFigures(document.getElementById('reportProfit'), data.profit.totals)
+            this.renderProfitTable()
+        }
+    }
+
+    // One row per product, category, cashier or period (this.profitGroup)
+    renderProfitTable() {
+        const tbody = document.querySelector('#reportProfit .profit-table tbody')
+        if (!tbody || !this.reportData) return
+
+        const { profit } = this.reportData
+        if (!profit) return
+
+        const isPeriod = this.profitGroup === 'period'
+        document.getElementById('profitGroupHeading').textContent = isPeriod
+            ? (profit.periodUnit === 'month' ? 'Month' : 'Day')
+            : profitGroups[this.profitGroup]
+
+        const rows = profit[this.profitGroup]
+        if (rows.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="7" class="profit-empty">No sales in this range</td></tr>'
+            return
+        }
+
+        tbody.innerHTML = rows.map(row => `
+            <tr>
+                <td>${isPeriod ? formatPeriodKey(row.name) : row.name}</td>
+                <td>${row.quantity}</td>
+                <td>${formatMoney(row.revenue)}</td>
+                <td>${row.costedLines > 0 ? formatMoney(row.cost) : '–'}</td>
+                <td class="${row.profit < 0 ? 'negative' : ''}">${row.costedLines > 0 ? formatMoney(row.profit) : '–'}</td>
+                <td>${formatMargin(row.margin)}</td>
+                <td>${row.markdown !== 0 ? formatMoney(row.markdown) : '–'}</td>
+            </tr>
+        `).join('')
     }
 
     renderCategoryPerformance(categoryData) {
@@ -823,34 +1545,581 @@ class AdminApp {
         container.innerHTML = header + categoriesHTML
     }
 
-    exportReport() {
-        try {
-            // Create CSV content
-            let csv = 'Category,Revenue\n'
+    // Shifts opened in the report range, with their cash drawer variance
+    async loadShifts() {
+        const { start, end } = getRangeBounds(this.reportRange)
+        const result = await db.getShifts(start, end)
+        const container = document.getElementById('shiftList')
 
-            if (this.analytics?.categoryPerformance) {
-                Object.entries(this.analytics.categoryPerformance).forEach(([category, amount]) => {
-                    csv += `${category},$${amount.toFixed(2)}\n`
-                })
+        if (!result.success) {
+            container.innerHTML = `<p class="shift-empty">Error loading shifts: ${result.error}</p>`
+            return
+        }
+
+        this.shifts = result.data
+
+        const closed = this.shifts.filter(shift => shift.closed_at)
+        const totalVariance = closed.reduce((sum, shift) => sum + parseFloat(shift.variance || 0), 0)
+        const varianceTotal = document.getElementById('shiftVarianceTotal')
+        varianceTotal.textContent = closed.length > 0 ? `Net: ${describeVariance(totalVariance)}` : ''
+        varianceTotal.className = `shifts-variance-total ${closed.length > 0 ? getVarianceStatus(totalVariance) : ''}`
+
+        if (this.shifts.length === 0) {
+            container.innerHTML = '<p class="shift-empty">No shifts in this range</p>'
+            return
+        }
+
+        const formatTime = (date) => new Date(date).toLocaleString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        })
+
+        container.innerHTML = this.shifts.map(shift => {
+            const variance = parseFloat(shift.variance)
+            return `
+                <div class="shift-row">
+                    <div class="shift-row-info">
+                        <div class="shift-row-cashier">${shift.users?.full_name || 'Unknown'}</div>
+                        <div class="shift-row-time">
+                            ${formatTime(shift.opened_at)} – ${shift.closed_at ? formatTime(shift.closed_at) : 'still open'}
+                        </div>
+                    </div>
+                    <div class="shift-row-cash">
+                        ${shift.closed_at ? `
+                            <div class="shift-row-counted">$${parseFloat(shift.counted_cash).toFixed(2)} counted of $${parseFloat(shift.expected_cash).toFixed(2)}</div>
+                            <span class="shift-variance-badge ${getVarianceStatus(variance)}">${describeVariance(variance)}</span>
+                        ` : `
+                            <span class="shift-variance-badge open">Open</span>
+                        `}
+                    </div>
+                    <button class="sale-action-btn shift-report-btn" data-shift-id="${shift.id}">
+                        ${shift.closed_at ? 'Z-Report' : 'X-Report'}
+                    </button>
+                </div>
+            `
+        }).join('')
+
+        container.querySelectorAll('.shift-report-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const shift = this.shifts.find(entry => entry.id === btn.dataset.shiftId)
+                if (shift) shiftManager.showShiftReport(shift)
+            })
+        })
+    }
+
+    getReportRangeLabel() {
+        return this.reportRange.label ? this.reportRange.label.toLowerCase() : formatRangeLabel(this.reportRange)
+    }
+
+    updateExportHint() {
+        const dataset = document.getElementById('exportDataset').value
+        const datedExport = ['sales', 'summary', 'profit'].includes(dataset)
+        document.getElementById('exportHint').textContent = datedExport
+            ? `Covers ${this.getReportRangeLabel()} (${this.reportRange.timeZone}), as picked above`
+            : 'Current stock and prices for every active product'
+    }
+
+    async exportReport() {
+        const dataset = document.getElementById('exportDataset').value
+        const format = document.getElementById('exportFormat').value
+        const exportBtn = document.getElementById('exportReportBtn')
+        const dateStamp = (date) => date.toLocaleDateString('en-CA') // YYYY-MM-DD, local time
+
+        exportBtn.disabled = true
+
+        try {
+            let built
+            let filename
+
+            if (dataset === 'catalogue') {
+                const result = await db.getProducts()
+                if (!result.success) throw new Error(result.error)
+                built = buildCatalogueExport(result.data)
+                filename = `catalogue-${dateStamp(new Date())}`
+            } else if (dataset === 'inventory') {
+                const result = await db.getInventorySummary()
+                if (!result.success) throw new Error(result.error)
+                built = buildInventoryExport(result.data)
+                filename = `inventory-valuation-${dateStamp(new Date())}`
+            } else {
+                const { start, end } = getRangeBounds(this.reportRange)
+                const range = `${this.reportRange.startDate}_to_${this.reportRange.endDate}`
+
+                if (dataset === 'sales') {
+                    // getSales' endDate is inclusive; the range end is the midnight after
+                    const result = await db.getSales({ startDate: start.toISOString(), endDate: new Date(end.getTime() - 1).toISOString() })
+                    if (!result.success) throw new Error(result.error)
+                    built = buildSalesExport(result.data)
+                    filename = `sales-${range}`
+                } else {
+                    if (!this.reportData) await this.loadReports()
+                    if (!this.reportData) throw new Error('Report data is not available')
+                    if (dataset === 'profit') {
+                        built = buildProfitExport(this.reportData)
+                        filename = `profit-${range}`
+                    } else {
+                        built = buildSummaryExport(this.reportData)
+                        filename = `report-summary-${range}`
+                    }
+                }
             }
 
-            // Create download link
-            const blob = new Blob([csv], { type: 'text/csv' })
-            const url = window.URL.createObjectURL(blob)
-            const a = document.createElement('a')
-            a.href = url
-            a.download = `sales-report-${new Date().toISOString().split('T')[0]}.csv`
-            a.click()
-            window.URL.revokeObjectURL(url)
+            if (format === 'json') {
+                downloadFile(JSON.stringify(built.json, null, 2), `${filename}.json`, 'application/json')
+            } else {
+                downloadFile(toCsv(built.columns, built.rows), `${filename}.csv`, 'text/csv;charset=utf-8')
+            }
 
-            this.showToast('Report exported successfully!', 'success')
+            this.showToast('Export downloaded', 'success')
 
         } catch (error) {
             console.error('Error exporting report:', error)
-            this.showToast('Error exporting report', 'error')
+            this.showToast(`Error exporting: ${error.message}`, 'error')
+        } finally {
+            exportBtn.disabled = false
         }
     }
 
+    // ==================== STAFF TAB ====================
+
+    async loadStaff() {
+        try {
+            const [rolesResult, staffResult, settingsResult] = await Promise.all([
+                db.getRolePermissions(),
+                db.getStaff(),
+                db.getShopSettings()
+            ])
+
+            if (!rolesResult.success || !staffResult.success) {
+                const error = rolesResult.success ? staffResult.error : rolesResult.error
+                document.getElementById('staffList').innerHTML = '<p class="shift-empty">Could not load staff</p>'
+                this.showToast('Could not load staff: ' + error, 'error')
+                return
+            }
+
+            this.rolePermissions = rolesResult.data
+            this.staff = staffResult.data
+            this.approvalPercent = settingsResult.data?.manager_approval_percent ?? discountConfig.managerApprovalPercent
+            document.getElementById('managerApprovalPercent').value = this.approvalPercent
+            this.renderRolePermissions()
+            this.renderStaff()
+        } catch (error) {
+            console.error('Error loading staff:', error)
+        }
+    }
+
+    async saveApprovalThreshold() {
+        const input = document.getElementById('managerApprovalPercent')
+        const percent = parseFloat(input.value)
+
+        if (isNaN(percent) || percent < 0 || percent > 100) {
+            input.value = this.approvalPercent
+            this.showToast('Enter a percentage from 0 to 100', 'error')
+            return
+        }
+
+        input.disabled = true
+        const result = await db.updateShopSetting('manager_approval_percent', percent)
+        input.disabled = false
+
+        if (!result.success) {
+            input.value = this.approvalPercent
+            this.showToast(result.error, 'error')
+            return
+        }
+
+        this.approvalPercent = percent
+        this.showToast(`Discounts over ${percent}% now need manager approval`, 'success')
+    }
+
+    getRolePermissionSet(role) {
+        return this.rolePermissions.find(entry => entry.role === role)?.permissions || {}
+    }
+
+    // One column per role, one row per permission
+    renderRolePermissions() {
+        const table = document.getElementById('rolePermissionsTable')
+
+        table.innerHTML = `
+            <thead>
+                <tr>
+                    <th>Permission</th>
+                    ${this.rolePermissions.map(entry => `<th>${formatRole(entry.role)}</th>`).join('')}
+                </tr>
+            </thead>
+            <tbody>
+                ${Object.entries(permissionConfig).map(([permission, config]) => `
+                    <tr>
+                        <td>${config.label}</td>
+                        ${this.rolePermissions.map(entry => `
+                            <td>
+                                <input type="checkbox" data-role="${entry.role}" data-role-permission="${permission}"
+                                    ${entry.permissions?.[permission] === true ? 'checked' : ''} />
+                            </td>
+                        `).join('')}
+                    </tr>
+                `).join('')}
+            </tbody>
+        `
+
+        table.querySelectorAll('input[data-role-permission]').forEach(checkbox => {
+            checkbox.addEventListener('change', () => this.saveRolePermission(checkbox))
+        })
+    }
+
+    async saveRolePermission(checkbox) {
+        const { role, rolePermission: permission } = checkbox.dataset
+        const allowed = checkbox.checked
+
+        const permissions = { ...this.getRolePermissionSet(role), [permission]: allowed }
+
+        // Nobody can take away the permissions that let them undo it
+        const self = this.staff.find(user => user.id === authManager.getCurrentUser()?.id)
+        if (!allowed && self?.role === role && ['can_manage_staff', 'can_access_admin'].includes(permission) &&
+            !resolvePermissions(permissions, self.permissions)[permission]) {
+            checkbox.checked = true
+            this.showToast(`You can't remove "${permissionConfig[permission].label}" from your own role`, 'error')
+            return
+        }
+
+        checkbox.disabled = true
+        const result = await db.updateRolePermissions(role, permissions)
+        checkbox.disabled = false
+
+        if (!result.success) {
+            checkbox.checked = !allowed
+            this.showToast(result.error, 'error')
+            return
+        }
+
+        this.rolePermissions = this.rolePermissions.map(entry => entry.role === role ? result.data : entry)
+        this.renderStaff()
+        this.showToast(`${formatRole(role)}: ${permissionConfig[permission].label} ${allowed ? 'allowed' : 'not allowed'}`, 'success')
+
+        if (role === authManager.userProfile?.role) await this.refreshOwnPermissions()
+    }
+
+    renderStaff() {
+        const container = document.getElementById('staffList')
+
+        if (this.staff.length === 0) {
+            container.innerHTML = '<p class="shift-empty">No staff yet</p>'
+            return
+        }
+
+        const currentUserId = authManager.getCurrentUser()?.id
+
+        container.innerHTML = this.staff.map(user => {
+            const overrides = Object.entries(user.permissions || {})
+                .filter(([permission]) => permissionConfig[permission])
+            const active = user.is_active !== false
+            return `
+                <div class="staff-row ${active ? '' : 'inactive'}">
+                    <div class="staff-row-info">
+                        <div class="staff-row-name"></div>
+                        <div class="staff-row-email"></div>
+                        <div class="staff-row-pin">
+                            ${user.pin_updated_at
+                                ? `PIN set ${new Date(user.pin_updated_at).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`
+                                : 'No PIN set'}
+                        </div>
+                        ${overrides.length > 0 ? `
+                            <div class="staff-row-overrides">
+                                ${overrides.map(([permission, allowed]) => `
+                                    <span class="permission-chip ${allowed ? 'granted' : 'revoked'}">
+                                        ${allowed ? '+' : '−'} ${permissionConfig[permission].label}
+                                    </span>
+                                `).join('')}
+                            </div>
+                        ` : ''}
+                    </div>
+                    <span class="staff-role-badge ${active ? '' : 'inactive'}">${active ? formatRole(user.role) : 'Deactivated'}</span>
+                    <div class="staff-row-actions">
+                        <button class="sale-action-btn" data-staff-action="edit" data-user-id="${user.id}">Edit</button>
+                        <button class="sale-action-btn" data-staff-action="permissions" data-user-id="${user.id}">Permissions</button>
+                        <button class="sale-action-btn" data-staff-action="pin" data-user-id="${user.id}">Reset PIN</button>
+                        ${user.id === currentUserId ? '' : `
+                            <button class="sale-action-btn" data-staff-action="${active ? 'deactivate' : 'reactivate'}" data-user-id="${user.id}">
+                                ${active ? 'Deactivate' : 'Reactivate'}
+                            </button>
+                        `}
+                    </div>
+                </div>
+            `
+        }).join('')
+
+        // Names and emails are typed in by people
+        container.querySelectorAll('.staff-row').forEach((row, index) => {
+            const user = this.staff[index]
+            row.querySelector('.staff-row-name').textContent = user.full_name || 'Unnamed'
+            row.querySelector('.staff-row-email').textContent = user.email || ''
+        })
+
+        const actions = {
+            edit: (userId) => this.openStaffDialog(userId),
+            permissions: (userId) => this.openUserPermissions(userId),
+            pin: (userId) => this.openStaffPinDialog(userId),
+            deactivate: (userId) => this.setStaffActive(userId, false),
+            reactivate: (userId) => this.setStaffActive(userId, true)
+        }
+        container.querySelectorAll('[data-staff-action]').forEach(btn => {
+            btn.addEventListener('click', () => actions[btn.dataset.staffAction](btn.dataset.userId))
+        })
+    }
+
+    // Adds someone new when `userId` is left out, otherwise edits their name and role
+    openStaffDialog(userId = null) {
+        const user = userId ? this.staff.find(entry => entry.id === userId) : null
+        if (userId && !user) return
+
+        this.staffDialogUserId = userId
+        const dialog = document.getElementById('staffDialog')
+        dialog.querySelectorAll('input').forEach(input => { input.value = '' })
+
+        const roleSelect = document.getElementById('staffRole')
+        roleSelect.innerHTML = this.rolePermissions
+            .map(entry => `<option value="${entry.role}">${formatRole(entry.role)}</option>`)
+            .join('')
+        roleSelect.value = user?.role || 'shopkeeper'
+        // Changing your own role could take away your own access to this tab
+        roleSelect.disabled = !!user && user.id === authManager.getCurrentUser()?.id
+
+        document.getElementById('staffFullName').value = user?.full_name || ''
+        document.getElementById('staffDialogTitle').textContent = user ? 'Edit Staff' : 'Add Staff'
+        document.getElementById('saveStaffBtn').textContent = user ? 'Save' : 'Add Staff'
+        dialog.querySelector('.staff-new-only').classList.toggle('hidden', !!user)
+
+        dialog.classList.add('active')
+        document.getElementById('staffFullName').focus()
+    }
+
+    closeStaffDialog() {
+        document.getElementById('staffDialog').classList.remove('active')
+        this.staffDialogUserId = null
+    }
+
+    async saveStaffMember() {
+        const fullName = document.getElementById('staffFullName').value.trim()
+        const role = document.getElementById('staffRole').value
+        const userId = this.staffDialogUserId
+
+        if (!fullName) {
+            this.showToast('Enter their full name', 'error')
+            return
+        }
+
+        let member = null
+        let pin = ''
+        if (!userId) {
+            member = {
+                email: document.getElementById('staffEmail').value.trim(),
+                password: document.getElementById('staffPassword').value,
+                full_name: fullName,
+                role
+            }
+            pin = document.getElementById('staffPin').value.trim()
+
+            if (!member.email || !member.email.includes('@')) {
+                this.showToast('Enter a valid email address', 'error')
+                return
+            }
+            if (member.password.length < 6) {
+                this.showToast('The temporary password needs at least 6 characters', 'error')
+                return
+            }
+            if (pin && !/^\d{4,6}$/.test(pin)) {
+                this.showToast('A PIN is 4 to 6 digits', 'error')
+                return
+            }
+        }
+
+        const saveBtn = document.getElementById('saveStaffBtn')
+        saveBtn.disabled = true
+
+        try {
+            const result = userId
+                ? await db.updateStaffMember(userId, { full_name: fullName, role })
+                : await db.createStaffMember(member)
+
+            if (!result.success) {
+                this.showToast(result.error, 'error')
+                return
+            }
+
+            // The account exists either way; a PIN that fails can be reset from the list
+            let pinError = null
+            if (pin) {
+                const pinResult = await db.resetStaffPin(result.data.id, pin)
+                if (!pinResult.success) pinError = pinResult.error
+            }
+
+            this.closeStaffDialog()
+            await this.loadStaff()
+
+            if (pinError) {
+                this.showToast(`${fullName} was added, but their PIN was not set: ${pinError}`, 'error')
+            } else if (userId) {
+                this.showToast(`${fullName} saved`, 'success')
+            } else {
+                this.showToast(result.invited
+                    ? `${fullName} was added. They need to confirm their email before signing in.`
+                    : `${fullName} was added`, 'success')
+            }
+        } finally {
+            saveBtn.disabled = false
+        }
+    }
+
+    async setStaffActive(userId, active) {
+        const user = this.staff.find(entry => entry.id === userId)
+        if (!user) return
+
+        const name = user.full_name || 'this account'
+        if (!active && !confirm(`Deactivate ${name}? They will no longer be able to sign in.`)) return
+
+        const result = await db.setStaffActive(userId, active)
+        if (!result.success) {
+            this.showToast(result.error, 'error')
+            return
+        }
+
+        this.staff = this.staff.map(entry => entry.id === userId ? result.data : entry)
+        this.renderStaff()
+        this.showToast(`${name} ${active ? 'reactivated' : 'deactivated'}`, 'success')
+    }
+
+    openStaffPinDialog(userId) {
+        const user = this.staff.find(entry => entry.id === userId)
+        if (!user) return
+
+        this.pinUserId = userId
+        document.getElementById('staffPinTitle').textContent = `Reset PIN: ${user.full_name || 'Unnamed'}`
+        document.getElementById('staffNewPin').value = ''
+        document.getElementById('staffConfirmPin').value = ''
+        document.getElementById('staffPinDialog').classList.add('active')
+        document.getElementById('staffNewPin').focus()
+    }
+
+    closeStaffPinDialog() {
+        document.getElementById('staffPinDialog').classList.remove('active')
+        this.pinUserId = null
+    }
+
+    async saveStaffPin() {
+        const user = this.staff.find(entry => entry.id === this.pinUserId)
+        if (!user) return
+
+        const pin = document.getElementById('staffNewPin').value.trim()
+        const confirmPin = document.getElementById('staffConfirmPin').value.trim()
+
+        if (!/^\d{4,6}$/.test(pin)) {
+            this.showToast('A PIN is 4 to 6 digits', 'error')
+            return
+        }
+        if (pin !== confirmPin) {
+            this.showToast("The PINs don't match", 'error')
+            return
+        }
+
+        const saveBtn = document.getElementById('saveStaffPinBtn')
+        saveBtn.disabled = true
+        const result = await db.resetStaffPin(user.id, pin)
+        saveBtn.disabled = false
+
+        if (!result.success) {
+            this.showToast(result.error, 'error')
+            return
+        }
+
+        this.staff = this.staff.map(entry => entry.id === user.id ? result.data : entry)
+        this.renderStaff()
+        this.closeStaffPinDialog()
+        this.showToast(`PIN reset for ${user.full_name || 'Unnamed'}`, 'success')
+    }
+
+    // Each permission can follow the role, or be switched on or off for just this user
+    openUserPermissions(userId) {
+        const user = this.staff.find(entry => entry.id === userId)
+        if (!user) return
+
+        this.editingStaffId = userId
+        const rolePermissions = resolvePermissions(this.getRolePermissionSet(user.role))
+        const overrides = user.permissions || {}
+
+        document.getElementById('userPermissionsTitle').textContent = `Permissions: ${user.full_name || 'Unnamed'}`
+        document.getElementById('userPermissionsRole').textContent =
+            `${formatRole(user.role)}. Anything left on "Role default" follows the role's permissions.`
+
+        const list = document.getElementById('userPermissionsList')
+        list.innerHTML = Object.entries(permissionConfig).map(([permission, config]) => `
+            <div class="user-permission-row">
+                <label for="userPermission-${permission}">${config.label}</label>
+                <select class="form-select" id="userPermission-${permission}" data-user-permission="${permission}">
+                    <option value="">Role default (${rolePermissions[permission] ? 'On' : 'Off'})</option>
+                    <option value="true">Allowed</option>
+                    <option value="false">Not allowed</option>
+                </select>
+            </div>
+        `).join('')
+
+        list.querySelectorAll('select[data-user-permission]').forEach(select => {
+            const permission = select.dataset.userPermission
+            select.value = permission in overrides ? String(overrides[permission] === true) : ''
+        })
+
+        document.getElementById('userPermissionsDialog').classList.add('active')
+    }
+
+    closeUserPermissions() {
+        document.getElementById('userPermissionsDialog').classList.remove('active')
+        this.editingStaffId = null
+    }
+
+    async saveUserPermissions() {
+        const user = this.staff.find(entry => entry.id === this.editingStaffId)
+        if (!user) return
+
+        const overrides = {}
+        document.querySelectorAll('#userPermissionsList select[data-user-permission]').forEach(select => {
+            if (select.value !== '') overrides[select.dataset.userPermission] = select.value === 'true'
+        })
+
+        // Nobody can take away the permissions that let them undo it
+        if (user.id === authManager.getCurrentUser()?.id) {
+            const resolved = resolvePermissions(this.getRolePermissionSet(user.role), overrides)
+            const lost = ['can_manage_staff', 'can_access_admin'].find(permission => !resolved[permission])
+            if (lost) {
+                this.showToast(`You can't remove "${permissionConfig[lost].label}" from yourself`, 'error')
+                return
+            }
+        }
+
+        const saveBtn = document.getElementById('saveUserPermissionsBtn')
+        saveBtn.disabled = true
+        const result = await db.setUserPermissions(user.id, overrides)
+        saveBtn.disabled = false
+
+        if (!result.success) {
+            this.showToast(result.error, 'error')
+            return
+        }
+
+        this.staff = this.staff.map(entry => entry.id === user.id ? { ...entry, permissions: overrides } : entry)
+        this.renderStaff()
+        this.closeUserPermissions()
+        this.showToast(`Permissions saved for ${user.full_name || 'Unnamed'}`, 'success')
+
+        if (user.id === authManager.getCurrentUser()?.id) await this.refreshOwnPermissions()
+    }
+
+    // Re-read what the signed-in user may do after changing their own role or overrides
+    async refreshOwnPermissions() {
+        await authManager.loadPermissions()
+        applyPermissions((permission) => authManager.can(permission))
+    }
+
     // ==================== UTILITIES ====================
 
 
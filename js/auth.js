@@ -1,11 +1,14 @@
 // auth.js - IMPROVED ERROR HANDLING
-import { supabase } from './supabase-client.js'
+import { supabase, createIsolatedClient } from './supabase-client.js'
+import { resolvePermissions } from './permissions.js'
 
 export class AuthManager {
     constructor() {
         this.currentUser = null
         this.session = null
         this.userProfile = null
+        // { permission: true/false } for the signed-in user (see js/permissions.js)
+        this.permissions = resolvePermissions()
         console.log('AuthManager initialized')
     }
 
@@ -23,7 +26,15 @@ export class AuthManager {
                 this.session = session
                 this.currentUser = session.user
                 console.log('Session found, loading user profile...')
-                await this.loadUserProfile()
+                const profile = await this.loadUserProfile()
+
+                // Deactivated while still signed in on this device
+                if (profile?.is_active === false) {
+                    console.log('Account deactivated, signing out')
+                    await this.logout()
+                    return false
+                }
+
                 this.setupAuthStateListener()
                 return true
             }
@@ -58,8 +69,17 @@ export class AuthManager {
                     throw new Error('User profile not found')
                 }
 
-                if (profile.role !== role) {
-                    console.log('Role mismatch:', { expected: role, actual: profile.role })
+                // The password still works, but a manager has switched the account off
+                if (profile.is_active === false) {
+                    console.log('Account deactivated:', { email })
+                    await this.logout()
+                    throw new Error('This account has been deactivated. Ask a manager to reactivate it.')
+                }
+
+                // Anyone can sign in to the till; the manager side opens the
+                // back office, which takes can_access_admin whatever the role
+                if (role === 'manager' && !this.can('can_access_admin')) {
+                    console.log('No back office access:', { role: profile.role })
                     await this.logout()
                     throw new Error(`This account does not have ${role} privileges`)
                 }
@@ -71,7 +91,8 @@ export class AuthManager {
                     success: true,
                     user: data.user,
                     profile: profile,
-                    role: profile.role
+                    role: profile.role,
+                    permissions: this.permissions
                 }
             }
         } catch (error) {
@@ -80,6 +101,128 @@ export class AuthManager {
         }
     }
 
+    // Have someone with can_discount approve a discount at the till, signing
+    // in on a throwaway client so the current session stays. The approval is
+    // an id create_sale uses up (018_discount_approvals.sql), so it covers
+    // one sale and cannot be made up by the till, and only discounts up to
+    // `percent` of what they apply to (029_approval_percent.sql).
+    async approveDiscount(email, password, percent) {
+        const client = createIsolatedClient()
+
+        try {
+            const { error } = await client.auth.signInWithPassword({ email, password })
+            if (error) throw error
+
+            const { data, error: approvalError } = await client.rpc('approve_discount', { p_percent: percent })
+
+            if (approvalError) {
+                if (approvalError.message === 'ACCOUNT_INACTIVE') {
+                    throw new Error('That account has been deactivated')
+                }
+                if (approvalError.code === '42501') {
+                    throw new Error('This account cannot approve discounts')
+                }
+                throw approvalError
+            }
+
+            return {
+                success: true,
+                approval: data.approval,
+                manager: { id: data.approved_by, full_name: data.full_name }
+            }
+        } catch (error) {
+            console.error('Manager verification error:', error)
+            return { success: false, error: error.message }
+        } finally {
+            // Only drop this throwaway session - a global sign out would log the manager out everywhere
+            await client.auth.signOut({ scope: 'local' }).catch(() => { })
+        }
+    }
+
+    // The live session's tokens, for the till lock screen to keep (js/lock.js)
+    async getSessionTokens() {
+        const { data: { session } } = await supabase.auth.getSession()
+        return session ? { access_token: session.access_token, refresh_token: session.refresh_token } : null
+    }
+
+    // Swap the signed-in user for one whose session the lock screen kept,
+    // without a redirect. `tokens` is { access_token, refresh_token }.
+    async switchSession(tokens) {
+        return this.switchUser(() => supabase.auth.setSession(tokens))
+    }
+
+    // Swap the signed-in user for someone signing in at the lock screen
+    async switchWithPassword(email, password) {
+        return this.switchUser(() => supabase.auth.signInWithPassword({ email, password }))
+    }
+
+    async switchUser(signIn) {
+        try {
+            const { data, error } = await signIn()
+            if (error) throw error
+
+            this.currentUser = data.user
+            this.session = data.session
+            this.userProfile = null
+
+            const profile = await this.loadUserProfile()
+            if (!profile) {
+                throw new Error('User profile not found')
+            }
+            if (profile.is_active === false) {
+                throw new Error('This account has been deactivated. Ask a manager to reactivate it.')
+            }
+
+            return { success: true, user: data.user, profile }
+        } catch (error) {
+            console.error('Switch user error:', error)
+            return { success: false, error: error.message }
+        }
+    }
+
+    // Check a till PIN (016_till_lock.sql). On success `unlockSecret` opens
+    // the session the lock screen kept for that user.
+    async verifyPin(userId, pin) {
+        try {
+            const { data, error } = await supabase.rpc('verify_pin', { p_user_id: userId, p_pin: pin })
+            if (error) throw error
+
+            if (data.verified) {
+                return { success: true, unlockSecret: data.unlock_secret }
+            }
+            if (data.locked_until) {
+                const until = new Date(data.locked_until).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' })
+                return { success: false, code: 'PIN_LOCKED', error: `Too many wrong PINs. Try again after ${until}` }
+            }
+            return {
+                success: false,
+                code: 'WRONG_PIN',
+                error: `Wrong PIN. ${data.attempts_left} attempt${data.attempts_left === 1 ? '' : 's'} left`
+            }
+        } catch (error) {
+            console.error('PIN check error:', error)
+            if (error.message === 'ACCOUNT_INACTIVE') {
+                return { success: false, code: 'ACCOUNT_INACTIVE', error: 'This account has been deactivated' }
+            }
+            if (error.message === 'NO_PIN') {
+                return { success: false, code: 'NO_PIN', error: 'No PIN is set for this account. Ask a manager to set one.' }
+            }
+            return { success: false, error: error.message }
+        }
+    }
+
+    // The signed-in user's own unlock secret; null when they have no PIN
+    async getUnlockSecret() {
+        try {
+            const { data, error } = await supabase.rpc('get_unlock_secret')
+            if (error) throw error
+            return { success: true, data }
+        } catch (error) {
+            console.error('Error loading unlock secret:', error)
+            return { success: false, error: error.message }
+        }
+    }
+
     async loadUserProfile() {
         if (!this.currentUser) {
             console.log('No current user, cannot load profile')
@@ -98,12 +241,13 @@ export class AuthManager {
                 console.error('Error loading user profile:', error)
                 // Check if it's a "not found" error
                 if (error.code === 'PGRST116') {
-                    console.error('User profile not found in database. Make sure user exists in public.users table.')
+                    console.error('User profile not found in database. Add them from the Staff tab in the back office.')
                 }
                 return null
             }
 
             this.userProfile = data
+            await this.loadPermissions()
             return data
         } catch (error) {
             console.error('Unexpected error loading profile:', error)
@@ -111,6 +255,26 @@ export class AuthManager {
         }
     }
 
+    // The signed-in user's role permissions with their own overrides on top.
+    // If they cannot be loaded everything stays off.
+    async loadPermissions() {
+        try {
+            const { data, error } = await supabase.rpc('get_permissions')
+            if (error) throw error
+
+            this.permissions = resolvePermissions(data)
+        } catch (error) {
+            console.error('Error loading permissions:', error)
+            this.permissions = resolvePermissions()
+        }
+        return this.permissions
+    }
+
+    // Whether the signed-in user has `permission` (a key of permissionConfig)
+    can(permission) {
+        return this.permissions[permission] === true
+    }
+
     async getUserRole() {
         if (!this.userProfile) {
             await this.loadUserProfile()
@@ -125,6 +289,7 @@ export class AuthManager {
         this.currentUser = null;
         this.session = null;
         this.userProfile = null;
+        this.permissions = resolvePermissions();
 
         // Clear storage
         localStorage.removeItem('remember_me');
@@ -155,6 +320,7 @@ export class AuthManager {
                 this.currentUser = null
                 this.session = null
                 this.userProfile = null
+                this.permissions = resolvePermissions()
                 console.log('Signed out event received')
             }
         })
@@ -0,0 +1,100 @@
+// js/charts.js - Small dependency-free SVG charts, so the dashboard draws offline
+//
+// Charts are returned as SVG markup with a viewBox, so they scale to their
+// container; colours and dashes come from the series' class names in CSS.
+
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+
+// Round `max` up so the axis ticks land on 1, 2, 2.5 or 5 × 10^n steps,
+// never smaller than `minStep` (1 for counts, so there are no half orders)
+const getAxisMax = (max, ticks, minStep) => {
+    if (!(max > 0)) return Math.max(minStep, 1) * ticks
+
+    const step = max / ticks
+    const magnitude = 10 ** Math.floor(Math.log10(step))
+    const niceStep = [1, 2, 2.5, 5, 10].find(multiple => multiple * magnitude >= step) * magnitude
+    return Math.max(niceStep, minStep) * ticks
+}
+
+// Line chart. `series` is [{ name, values, className, labels }]; a null value
+// is a gap in the line. Every point carries a <title> so hovering shows its
+// value, named by the series' own `labels` when it has them (a comparison
+// period drawn against the current one's x axis). `formatAxis` can give the
+// y axis shorter labels than the points.
+export const renderLineChart = ({
+    labels,
+    series,
+    title = '',
+    formatValue = String,
+    formatAxis = formatValue,
+    width = 640,
+    height = 220,
+    ticks = 4,
+    minStep = 0,
+    maxXLabels = 8
+}) => {
+    const padding = { top: 12, right: 16, bottom: 28, left: 60 }
+    const plotWidth = width - padding.left - padding.right
+    const plotHeight = height - padding.top - padding.bottom
+
+    const values = series.flatMap(line => line.values).filter(value => value !== null)
+    const max = getAxisMax(Math.max(0, ...values), ticks, minStep)
+
+    const x = (index) => padding.left + (labels.length > 1 ? (index / (labels.length - 1)) * plotWidth : plotWidth / 2)
+    const y = (value) => padding.top + plotHeight - (value / max) * plotHeight
+
+    const grid = Array.from({ length: ticks + 1 }, (_, tick) => {
+        const value = (max / ticks) * tick
+        return `
+            <line class="chart-grid" x1="${padding.left}" x2="${width - padding.right}" y1="${y(value)}" y2="${y(value)}" />
+            <text class="chart-axis" x="${padding.left - 8}" y="${y(value) + 4}" text-anchor="end">${escapeHtml(formatAxis(value))}</text>`
+    }).join('')
+
+    const labelStep = Math.ceil(labels.length / maxXLabels)
+    const xLabels = labels.map((label, index) => index % labelStep === 0
+        ? `<text class="chart-axis" x="${x(index)}" y="${height - 8}" text-anchor="middle">${escapeHtml(label)}</text>`
+        : ''
+    ).join('')
+
+    const lines = series.map(line => {
+        let path = ''
+        let drawing = false
+        line.values.forEach((value, index) => {
+            if (value === null) {
+                drawing = false
+                return
+            }
+            path += `${drawing ? 'L' : 'M'}${x(index).toFixed(1)} ${y(value).toFixed(1)} `
+            drawing = true
+        })
+
+        const points = line.values.map((value, index) => value === null ? '' : `
+            <circle cx="${x(index).toFixed(1)}" cy="${y(value).toFixed(1)}" r="3">
+                <title>${escapeHtml(`${line.name}, ${(line.labels || labels)[index]}: ${formatValue(value)}`)}</title>
+            </circle>`
+        ).join('')
+
+        return `<g class="chart-series ${line.className || ''}"><path d="${path.trim()}" />${points}</g>`
+    }).join('')
+
+    return `
+        <svg class="chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeHtml(title)}">
+            ${grid}
+            ${xLabels}
+            ${lines}
+        </svg>`
+}
+
+// Colour key for a chart's series, matching their class names
+export const renderChartLegend = (series) => `
+    <div class="chart-legend">
+        ${series.map(line => `
+            <span class="chart-legend-item">
+                <span class="chart-swatch ${line.className || ''}"></span>${escapeHtml(line.name)}
+            </span>
+        `).join('')}
+    </div>`
@@ -0,0 +1,126 @@
+// js/date-range.js - Calendar date ranges for reports, worked out in a chosen time zone
+//
+// Ranges are { startDate, endDate, timeZone } with both dates as 'YYYY-MM-DD'
+// and inclusive: { startDate: '2026-10-01', endDate: '2026-10-31' } is the whole
+// of October in that time zone, whatever zone the browser happens to be in.
+
+const TIME_ZONE_STORAGE_KEY = 'reportTimeZone'
+
+export const getBrowserTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC'
+
+// The zone reports use: the one picked in the Reports tab, else the browser's
+export const getReportTimeZone = () => localStorage.getItem(TIME_ZONE_STORAGE_KEY) || getBrowserTimeZone()
+
+export const setReportTimeZone = (timeZone) => {
+    localStorage.setItem(TIME_ZONE_STORAGE_KEY, timeZone)
+}
+
+// Zones to offer; older browsers without supportedValuesOf get the current one and UTC
+export const getTimeZones = () => {
+    const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : []
+    return [...new Set([getBrowserTimeZone(), 'UTC', ...zones])]
+}
+
+// ==================== CALENDAR DATES ====================
+
+// 'YYYY-MM-DD' of an instant as seen in `timeZone`
+export const toDateString = (date, timeZone) => {
+    return date.toLocaleDateString('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+}
+
+// Calendar arithmetic on 'YYYY-MM-DD' strings, done in UTC so it never trips over DST
+const parseDate = (dateString) => {
+    const [year, month, day] = dateString.split('-').map(Number)
+    return new Date(Date.UTC(year, month - 1, day))
+}
+
+const formatDate = (date) => date.toISOString().slice(0, 10)
+
+export const addDays = (dateString, days) => {
+    const date = parseDate(dateString)
+    date.setUTCDate(date.getUTCDate() + days)
+    return formatDate(date)
+}
+
+// Whole days from one 'YYYY-MM-DD' to another (negative when `to` is earlier)
+export const daysBetween = (from, to) => Math.round((parseDate(to) - parseDate(from)) / (24 * 60 * 60 * 1000))
+
+// "Oct 12" for a 'YYYY-MM-DD' string
+export const formatShortDate = (dateString) => {
+    return parseDate(dateString).toLocaleDateString('en-US', { timeZone: 'UTC', month: 'short', day: 'numeric' })
+}
+
+// ==================== TIME ZONES ====================
+
+// How far `timeZone` is ahead of UTC at `instant`, in milliseconds
+const getZoneOffset = (instant, timeZone) => {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(instant).map(part => [part.type, part.value]))
+
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second)
+    return asUtc - Math.floor(instant.getTime() / 1000) * 1000
+}
+
+// The instant midnight starts `dateString` in `timeZone`
+export const zonedMidnight = (dateString, timeZone) => {
+    const guess = parseDate(dateString)
+    const first = new Date(guess.getTime() - getZoneOffset(guess, timeZone))
+    // A DST change between the guess and the real midnight shifts the offset once more
+    return new Date(guess.getTime() - getZoneOffset(first, timeZone))
+}
+
+// { start, end } instants for a range: start inclusive, end exclusive
+// (midnight after endDate), ready for gte/lt queries
+export const getRangeBounds = ({ startDate, endDate, timeZone }) => ({
+    start: zonedMidnight(startDate, timeZone),
+    end: zonedMidnight(addDays(endDate, 1), timeZone)
+})
+
+// ==================== QUICK FILTERS ====================
+
+export const quickRanges = ['Today', 'Yesterday', 'Last 7 Days', 'This Month', 'Last Month']
+
+// True calendar ranges for the Reports quick filters
+export const getQuickRange = (period, timeZone = getReportTimeZone(), now = new Date()) => {
+    const today = toDateString(now, timeZone)
+    const monthStart = `${today.slice(0, 8)}01`
+    const range = (startDate, endDate) => ({ startDate, endDate, timeZone, label: period })
+
+    switch (period) {
+        case 'Today':
+            return range(today, today)
+        case 'Yesterday':
+            return range(addDays(today, -1), addDays(today, -1))
+        case 'Last 7 Days':
+            return range(addDays(today, -6), today)
+        case 'Last Month': {
+            const lastMonthEnd = addDays(monthStart, -1)
+            return range(`${lastMonthEnd.slice(0, 8)}01`, lastMonthEnd)
+        }
+        case 'This Month':
+        default:
+            return range(monthStart, today)
+    }
+}
+
+// "Oct 1 – Oct 19, 2026" style label for a custom range
+export const formatRangeLabel = ({ startDate, endDate }) => {
+    const format = (dateString, withYear) => parseDate(dateString).toLocaleDateString('en-US', {
+        timeZone: 'UTC',
+        month: 'short',
+        day: 'numeric',
+        ...(withYear ? { year: 'numeric' } : {})
+    })
+
+    return startDate === endDate
+        ? format(startDate, true)
+        : `${format(startDate, startDate.slice(0, 4) !== endDate.slice(0, 4))} – ${format(endDate, true)}`
+}
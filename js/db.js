@@ -1,11 +1,53 @@
 // db.js - Database operations for Limitless Apparel POS
-import { supabase } from './supabase-client.js'
+import { supabase, createIsolatedClient } from './supabase-client.js'
+import { authManager } from './auth.js'
+import { permissionConfig } from './permissions.js'
+import { calculateCartTotals } from './pricing.js'
+import { getPaymentMethodLabel, SPLIT_PAYMENT } from './payments.js'
+import { barcodeConfig, formatBarcode } from './labels.js'
+import { getRangeBounds, getBrowserTimeZone } from './date-range.js'
+import {
+    getLineMarkdown, getLineProfit, getReturnedProfit, sumProfit, groupProfit,
+    getPeriodUnit, getPeriodKey
+} from './profit.js'
+
+// Product columns that take a permission to change; the products_check_permissions
+// trigger (supabase/migrations/014_permissions.sql) checks the same
+const PRICE_FIELDS = ['price', 'sale_price', 'is_on_sale', 'price_override', 'cost_price']
+const CATALOGUE_FIELDS = ['name', 'category', 'size', 'colour', 'barcode', 'style_id', 'is_active']
+
+// What the API may read of products and sale lines: everything but the
+// costs, which only get_product_costs / get_sale_item_costs hand out
+// (supabase/migrations/032_cost_permissions.sql)
+const PRODUCT_COLUMNS = 'id, style_id, name, category, size, colour, barcode, price, sale_price, is_on_sale, price_override, stock_quantity, is_active, created_at, updated_at'
+const SALE_ITEM_COLUMNS = 'id, sale_id, product_id, product_name, quantity, unit_price, original_price, discount_type, discount_value, discount_amount, total, created_at'
+
+// PostgREST returns at most this many rows per request
+const PAGE_SIZE = 1000
 
 export class DatabaseManager {
     constructor() {
         console.log('DatabaseManager initialized')
     }
 
+    // Every row of a query, a page at a time until a short page comes back.
+    // `buildQuery` makes a fresh query for each page; ordering by id last
+    // keeps the pages from overlapping. Resolves to { data, error } like a query.
+    async fetchAllRows(buildQuery) {
+        const rows = []
+
+        for (let from = 0; ; from += PAGE_SIZE) {
+            const { data, error } = await buildQuery()
+                .order('id')
+                .range(from, from + PAGE_SIZE - 1)
+
+            if (error) return { data: null, error }
+
+            rows.push(...data)
+            if (data.length < PAGE_SIZE) return { data: rows, error: null }
+        }
+    }
+
     // ==================== PRODUCTS ====================
 
     // Get all products
@@ -13,7 +55,7 @@ export class DatabaseManager {
         try {
             let query = supabase
                 .from('products')
-                .select('*')
+                .select(PRODUCT_COLUMNS)
                 .order('name')
 
             // Apply filters
@@ -32,7 +74,7 @@ export class DatabaseManager {
             const { data, error } = await query
 
             if (error) throw error
-            return { success: true, data }
+            return { success: true, data: await this.withCosts(data) }
         } catch (error) {
             console.error('Error fetching products:', error)
             return { success: false, error: error.message }
@@ -44,29 +86,33 @@ export class DatabaseManager {
         try {
             const { data, error } = await supabase
                 .from('products')
-                .select('*')
+                .select(PRODUCT_COLUMNS)
                 .eq('id', productId)
                 .single()
 
             if (error) throw error
-            return { success: true, data }
+            const [product] = await this.withCosts([data])
+            return { success: true, data: product }
         } catch (error) {
             console.error('Error fetching product:', error)
             return { success: false, error: error.message }
         }
     }
 
-    // Get product by barcode
+    // Get the product on sale with this barcode; data is null when there is
+    // none. A removed product keeps its barcode, but it can't be sold.
     async getProductByBarcode(barcode) {
         try {
             const { data, error } = await supabase
                 .from('products')
-                .select('*')
+                .select(PRODUCT_COLUMNS)
                 .eq('barcode', barcode)
-                .single()
+                .eq('is_active', true)
+                .maybeSingle()
 
             if (error) throw error
-            return { success: true, data }
+            const [product = null] = data ? await this.withCosts([data]) : []
+            return { success: true, data: product }
         } catch (error) {
             console.error('Error fetching product by barcode:', error)
             return { success: false, error: error.message }
@@ -74,23 +120,66 @@ export class DatabaseManager {
     }
 
     // Create new product
+    // A product is one size/colour variant of a style; adding "Blue Cotton
+    // Shirt" in L joins the existing "Blue Cotton Shirt" style
     async createProduct(productData) {
+        if (!authManager.can('can_manage_products')) return this.permissionDeniedResult('can_manage_products')
+
         try {
+            const styleResult = await this.getOrCreateStyle(productData)
+            if (!styleResult.success) throw new Error(styleResult.error)
+            const style = styleResult.data
+
+            const size = productData.size?.trim() || null
+            const colour = productData.colour?.trim() || null
+
+            // One product per size/colour within a style
+            let duplicateQuery = supabase
+                .from('products')
+                .select('id')
+                .eq('style_id', style.id)
+                .eq('is_active', true)
+            duplicateQuery = size ? duplicateQuery.eq('size', size) : duplicateQuery.is('size', null)
+            duplicateQuery = colour ? duplicateQuery.eq('colour', colour) : duplicateQuery.is('colour', null)
+
+            const { data: duplicates, error: duplicateError } = await duplicateQuery
+            if (duplicateError) throw duplicateError
+            if (duplicates.length > 0) {
+                throw new Error(`${style.name} already has a ${[size, colour].filter(Boolean).join(' / ') || 'default'} variant`)
+            }
+
+            // No barcode typed in - take the next one in our series
+            let barcode = productData.barcode?.trim()
+            if (barcode) {
+                const check = await this.checkBarcodeExists(barcode)
+                if (!check.success) throw new Error(check.error)
+                if (check.exists) throw new Error(`Barcode ${barcode} is already in use`)
+            } else {
+                const generated = await this.generateBarcode()
+                if (!generated.success) throw new Error(generated.error)
+                barcode = generated.barcode
+            }
+
+            const price = parseFloat(productData.price)
+
             const { data, error } = await supabase
                 .from('products')
                 .insert([{
-                    name: productData.name,
-                    category: productData.category,
-                    price: parseFloat(productData.price),
+                    name: style.name,
+                    category: style.category,
+                    style_id: style.id,
+                    price,
+                    price_override: price !== parseFloat(style.base_price),
                     cost_price: productData.cost_price ? parseFloat(productData.cost_price) : null,
                     stock_quantity: parseInt(productData.stock_quantity) || 0,
-                    size: productData.size,
-                    barcode: productData.barcode,
+                    size,
+                    colour,
+                    barcode,
                     is_on_sale: productData.is_on_sale || false,
                     sale_price: productData.sale_price ? parseFloat(productData.sale_price) : null,
                     is_active: true
                 }])
-                .select()
+                .select(PRODUCT_COLUMNS)
 
             if (error) throw error
 
@@ -107,6 +196,113 @@ export class DatabaseManager {
             return { success: true, data: data[0] }
         } catch (error) {
             console.error('Error creating product:', error)
+            if (this.getConflictingBarcode(error)) {
+                return this.barcodeInUseResult(this.getConflictingBarcode(error))
+            }
+            if (error.code === '42501') {
+                return this.permissionDeniedResult(error.details || 'can_manage_products')
+            }
+            return { success: false, error: error.message }
+        }
+    }
+
+    // Bulk import of rows checked by validateImportRows (js/import.js).
+    // New products without a barcode get the next ones in our series; the
+    // import_products function then writes everything in one transaction.
+    // Importing sets prices and costs as well as adding products, so it takes both permissions
+    async importProducts(rows) {
+        if (!authManager.can('can_manage_products')) return this.permissionDeniedResult('can_manage_products')
+        if (!authManager.can('can_edit_price')) return this.permissionDeniedResult('can_edit_price')
+
+        try {
+            const needBarcodes = rows.filter(row => row.action === 'create' && !row.data.barcode)
+            const typedBarcodes = rows.map(row => row.data.barcode).filter(Boolean)
+
+            let barcodes = []
+            if (needBarcodes.length) {
+                const generated = await this.generateBarcodes(needBarcodes.length, typedBarcodes)
+                if (!generated.success) throw new Error(generated.error)
+                barcodes = generated.barcodes
+            }
+
+            const payload = rows.map(row => ({
+                name: row.data.name,
+                category: row.data.category,
+                size: row.data.size,
+                colour: row.data.colour,
+                barcode: row.data.barcode || (needBarcodes.includes(row) ? barcodes[needBarcodes.indexOf(row)] : null),
+                price: row.data.price,
+                cost_price: row.data.cost_price,
+                stock_quantity: row.data.stock_quantity
+            }))
+
+            const { data, error } = await supabase.rpc('import_products', { p_rows: payload })
+
+            if (error) throw error
+            return { success: true, data }
+        } catch (error) {
+            console.error('Error importing products:', error)
+            if (error.message === 'ACCOUNT_INACTIVE') {
+                return this.accountInactiveResult()
+            }
+            if (error.message === 'BARCODE_IN_USE') {
+                return { success: false, code: 'BARCODE_IN_USE', error: `Barcode ${error.details} was taken by another product meanwhile` }
+            }
+            if (this.getConflictingBarcode(error)) {
+                return { success: false, code: 'BARCODE_IN_USE', error: `Barcode ${this.getConflictingBarcode(error)} was taken by another product meanwhile` }
+            }
+            if (error.code === '42501') {
+                return this.permissionDeniedResult(error.details || 'can_manage_products')
+            }
+            return { success: false, error: error.message }
+        }
+    }
+
+    // ==================== STYLES ====================
+
+    async getStyles() {
+        try {
+            const { data, error } = await supabase
+                .from('product_styles')
+                .select('*')
+                .order('name')
+
+            if (error) throw error
+            return { success: true, data }
+        } catch (error) {
+            console.error('Error fetching styles:', error)
+            return { success: false, error: error.message }
+        }
+    }
+
+    // Style with this name and category (case-insensitive), created on first use
+    async getOrCreateStyle({ name, category, price }) {
+        try {
+            const styleName = name.trim()
+
+            const { data: existing, error: findError } = await supabase
+                .from('product_styles')
+                .select('*')
+                .ilike('name', styleName.replace(/[\\%_]/g, '\\$&'))
+                .eq('category', category)
+                .maybeSingle()
+
+            if (findError) throw findError
+            if (existing) return { success: true, data: existing }
+
+            const { data, error } = await supabase
+                .from('product_styles')
+                .insert([{
+                    name: styleName,
+                    category,
+                    base_price: parseFloat(price)
+                }])
+                .select()
+
+            if (error) throw error
+            return { success: true, data: data[0] }
+        } catch (error) {
+            console.error('Error finding or creating style:', error)
             return { success: false, error: error.message }
         }
     }
@@ -114,6 +310,14 @@ export class DatabaseManager {
     // Update product
     // In db.js - Check and fix the updateProduct method
     async updateProduct(productId, updates) {
+        const fields = Object.keys(updates)
+        if (fields.some(field => PRICE_FIELDS.includes(field)) && !authManager.can('can_edit_price')) {
+            return this.permissionDeniedResult('can_edit_price')
+        }
+        if (fields.some(field => CATALOGUE_FIELDS.includes(field)) && !authManager.can('can_manage_products')) {
+            return this.permissionDeniedResult('can_manage_products')
+        }
+
         try {
             console.log('🔄 Updating product:', productId, updates)
 
@@ -128,6 +332,13 @@ export class DatabaseManager {
             if (updateData.cost_price) updateData.cost_price = parseFloat(updateData.cost_price)
             if (updateData.stock_quantity !== undefined) updateData.stock_quantity = parseInt(updateData.stock_quantity)
             if (updateData.sale_price) updateData.sale_price = parseFloat(updateData.sale_price)
+            if (updateData.sale_price === '') updateData.sale_price = null
+
+            if (updateData.barcode) {
+                const check = await this.checkBarcodeExists(updateData.barcode, productId)
+                if (!check.success) throw new Error(check.error)
+                if (check.exists) return this.barcodeInUseResult(updateData.barcode)
+            }
 
             console.log('📝 Update data:', updateData)
 
@@ -135,7 +346,7 @@ export class DatabaseManager {
                 .from('products')
                 .update(updateData)
                 .eq('id', productId)
-                .select()
+                .select(PRODUCT_COLUMNS)
 
             if (error) {
                 console.error('❌ Error updating product:', error)
@@ -146,12 +357,20 @@ export class DatabaseManager {
             return { success: true, data: data[0] }
         } catch (error) {
             console.error('❌ Error updating product:', error)
+            if (this.getConflictingBarcode(error)) {
+                return this.barcodeInUseResult(this.getConflictingBarcode(error))
+            }
+            if (error.code === '42501') {
+                return this.permissionDeniedResult(error.details || 'can_edit_price')
+            }
             return { success: false, error: error.message }
         }
     }
 
     // Delete product (soft delete)
     async deleteProduct(productId) {
+        if (!authManager.can('can_manage_products')) return this.permissionDeniedResult('can_manage_products')
+
         try {
             // Use the module-level supabase (not this.supabase)
             // Soft delete: mark is_active = false so we keep history
@@ -159,20 +378,26 @@ export class DatabaseManager {
                 .from('products')
                 .update({ is_active: false, updated_at: new Date().toISOString() })
                 .eq('id', productId)
-                .select()
+                .select(PRODUCT_COLUMNS)
 
             if (error) throw error
 
             return { success: true, data: data[0] }
         } catch (error) {
             console.error('Error deleting product:', error)
+            if (error.code === '42501') {
+                return this.permissionDeniedResult(error.details || 'can_manage_products')
+            }
             return { success: false, error: error.message }
         }
     }
 
     // ==================== SALES ====================
 
-    // In db.js - FIXED createSale method
+    // Create a sale atomically through the create_sale Postgres function
+    // (see supabase/migrations). The sale, its items,
+    // the stock decrements and the inventory transactions either all commit
+    // or all roll back together.
     async createSale(saleData) {
         try {
             // Get the current session FIRST
@@ -181,109 +406,130 @@ export class DatabaseManager {
             if (sessionError) throw sessionError
             if (!session) throw new Error('User not authenticated')
 
-            const user = session.user
-            console.log('Creating sale for user:', user.id)
-
-            // Start a transaction
-            const sale = {
-                cashier_id: user.id,
-                total: parseFloat(saleData.total),
-                payment_method: saleData.payment_method
-            }
+            console.log('Creating sale for user:', session.user.id)
 
-            // Create sale record
-            const { data: saleRecord, error: saleError } = await supabase
-                .from('sales')
-                .insert([sale])
-                .select()
+            // Line discounts plus each line's share of the cart discount
+            const totals = calculateCartTotals(saleData.items, saleData.cart_discount)
 
-            if (saleError) {
-                console.error('Sale creation error:', saleError)
-                throw saleError
+            // Without can_discount a discount needs someone who has it to approve it
+            if (totals.discount > 0 && !saleData.discount_approval && !authManager.can('can_discount')) {
+                return this.permissionDeniedResult('can_discount')
             }
 
-            const saleId = saleRecord[0].id
-            console.log('Sale created with ID:', saleId)
-
-            // Create sale items
-            const saleItems = saleData.items.map(item => ({
-                sale_id: saleId,
+            const items = saleData.items.map((item, index) => ({
                 product_id: item.id,
                 product_name: item.name,
                 quantity: parseInt(item.quantity),
+                // create_sale prices the line from the catalogue; this has to match
                 unit_price: parseFloat(item.price),
-                total: parseFloat(item.price) * parseInt(item.quantity)
+                // Shelf price before any markdown, for markdown reporting
+                original_price: parseFloat(item.originalPrice ?? item.price),
+                discount_type: item.discount?.type || null,
+                discount_value: item.discount?.value ?? null,
+                discount_amount: totals.lines[index].discount
             }))
 
-            const { error: itemsError } = await supabase
-                .from('sale_items')
-                .insert(saleItems)
+            // One tender for the whole total unless the cashier split the payment
+            const payments = saleData.payments?.length
+                ? saleData.payments
+                : [{ method: saleData.payment_method, amount: totals.net }]
+
+            const { data, error } = await supabase.rpc('create_sale', {
+                p_sale: {
+                    // The server returns the existing sale for an id it has seen
+                    client_sale_id: saleData.client_sale_id || null,
+                    total: totals.net,
+                    subtotal: totals.gross,
+                    discount_total: totals.discount,
+                    discount_type: saleData.cart_discount?.type || null,
+                    discount_value: saleData.cart_discount?.value ?? null,
+                    // From authManager.approveDiscount; the server records who gave it
+                    discount_approval: saleData.discount_approval || null,
+                    payment_method: getPaymentMethodLabel(payments),
+                    payments,
+                    cash_tendered: saleData.cash_tendered ?? null,
+                    // Sales replayed from the offline queue keep their original time
+                    created_at: saleData.created_at || null,
+                    items
+                }
+            })
 
-            if (itemsError) {
-                console.error('Sale items error:', itemsError)
-                throw itemsError
+            if (error) {
+                console.error('Sale creation error:', error)
+                throw error
             }
 
-            // Update product stock and create inventory transactions
-            for (const item of saleData.items) {
-                // Update product stock
-                const product = await this.getProductById(item.id)
-                if (product.success) {
-                    const newStock = product.data.stock_quantity - item.quantity
-                    await this.updateProduct(item.id, { stock_quantity: newStock })
-
-                    // Create inventory transaction
-                    await this.createInventoryTransaction({
-                        product_id: item.id,
-                        type: 'sale',
-                        quantity: -item.quantity, // Negative for sales
-                        notes: `Sale ${saleId}`,
-                        user_id: user.id // Explicitly pass user_id
-                    })
-                }
-            }
+            console.log('Sale created with ID:', data.sale.id)
 
             return {
                 success: true,
                 data: {
-                    sale: saleRecord[0],
-                    items: saleItems,
-                    saleId: saleId
+                    sale: data.sale,
+                    items: data.items,
+                    payments: data.payments,
+                    saleId: data.sale.id
                 }
             }
         } catch (error) {
             console.error('Error creating sale:', error)
+            if (error.message === 'ACCOUNT_INACTIVE') {
+                return this.accountInactiveResult()
+            }
+            if (error.message === 'INSUFFICIENT_STOCK') {
+                return this.insufficientStockResult(error)
+            }
+            if (error.message === 'PRICE_CHANGED') {
+                return this.priceChangedResult(error)
+            }
+            if (error.message === 'APPROVAL_REQUIRED') {
+                return { success: false, code: 'APPROVAL_REQUIRED', error: `Discounts over ${error.details}% need manager approval` }
+            }
+            if (error.message === 'APPROVAL_EXCEEDED') {
+                return { success: false, code: 'APPROVAL_INVALID', error: `The manager approved discounts up to ${parseFloat(parseFloat(error.details).toFixed(2))}% - ask them to approve these again` }
+            }
+            if (error.message === 'APPROVAL_INVALID') {
+                return { success: false, code: 'APPROVAL_INVALID', error: 'The discount approval has expired or was already used - ask a manager to approve it again' }
+            }
+            if (error.code === '42501') {
+                return this.permissionDeniedResult(error.details || 'can_discount')
+            }
             return { success: false, error: error.message }
         }
     }
 
-    // Get sales with optional filters
+    // Get sales with optional filters - all of them, however many (exports read every row)
     // In db.js - Update getSales method
     async getSales(filters = {}) {
         try {
-            let query = supabase
-                .from('sales')
-                .select(`
-                *,
-                sale_items (*),
-                users!cashier_id (full_name, email)
-            `)
-                .order('created_at', { ascending: false })
+            const buildQuery = () => {
+                let query = supabase
+                    .from('sales')
+                    .select(`
+                    *,
+                    sale_items (${SALE_ITEM_COLUMNS}),
+                    sale_payments (*),
+                    returns (*, return_items (*)),
+                    users!cashier_id (full_name, email)
+                `)
+                    .order('created_at', { ascending: false })
+
+                // Date filters
+                if (filters.startDate) {
+                    query = query.gte('created_at', filters.startDate)
+                }
+                if (filters.endDate) {
+                    query = query.lte('created_at', filters.endDate)
+                }
 
-            // Date filters
-            if (filters.startDate) {
-                query = query.gte('created_at', filters.startDate)
-            }
-            if (filters.endDate) {
-                query = query.lte('created_at', filters.endDate)
-            }
+                // Payment method filter - split sales include a tender of every method
+                if (filters.payment_method) {
+                    query = query.in('payment_method', [filters.payment_method, SPLIT_PAYMENT])
+                }
 
-            // Payment method filter
-            if (filters.payment_method) {
-                query = query.eq('payment_method', filters.payment_method)
+                return query
             }
 
-            const { data, error } = await query
+            const { data, error } = await this.fetchAllRows(buildQuery)
 
             if (error) throw error
             return { success: true, data }
@@ -303,7 +549,9 @@ export class DatabaseManager {
                 .from('sales')
                 .select(`
                 *,
-                sale_items (*),
+                sale_items (${SALE_ITEM_COLUMNS}),
+                sale_payments (*),
+                returns (*, return_items (*)),
                 users!cashier_id (full_name, email)
             `)
                 .gte('created_at', today.toISOString())
@@ -317,6 +565,141 @@ export class DatabaseManager {
         }
     }
 
+    // ==================== RETURNS ====================
+
+    // Sales matching part of a sale ID or a product name, newest first
+    async findSales(query, limit = 10) {
+        try {
+            const term = query.trim().replace(/^#/, '')
+            if (!term) return { success: true, data: [] }
+
+            const { data: ids, error: idsError } = await supabase
+                .rpc('find_sale_ids', { p_query: term, p_limit: limit })
+
+            if (idsError) throw idsError
+            if (!ids.length) return { success: true, data: [] }
+
+            const { data, error } = await supabase
+                .from('sales')
+                .select(`
+                *,
+                sale_items (${SALE_ITEM_COLUMNS}),
+                sale_payments (*),
+                returns (*, return_items (*)),
+                users!cashier_id (full_name, email)
+            `)
+                .in('id', ids)
+                .order('created_at', { ascending: false })
+
+            if (error) throw error
+            return { success: true, data }
+        } catch (error) {
+            console.error('Error finding sales:', error)
+            return { success: false, error: error.message }
+        }
+    }
+
+    // Refund lines of an earlier sale and put the stock back - the
+    // create_return function does the refund maths and restock atomically
+    async createReturn(returnData) {
+        if (!authManager.can('can_refund')) return this.permissionDeniedResult('can_refund')
+
+        try {
+            const { data, error } = await supabase.rpc('create_return', {
+                p_return: {
+                    sale_id: returnData.sale_id,
+                    refund_method: returnData.refund_method,
+                    reason: returnData.reason || null,
+                    items: returnData.items.map(item => ({
+                        sale_item_id: item.sale_item_id,
+                        quantity: parseInt(item.quantity)
+                    }))
+                }
+            })
+
+            if (error) throw error
+
+            console.log('Return created with ID:', data.return.id)
+
+            return {
+                success: true,
+                data: {
+                    return: data.return,
+                    items: data.items,
+                    returnId: data.return.id
+                }
+            }
+        } catch (error) {
+            console.error('Error creating return:', error)
+            if (error.message === 'ACCOUNT_INACTIVE') {
+                return this.accountInactiveResult()
+            }
+            if (error.message === 'RETURN_EXCEEDS_SALE') {
+                return this.returnExceedsSaleResult(error)
+            }
+            if (error.code === '42501') {
+                return this.permissionDeniedResult('can_refund')
+            }
+            return { success: false, error: error.message }
+        }
+    }
+
+    // Swap returned lines of a sale for replacement products, settling only
+    // the price difference. create_exchange records the return, the
+    // replacement sale and the paired stock movements in one transaction.
+    async createExchange(exchangeData) {
+        if (!authManager.can('can_refund')) return this.permissionDeniedResult('can_refund')
+
+        try {
+            const { data, error } = await supabase.rpc('create_exchange', {
+                p_exchange: {
+                    sale_id: exchangeData.sale_id,
+                    reason: exchangeData.reason || null,
+                    settlement_method: exchangeData.settlement_method || null,
+                    returns: exchangeData.returns.map(item => ({
+                        sale_item_id: item.sale_item_id,
+                        quantity: parseInt(item.quantity)
+                    })),
+                    // Priced by create_exchange from the catalogue
+                    items: exchangeData.items.map(item => ({
+                        product_id: item.id,
+                        product_name: item.name,
+                        quantity: parseInt(item.quantity)
+                    }))
+                }
+            })
+
+            if (error) throw error
+
+            console.log('Exchange created with ID:', data.exchange.id)
+
+            return {
+                success: true,
+                data: {
+                    exchange: data.exchange,
+                    return: data.return,
+                    sale: data.sale,
+                    exchangeId: data.exchange.id
+                }
+            }
+        } catch (error) {
+            console.error('Error creating exchange:', error)
+            if (error.message === 'ACCOUNT_INACTIVE') {
+                return this.accountInactiveResult()
+            }
+            if (error.message === 'RETURN_EXCEEDS_SALE') {
+                return this.returnExceedsSaleResult(error)
+            }
+            if (error.message === 'INSUFFICIENT_STOCK') {
+                return this.insufficientStockResult(error)
+            }
+            if (error.code === '42501') {
+                return this.permissionDeniedResult('can_refund')
+            }
+            return { success: false, error: error.message }
+        }
+    }
+
     // ==================== INVENTORY ====================
 
     // In db.js - FIXED createInventoryTransaction method
@@ -373,90 +756,401 @@ export class DatabaseManager {
         }
     }
 
-    // Restock product
+    // Restock product - a relative update done in the database, so it cannot
+    // overwrite a sale that happened between reading and writing the stock
     async restockProduct(productId, quantity, notes = '') {
         try {
-            // Get current product
-            const product = await this.getProductById(productId)
-            if (!product.success) throw new Error('Product not found')
-
-            const newStock = product.data.stock_quantity + parseInt(quantity)
-
-            // Update product stock
-            await this.updateProduct(productId, { stock_quantity: newStock })
-
-            // Create inventory transaction
-            await this.createInventoryTransaction({
-                product_id: productId,
-                type: 'restock',
-                quantity: parseInt(quantity),
-                notes: notes || `Restocked ${quantity} units`
+            const { data: newStock, error } = await supabase.rpc('adjust_stock', {
+                p_product_id: productId,
+                p_quantity: parseInt(quantity),
+                p_type: 'restock',
+                p_notes: notes || `Restocked ${quantity} units`
             })
 
+            if (error) throw error
+
             return { success: true, newStock }
         } catch (error) {
             console.error('Error restocking product:', error)
+            if (error.message === 'ACCOUNT_INACTIVE') {
+                return this.accountInactiveResult()
+            }
+            if (error.message === 'INSUFFICIENT_STOCK') {
+                return this.insufficientStockResult(error)
+            }
             return { success: false, error: error.message }
         }
     }
 
-    // ==================== ANALYTICS & REPORTS ====================
-
-    // Get sales analytics
-    async getSalesAnalytics(dateRange = 'month') {
+    // Take stock off outside a sale (damaged, lost, a recount...), recorded
+    // as an 'adjustment' with the reason. `quantity` is the (negative) change.
+    async adjustStock(productId, quantity, reason) {
         try {
-            let startDate = new Date()
+            const { data: newStock, error } = await supabase.rpc('adjust_stock', {
+                p_product_id: productId,
+                p_quantity: parseInt(quantity),
+                p_type: 'adjustment',
+                p_notes: reason
+            })
 
-            switch (dateRange) {
-                case 'today':
-                    startDate.setHours(0, 0, 0, 0)
-                    break
-                case 'week':
-                    startDate.setDate(startDate.getDate() - 7)
-                    break
-                case 'month':
-                    startDate.setMonth(startDate.getMonth() - 1)
-                    break
-                case 'year':
-                    startDate.setFullYear(startDate.getFullYear() - 1)
-                    break
-                default:
-                    startDate.setMonth(startDate.getMonth() - 1)
-            }
+            if (error) throw error
 
-            // Total sales
-            const { data: salesData, error: salesError } = await supabase
-                .from('sales')
-                .select('total, payment_method')
-                .gte('created_at', startDate.toISOString())
+            return { success: true, newStock }
+        } catch (error) {
+            console.error('Error adjusting stock:', error)
+            if (error.message === 'ACCOUNT_INACTIVE') {
+                return this.accountInactiveResult()
+            }
+            if (error.message === 'INSUFFICIENT_STOCK') {
+                return this.insufficientStockResult(error)
+            }
+            return { success: false, error: error.message }
+        }
+    }
 
-            if (salesError) throw salesError
+    // ==================== SHIFTS ====================
+    // Shift totals and reconciliation live in the shift functions
+    // (supabase/migrations/012_shifts.sql, 013_cash_movements.sql)
 
-            // Product sales
-            const { data: productSalesData, error: productSalesError } = await supabase
-                .from('sale_items')
-                .select(`
-          quantity,
-          unit_price,
-          total,
-          products (name, category)
-        `)
-                .gte('created_at', startDate.toISOString())
+    // The signed-in cashier's open shift, or null when they have none
+    async getOpenShift() {
+        try {
+            const { data: { session }, error: sessionError } = await supabase.auth.getSession()
 
-            if (productSalesError) throw productSalesError
+            if (sessionError) throw sessionError
+            if (!session) throw new Error('User not authenticated')
 
-            // Calculate analytics
-            const totalSales = salesData.reduce((sum, sale) => sum + parseFloat(sale.total), 0)
-            const totalOrders = salesData.length
-            const avgOrder = totalOrders > 0 ? totalSales / totalOrders : 0
+            const { data, error } = await supabase
+                .from('shifts')
+                .select('*')
+                .eq('cashier_id', session.user.id)
+                .is('closed_at', null)
+                .maybeSingle()
 
-            const cashSales = salesData
-                .filter(sale => sale.payment_method === 'Cash')
-                .reduce((sum, sale) => sum + parseFloat(sale.total), 0)
+            if (error) throw error
 
-            const transferSales = salesData
-                .filter(sale => sale.payment_method === 'Transfer')
-                .reduce((sum, sale) => sum + parseFloat(sale.total), 0)
+            return { success: true, data }
+        } catch (error) {
+            console.error('Error fetching open shift:', error)
+            return { success: false, error: error.message }
+        }
+    }
+
+    // `count` is the float's denomination counts, `openingFloat` their total,
+    // `tillId` the drawer they are in (getTillId in js/shifts.js)
+    async openShift({ openingFloat, count, tillId = null }) {
+        try {
+            const { data, error } = await supabase.rpc('open_shift', {
+                p_shift: {
+                    opening_float: openingFloat,
+                    opening_count: count,
+                    till_id: tillId
+                }
+            })
+
+            if (error) throw error
+
+            return { success: true, data }
+        } catch (error) {
+            console.error('Error opening shift:', error)
+            if (error.message === 'ACCOUNT_INACTIVE') {
+                return this.accountInactiveResult()
+            }
+            if (error.message === 'SHIFT_ALREADY_OPEN') {
+                return { success: false, code: 'SHIFT_ALREADY_OPEN', error: 'You already have a shift open' }
+            }
+            if (error.message === 'TILL_IN_USE') {
+                return { success: false, code: 'TILL_IN_USE', error: `${error.details} still has a shift open on this till - they need to close it first` }
+            }
+            return { success: false, error: error.message }
+        }
+    }
+
+    // Totals so far for an open shift (X-report) or for a closed one
+    async getShiftSummary(shiftId) {
+        try {
+            const { data, error } = await supabase.rpc('get_shift_summary', { p_shift_id: shiftId })
+
+            if (error) throw error
+
+            return { success: true, data }
+        } catch (error) {
+            console.error('Error fetching shift summary:', error)
+            return { success: false, error: error.message }
+        }
+    }
+
+    // Close a shift with the drawer count; the result carries the variance
+    // and the Z-report summary
+    async closeShift({ shiftId, countedCash, count, notes }) {
+        try {
+            const { data, error } = await supabase.rpc('close_shift', {
+                p_close: {
+                    shift_id: shiftId,
+                    counted_cash: countedCash,
+                    closing_count: count,
+                    notes: notes || null
+                }
+            })
+
+            if (error) throw error
+
+            return { success: true, data }
+        } catch (error) {
+            console.error('Error closing shift:', error)
+            if (error.message === 'ACCOUNT_INACTIVE') {
+                return this.accountInactiveResult()
+            }
+            if (error.message === 'SHIFT_CLOSED') {
+                return { success: false, code: 'SHIFT_CLOSED', error: 'This shift has already been closed' }
+            }
+            if (error.code === '42501') {
+                return this.permissionDeniedResult(error.details || 'can_view_reports')
+            }
+            return { success: false, error: error.message }
+        }
+    }
+
+    // Shifts opened from `start` up to `end` (exclusive), newest first
+    async getShifts(start, end) {
+        try {
+            const { data, error } = await supabase
+                .from('shifts')
+                .select(`
+                *,
+                users!cashier_id (full_name),
+                closer:users!closed_by (full_name)
+            `)
+                .gte('opened_at', start.toISOString())
+                .lt('opened_at', end.toISOString())
+                .order('opened_at', { ascending: false })
+
+            if (error) throw error
+
+            return { success: true, data }
+        } catch (error) {
+            console.error('Error fetching shifts:', error)
+            return { success: false, error: error.message }
+        }
+    }
+
+    // Paid-in / paid-out against the signed-in cashier's open shift
+    // (supabase/migrations/013_cash_movements.sql)
+    async createCashMovement({ type, amount, reason, notes }) {
+        try {
+            const { data, error } = await supabase.rpc('record_cash_movement', {
+                p_movement: {
+                    type,
+                    amount,
+                    reason,
+                    notes: notes || null
+                }
+            })
+
+            if (error) throw error
+
+            return { success: true, data }
+        } catch (error) {
+            console.error('Error recording cash movement:', error)
+            if (error.message === 'ACCOUNT_INACTIVE') {
+                return this.accountInactiveResult()
+            }
+            if (error.message === 'NO_OPEN_SHIFT') {
+                return { success: false, code: 'NO_OPEN_SHIFT', error: 'Open a shift before paying cash in or out' }
+            }
+            if (error.message === 'INVALID_REASON') {
+                return { success: false, code: 'INVALID_REASON', error: 'Choose a reason from the list' }
+            }
+            return { success: false, error: error.message }
+        }
+    }
+
+    // Paid-ins and paid-outs, newest first; same date filters as getSales
+    async getCashMovements(filters = {}) {
+        try {
+            let query = supabase
+                .from('cash_movements')
+                .select(`
+                *,
+                users!cashier_id (full_name, email)
+            `)
+                .order('created_at', { ascending: false })
+
+            if (filters.startDate) {
+                query = query.gte('created_at', filters.startDate)
+            }
+            if (filters.endDate) {
+                query = query.lte('created_at', filters.endDate)
+            }
+
+            const { data, error } = await query
+
+            if (error) throw error
+
+            return { success: true, data }
+        } catch (error) {
+            console.error('Error fetching cash movements:', error)
+            return { success: false, error: error.message }
+        }
+    }
+
+    // ==================== ANALYTICS & REPORTS ====================
+
+    // Get sales analytics
+    // `dateRange` is either a rolling window ('today', 'week', 'month', 'year'
+    // back from now) or a calendar range { startDate, endDate, timeZone } with
+    // inclusive 'YYYY-MM-DD' dates read in that time zone (see js/date-range.js)
+    async getSalesAnalytics(dateRange = 'month') {
+        try {
+            if (typeof dateRange === 'object') {
+                const timeZone = dateRange.timeZone || getBrowserTimeZone()
+                const { start, end } = getRangeBounds({ ...dateRange, timeZone })
+                return this.getAnalyticsBetween(start, end, timeZone)
+            }
+
+            let startDate = new Date()
+
+            switch (dateRange) {
+                case 'today':
+                    startDate.setHours(0, 0, 0, 0)
+                    break
+                case 'week':
+                    startDate.setDate(startDate.getDate() - 7)
+                    break
+                case 'month':
+                    startDate.setMonth(startDate.getMonth() - 1)
+                    break
+                case 'year':
+                    startDate.setFullYear(startDate.getFullYear() - 1)
+                    break
+                default:
+                    startDate.setMonth(startDate.getMonth() - 1)
+            }
+
+            return this.getAnalyticsBetween(startDate, null)
+        } catch (error) {
+            console.error('Error fetching sales analytics:', error)
+            return { success: false, error: error.message }
+        }
+    }
+
+    // Analytics for sales from `start` (inclusive) up to `end` (exclusive, or
+    // up to now when null). `timeZone` decides which day or month each sale
+    // falls in for the profit-by-period breakdown.
+    // Profit needs can_view_cost as well; without it `profit` is null.
+    // Every row in the range is read (fetchAllRows), so long ranges add up in full.
+    async getAnalyticsBetween(start, end, timeZone = getBrowserTimeZone()) {
+        if (!authManager.can('can_view_reports')) return this.permissionDeniedResult('can_view_reports')
+
+        try {
+            const inRange = (query) => {
+                query = query.gte('created_at', start.toISOString())
+                return end ? query.lt('created_at', end.toISOString()) : query
+            }
+
+            // Total sales
+            const { data: salesData, error: salesError } = await this.fetchAllRows(() => inRange(supabase
+                .from('sales')
+                .select('total, subtotal, discount_total, payment_method')))
+
+            if (salesError) throw salesError
+
+            // Tenders - cash/transfer totals are summed per tender, not per sale
+            const { data: paymentsData, error: paymentsError } = await this.fetchAllRows(() => inRange(supabase
+                .from('sale_payments')
+                .select('method, amount')))
+
+            if (paymentsError) throw paymentsError
+
+            // Refunds count as negative revenue in the period they were given
+            const { data: returnsData, error: returnsError } = await this.fetchAllRows(() => inRange(supabase
+                .from('returns')
+                .select(`
+          total,
+          refund_method,
+          created_at,
+          return_items (
+            product_name,
+            quantity,
+            total,
+            products (name, category),
+            sale_items (
+              id,
+              quantity,
+              unit_price,
+              original_price,
+              sales (users!cashier_id (full_name))
+            )
+          )
+        `)))
+
+            if (returnsError) throw returnsError
+
+            // Exchanges where the replacement was cheaper paid money back out
+            const { data: exchangesData, error: exchangesError } = await this.fetchAllRows(() => inRange(supabase
+                .from('exchanges')
+                .select('difference, settlement_method')
+                .lt('difference', 0)))
+
+            if (exchangesError) throw exchangesError
+
+            // Product sales
+            const { data: productSalesData, error: productSalesError } = await this.fetchAllRows(() => inRange(supabase
+                .from('sale_items')
+                .select(`
+          id,
+          quantity,
+          unit_price,
+          original_price,
+          total,
+          created_at,
+          products (name, category),
+          sales (users!cashier_id (full_name))
+        `)))
+
+            if (productSalesError) throw productSalesError
+
+            // Costs for profit, sold and returned lines alike
+            if (authManager.can('can_view_cost')) {
+                await this.addSaleItemCosts([
+                    ...productSalesData,
+                    ...returnsData.flatMap(ret => (ret.return_items || []).map(item => item.sale_items).filter(Boolean))
+                ])
+            }
+
+            // Calculate analytics
+
+            // Exchange credit never leaves the till, only the settled difference does
+            const getRefunds = (method) => returnsData
+                .filter(ret => ret.refund_method === method)
+                .reduce((sum, ret) => sum + parseFloat(ret.total), 0) +
+                exchangesData
+                    .filter(exchange => exchange.settlement_method === method)
+                    .reduce((sum, exchange) => sum - parseFloat(exchange.difference), 0)
+
+            // Everything handed back is negative revenue (exchange replacements are
+            // new sales); refunds are only the money that left the till
+            const returnedValue = returnsData.reduce((sum, ret) => sum + parseFloat(ret.total), 0)
+            const totalRefunds = getRefunds('Cash') + getRefunds('Transfer')
+            const totalReturns = returnsData.length
+            const totalSales = salesData.reduce((sum, sale) => sum + parseFloat(sale.total), 0) - returnedValue
+            const grossSales = salesData.reduce((sum, sale) => sum + parseFloat(sale.subtotal ?? sale.total), 0)
+            const totalDiscount = salesData.reduce((sum, sale) => sum + parseFloat(sale.discount_total || 0), 0)
+            const totalOrders = salesData.length
+            const avgOrder = totalOrders > 0 ? totalSales / totalOrders : 0
+
+            const cashSales = paymentsData
+                .filter(payment => payment.method === 'Cash')
+                .reduce((sum, payment) => sum + parseFloat(payment.amount), 0) - getRefunds('Cash')
+
+            const transferSales = paymentsData
+                .filter(payment => payment.method === 'Transfer')
+                .reduce((sum, payment) => sum + parseFloat(payment.amount), 0) - getRefunds('Transfer')
+
+            const returnedItems = returnsData.flatMap(ret => ret.return_items || [])
+
+            // Markdown cost: shelf price minus the sale price actually charged
+            const totalMarkdown = productSalesData.reduce((sum, item) => sum + getLineMarkdown(item), 0)
 
             // Product performance
             const productPerformance = {}
@@ -467,11 +1161,21 @@ export class DatabaseManager {
                         name: productName,
                         category: item.products.category,
                         quantity: 0,
-                        revenue: 0
+                        revenue: 0,
+                        markdown: 0
                     }
                 }
                 productPerformance[productName].quantity += item.quantity
                 productPerformance[productName].revenue += parseFloat(item.total)
+                productPerformance[productName].markdown += getLineMarkdown(item)
+            })
+
+            // Returned units come off the product they were sold as
+            returnedItems.forEach(item => {
+                const performance = item.products && productPerformance[item.products.name]
+                if (!performance) return
+                performance.quantity -= item.quantity
+                performance.revenue -= parseFloat(item.total)
             })
 
             const topProducts = Object.values(productPerformance)
@@ -487,18 +1191,67 @@ export class DatabaseManager {
                 }
                 categoryPerformance[category] += parseFloat(item.total)
             })
+            returnedItems.forEach(item => {
+                if (!item.products) return
+                const category = item.products.category
+                categoryPerformance[category] = (categoryPerformance[category] || 0) - parseFloat(item.total)
+            })
+
+            // Profit lines: every sale line, and every returned line taken back
+            // off the cashier who sold it, in the period it was returned
+            const periodUnit = getPeriodUnit(start, end)
+            const profitLines = [
+                ...productSalesData.map(item => ({
+                    ...getLineProfit(item),
+                    product: item.products.name,
+                    category: item.products.category,
+                    cashier: item.sales?.users?.full_name || 'Unknown',
+                    period: getPeriodKey(item.created_at, timeZone, periodUnit)
+                })),
+                ...returnsData.flatMap(ret => (ret.return_items || []).map(item => ({
+                    ...getReturnedProfit(item),
+                    product: item.products?.name || item.product_name,
+                    category: item.products?.category || 'Unknown',
+                    cashier: item.sale_items?.sales?.users?.full_name || 'Unknown',
+                    period: getPeriodKey(ret.created_at, timeZone, periodUnit)
+                })))
+            ]
+
+            const profit = authManager.can('can_view_cost') ? {
+                totals: sumProfit(profitLines),
+                product: groupProfit(profitLines, line => line.product),
+                category: groupProfit(profitLines, line => line.category),
+                cashier: groupProfit(profitLines, line => line.cashier),
+                period: groupProfit(profitLines, line => line.period)
+                    .sort((a, b) => a.name.localeCompare(b.name)),
+                periodUnit
+            } : null
+
+            // Top products show what they made as well as what they took
+            topProducts.forEach(product => {
+                const productProfit = profit?.product.find(entry => entry.name === product.name)
+                product.profit = productProfit?.profit ?? 0
+                product.margin = productProfit?.margin ?? null
+            })
 
             return {
                 success: true,
                 data: {
                     totalSales,
+                    grossSales,
+                    totalDiscount,
                     totalOrders,
                     avgOrder,
                     cashSales,
                     transferSales,
+                    totalMarkdown,
+                    totalRefunds,
+                    totalReturns,
                     topProducts,
                     categoryPerformance,
-                    dateRange
+                    profit,
+                    start,
+                    end
                 }
             }
         } catch (error) {
@@ -507,23 +1260,49 @@ export class DatabaseManager {
         }
     }
 
+    // Sales and tenders from `start` up to `end` (exclusive), added up by day
+    // (or hour) in `timeZone` on the server, for the Analytics trend charts
+    // (see js/trends.js and 021_sales_trend.sql)
+    async getSalesTrend(start, end, timeZone, byHour = false) {
+        if (!authManager.can('can_view_reports')) return this.permissionDeniedResult('can_view_reports')
+
+        try {
+            const { data, error } = await supabase.rpc('get_sales_trend', {
+                p_start: start.toISOString(),
+                p_end: end.toISOString(),
+                p_time_zone: timeZone,
+                p_by_hour: byHour
+            })
+
+            if (error) throw error
+            return { success: true, data }
+        } catch (error) {
+            console.error('Error fetching sales trend:', error)
+            return { success: false, error: error.message }
+        }
+    }
+
     // Get inventory summary
+    // Cost figures are null for users without can_view_cost
     async getInventorySummary() {
         try {
-            const { data: products, error } = await supabase
+            const canViewCost = authManager.can('can_view_cost')
+            const { data, error } = await supabase
                 .from('products')
-                .select('stock_quantity, price, cost_price')
+                .select('id, name, category, size, colour, barcode, stock_quantity, price')
                 .eq('is_active', true)
+                .order('name')
 
             if (error) throw error
+            const products = await this.withCosts(data)
 
             const totalInventory = products.reduce((sum, product) => sum + product.stock_quantity, 0)
             const totalStockValue = products.reduce((sum, product) =>
                 sum + (product.stock_quantity * parseFloat(product.price)), 0
             )
-            const totalCostValue = products.reduce((sum, product) =>
+            const totalCostValue = canViewCost ? products.reduce((sum, product) =>
                 sum + (product.stock_quantity * parseFloat(product.cost_price || 0)), 0
-            )
+            ) : null
 
             const lowStockItems = products.filter(product => product.stock_quantity < 10)
             const outOfStockItems = products.filter(product => product.stock_quantity === 0)
@@ -539,6 +1318,12 @@ export class DatabaseManager {
                     lowStockItems: lowStockItems.map(p => ({
                         name: p.name,
                         stock: p.stock_quantity
+                    })),
+                    // Per-product valuation, for the inventory export
+                    items: products.map(p => ({
+                        ...p,
+                        retailValue: p.stock_quantity * parseFloat(p.price),
+                        costValue: canViewCost ? p.stock_quantity * parseFloat(p.cost_price || 0) : null
                     }))
                 }
             }
@@ -548,6 +1333,283 @@ export class DatabaseManager {
         }
     }
 
+    // ==================== PERMISSIONS ====================
+    // Checked here before anything is sent, and again by the policies and
+    // triggers in supabase/migrations/014_permissions.sql, which refuse with
+    // errcode 42501 (naming the permission in DETAIL where they can)
+
+    permissionDeniedResult(permission) {
+        return {
+            success: false,
+            code: 'PERMISSION_DENIED',
+            error: `You don't have permission to ${permissionConfig[permission]?.action || 'do that'}`,
+            permission
+        }
+    }
+
+    // The till functions refuse anyone deactivated mid-session
+    // (supabase/migrations/034_active_staff_functions.sql)
+    accountInactiveResult() {
+        return { success: false, code: 'ACCOUNT_INACTIVE', error: 'This account has been deactivated' }
+    }
+
+    // Products with their cost_price for someone with can_view_cost; anyone
+    // else gets them back as they are, without one
+    async withCosts(products) {
+        if (!products.length || !authManager.can('can_view_cost')) return products
+
+        const { data: costs, error } = await supabase.rpc('get_product_costs', {
+            p_product_ids: products.map(product => product.id)
+        })
+
+        if (error) throw error
+        return products.map(product => ({ ...product, cost_price: costs[product.id] ?? null }))
+    }
+
+    // Fill in unit_cost on sale lines read for a report (needs can_view_cost)
+    async addSaleItemCosts(saleItems) {
+        if (!saleItems.length) return
+
+        const { data: costs, error } = await supabase.rpc('get_sale_item_costs', {
+            p_sale_item_ids: saleItems.map(item => item.id)
+        })
+
+        if (error) throw error
+        saleItems.forEach(item => {
+            item.unit_cost = costs[item.id] ?? null
+        })
+    }
+
+    // One row per role: { role, permissions }
+    async getRolePermissions() {
+        try {
+            const { data, error } = await supabase
+                .from('role_permissions')
+                .select('*')
+                .order('role')
+
+            if (error) throw error
+            return { success: true, data }
+        } catch (error) {
+            console.error('Error fetching role permissions:', error)
+            return { success: false, error: error.message }
+        }
+    }
+
+    // `permissions` is the role's whole { permission: true/false } set
+    async updateRolePermissions(role, permissions) {
+        if (!authManager.can('can_manage_staff')) return this.permissionDeniedResult('can_manage_staff')
+
+        try {
+            const { data, error } = await supabase
+                .from('role_permissions')
+                .update({ permissions, updated_at: new Date().toISOString() })
+                .eq('role', role)
+                .select()
+
+            if (error) throw error
+            // A policy that refuses an update leaves nothing updated rather than erroring
+            if (!data.length) return this.permissionDeniedResult('can_manage_staff')
+
+            return { success: true, data: data[0] }
+        } catch (error) {
+            console.error('Error updating role permissions:', error)
+            return { success: false, error: error.message }
+        }
+    }
+
+    // `overrides` is { permission: true/false } for just the permissions
+    // that should differ from the user's role
+    async setUserPermissions(userId, overrides) {
+        if (!authManager.can('can_manage_staff')) return this.permissionDeniedResult('can_manage_staff')
+
+        try {
+            const { data, error } = await supabase.rpc('set_user_permissions', {
+                p_user_id: userId,
+                p_permissions: overrides
+            })
+
+            if (error) throw error
+            return { success: true, data }
+        } catch (error) {
+            console.error('Error setting user permissions:', error)
+            if (error.code === '42501') {
+                return this.permissionDeniedResult('can_manage_staff')
+            }
+            return { success: false, error: error.message }
+        }
+    }
+
+    // ==================== STAFF ====================
+
+    // Everyone with an account, with their role and permission overrides,
+    // deactivated accounts included
+    async getStaff() {
+        if (!authManager.can('can_manage_staff')) return this.permissionDeniedResult('can_manage_staff')
+
+        try {
+            const { data, error } = await supabase
+                .from('users')
+                .select('*')
+                .order('full_name')
+
+            if (error) throw error
+            return { success: true, data }
+        } catch (error) {
+            console.error('Error fetching staff:', error)
+            return { success: false, error: error.message }
+        }
+    }
+
+    // `member` is { email, password, full_name, role }. The sign-in account is
+    // made on a throwaway client so the manager stays signed in; if Supabase
+    // asks for email confirmation, its confirmation email is their invite and
+    // `invited` comes back true. Anyone can sign up with the public key, but
+    // an account is no use until create_staff_member gives it a staff row
+    // (supabase/migrations/033_active_staff.sql).
+    async createStaffMember(member) {
+        if (!authManager.can('can_manage_staff')) return this.permissionDeniedResult('can_manage_staff')
+
+        const client = createIsolatedClient()
+
+        try {
+            const { data: signUp, error: signUpError } = await client.auth.signUp({
+                email: member.email,
+                password: member.password,
+                options: { data: { full_name: member.full_name } }
+            })
+
+            if (signUpError) throw signUpError
+
+            // An address that is already registered comes back with no identities
+            if (!signUp.user || signUp.user.identities?.length === 0) {
+                return { success: false, code: 'STAFF_EXISTS', error: `${member.email} already has an account` }
+            }
+
+            const { data, error } = await supabase.rpc('create_staff_member', {
+                p_user: { id: signUp.user.id, full_name: member.full_name, role: member.role }
+            })
+
+            if (error) throw error
+            return { success: true, data, invited: !signUp.session }
+        } catch (error) {
+            console.error('Error creating staff member:', error)
+            return this.staffErrorResult(error)
+        } finally {
+            await client.auth.signOut({ scope: 'local' }).catch(() => { })
+        }
+    }
+
+    // `changes` is { full_name, role }, either or both
+    async updateStaffMember(userId, changes) {
+        if (!authManager.can('can_manage_staff')) return this.permissionDeniedResult('can_manage_staff')
+
+        try {
+            const { data, error } = await supabase.rpc('update_staff_member', {
+                p_user_id: userId,
+                p_changes: changes
+            })
+
+            if (error) throw error
+            return { success: true, data }
+        } catch (error) {
+            console.error('Error updating staff member:', error)
+            return this.staffErrorResult(error)
+        }
+    }
+
+    // Deactivated staff keep their history but can no longer sign in
+    async setStaffActive(userId, active) {
+        if (!authManager.can('can_manage_staff')) return this.permissionDeniedResult('can_manage_staff')
+
+        try {
+            const { data, error } = await supabase.rpc('set_staff_active', {
+                p_user_id: userId,
+                p_active: active
+            })
+
+            if (error) throw error
+            return { success: true, data }
+        } catch (error) {
+            console.error('Error changing staff member status:', error)
+            return this.staffErrorResult(error)
+        }
+    }
+
+    // `pin` is 4 to 6 digits; only its hash is stored
+    async resetStaffPin(userId, pin) {
+        if (!authManager.can('can_manage_staff')) return this.permissionDeniedResult('can_manage_staff')
+
+        try {
+            const { data, error } = await supabase.rpc('reset_staff_pin', {
+                p_user_id: userId,
+                p_pin: pin
+            })
+
+            if (error) throw error
+            return { success: true, data }
+        } catch (error) {
+            console.error('Error resetting PIN:', error)
+            return this.staffErrorResult(error)
+        }
+    }
+
+    // The codes raised by 015_staff.sql, as messages for the Staff tab
+    staffErrorResult(error) {
+        const messages = {
+            STAFF_EXISTS: `${error.details || 'This user'} already has a staff profile`,
+            INVALID_ROLE: `"${error.details}" is not a role`,
+            INVALID_PIN: 'A PIN is 4 to 6 digits',
+            OWN_ACCOUNT: "You can't deactivate your own account"
+        }
+
+        if (messages[error.message]) {
+            return { success: false, code: error.message, error: messages[error.message] }
+        }
+        if (error.code === '42501') {
+            return this.permissionDeniedResult(error.details || 'can_manage_staff')
+        }
+        return { success: false, error: error.message }
+    }
+
+    // ==================== SETTINGS ====================
+
+    // Shop-wide settings (019_discount_threshold.sql) as { key: value }
+    async getShopSettings() {
+        try {
+            const { data, error } = await supabase
+                .from('shop_settings')
+                .select('key, value')
+
+            if (error) throw error
+            return { success: true, data: Object.fromEntries(data.map(setting => [setting.key, setting.value])) }
+        } catch (error) {
+            console.error('Error fetching shop settings:', error)
+            return { success: false, error: error.message }
+        }
+    }
+
+    async updateShopSetting(key, value) {
+        if (!authManager.can('can_manage_staff')) return this.permissionDeniedResult('can_manage_staff')
+
+        try {
+            const { data, error } = await supabase
+                .from('shop_settings')
+                .update({ value, updated_at: new Date().toISOString() })
+                .eq('key', key)
+                .select()
+
+            if (error) throw error
+            // A policy that refuses an update leaves nothing updated rather than erroring
+            if (!data.length) return this.permissionDeniedResult('can_manage_staff')
+
+            return { success: true, data: data[0] }
+        } catch (error) {
+            console.error('Error updating shop setting:', error)
+            return { success: false, error: error.message }
+        }
+    }
+
     // ==================== UTILITY METHODS ====================
 
     // Get categories
@@ -568,7 +1630,125 @@ export class DatabaseManager {
         }
     }
 
-    // Check if barcode exists
+    // The barcode a save lost to the unique index (020_unique_barcodes.sql),
+    // or null when that isn't why it failed
+    getConflictingBarcode(error) {
+        if (error.code !== '23505') return null
+        return /\(barcode\)=\(([^)]*)\)/.exec(error.details || '')?.[1] || null
+    }
+
+    barcodeInUseResult(barcode) {
+        return { success: false, code: 'BARCODE_IN_USE', error: `Barcode ${barcode} is already in use` }
+    }
+
+    // Build the structured result for an INSUFFICIENT_STOCK error raised by
+    // create_sale / adjust_stock. DETAIL carries the short lines as JSON.
+    insufficientStockResult(error) {
+        let insufficientItems = []
+        try {
+            insufficientItems = JSON.parse(error.details || '[]')
+        } catch (parseError) {
+            console.error('Could not parse insufficient stock details:', parseError)
+        }
+
+        const names = insufficientItems
+            .map(item => `${item.product_name || 'Item'} (${item.available} left)`)
+            .join(', ')
+
+        return {
+            success: false,
+            code: 'INSUFFICIENT_STOCK',
+            error: names ? `Insufficient stock: ${names}` : 'Insufficient stock',
+            insufficientItems
+        }
+    }
+
+    // create_sale prices every line itself (025_sale_prices.sql) and puts
+    // the lines the till had at another price in DETAIL
+    priceChangedResult(error) {
+        let changedItems = []
+        try {
+            changedItems = JSON.parse(error.details || '[]')
+        } catch (parseError) {
+            console.error('Could not parse price change details:', parseError)
+        }
+
+        const names = changedItems
+            .map(item => `${item.product_name || 'Item'} (now $${parseFloat(item.price).toFixed(2)})`)
+            .join(', ')
+
+        return {
+            success: false,
+            code: 'PRICE_CHANGED',
+            error: names ? `Prices have changed: ${names}` : 'Prices have changed',
+            changedItems
+        }
+    }
+
+    // create_return puts the over-returned line in the error DETAIL
+    returnExceedsSaleResult(error) {
+        let item = null
+        try {
+            item = JSON.parse(error.details || 'null')
+        } catch (parseError) {
+            console.error('Could not parse return details:', parseError)
+        }
+
+        return {
+            success: false,
+            code: 'RETURN_EXCEEDS_SALE',
+            error: item
+                ? `${item.product_name}: only ${item.sold - item.returned} of ${item.sold} can still be returned`
+                : 'More items returned than were sold',
+            item
+        }
+    }
+
+    // Next free barcode in our series (LIM001, LIM002...). The series carries
+    // on past removed products' barcodes rather than handing them out again,
+    // though one can still be typed in for a new product.
+    async generateBarcode() {
+        const result = await this.generateBarcodes(1)
+        return result.success ? { success: true, barcode: result.barcodes[0] } : result
+    }
+
+    // `count` free barcodes in a row, skipping any in `reserved` (e.g. ones
+    // typed into an import file that isn't saved yet)
+    async generateBarcodes(count, reserved = []) {
+        try {
+            const { data, error } = await supabase
+                .from('products')
+                .select('barcode')
+                .ilike('barcode', `${barcodeConfig.prefix}%`)
+
+            if (error) throw error
+
+            const pattern = new RegExp(`^${barcodeConfig.prefix}(\\d+)$`, 'i')
+            let next = data.reduce((highest, product) => {
+                const match = pattern.exec(product.barcode || '')
+                return match ? Math.max(highest, parseInt(match[1], 10)) : highest
+            }, 0) + 1
+
+            // Confirm each is free - another till may have just taken it
+            const barcodes = []
+            while (barcodes.length < count) {
+                const barcode = formatBarcode(next++)
+                if (reserved.includes(barcode)) continue
+
+                const check = await this.checkBarcodeExists(barcode)
+                if (!check.success) throw new Error(check.error)
+                if (!check.exists) barcodes.push(barcode)
+            }
+
+            return { success: true, barcodes }
+        } catch (error) {
+            console.error('Error generating barcode:', error)
+            return { success: false, error: error.message }
+        }
+    }
+
+    // Whether a product on sale has this barcode. Removed products keep theirs
+    // but don't count, as in the unique index (020_unique_barcodes.sql).
     async checkBarcodeExists(barcode, excludeProductId = null) {
         try {
             let query = supabase
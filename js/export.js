@@ -0,0 +1,272 @@
+// js/export.js - Catalogue, inventory valuation, sales and report exports as CSV or JSON
+import { getEffectivePrice, isOnSale } from './pricing.js'
+import { getSalePayments } from './payments.js'
+import { getRefundedTotal } from './returns.js'
+import { getVariantLabel } from './variants.js'
+import { profitGroups } from './profit.js'
+
+export const exportDatasets = {
+    sales: 'Sales with line items',
+    catalogue: 'Product catalogue',
+    inventory: 'Inventory valuation',
+    summary: 'Report summary',
+    profit: 'Profit and margin'
+}
+
+const roundMoney = (amount) => Math.round(parseFloat(amount || 0) * 100) / 100
+const roundPercent = (percent) => percent === null ? null : Math.round(percent * 10) / 10
+
+// ==================== CSV ====================
+
+// One CSV field. Text that Excel would run as a formula (=, +, -, @) is
+// prefixed with ' so an exported product name can never execute.
+const csvField = (value) => {
+    if (value === null || value === undefined) return ''
+
+    let text = typeof value === 'string' ? value : String(value)
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`
+    }
+
+    return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+// columns: keys of `rows`, also used as the header. RFC 4180 (CRLF line
+// ends), with a byte order mark so Excel opens it as UTF-8.
+export const toCsv = (columns, rows) => {
+    const lines = [
+        columns.map(csvField).join(','),
+        ...rows.map(row => columns.map(column => csvField(row[column])).join(','))
+    ]
+    return '\uFEFF' + lines.join('\r\n') + '\r\n'
+}
+
+export const downloadFile = (content, filename, type) => {
+    const blob = new Blob([content], { type })
+    const url = window.URL.createObjectURL(blob)
+    const a = document.createElement('a')
+    a.href = url
+    a.download = filename
+    document.body.appendChild(a)
+    a.click()
+    document.body.removeChild(a)
+    window.URL.revokeObjectURL(url)
+}
+
+// ==================== DATASETS ====================
+// Each builder returns { columns, rows } for the CSV and `json` for the JSON file
+
+export const buildCatalogueExport = (products) => {
+    const columns = [
+        'id', 'style_id', 'name', 'category', 'size', 'colour', 'barcode', 'price', 'sale_price',
+        'on_sale', 'effective_price', 'cost_price', 'stock_quantity', 'created_at', 'updated_at'
+    ]
+
+    const rows = products.map(product => ({
+        id: product.id,
+        style_id: product.style_id || null,
+        name: product.name,
+        category: product.category,
+        size: product.size || null,
+        colour: product.colour || null,
+        barcode: product.barcode || null,
+        price: roundMoney(product.price),
+        sale_price: isOnSale(product) ? roundMoney(product.sale_price) : null,
+        on_sale: isOnSale(product),
+        effective_price: roundMoney(getEffectivePrice(product)),
+        cost_price: product.cost_price !== null && product.cost_price !== undefined ? roundMoney(product.cost_price) : null,
+        stock_quantity: product.stock_quantity,
+        created_at: product.created_at,
+        updated_at: product.updated_at
+    }))
+
+    return { columns, rows, json: rows }
+}
+
+// `summary` is DatabaseManager.getInventorySummary's data. Its cost value is
+// null for someone who cannot see costs, and the cost columns are left out.
+export const buildInventoryExport = (summary) => {
+    const showCost = summary.totalCostValue !== null
+    const columns = [
+        'name', 'variant', 'category', 'barcode', 'stock_quantity', 'price', 'cost_price',
+        'retail_value', 'cost_value'
+    ].filter(column => showCost || !column.startsWith('cost_'))
+
+    const items = summary.items.map(item => ({
+        name: item.name,
+        variant: getVariantLabel(item) || null,
+        category: item.category,
+        barcode: item.barcode || null,
+        stock_quantity: item.stock_quantity,
+        price: roundMoney(item.price),
+        ...(showCost && {
+            cost_price: item.cost_price !== null && item.cost_price !== undefined ? roundMoney(item.cost_price) : null
+        }),
+        retail_value: roundMoney(item.retailValue),
+        ...(showCost && { cost_value: roundMoney(item.costValue) })
+    }))
+
+    const totals = {
+        total_units: summary.totalInventory,
+        total_retail_value: roundMoney(summary.totalStockValue),
+        ...(showCost && { total_cost_value: roundMoney(summary.totalCostValue) }),
+        low_stock_count: summary.lowStockCount,
+        out_of_stock_count: summary.outOfStockCount
+    }
+
+    // The CSV ends with a totals line so the sheet adds up on its own
+    const rows = [...items, {
+        name: 'TOTAL',
+        stock_quantity: totals.total_units,
+        retail_value: totals.total_retail_value,
+        ...(showCost && { cost_value: totals.total_cost_value })
+    }]
+
+    return { columns, rows, json: { summary: totals, items } }
+}
+
+// CSV: one line per sale item with its sale's details repeated.
+// JSON: one object per sale with its items, payments and returns nested.
+export const buildSalesExport = (sales) => {
+    const columns = [
+        'sale_id', 'created_at', 'cashier', 'payment_method', 'payments', 'sale_subtotal',
+        'sale_discount', 'sale_total', 'sale_refunded', 'product_id', 'product_name', 'quantity',
+        'original_price', 'unit_price', 'item_discount', 'item_total', 'item_returned'
+    ]
+
+    const json = sales.map(sale => {
+        const returnedBySaleItem = {}
+        ;(sale.returns || []).flatMap(ret => ret.return_items || []).forEach(item => {
+            returnedBySaleItem[item.sale_item_id] = (returnedBySaleItem[item.sale_item_id] || 0) + item.quantity
+        })
+
+        return {
+            id: sale.id,
+            created_at: sale.created_at,
+            cashier: sale.users?.full_name || null,
+            payment_method: sale.payment_method,
+            payments: getSalePayments(sale).map(payment => ({ method: payment.method, amount: roundMoney(payment.amount) })),
+            subtotal: roundMoney(sale.subtotal ?? sale.total),
+            discount_total: roundMoney(sale.discount_total),
+            total: roundMoney(sale.total),
+            cash_tendered: sale.cash_tendered !== null && sale.cash_tendered !== undefined ? roundMoney(sale.cash_tendered) : null,
+            change_given: roundMoney(sale.change_given),
+            refunded_total: getRefundedTotal(sale),
+            items: (sale.sale_items || []).map(item => ({
+                product_id: item.product_id,
+                product_name: item.product_name,
+                quantity: item.quantity,
+                original_price: roundMoney(item.original_price ?? item.unit_price),
+                unit_price: roundMoney(item.unit_price),
+                discount_amount: roundMoney(item.discount_amount),
+                total: roundMoney(item.total),
+                returned_quantity: returnedBySaleItem[item.id] || 0
+            })),
+            returns: (sale.returns || []).map(ret => ({
+                id: ret.id,
+                created_at: ret.created_at,
+                refund_method: ret.refund_method,
+                total: roundMoney(ret.total),
+                reason: ret.reason || null,
+                items: (ret.return_items || []).map(item => ({
+                    product_name: item.product_name,
+                    quantity: item.quantity,
+                    total: roundMoney(item.total)
+                }))
+            }))
+        }
+    })
+
+    const rows = json.flatMap(sale => {
+        const saleColumns = {
+            sale_id: sale.id,
+            created_at: sale.created_at,
+            cashier: sale.cashier,
+            payment_method: sale.payment_method,
+            payments: sale.payments.map(payment => `${payment.method} ${payment.amount.toFixed(2)}`).join('; '),
+            sale_subtotal: sale.subtotal,
+            sale_discount: sale.discount_total,
+            sale_total: sale.total,
+            sale_refunded: sale.refunded_total
+        }
+
+        if (sale.items.length === 0) return [saleColumns]
+
+        return sale.items.map(item => ({
+            ...saleColumns,
+            product_id: item.product_id,
+            product_name: item.product_name,
+            quantity: item.quantity,
+            original_price: item.original_price,
+            unit_price: item.unit_price,
+            item_discount: item.discount_amount,
+            item_total: item.total,
+            item_returned: item.returned_quantity
+        }))
+    })
+
+    return { columns, rows, json }
+}
+
+// `analytics` is DatabaseManager.getSalesAnalytics's data; its profit is null
+// for someone who cannot see costs
+export const buildSummaryExport = (analytics) => {
+    const columns = ['section', 'name', 'value']
+
+    const totals = {
+        total_revenue: roundMoney(analytics.totalSales),
+        total_orders: analytics.totalOrders,
+        gross_sales: roundMoney(analytics.grossSales),
+        cash_sales: roundMoney(analytics.cashSales),
+        transfer_sales: roundMoney(analytics.transferSales),
+        markdown_cost: roundMoney(analytics.totalMarkdown),
+        discounts: roundMoney(analytics.totalDiscount),
+        refunds: roundMoney(analytics.totalRefunds),
+        ...(analytics.profit && {
+            cost_of_goods: roundMoney(analytics.profit.totals.cost),
+            gross_profit: roundMoney(analytics.profit.totals.profit),
+            margin_percent: roundPercent(analytics.profit.totals.margin)
+        })
+    }
+    const categories = Object.fromEntries(Object.entries(analytics.categoryPerformance || {})
+        .map(([category, amount]) => [category, roundMoney(amount)]))
+
+    const rows = [
+        ...Object.entries(totals).map(([name, value]) => ({ section: 'totals', name, value })),
+        ...Object.entries(categories).map(([name, value]) => ({ section: 'category_revenue', name, value }))
+    ]
+
+    return { columns, rows, json: { totals, category_revenue: categories } }
+}
+
+// One row per product, category, cashier and period (days, or months for
+// long ranges) after a TOTAL row; `analytics` is getSalesAnalytics's data
+export const buildProfitExport = (analytics) => {
+    const columns = [
+        'group', 'name', 'quantity', 'revenue', 'cost', 'gross_profit', 'margin_percent',
+        'full_price_margin_percent', 'markdown', 'uncosted_revenue'
+    ]
+
+    const toRow = (group, totals) => ({
+        group,
+        name: totals.name,
+        quantity: totals.quantity,
+        revenue: roundMoney(totals.revenue),
+        cost: roundMoney(totals.cost),
+        gross_profit: roundMoney(totals.profit),
+        margin_percent: roundPercent(totals.margin),
+        full_price_margin_percent: roundPercent(totals.fullPriceMargin),
+        markdown: roundMoney(totals.markdown),
+        uncosted_revenue: roundMoney(totals.uncostedRevenue)
+    })
+
+    const { profit } = analytics
+    const groups = Object.fromEntries(Object.keys(profitGroups).map(group => [
+        group,
+        profit[group].map(totals => toRow(group === 'period' ? profit.periodUnit : group, totals))
+    ]))
+
+    const rows = [toRow('total', profit.totals), ...Object.values(groups).flat()]
+
+    return { columns, rows, json: { totals: rows[0], ...groups } }
+}
@@ -0,0 +1,358 @@
+// js/import.js - Bulk product import from CSV/XLSX: parsing, dry-run validation and the import dialog
+import { db } from './db.js'
+import { categoryConfig } from './category-config.js'
+import { getVariantLabel } from './variants.js'
+
+// Columns the importer understands, and the header spellings accepted for each
+export const importColumns = {
+    name: ['name', 'product', 'product name'],
+    category: ['category'],
+    size: ['size'],
+    colour: ['colour', 'color'],
+    barcode: ['barcode', 'sku', 'barcode/sku'],
+    price: ['price'],
+    cost_price: ['cost price', 'cost'],
+    stock_quantity: ['stock quantity', 'stock', 'qty', 'quantity']
+}
+
+const REQUIRED_COLUMNS = ['name', 'category', 'price']
+
+// SheetJS, only downloaded the first time someone imports a spreadsheet
+const XLSX_URL = 'https://cdn.jsdelivr.net/npm/xlsx@0.18.5/+esm'
+
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+
+const normaliseHeader = (header) => String(header).trim().toLowerCase().replace(/[\s_-]+/g, ' ')
+
+// ==================== PARSING ====================
+
+// RFC 4180 CSV: quoted fields, doubled quotes, line breaks inside quotes.
+// Comma or semicolon separated (Excel uses ; in some locales).
+export const parseCsv = (text) => {
+    const source = text.replace(/^\uFEFF/, '')
+    const firstLine = source.split(/\r?\n/, 1)[0]
+    const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ','
+
+    const rows = []
+    let row = []
+    let field = ''
+    let inQuotes = false
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i]
+
+        if (inQuotes) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"'
+                i++
+            } else if (char === '"') {
+                inQuotes = false
+            } else {
+                field += char
+            }
+        } else if (char === '"') {
+            inQuotes = true
+        } else if (char === delimiter) {
+            row.push(field)
+            field = ''
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++
+            row.push(field)
+            rows.push(row)
+            row = []
+            field = ''
+        } else {
+            field += char
+        }
+    }
+
+    if (field || row.length) {
+        row.push(field)
+        rows.push(row)
+    }
+
+    return rows
+}
+
+// Rows (arrays of cell text) from a .csv, .xlsx or .xls file; first sheet only
+export const readSpreadsheet = async (file) => {
+    if (/\.csv$/i.test(file.name) || file.type === 'text/csv') {
+        return parseCsv(await file.text())
+    }
+
+    const XLSX = await import(XLSX_URL)
+    const workbook = XLSX.read(await file.arrayBuffer(), { type: 'array' })
+    const sheet = workbook.Sheets[workbook.SheetNames[0]]
+    return XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, defval: '' })
+}
+
+// Header row + data rows -> [{ rowNumber, values }], rowNumber as the
+// spreadsheet shows it. Throws when a required column is missing.
+export const mapImportRows = (rows) => {
+    const [header = [], ...data] = rows
+    const headers = header.map(normaliseHeader)
+
+    const indexes = {}
+    Object.entries(importColumns).forEach(([column, aliases]) => {
+        const index = headers.findIndex(h => h === normaliseHeader(column) || aliases.includes(h))
+        if (index !== -1) indexes[column] = index
+    })
+
+    const missing = REQUIRED_COLUMNS.filter(column => indexes[column] === undefined)
+    if (missing.length) {
+        throw new Error(`Missing column${missing.length === 1 ? '' : 's'}: ${missing.join(', ')}`)
+    }
+
+    return data
+        .map((cells, index) => ({
+            rowNumber: index + 2,
+            values: Object.fromEntries(Object.entries(indexes).map(([column, i]) => [column, String(cells[i] ?? '').trim()]))
+        }))
+        // Blank lines at the end of a sheet are common
+        .filter(row => Object.values(row.values).some(Boolean))
+}
+
+// ==================== VALIDATION ====================
+
+// "$1,299.00" -> 1299; '' -> null; anything else unparseable -> NaN
+const parseNumber = (value) => {
+    if (value === '') return null
+    const number = Number(value.replace(/[$,\s]/g, ''))
+    return Number.isFinite(number) ? number : NaN
+}
+
+const variantKey = ({ name, category, size, colour }) =>
+    [name.toLowerCase(), category, (size || '').toLowerCase(), (colour || '').toLowerCase()].join('|')
+
+// Dry run: every row checked against the catalogue and the rest of the file,
+// nothing written. Returns [{ rowNumber, data, product, action, errors }]
+// where `product` is the existing variant an 'update' row applies to.
+export const validateImportRows = async (rows, products) => {
+    const categories = Object.keys(categoryConfig)
+    const existing = new Map(products.map(product => [variantKey(product), product]))
+    const seenVariants = new Map()
+    const seenBarcodes = new Map()
+
+    const results = rows.map(({ rowNumber, values }) => {
+        const errors = []
+        const category = categories.find(c => c.toLowerCase() === (values.category || '').toLowerCase())
+
+        const data = {
+            name: values.name || '',
+            category: category || values.category || '',
+            size: values.size || '',
+            colour: values.colour || '',
+            barcode: values.barcode || '',
+            price: parseNumber(values.price || ''),
+            cost_price: parseNumber(values.cost_price || ''),
+            stock_quantity: parseNumber(values.stock_quantity || '')
+        }
+
+        if (!data.name) errors.push('Name is required')
+        if (!category) {
+            errors.push(values.category
+                ? `Unknown category "${values.category}" (use ${categories.join(', ')})`
+                : 'Category is required')
+        }
+
+        const product = data.name && category ? existing.get(variantKey(data)) : null
+
+        if (Number.isNaN(data.price) || data.price < 0) errors.push(`Bad price "${values.price}"`)
+        else if (data.price === null && !product) errors.push('Price is required for a new product')
+
+        if (Number.isNaN(data.cost_price) || data.cost_price < 0) errors.push(`Bad cost price "${values.cost_price}"`)
+
+        if (Number.isNaN(data.stock_quantity) || data.stock_quantity < 0 || !Number.isInteger(data.stock_quantity ?? 0)) {
+            errors.push(`Bad stock quantity "${values.stock_quantity}"`)
+        }
+        data.stock_quantity = data.stock_quantity || 0
+
+        // The same variant or barcode twice in one file is almost always a paste mistake
+        if (data.name && category) {
+            const key = variantKey(data)
+            if (seenVariants.has(key)) errors.push(`Same product as row ${seenVariants.get(key)}`)
+            else seenVariants.set(key, rowNumber)
+        }
+        if (data.barcode) {
+            if (seenBarcodes.has(data.barcode)) errors.push(`Barcode ${data.barcode} is also on row ${seenBarcodes.get(data.barcode)}`)
+            else seenBarcodes.set(data.barcode, rowNumber)
+        }
+
+        return { rowNumber, data, product, action: product ? 'update' : 'create', errors }
+    })
+
+    // Barcodes already on another product in the catalogue
+    await Promise.all(results
+        .filter(result => result.data.barcode)
+        .map(async (result) => {
+            const check = await db.checkBarcodeExists(result.data.barcode, result.product?.id)
+            if (!check.success) result.errors.push(`Could not check barcode: ${check.error}`)
+            else if (check.exists) result.errors.push(`Barcode ${result.data.barcode} belongs to another product`)
+        }))
+
+    return results
+}
+
+class ImportManager {
+    constructor() {
+        this.results = []
+        this.dialogBound = false
+        this.getProducts = () => []
+        this.onMessage = () => {}
+        this.onImported = () => {}
+    }
+
+    // ==================== TEMPLATE ====================
+
+    downloadTemplate() {
+        const csv = [
+            'name,category,size,colour,barcode,price,cost_price,stock_quantity',
+            'Blue Cotton Shirt,Shirts,M,Blue,,29.99,12.50,10',
+            'Blue Cotton Shirt,Shirts,L,Blue,,29.99,12.50,8'
+        ].join('\n')
+
+        const blob = new Blob([csv], { type: 'text/csv' })
+        const url = window.URL.createObjectURL(blob)
+        const a = document.createElement('a')
+        a.href = url
+        a.download = 'product-import-template.csv'
+        a.click()
+        window.URL.revokeObjectURL(url)
+    }
+
+    // ==================== DIALOG ====================
+
+    bindDialog({ getProducts = () => [], onMessage = () => {}, onImported = () => {} } = {}) {
+        if (this.dialogBound || !document.getElementById('importDialog')) return
+        this.dialogBound = true
+        this.getProducts = getProducts
+        this.onMessage = onMessage
+        this.onImported = onImported
+
+        document.getElementById('importFile').addEventListener('change', (e) => {
+            const file = e.target.files[0]
+            if (file) this.loadFile(file)
+        })
+        document.getElementById('importTemplateBtn').addEventListener('click', () => this.downloadTemplate())
+        document.getElementById('closeImportDialog').addEventListener('click', () => this.closeDialog())
+        document.getElementById('cancelImportBtn').addEventListener('click', () => this.closeDialog())
+        document.getElementById('runImportBtn').addEventListener('click', () => this.runImport())
+    }
+
+    openDialog() {
+        this.results = []
+        document.getElementById('importFile').value = ''
+        this.setSummary('Choose a CSV or Excel file. Nothing is saved until you confirm the import.')
+        this.renderPreview()
+        document.getElementById('importDialog').classList.add('active')
+    }
+
+    closeDialog() {
+        document.getElementById('importDialog').classList.remove('active')
+        this.results = []
+    }
+
+    setSummary(message, isError = false) {
+        const summary = document.getElementById('importSummary')
+        summary.textContent = message
+        summary.classList.toggle('error', isError)
+    }
+
+    async loadFile(file) {
+        this.results = []
+        this.renderPreview()
+        this.setSummary(`Checking ${file.name}...`)
+
+        try {
+            const rows = mapImportRows(await readSpreadsheet(file))
+            if (rows.length === 0) throw new Error('The file has no product rows')
+
+            this.results = await validateImportRows(rows, this.getProducts())
+
+            const invalid = this.results.filter(result => result.errors.length).length
+            const creates = this.results.filter(result => result.action === 'create').length
+            const updates = this.results.length - creates
+
+            this.setSummary(invalid
+                ? `${invalid} of ${this.results.length} rows have errors. Fix them in the file and choose it again.`
+                : `${creates} new product${creates === 1 ? '' : 's'}, ${updates} update${updates === 1 ? '' : 's'}. Ready to import.`,
+            invalid > 0)
+        } catch (error) {
+            console.error('Error reading import file:', error)
+            this.setSummary(`Could not read ${file.name}: ${error.message}`, true)
+        }
+
+        this.renderPreview()
+    }
+
+    renderPreview() {
+        const preview = document.getElementById('importPreview')
+        const runBtn = document.getElementById('runImportBtn')
+        const hasErrors = this.results.some(result => result.errors.length)
+
+        runBtn.disabled = this.results.length === 0 || hasErrors
+        runBtn.textContent = this.results.length ? `Import ${this.results.length} Rows` : 'Import'
+
+        if (this.results.length === 0) {
+            preview.innerHTML = ''
+            return
+        }
+
+        // Rows with errors first - they are what needs attention
+        const ordered = [...this.results].sort((a, b) => (b.errors.length > 0) - (a.errors.length > 0) || a.rowNumber - b.rowNumber)
+
+        preview.innerHTML = `
+            <table class="import-table">
+                <thead>
+                    <tr>
+                        <th>Row</th>
+                        <th>Product</th>
+                        <th>Price</th>
+                        <th>Stock</th>
+                        <th>Result</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${ordered.map(({ rowNumber, data, product, action, errors }) => `
+                    <tr class="${errors.length ? 'import-row-error' : ''}">
+                        <td>${rowNumber}</td>
+                        <td>
+                            <div class="import-product">${escapeHtml(data.name || '-')}</div>
+                            <div class="import-meta">${escapeHtml([data.category, getVariantLabel(data), data.barcode || (action === 'create' ? 'barcode auto' : product?.barcode)].filter(Boolean).join(' • '))}</div>
+                        </td>
+                        <td>${Number.isFinite(data.price) ? `$${data.price.toFixed(2)}` : '-'}</td>
+                        <td>${action === 'update' ? `+${data.stock_quantity}` : data.stock_quantity}</td>
+                        <td>${errors.length
+                            ? errors.map(error => `<div class="import-error">${escapeHtml(error)}</div>`).join('')
+                            : `<span class="import-action import-${action}">${action === 'create' ? 'New' : 'Update'}</span>`}</td>
+                    </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `
+    }
+
+    async runImport() {
+        if (this.results.length === 0 || this.results.some(result => result.errors.length)) return
+
+        const runBtn = document.getElementById('runImportBtn')
+        runBtn.disabled = true
+        runBtn.textContent = 'Importing...'
+
+        const result = await db.importProducts(this.results)
+
+        if (result.success) {
+            this.closeDialog()
+            this.onMessage(`Imported ${result.data.created} new and updated ${result.data.updated} products`)
+            await this.onImported()
+        } else {
+            this.setSummary(`Import failed, nothing was saved: ${result.error}`, true)
+            this.renderPreview()
+        }
+    }
+}
+
+export const importManager = new ImportManager()
@@ -0,0 +1,405 @@
+// js/labels.js - Barcode and price labels: Code128/EAN-13 as SVG, the label designer and print sheets
+import { getEffectivePrice, isOnSale } from './pricing.js'
+import { getVariantLabel } from './variants.js'
+
+// Our own barcodes: LIM001, LIM002... (more digits once past 999)
+export const barcodeConfig = {
+    prefix: 'LIM',
+    digits: 3
+}
+
+export const formatBarcode = (number) => {
+    return `${barcodeConfig.prefix}${String(number).padStart(barcodeConfig.digits, '0')}`
+}
+
+export const labelConfig = {
+    // Common sticker sheets; `columns` is how many fit across an A4 page
+    sizes: {
+        small: { label: '38 × 21mm (65 per sheet)', width: 38.1, height: 21.2, columns: 5 },
+        medium: { label: '48 × 25mm (40 per sheet)', width: 48.5, height: 25.4, columns: 4 },
+        large: { label: '63.5 × 38mm (21 per sheet)', width: 63.5, height: 38.1, columns: 3 }
+    },
+    symbologies: {
+        auto: 'Auto',
+        code128: 'Code 128',
+        ean13: 'EAN-13'
+    },
+    defaults: {
+        size: 'large',
+        symbology: 'auto',
+        showName: true,
+        showVariant: true,
+        showPrice: true
+    }
+}
+
+const OPTIONS_STORAGE_KEY = 'labelOptions'
+
+const money = (amount) => `$${parseFloat(amount || 0).toFixed(2)}`
+
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+
+// ==================== CODE 128 ====================
+
+// Bar/space widths for symbol values 0-105, then the stop pattern
+const CODE128_PATTERNS = [
+    '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+    '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+    '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+    '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+    '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+    '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+    '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+    '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+    '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+    '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+    '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+]
+const CODE128_START_B = 104
+const CODE128_START_C = 105
+const CODE128_STOP = 106
+
+// Modules ('1' bar, '0' space) for `text`. All-digit codes of even length use
+// code set C (two digits per symbol, so a shorter barcode); anything else code set B.
+export const encodeCode128 = (text) => {
+    if (!/^[\x20-\x7e]+$/.test(text)) {
+        throw new Error('Code 128 labels need plain printable characters')
+    }
+
+    const useSetC = /^\d+$/.test(text) && text.length % 2 === 0
+    const values = useSetC
+        ? [CODE128_START_C, ...text.match(/\d{2}/g).map(pair => parseInt(pair, 10))]
+        : [CODE128_START_B, ...[...text].map(char => char.charCodeAt(0) - 32)]
+
+    const checksum = values.reduce((sum, value, index) => sum + value * Math.max(index, 1), 0) % 103
+
+    return [...values, checksum, CODE128_STOP]
+        .map(value => CODE128_PATTERNS[value]
+            .split('')
+            .map((width, index) => (index % 2 === 0 ? '1' : '0').repeat(parseInt(width, 10)))
+            .join(''))
+        .join('')
+}
+
+// ==================== EAN-13 ====================
+
+const EAN_L = ['0001101', '0011001', '0010011', '0111101', '0100011', '0110001', '0101111', '0111011', '0110111', '0001011']
+const EAN_G = ['0100111', '0110011', '0011011', '0100001', '0011101', '0111001', '0000101', '0010001', '0001001', '0010111']
+const EAN_R = ['1110010', '1100110', '1101100', '1000010', '1011100', '1001110', '1010000', '1000100', '1001000', '1110100']
+// Which left-half digits use the G set, keyed by the first digit
+const EAN_PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL']
+
+export const getEan13CheckDigit = (digits12) => {
+    const sum = [...digits12].reduce((total, digit, index) => total + parseInt(digit, 10) * (index % 2 === 0 ? 1 : 3), 0)
+    return (10 - (sum % 10)) % 10
+}
+
+export const isValidEan13 = (code) => {
+    return /^\d{13}$/.test(code) && getEan13CheckDigit(code.slice(0, 12)) === parseInt(code[12], 10)
+}
+
+export const encodeEan13 = (code) => {
+    if (!isValidEan13(code)) {
+        throw new Error(`${code} is not a valid EAN-13 barcode`)
+    }
+
+    const digits = [...code].map(digit => parseInt(digit, 10))
+    const parity = EAN_PARITY[digits[0]]
+    const left = digits.slice(1, 7).map((digit, index) => (parity[index] === 'L' ? EAN_L : EAN_G)[digit]).join('')
+    const right = digits.slice(7).map(digit => EAN_R[digit]).join('')
+
+    return `101${left}01010${right}101`
+}
+
+// ==================== SVG ====================
+
+// EAN-13 for valid 13-digit codes when asked (or on auto), Code 128 for everything else
+export const getSymbology = (code, symbology = 'auto') => {
+    return symbology !== 'code128' && isValidEan13(code) ? 'ean13' : 'code128'
+}
+
+// Bars as SVG rects inside a box of `width` x `height` (any unit), with the
+// quiet zone either side that scanners need
+export const renderBarcodeBars = (code, { x = 0, y = 0, width, height, symbology = 'auto' }) => {
+    const modules = getSymbology(code, symbology) === 'ean13' ? encodeEan13(code) : encodeCode128(code)
+    const quietZone = 10
+    const moduleWidth = width / (modules.length + quietZone * 2)
+
+    const rects = []
+    let runStart = null
+    for (let i = 0; i <= modules.length; i++) {
+        if (modules[i] === '1' && runStart === null) {
+            runStart = i
+        } else if (modules[i] !== '1' && runStart !== null) {
+            const rectX = x + (quietZone + runStart) * moduleWidth
+            rects.push(`<rect x="${rectX.toFixed(3)}" y="${y}" width="${((i - runStart) * moduleWidth).toFixed(3)}" height="${height}" />`)
+            runStart = null
+        }
+    }
+
+    return rects.join('')
+}
+
+class LabelManager {
+    constructor() {
+        this.items = []
+        this.onPrinted = null
+        this.dialogBound = false
+        this.onMessage = () => {}
+    }
+
+    // ==================== OPTIONS ====================
+
+    getOptions() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(OPTIONS_STORAGE_KEY)) || {}
+            const options = { ...labelConfig.defaults, ...saved }
+            if (!labelConfig.sizes[options.size]) options.size = labelConfig.defaults.size
+            return options
+        } catch (error) {
+            return { ...labelConfig.defaults }
+        }
+    }
+
+    setOptions(options) {
+        localStorage.setItem(OPTIONS_STORAGE_KEY, JSON.stringify(options))
+    }
+
+    // ==================== LAYOUT ====================
+
+    // One label as an SVG sized in millimetres
+    renderLabel(product, options = this.getOptions()) {
+        const { width, height } = labelConfig.sizes[options.size]
+        const padding = 1.5
+        const innerWidth = width - padding * 2
+
+        // Text sizes scale with the label so the small sheet stays legible
+        const nameSize = Math.min(height * 0.13, 3.6)
+        const detailSize = nameSize * 0.85
+        const priceSize = nameSize * 1.3
+        const codeSize = nameSize * 0.75
+
+        // Roughly how many characters fit across at a given font size
+        const fit = (text, fontSize) => {
+            const maxChars = Math.floor(innerWidth / (fontSize * 0.55))
+            return text.length > maxChars ? text.slice(0, maxChars - 1) + '…' : text
+        }
+
+        const texts = []
+        let cursor = padding
+
+        if (options.showName) {
+            cursor += nameSize
+            texts.push(`<text x="${padding}" y="${cursor.toFixed(2)}" font-size="${nameSize.toFixed(2)}" font-weight="700">${escapeHtml(fit(product.name, nameSize))}</text>`)
+        }
+
+        const variant = getVariantLabel(product)
+        if (options.showVariant && variant) {
+            cursor += detailSize + 0.6
+            texts.push(`<text x="${padding}" y="${cursor.toFixed(2)}" font-size="${detailSize.toFixed(2)}">${escapeHtml(fit(variant, detailSize))}</text>`)
+        }
+
+        if (options.showPrice) {
+            cursor += priceSize + 0.6
+            const price = money(getEffectivePrice(product))
+            texts.push(`<text x="${padding}" y="${cursor.toFixed(2)}" font-size="${priceSize.toFixed(2)}" font-weight="700">${price}</text>`)
+
+            // Marked-down items show the full price struck through beside the sale price
+            if (isOnSale(product)) {
+                const wasX = padding + (price.length + 1) * priceSize * 0.6
+                texts.push(`<text x="${wasX.toFixed(2)}" y="${cursor.toFixed(2)}" font-size="${detailSize.toFixed(2)}" text-decoration="line-through">${money(product.price)}</text>`)
+            }
+        }
+
+        // The barcode takes whatever height is left above its human-readable line
+        let barcode = ''
+        if (product.barcode) {
+            const barsTop = cursor + 1
+            const barsHeight = height - barsTop - codeSize - padding - 0.8
+            try {
+                barcode = `<g fill="black">${renderBarcodeBars(product.barcode, {
+                    x: padding,
+                    y: barsTop.toFixed(2),
+                    width: innerWidth,
+                    height: Math.max(barsHeight, 3).toFixed(2),
+                    symbology: options.symbology
+                })}</g>
+                <text x="${width / 2}" y="${(height - padding).toFixed(2)}" font-size="${codeSize.toFixed(2)}" text-anchor="middle" letter-spacing="0.3">${escapeHtml(product.barcode)}</text>`
+            } catch (error) {
+                barcode = `<text x="${width / 2}" y="${(height - padding).toFixed(2)}" font-size="${codeSize.toFixed(2)}" text-anchor="middle">${escapeHtml(error.message)}</text>`
+            }
+        }
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}mm" height="${height}mm" viewBox="0 0 ${width} ${height}" font-family="Arial, Helvetica, sans-serif">
+            <rect width="${width}" height="${height}" fill="white" />
+            ${texts.join('')}
+            ${barcode}
+        </svg>`
+    }
+
+    // A4 sheet document; each { product, quantity } prints `quantity` labels
+    toSheetDocument(items, options = this.getOptions()) {
+        const { width, height, columns } = labelConfig.sizes[options.size]
+        const labels = items
+            .flatMap(({ product, quantity }) => Array(Math.max(parseInt(quantity) || 0, 0)).fill(product))
+            .map(product => `<div class="label">${this.renderLabel(product, options)}</div>`)
+            .join('')
+
+        return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="UTF-8" />
+<title>Labels</title>
+<style>
+    @page { size: A4; margin: 8mm; }
+    html, body { margin: 0; padding: 0; background: white; }
+    .sheet {
+        display: grid;
+        grid-template-columns: repeat(${columns}, ${width}mm);
+        grid-auto-rows: ${height}mm;
+        gap: 1mm 2mm;
+    }
+    .label { break-inside: avoid; overflow: hidden; }
+    .label svg { display: block; }
+</style>
+</head>
+<body><div class="sheet">${labels}</div></body>
+</html>`
+    }
+
+    // Print through a hidden iframe, like receipts
+    print(items, options = this.getOptions()) {
+        return new Promise(resolve => {
+            const frame = document.createElement('iframe')
+            frame.style.cssText = 'position:fixed;right:0;bottom:0;width:0;height:0;border:0'
+            frame.onload = () => {
+                frame.contentWindow.focus()
+                frame.contentWindow.print()
+                setTimeout(() => {
+                    frame.remove()
+                    resolve()
+                }, 1000)
+            }
+            frame.srcdoc = this.toSheetDocument(items, options)
+            document.body.appendChild(frame)
+        })
+    }
+
+    // ==================== DIALOG ====================
+
+    bindDialog({ onMessage = () => {} } = {}) {
+        if (this.dialogBound || !document.getElementById('labelDialog')) return
+        this.dialogBound = true
+        this.onMessage = onMessage
+
+        const sizeSelect = document.getElementById('labelSize')
+        sizeSelect.innerHTML = Object.entries(labelConfig.sizes)
+            .map(([value, size]) => `<option value="${value}">${size.label}</option>`)
+            .join('')
+
+        const symbologySelect = document.getElementById('labelSymbology')
+        symbologySelect.innerHTML = Object.entries(labelConfig.symbologies)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`)
+            .join('')
+
+        const options = this.getOptions()
+        sizeSelect.value = options.size
+        symbologySelect.value = options.symbology
+        document.getElementById('labelShowName').checked = options.showName
+        document.getElementById('labelShowVariant').checked = options.showVariant
+        document.getElementById('labelShowPrice').checked = options.showPrice
+
+        ;['labelSize', 'labelSymbology', 'labelShowName', 'labelShowVariant', 'labelShowPrice'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.setOptions(this.readOptions())
+                this.renderPreview()
+            })
+        })
+
+        document.getElementById('labelItems').addEventListener('input', (e) => {
+            const input = e.target.closest('[data-label-index]')
+            if (!input) return
+            this.items[input.dataset.labelIndex].quantity = Math.max(parseInt(input.value) || 0, 0)
+            this.renderTotal()
+        })
+
+        document.getElementById('closeLabelDialog').addEventListener('click', () => this.closeDialog())
+        document.getElementById('cancelLabelBtn').addEventListener('click', () => this.closeDialog())
+        document.getElementById('printLabelSheetBtn').addEventListener('click', () => this.printFromDialog())
+    }
+
+    readOptions() {
+        return {
+            size: document.getElementById('labelSize').value,
+            symbology: document.getElementById('labelSymbology').value,
+            showName: document.getElementById('labelShowName').checked,
+            showVariant: document.getElementById('labelShowVariant').checked,
+            showPrice: document.getElementById('labelShowPrice').checked
+        }
+    }
+
+    // items: [{ product, quantity }]. `onPrinted` runs once the sheet has gone
+    // to the printer (e.g. to clear the restock list it came from).
+    openDialog(items, { title = 'Print Labels', onPrinted = null } = {}) {
+        this.items = items.map(item => ({ ...item }))
+        this.onPrinted = onPrinted
+
+        document.getElementById('labelDialogTitle').textContent = title
+        this.renderItems()
+        this.renderPreview()
+        document.getElementById('labelDialog').classList.add('active')
+    }
+
+    closeDialog() {
+        document.getElementById('labelDialog').classList.remove('active')
+        this.items = []
+        this.onPrinted = null
+    }
+
+    renderItems() {
+        document.getElementById('labelItems').innerHTML = this.items.map(({ product, quantity }, index) => `
+            <div class="label-item">
+                <div class="label-item-info">
+                    <div class="label-item-name">${escapeHtml(product.name)}</div>
+                    <div class="label-item-meta">${escapeHtml([getVariantLabel(product), product.barcode || 'No barcode'].filter(Boolean).join(' • '))}</div>
+                </div>
+                <input type="number" class="form-input label-item-qty" min="0" value="${quantity}" data-label-index="${index}" aria-label="Labels to print" />
+            </div>
+        `).join('')
+        this.renderTotal()
+    }
+
+    renderTotal() {
+        const total = this.items.reduce((sum, item) => sum + item.quantity, 0)
+        const printBtn = document.getElementById('printLabelSheetBtn')
+        printBtn.textContent = `Print ${total} Label${total === 1 ? '' : 's'}`
+        printBtn.disabled = total === 0
+    }
+
+    renderPreview() {
+        const preview = document.getElementById('labelPreview')
+        const first = this.items[0]
+        preview.innerHTML = first ? this.renderLabel(first.product, this.readOptions()) : ''
+    }
+
+    async printFromDialog() {
+        const items = this.items.filter(item => item.quantity > 0)
+        if (items.length === 0) return
+
+        const missing = items.filter(item => !item.product.barcode).length
+        if (missing > 0) {
+            this.onMessage(`${missing} product${missing === 1 ? ' has' : 's have'} no barcode - their labels print without one`, true)
+        }
+
+        const onPrinted = this.onPrinted
+        await this.print(items, this.readOptions())
+        this.closeDialog()
+        if (onPrinted) onPrinted()
+    }
+}
+
+export const labelManager = new LabelManager()
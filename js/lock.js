@@ -0,0 +1,522 @@
+// js/lock.js - Lock screen for a shared till: staff switch cashier with a PIN
+//
+// Sales, returns and shifts are recorded against the signed-in user, so
+// switching cashier swaps the Supabase session itself. Each cashier who has
+// used this till leaves their session here, encrypted with a key the server
+// only hands out for their PIN (see supabase/migrations/016_till_lock.sql).
+// A cart in progress is parked under the cashier who rang it up and comes
+// back when they next unlock the till.
+import { authManager } from './auth.js'
+
+export const lockConfig = {
+    // Minutes without a tap or key press before the till locks itself; 0 never does
+    autoLockOptions: [0, 1, 2, 5, 10, 15, 30],
+    defaultAutoLockMinutes: 5,
+    pinLength: { min: 4, max: 6 },
+    // Offline, only the signed-in cashier can unlock, checked against the PIN
+    // they last unlocked with; after this many misses they wait for a connection
+    offlineAttempts: 5,
+    activityEvents: ['pointerdown', 'keydown', 'touchstart', 'wheel']
+}
+
+const STORAGE_KEYS = {
+    locked: 'till_locked',
+    cashiers: 'till_cashiers',
+    parkedCarts: 'till_parked_carts',
+    autoLock: 'till_auto_lock_minutes'
+}
+
+export const formatAutoLock = (minutes) => minutes === 0 ? 'Never' : `After ${minutes} min`
+
+const getInitials = (name) => (name || '?').split(/\s+/).filter(Boolean).slice(0, 2)
+    .map(part => part.charAt(0).toUpperCase()).join('')
+
+// ==================== STORAGE ====================
+
+const readJson = (key, fallback) => {
+    try {
+        return JSON.parse(localStorage.getItem(key)) ?? fallback
+    } catch (error) {
+        return fallback
+    }
+}
+
+const writeJson = (key, value) => localStorage.setItem(key, JSON.stringify(value))
+
+// ==================== CRYPTO ====================
+
+const hexToBytes = (hex) => new Uint8Array(hex.match(/../g).map(byte => parseInt(byte, 16)))
+const bytesToBase64 = (bytes) => btoa(String.fromCharCode(...bytes))
+const base64ToBytes = (text) => Uint8Array.from(atob(text), char => char.charCodeAt(0))
+
+const importSecret = (secret) => crypto.subtle.importKey('raw', hexToBytes(secret), 'AES-GCM', false, ['encrypt', 'decrypt'])
+
+// { iv, data } holding `tokens` encrypted with an unlock secret
+const sealSession = async (secret, tokens) => {
+    const iv = crypto.getRandomValues(new Uint8Array(12))
+    const data = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv },
+        await importSecret(secret),
+        new TextEncoder().encode(JSON.stringify(tokens))
+    )
+    return { iv: bytesToBase64(iv), data: bytesToBase64(new Uint8Array(data)) }
+}
+
+// The tokens back, or null when the secret has changed since (a PIN reset)
+const openSession = async (secret, sealed) => {
+    try {
+        const data = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: base64ToBytes(sealed.iv) },
+            await importSecret(secret),
+            base64ToBytes(sealed.data)
+        )
+        return JSON.parse(new TextDecoder().decode(data))
+    } catch (error) {
+        return null
+    }
+}
+
+const hashPin = async (pin, salt) => {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveBits'])
+    const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', salt, iterations: 100000, hash: 'SHA-256' }, material, 256)
+    return bytesToBase64(new Uint8Array(bits))
+}
+
+class LockManager {
+    constructor() {
+        // The cashier picked on the lock screen and the PIN typed so far
+        this.selectedUserId = null
+        this.pin = ''
+        this.isUnlocking = false
+        this.timer = null
+        this.offlineFailures = 0
+        this.bound = false
+        this.onMessage = () => {}
+        this.isBusy = () => false
+        this.onLock = () => null
+        this.onUnlock = async () => {}
+        this.canSwitch = () => null
+    }
+
+    // ==================== STATE ====================
+
+    isLocked() {
+        return localStorage.getItem(STORAGE_KEYS.locked) === 'true'
+    }
+
+    getAutoLockMinutes() {
+        const minutes = parseInt(localStorage.getItem(STORAGE_KEYS.autoLock), 10)
+        return lockConfig.autoLockOptions.includes(minutes) ? minutes : lockConfig.defaultAutoLockMinutes
+    }
+
+    setAutoLockMinutes(minutes) {
+        localStorage.setItem(STORAGE_KEYS.autoLock, String(minutes))
+        this.resetTimer()
+    }
+
+    // Everyone who has used this till: { [userId]: { id, full_name, email,
+    // role, has_pin, session, pinCheck } }
+    getCashiers() {
+        return readJson(STORAGE_KEYS.cashiers, {})
+    }
+
+    saveCashier(userId, changes) {
+        const cashiers = this.getCashiers()
+        cashiers[userId] = { ...cashiers[userId], ...changes }
+        writeJson(STORAGE_KEYS.cashiers, cashiers)
+    }
+
+    // Add the signed-in cashier to the lock screen. Their kept session has
+    // just been used to sign in, which replaced its refresh token, so it goes.
+    remember(user = authManager.getCurrentUser(), profile = authManager.getUserProfile()) {
+        if (!user || !profile) return
+        this.saveCashier(user.id, {
+            id: user.id,
+            full_name: profile.full_name,
+            email: user.email,
+            role: profile.role,
+            has_pin: !!profile.pin_updated_at,
+            session: null
+        })
+    }
+
+    // Drop someone from this till, e.g. when they sign out for good
+    forget(userId) {
+        const cashiers = this.getCashiers()
+        delete cashiers[userId]
+        writeJson(STORAGE_KEYS.cashiers, cashiers)
+    }
+
+    getParkedCart(userId) {
+        return readJson(STORAGE_KEYS.parkedCarts, {})[userId] || null
+    }
+
+    parkCart(userId, cart) {
+        const carts = readJson(STORAGE_KEYS.parkedCarts, {})
+        if (cart) carts[userId] = { ...cart, parkedAt: new Date().toISOString() }
+        else delete carts[userId]
+        writeJson(STORAGE_KEYS.parkedCarts, carts)
+    }
+
+    // ==================== LOCKING ====================
+
+    // onLock() closes anything open and returns the cart to park (or null);
+    // onUnlock({ switched, parkedCart }) runs once someone is back in, after
+    // the session has changed hands if `switched`; isBusy() holds off the
+    // auto-lock, e.g. mid-payment; canSwitch() returns why the signed-in
+    // cashier can't hand the till over yet (an open shift), or null
+    bind({ onMessage = () => {}, isBusy = () => false, onLock = () => null, onUnlock = async () => {}, canSwitch = () => null } = {}) {
+        if (this.bound) return
+        this.bound = true
+        this.onMessage = onMessage
+        this.isBusy = isBusy
+        this.onLock = onLock
+        this.onUnlock = onUnlock
+        this.canSwitch = canSwitch
+
+        const keypad = document.getElementById('lockKeypad')
+        keypad.innerHTML = ['1', '2', '3', '4', '5', '6', '7', '8', '9', 'clear', '0', 'back']
+            .map(key => `
+                <button class="lock-key ${/\d/.test(key) ? '' : 'lock-key-action'}" data-key="${key}">
+                    ${key === 'clear' ? 'Clear' : key === 'back' ? '⌫' : key}
+                </button>
+            `).join('')
+        keypad.addEventListener('click', (e) => {
+            const key = e.target.closest('[data-key]')
+            if (key) this.pressKey(key.dataset.key)
+        })
+        document.getElementById('lockUnlockBtn').addEventListener('click', () => this.submitPin())
+
+        document.getElementById('lockCashiers').addEventListener('click', (e) => {
+            const cashier = e.target.closest('[data-user-id]')
+            if (cashier) this.selectCashier(cashier.dataset.userId)
+        })
+
+        document.getElementById('lockSignInToggle').addEventListener('click', () => this.showSignIn(true))
+        document.getElementById('lockPinToggle').addEventListener('click', () => this.showSignIn(false))
+        document.getElementById('lockSignInForm').addEventListener('submit', (e) => {
+            e.preventDefault()
+            this.submitSignIn()
+        })
+
+        // Type the PIN on a keyboard too
+        document.addEventListener('keydown', (e) => {
+            if (!this.isLocked() || !document.getElementById('lockSignInForm').classList.contains('hidden')) return
+            if (/^\d$/.test(e.key)) this.pressKey(e.key)
+            else if (e.key === 'Backspace') this.pressKey('back')
+            else if (e.key === 'Enter') this.submitPin()
+        })
+
+        lockConfig.activityEvents.forEach(event => {
+            document.addEventListener(event, () => this.resetTimer(), { passive: true, capture: true })
+        })
+
+        const autoLockSelect = document.getElementById('autoLockSelect')
+        if (autoLockSelect) {
+            autoLockSelect.innerHTML = lockConfig.autoLockOptions
+                .map(minutes => `<option value="${minutes}">${formatAutoLock(minutes)}</option>`)
+                .join('')
+            autoLockSelect.value = String(this.getAutoLockMinutes())
+            autoLockSelect.addEventListener('change', () => {
+                this.setAutoLockMinutes(parseInt(autoLockSelect.value, 10))
+            })
+        }
+    }
+
+    // Put the signed-in cashier on the lock screen, and pick up a lock that
+    // was still on when the page was reloaded
+    start() {
+        this.remember()
+        if (this.isLocked()) this.showLockScreen()
+        else this.resetTimer()
+    }
+
+    resetTimer() {
+        clearTimeout(this.timer)
+        const minutes = this.getAutoLockMinutes()
+        if (minutes === 0 || this.isLocked()) return
+
+        this.timer = setTimeout(() => this.autoLock(), minutes * 60 * 1000)
+    }
+
+    autoLock() {
+        if (this.isBusy()) {
+            this.resetTimer()
+            return
+        }
+        this.lock()
+    }
+
+    lock() {
+        if (this.isLocked()) return
+
+        const userId = authManager.getCurrentUser()?.id
+        const cart = this.onLock()
+        if (userId && cart) this.parkCart(userId, cart)
+
+        clearTimeout(this.timer)
+        localStorage.setItem(STORAGE_KEYS.locked, 'true')
+        this.showLockScreen()
+    }
+
+    showLockScreen() {
+        this.selectedUserId = authManager.getCurrentUser()?.id || null
+        this.renderCashiers()
+        this.selectCashier(this.selectedUserId)
+
+        const screen = document.getElementById('lockScreen')
+        screen.classList.add('active')
+        screen.setAttribute('aria-hidden', 'false')
+    }
+
+    hideLockScreen() {
+        const screen = document.getElementById('lockScreen')
+        screen.classList.remove('active')
+        screen.setAttribute('aria-hidden', 'true')
+        document.getElementById('lockSignInForm').reset()
+    }
+
+    // ==================== LOCK SCREEN ====================
+
+    renderCashiers() {
+        const currentId = authManager.getCurrentUser()?.id
+        const cashiers = Object.values(this.getCashiers())
+            .sort((a, b) => (a.full_name || '').localeCompare(b.full_name || ''))
+
+        const container = document.getElementById('lockCashiers')
+        container.innerHTML = cashiers.map(cashier => {
+            const parked = this.getParkedCart(cashier.id)
+            const parkedCount = parked ? parked.items.reduce((sum, item) => sum + item.quantity, 0) : 0
+            return `
+                <button class="lock-cashier" data-user-id="${cashier.id}">
+                    <span class="lock-cashier-avatar"></span>
+                    <span class="lock-cashier-name"></span>
+                    <span class="lock-cashier-note">
+                        ${cashier.id === currentId ? 'Signed in' : ''}
+                        ${parkedCount > 0 ? `${cashier.id === currentId ? ' • ' : ''}${parkedCount} item${parkedCount === 1 ? '' : 's'} parked` : ''}
+                    </span>
+                </button>
+            `
+        }).join('')
+
+        // Names are typed in by people
+        container.querySelectorAll('.lock-cashier').forEach((button, index) => {
+            button.querySelector('.lock-cashier-avatar').textContent = getInitials(cashiers[index].full_name)
+            button.querySelector('.lock-cashier-name').textContent = cashiers[index].full_name || 'Unnamed'
+        })
+    }
+
+    selectCashier(userId) {
+        const cashier = this.getCashiers()[userId]
+        this.selectedUserId = cashier ? userId : null
+        this.pin = ''
+        this.setError('')
+
+        document.querySelectorAll('#lockCashiers .lock-cashier').forEach(button => {
+            button.classList.toggle('active', button.dataset.userId === this.selectedUserId)
+        })
+
+        // Without a PIN there is nothing to type in - they sign in instead
+        if (!cashier || !cashier.has_pin) {
+            this.showSignIn(true, cashier?.email)
+            if (cashier) this.setError(`${cashier.full_name || 'This cashier'} has no PIN yet. Sign in with email and password.`)
+            return
+        }
+
+        document.getElementById('lockPinName').textContent = cashier.full_name || 'Unnamed'
+        this.showSignIn(false)
+    }
+
+    showSignIn(show, email = '') {
+        document.getElementById('lockSignInForm').classList.toggle('hidden', !show)
+        document.getElementById('lockPinSection').classList.toggle('hidden', show)
+        document.getElementById('lockSignInToggle').classList.toggle('hidden', show)
+        document.getElementById('lockPinToggle').classList.toggle('hidden', !show || !this.getCashiers()[this.selectedUserId]?.has_pin)
+
+        if (show) {
+            const emailInput = document.getElementById('lockEmail')
+            const passwordInput = document.getElementById('lockPassword')
+            if (email) emailInput.value = email
+            const firstEmpty = email ? passwordInput : emailInput
+            firstEmpty.focus()
+        } else {
+            this.renderPin()
+        }
+    }
+
+    pressKey(key) {
+        if (this.isUnlocking) return
+
+        if (key === 'clear') this.pin = ''
+        else if (key === 'back') this.pin = this.pin.slice(0, -1)
+        else if (this.pin.length < lockConfig.pinLength.max) this.pin += key
+
+        this.setError('')
+        this.renderPin()
+    }
+
+    renderPin() {
+        document.getElementById('lockPinDots').innerHTML = Array.from({ length: lockConfig.pinLength.max }, (_, index) =>
+            `<span class="lock-pin-dot ${index < this.pin.length ? 'filled' : ''}"></span>`
+        ).join('')
+        document.getElementById('lockUnlockBtn').disabled = this.pin.length < lockConfig.pinLength.min || this.isUnlocking
+    }
+
+    setError(message) {
+        document.getElementById('lockError').textContent = message
+    }
+
+    setUnlocking(unlocking) {
+        this.isUnlocking = unlocking
+        document.getElementById('lockScreen').classList.toggle('busy', unlocking)
+        document.getElementById('lockSignInBtn').disabled = unlocking
+        this.renderPin()
+    }
+
+    // ==================== UNLOCKING ====================
+
+    async submitPin() {
+        if (this.isUnlocking || !this.selectedUserId || this.pin.length < lockConfig.pinLength.min) return
+
+        const pin = this.pin
+        this.setUnlocking(true)
+        try {
+            const error = await this.unlockWithPin(this.selectedUserId, pin)
+            if (error) {
+                this.pin = ''
+                this.setError(error)
+            }
+        } finally {
+            this.setUnlocking(false)
+        }
+    }
+
+    // Returns an error message, or null once unlocked
+    async unlockWithPin(userId, pin) {
+        const currentId = authManager.getCurrentUser()?.id
+
+        if (userId !== currentId && this.canSwitch()) return this.canSwitch()
+
+        if (!navigator.onLine) {
+            if (userId !== currentId) return 'Reconnect to switch cashier'
+            return await this.unlockOffline(userId, pin)
+        }
+
+        const result = await authManager.verifyPin(userId, pin)
+        if (!result.success) return result.error
+
+        this.offlineFailures = 0
+        await this.savePinCheck(userId, pin)
+
+        if (userId === currentId) {
+            await this.unlock(false)
+            return null
+        }
+
+        const cashier = this.getCashiers()[userId]
+        const tokens = cashier?.session ? await openSession(result.unlockSecret, cashier.session) : null
+        if (!tokens) {
+            this.saveCashier(userId, { session: null })
+            this.showSignIn(true, cashier?.email)
+            return 'Sign in with your email and password once more to use your PIN on this till'
+        }
+
+        return await this.switchTo(() => authManager.switchSession(tokens))
+    }
+
+    // Only the cashier still signed in, checked against the PIN they last unlocked with
+    async unlockOffline(userId, pin) {
+        const check = this.getCashiers()[userId]?.pinCheck
+        if (!check || this.offlineFailures >= lockConfig.offlineAttempts) {
+            return 'Reconnect to unlock the till'
+        }
+
+        if (await hashPin(pin, base64ToBytes(check.salt)) !== check.hash) {
+            this.offlineFailures++
+            return 'Wrong PIN'
+        }
+
+        this.offlineFailures = 0
+        await this.unlock(false)
+        return null
+    }
+
+    async savePinCheck(userId, pin) {
+        const salt = crypto.getRandomValues(new Uint8Array(16))
+        this.saveCashier(userId, { pinCheck: { salt: bytesToBase64(salt), hash: await hashPin(pin, salt) } })
+    }
+
+    async submitSignIn() {
+        if (this.isUnlocking) return
+
+        const email = document.getElementById('lockEmail').value.trim()
+        const password = document.getElementById('lockPassword').value
+        if (!email || !password) {
+            this.setError('Enter your email and password')
+            return
+        }
+        if (!navigator.onLine) {
+            this.setError('Reconnect to sign in')
+            return
+        }
+        if (email.toLowerCase() !== authManager.getCurrentUser()?.email?.toLowerCase() && this.canSwitch()) {
+            this.setError(this.canSwitch())
+            return
+        }
+
+        this.setUnlocking(true)
+        try {
+            const error = await this.switchTo(() => authManager.switchWithPassword(email, password))
+            if (error) this.setError(error)
+        } finally {
+            this.setUnlocking(false)
+        }
+    }
+
+    // Keep the signed-in cashier's session, then sign someone in with `signIn`.
+    // If that fails the previous cashier is put back. Returns an error message
+    // or null.
+    async switchTo(signIn) {
+        const previousId = authManager.getCurrentUser()?.id
+        const previous = await authManager.getSessionTokens()
+        if (previous && previousId) await this.keepSession(previousId, previous)
+
+        const result = await signIn()
+        if (!result.success) {
+            if (previous) await authManager.switchSession(previous)
+            return result.error
+        }
+
+        this.remember(result.user, result.profile)
+        await this.unlock(result.user.id !== previousId)
+        return null
+    }
+
+    // Encrypt the signed-in cashier's session with their unlock secret; without
+    // a PIN there is none, and they sign in with their password next time
+    async keepSession(userId, tokens) {
+        const secret = await authManager.getUnlockSecret()
+        if (!secret.success || !secret.data) return
+
+        this.saveCashier(userId, { session: await sealSession(secret.data, tokens) })
+    }
+
+    async unlock(switched) {
+        const user = authManager.getCurrentUser()
+        const parkedCart = user ? this.getParkedCart(user.id) : null
+        if (user) this.parkCart(user.id, null)
+
+        localStorage.removeItem(STORAGE_KEYS.locked)
+        this.pin = ''
+        this.hideLockScreen()
+
+        await this.onUnlock({ switched, parkedCart })
+        this.resetTimer()
+
+        if (switched) {
+            this.onMessage(`Signed in as ${authManager.getUserProfile()?.full_name || user?.email}`)
+        }
+    }
+}
+
+export const lockManager = new LockManager()
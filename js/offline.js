@@ -0,0 +1,258 @@
+// offline.js - Offline sale queue for Limitless Apparel POS
+// Sales completed while the shop has no connection are kept in IndexedDB
+// and replayed through db.createSale once connectivity returns.
+
+const DB_NAME = 'limitless-pos'
+const DB_VERSION = 1
+const STORE_NAME = 'pendingSales'
+const SYNC_TAG = 'sync-sales'
+
+export class OfflineQueue {
+    constructor() {
+        this.dbPromise = null
+        this.isSyncing = false
+        this.listeners = new Set()
+        console.log('OfflineQueue initialized')
+    }
+
+    // Open (or create) the IndexedDB database
+    openDatabase() {
+        if (this.dbPromise) return this.dbPromise
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION)
+
+            request.onupgradeneeded = () => {
+                const database = request.result
+                if (!database.objectStoreNames.contains(STORE_NAME)) {
+                    const store = database.createObjectStore(STORE_NAME, {
+                        keyPath: 'id',
+                        autoIncrement: true
+                    })
+                    store.createIndex('status', 'status')
+                }
+            }
+
+            request.onsuccess = () => resolve(request.result)
+            request.onerror = () => {
+                this.dbPromise = null
+                reject(request.error)
+            }
+        })
+
+        return this.dbPromise
+    }
+
+    // Run a single request against the pending sales store
+    async runRequest(mode, action) {
+        const database = await this.openDatabase()
+
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(STORE_NAME, mode)
+            const request = action(transaction.objectStore(STORE_NAME))
+
+            transaction.oncomplete = () => resolve(request.result)
+            transaction.onerror = () => reject(transaction.error)
+            transaction.onabort = () => reject(transaction.error)
+        })
+    }
+
+    // ==================== QUEUE ====================
+
+    // Store a completed cart that could not reach the server. `cashierId` is
+    // who rang it up, so it is only replayed under their session.
+    async enqueue(saleData, cashierId = null) {
+        try {
+            const entry = {
+                saleData: {
+                    ...saleData,
+                    // Category icons are markup only - no need to persist them
+                    items: saleData.items.map(({ icon, ...item }) => item),
+                    // Replaying a sale the server already has returns that sale
+                    client_sale_id: saleData.client_sale_id || crypto.randomUUID(),
+                    // Keep the real time of sale, not the time it was synced
+                    created_at: saleData.created_at || new Date().toISOString()
+                },
+                cashierId,
+                status: 'pending',
+                attempts: 0,
+                lastError: null,
+                queuedAt: new Date().toISOString()
+            }
+
+            const id = await this.runRequest('readwrite', store => store.add(entry))
+            console.log('📥 Sale queued offline with ID:', id)
+
+            await this.requestBackgroundSync()
+            this.notify()
+
+            return { success: true, data: { ...entry, id } }
+        } catch (error) {
+            console.error('Error queueing offline sale:', error)
+            return { success: false, error: error.message }
+        }
+    }
+
+    // Get every queued sale, oldest first
+    async getAll() {
+        try {
+            const data = await this.runRequest('readonly', store => store.getAll())
+            return { success: true, data }
+        } catch (error) {
+            console.error('Error reading offline queue:', error)
+            return { success: false, error: error.message }
+        }
+    }
+
+    // Get pending/failed counts for the profile tab, or with `cashierId` only
+    // for the sales that sync would replay under that cashier
+    async getCounts(cashierId = null) {
+        const result = await this.getAll()
+        if (!result.success) return { pending: 0, failed: 0 }
+
+        const entries = result.data.filter(entry =>
+            !cashierId || !entry.cashierId || entry.cashierId === cashierId)
+
+        return {
+            pending: entries.filter(entry => entry.status === 'pending').length,
+            failed: entries.filter(entry => entry.status === 'failed').length
+        }
+    }
+
+    async remove(id) {
+        await this.runRequest('readwrite', store => store.delete(id))
+    }
+
+    async update(entry) {
+        await this.runRequest('readwrite', store => store.put(entry))
+    }
+
+    // Move failed sales back to pending so the next sync retries them
+    async retryFailed() {
+        const result = await this.getAll()
+        if (!result.success) return result
+
+        const failed = result.data.filter(entry => entry.status === 'failed')
+        for (const entry of failed) {
+            await this.update({ ...entry, status: 'pending', lastError: null })
+        }
+
+        this.notify()
+        return { success: true, count: failed.length }
+    }
+
+    // ==================== SYNC ====================
+
+    // Replay pending sales through createSale (normally db.createSale). The
+    // server records the signed-in user as cashier, so with `cashierId` only
+    // that cashier's sales go; anyone else's wait until they are back on the till.
+    async sync(createSale, cashierId = null) {
+        if (this.isSyncing || !navigator.onLine) {
+            return { success: false, error: 'Sync already running or offline' }
+        }
+
+        this.isSyncing = true
+        let synced = 0
+        let failed = 0
+
+        try {
+            const result = await this.getAll()
+            if (!result.success) throw new Error(result.error)
+
+            const pending = result.data.filter(entry => entry.status === 'pending' &&
+                (!cashierId || !entry.cashierId || entry.cashierId === cashierId))
+            console.log(`🔄 Syncing ${pending.length} offline sale(s)...`)
+
+            for (const entry of pending) {
+                const saleResult = await createSale(entry.saleData)
+
+                if (saleResult.success) {
+                    await this.remove(entry.id)
+                    synced++
+                    continue
+                }
+
+                // Lost the connection again - stop and keep the rest pending
+                if (this.isNetworkError(saleResult.error)) {
+                    console.warn('Connection lost during sync, will retry later')
+                    break
+                }
+
+                // The server rejected the sale - park it for a manager to look at
+                await this.update({
+                    ...entry,
+                    status: 'failed',
+                    attempts: entry.attempts + 1,
+                    lastError: saleResult.error
+                })
+                failed++
+            }
+
+            console.log(`✅ Offline sync finished: ${synced} synced, ${failed} failed`)
+            return { success: true, synced, failed }
+        } catch (error) {
+            console.error('Error syncing offline sales:', error)
+            return { success: false, error: error.message }
+        } finally {
+            this.isSyncing = false
+            this.notify()
+        }
+    }
+
+    // Ask the service worker to wake us up when the connection returns
+    async requestBackgroundSync() {
+        try {
+            if (!('serviceWorker' in navigator)) return
+            const registration = await navigator.serviceWorker.getRegistration()
+            if (registration?.sync) {
+                await registration.sync.register(SYNC_TAG)
+            }
+        } catch (error) {
+            console.warn('Background sync not available:', error)
+        }
+    }
+
+    // Errors that mean "could not reach Supabase" rather than "Supabase said no"
+    isNetworkError(message = '') {
+        if (!navigator.onLine) return true
+        return /failed to fetch|networkerror|network request failed|load failed/i.test(message)
+    }
+
+    // ==================== LISTENERS ====================
+
+    onChange(callback) {
+        this.listeners.add(callback)
+        return () => this.listeners.delete(callback)
+    }
+
+    async notify() {
+        const counts = await this.getCounts()
+        this.listeners.forEach(callback => callback(counts))
+    }
+}
+
+// Register the service worker and forward its messages to the page
+export const registerServiceWorker = async ({ onSyncRequested } = {}) => {
+    if (!('serviceWorker' in navigator)) {
+        console.log('Service workers not supported')
+        return null
+    }
+
+    try {
+        const registration = await navigator.serviceWorker.register('./sw.js')
+        console.log('Service worker registered:', registration.scope)
+
+        navigator.serviceWorker.addEventListener('message', (event) => {
+            if (event.data?.type === 'SYNC_SALES' && onSyncRequested) {
+                onSyncRequested()
+            }
+        })
+
+        return registration
+    } catch (error) {
+        console.error('Service worker registration failed:', error)
+        return null
+    }
+}
+
+export const offlineQueue = new OfflineQueue()
@@ -0,0 +1,78 @@
+// js/payments.js - Tender helpers shared by POS, admin and reports
+
+export const PAYMENT_METHODS = ['Cash', 'Transfer']
+
+// sales.payment_method for a sale paid with more than one tender
+export const SPLIT_PAYMENT = 'Split'
+
+// Credit from items handed back in an exchange - a tender that never
+// touches the till, so it is left out of cash/transfer totals
+export const EXCHANGE_CREDIT = 'Exchange'
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100
+
+// Tenders for a sale. Sales recorded before split payments have no
+// sale_payments rows, so fall back to the single payment_method.
+export const getSalePayments = (sale) => {
+    if (sale.sale_payments?.length) {
+        return sale.sale_payments.map(payment => ({
+            method: payment.method,
+            amount: parseFloat(payment.amount)
+        }))
+    }
+    return [{ method: sale.payment_method, amount: parseFloat(sale.total) }]
+}
+
+// Total taken in one tender method across a list of sales
+export const sumPayments = (sales, method) => {
+    return roundMoney(sales.reduce((sum, sale) =>
+        sum + getSalePayments(sale)
+            .filter(payment => payment.method === method)
+            .reduce((paid, payment) => paid + payment.amount, 0), 0))
+}
+
+// sales.payment_method value for a set of tenders
+export const getPaymentMethodLabel = (payments) => {
+    const methods = [...new Set(payments.map(payment => payment.method))]
+    return methods.length === 1 ? methods[0] : SPLIT_PAYMENT
+}
+
+// CSS class for the payment badge on sale cards
+export const getPaymentBadgeClass = (paymentMethod) => {
+    if (paymentMethod === 'Cash') return 'payment-cash'
+    if (paymentMethod === SPLIT_PAYMENT) return 'payment-split'
+    if (paymentMethod === EXCHANGE_CREDIT) return 'payment-exchange'
+    return 'payment-transfer'
+}
+
+// Amount still owed after the tenders entered so far
+export const getRemainingBalance = (total, payments) => {
+    const paid = payments.reduce((sum, payment) => sum + parseFloat(payment.amount || 0), 0)
+    return roundMoney(total - paid)
+}
+
+// ==================== CASH ====================
+
+// Notes and coins the till takes, smallest first. Drawer counts at the start
+// and end of a shift (js/shifts.js) use the same list.
+export const CASH_DENOMINATIONS = [0.01, 0.05, 0.1, 0.25, 1, 2, 5, 10, 20, 50, 100]
+
+// Change owed for the cash handed over (negative means still short)
+export const calculateChange = (amountDue, tendered) => {
+    return roundMoney(parseFloat(tendered || 0) - amountDue)
+}
+
+// Likely amounts a customer hands over: the exact amount, then the total
+// rounded up to each note (e.g. $37.50 -> 38, 40, 50, 100)
+export const getQuickCashAmounts = (amountDue, limit = 6) => {
+    const amounts = [roundMoney(amountDue)]
+
+    CASH_DENOMINATIONS.filter(denomination => denomination >= 1).forEach(denomination => {
+        amounts.push(Math.ceil(amountDue / denomination) * denomination)
+    })
+
+    return [...new Set(amounts)]
+        .filter(amount => amount >= amountDue && amount > 0)
+        .sort((a, b) => a - b)
+        .slice(0, limit)
+}
@@ -0,0 +1,41 @@
+// js/permissions.js - What each member of staff is allowed to do
+//
+// Each role has a set of permissions (role_permissions), and any user can
+// have single permissions switched on or off on top of their role's
+// (users.permissions). The database resolves them the same way in
+// get_permissions (supabase/migrations/014_permissions.sql), where the
+// policies check them too, so hiding a button is never the only guard.
+
+// `action` finishes "You don't have permission to ..."
+export const permissionConfig = {
+    can_discount: { label: 'Apply discounts', action: 'apply discounts' },
+    can_refund: { label: 'Returns and exchanges', action: 'process returns or exchanges' },
+    can_void: { label: 'Void items and sales', action: 'void items or sales' },
+    can_edit_price: { label: 'Change prices', action: 'change prices' },
+    can_view_cost: { label: 'See costs and profit', action: 'see costs and profit' },
+    can_manage_products: { label: 'Add, edit and remove products', action: 'add, edit or remove products' },
+    can_view_reports: { label: 'Sales analytics and reports', action: 'view analytics and reports' },
+    can_access_admin: { label: 'Sign in to the back office', action: 'use the back office' },
+    can_manage_staff: { label: 'Manage staff and permissions', action: 'manage staff or permissions' }
+}
+
+export const roleLabels = {
+    shopkeeper: 'Shopkeeper',
+    manager: 'Manager'
+}
+
+export const formatRole = (role) => roleLabels[role] || (role ? role.charAt(0).toUpperCase() + role.slice(1) : 'Unknown')
+
+// { permission: true/false } for every permission in permissionConfig: the
+// role's, with the user's own overrides on top; anything unset is off
+export const resolvePermissions = (rolePermissions = {}, overrides = {}) => {
+    const merged = { ...(rolePermissions || {}), ...(overrides || {}) }
+    return Object.fromEntries(Object.keys(permissionConfig).map(permission => [permission, merged[permission] === true]))
+}
+
+// Hide every element marked data-permission="..." that `can` refuses
+export const applyPermissions = (can, root = document) => {
+    root.querySelectorAll('[data-permission]').forEach(element => {
+        element.classList.toggle('hidden', !can(element.dataset.permission))
+    })
+}
@@ -2,12 +2,46 @@
 import { authManager } from './auth.js'
 import { categoryConfig } from './category-config.js';
 import { db } from './db.js'
+import { offlineQueue, registerServiceWorker } from './offline.js'
+import {
+    getEffectivePrice,
+    calculateDiscount,
+    calculateCartTotals,
+    needsManagerApproval,
+    discountConfig
+} from './pricing.js'
+import {
+    SPLIT_PAYMENT,
+    getSalePayments,
+    sumPayments,
+    getPaymentBadgeClass,
+    getRemainingBalance,
+    calculateChange,
+    getQuickCashAmounts
+} from './payments.js'
+import { receiptManager } from './receipt.js'
+import { returnsManager, getRefundedTotal } from './returns.js'
+import {
+    groupProductsByStyle,
+    findVariant,
+    getVariantLabel,
+    getProductDisplayName
+} from './variants.js'
+import { barcodeScanner, cameraScanner } from './scanner.js'
+import { shiftManager } from './shifts.js'
+import { applyPermissions } from './permissions.js'
+import { lockManager } from './lock.js'
 
 // POS Application State
 class POSApp {
     constructor() {
         this.products = [];
         this.cart = [];
+        this.cartDiscount = null;
+        this.discountApproval = null;
+        this.cartSaleId = null;
+        this.discountTarget = null;
+        this.tenders = [];
         this.categories = [];
         this.currentCategory = "All";
         this.searchTerm = "";
@@ -33,15 +67,24 @@ class POSApp {
 
         await this.preloadIcons();
 
+        // Hide what this cashier is not allowed to do
+        applyPermissions((permission) => authManager.can(permission));
+
         // Setup event listeners
         this.setupEventListeners();
         this.setupInventoryEvents();
         this.setupSalesEvents();
         this.setupProfileEvents();
+        await this.setupOfflineSupport();
 
         // Load initial data
+        await this.loadShopSettings();
         await this.loadCategories();
         await this.loadProducts();
+        await this.checkShift();
+
+        // Lock screen - carries on locked if the page was reloaded while locked
+        this.setupLock();
 
         console.log("POS App Ready!");
     }
@@ -100,16 +143,110 @@ class POSApp {
             .addEventListener("click", () => this.closeCart());
         document
             .getElementById("clearCart")
-            .addEventListener("click", () => this.clearCart());
+            .addEventListener("click", () => {
+                if (this.canVoid()) this.clearCart();
+            });
 
         // Payment buttons
         document
             .getElementById("cashPayment")
-            .addEventListener("click", () => this.processPayment("Cash"));
+            .addEventListener("click", () => this.openCashDialog());
         document
             .getElementById("transferPayment")
             .addEventListener("click", () => this.processPayment("Transfer"));
 
+        // Cash tender dialog
+        ["closeCashDialog", "cancelCashBtn"].forEach((id) => {
+            document
+                .getElementById(id)
+                .addEventListener("click", () => this.closeCashDialog());
+        });
+        document
+            .getElementById("cashReceived")
+            .addEventListener("input", () => this.updateCashChange());
+        document
+            .getElementById("completeCashBtn")
+            .addEventListener("click", () => this.completeCashSale());
+
+        // Split payment (tender) dialog
+        document
+            .getElementById("splitPayment")
+            .addEventListener("click", () => this.openTenderDialog());
+        ["closeTenderDialog", "cancelTenderBtn"].forEach((id) => {
+            document
+                .getElementById(id)
+                .addEventListener("click", () => this.closeTenderDialog());
+        });
+        document
+            .getElementById("addTenderBtn")
+            .addEventListener("click", () => this.addTender());
+        document
+            .getElementById("completeTenderBtn")
+            .addEventListener("click", () =>
+                this.processPayment(SPLIT_PAYMENT, this.tenders)
+            );
+
+        // Receipt dialog (print / image / share)
+        receiptManager.bindDialog({
+            onMessage: (message, isError) =>
+                isError ? this.showErrorToast(message) : this.showSuccessToast(message),
+        });
+
+        // Returns/exchanges dialog - restocked items change product stock and sales totals
+        returnsManager.bindDialog({
+            getProducts: () => this.products,
+            onMessage: (message, isError) =>
+                isError ? this.showErrorToast(message) : this.showSuccessToast(message),
+            onReturnCompleted: async () => {
+                await this.loadProducts();
+                if (document.getElementById("salesTab").classList.contains("active")) {
+                    const activeFilter = document.querySelector("[data-sales-filter].active");
+                    await this.loadSales(activeFilter ? activeFilter.dataset.salesFilter : "today");
+                }
+            },
+        });
+
+        // Variant (size/colour) picker
+        ["closeVariantDialog", "cancelVariantBtn"].forEach((id) => {
+            document
+                .getElementById(id)
+                .addEventListener("click", () => this.closeVariantPicker());
+        });
+        document
+            .getElementById("addVariantBtn")
+            .addEventListener("click", () => this.addSelectedVariant());
+        document
+            .getElementById("variantColours")
+            .addEventListener("click", (e) => {
+                const option = e.target.closest("[data-colour]");
+                if (option && !option.disabled) this.selectVariantOption("colour", option.dataset.colour);
+            });
+        document
+            .getElementById("variantSizes")
+            .addEventListener("click", (e) => {
+                const option = e.target.closest("[data-size]");
+                if (option && !option.disabled) this.selectVariantOption("size", option.dataset.size);
+            });
+
+        // Discounts
+        document
+            .getElementById("cartDiscountBtn")
+            .addEventListener("click", () => this.openDiscountDialog());
+        document
+            .getElementById("closeDiscountDialog")
+            .addEventListener("click", () => this.closeDiscountDialog());
+        document
+            .getElementById("applyDiscountBtn")
+            .addEventListener("click", () => this.applyDiscount());
+        document
+            .getElementById("removeDiscountBtn")
+            .addEventListener("click", () => this.removeDiscount());
+        ["discountType", "discountValue"].forEach((id) => {
+            document
+                .getElementById(id)
+                .addEventListener("input", () => this.updateDiscountPreview());
+        });
+
         // Search
         document
             .getElementById("searchInput")
@@ -117,6 +254,9 @@ class POSApp {
                 this.searchTerm = e.target.value;
                 this.filterProducts();
             });
+
+        // Barcode scanner
+        this.setupScanner();
     }
 
     // Add these methods to your POSApp class
@@ -272,10 +412,184 @@ class POSApp {
             document.querySelector('[data-filter="low"]').click()
         })
 
-        // Logout button
+        // Sync offline sales button
+        document.getElementById('syncOfflineBtn').addEventListener('click', async () => {
+            if (!navigator.onLine) {
+                this.showErrorToast('Still offline - sales will sync when the connection returns')
+                return
+            }
+            await offlineQueue.retryFailed()
+            await this.syncOfflineSales()
+        })
+
+        // Logout button - signing out ends the session this till kept for them
         document.getElementById('profileLogoutBtn').addEventListener('click', async () => {
+            lockManager.forget(authManager.getCurrentUser()?.id)
             await authManager.logout()
         })
+
+        // Shift open/close, paid in/out and X-report
+        shiftManager.bindDialog({
+            onMessage: (message, isError) =>
+                isError ? this.showErrorToast(message) : this.showSuccessToast(message),
+            onChange: (shift) => this.updateShiftUI(shift),
+            getCashierName: () => authManager.getUserProfile()?.full_name,
+            getCloseBlock: () => this.getQueuedSalesBlock()
+        })
+        document.getElementById('openShiftBtn').addEventListener('click', () => shiftManager.openShiftDialog())
+        document.getElementById('closeShiftBtn').addEventListener('click', () => shiftManager.closeShiftDialog())
+        document.getElementById('xReportBtn').addEventListener('click', () => shiftManager.showXReport())
+        document.getElementById('cashMovementBtn').addEventListener('click', () => shiftManager.openCashMovementDialog())
+    }
+
+    // ==================== LOCK SCREEN ====================
+
+    setupLock() {
+        lockManager.bind({
+            onMessage: (message, isError) =>
+                isError ? this.showErrorToast(message) : this.showSuccessToast(message),
+            isBusy: () => this.isProcessingSale,
+            onLock: () => this.parkCart(),
+            onUnlock: (unlock) => this.handleUnlock(unlock),
+            canSwitch: () => this.getHandoverBlock()
+        })
+        document.getElementById('lockTillBtn').addEventListener('click', () => lockManager.lock())
+        document.getElementById('profileLockBtn').addEventListener('click', () => lockManager.lock())
+
+        lockManager.start()
+    }
+
+    // The drawer belongs to one shift at a time, so whoever has a shift open
+    // closes it before another cashier takes over the till
+    getHandoverBlock() {
+        if (!shiftManager.getShift()) return null
+
+        const name = authManager.getUserProfile()?.full_name || 'The signed-in cashier'
+        return `${name} still has a shift open on this till. They need to unlock and close it first.`
+    }
+
+    // Close whatever was open and set the cart aside for whoever locked the till
+    parkCart() {
+        this.closeCart()
+        this.closeCashDialog()
+        this.closeTenderDialog()
+        this.closeDiscountDialog()
+        this.closeVariantPicker()
+        cameraScanner.close()
+        returnsManager.closeDialog()
+        receiptManager.closeDialog()
+        shiftManager.closeDialog()
+        shiftManager.closeCashMovementDialog()
+        shiftManager.closeReport()
+
+        if (this.cart.length === 0) return null
+
+        const parked = {
+            // Category icons are markup only - they go back on when the cart does
+            items: this.cart.map(({ icon, ...item }) => item),
+            cartDiscount: this.cartDiscount,
+            discountApproval: this.discountApproval,
+            cartSaleId: this.cartSaleId
+        }
+
+        this.cart = []
+        this.cartDiscount = null
+        this.discountApproval = null
+        this.cartSaleId = null
+        this.updateCartUI()
+
+        return parked
+    }
+
+    // Stock may have sold on another till while the cart was parked
+    restoreCart(parked) {
+        let shortened = false
+
+        this.cart = parked.items
+            .map(item => {
+                const product = this.products.find(p => p.id === item.id)
+                if (!product || product.stock_quantity === 0) {
+                    shortened = true
+                    return null
+                }
+                if (item.quantity > product.stock_quantity) shortened = true
+
+                return {
+                    ...item,
+                    icon: this.getCategoryIcon(product.category),
+                    quantity: Math.min(item.quantity, product.stock_quantity),
+                    maxQuantity: product.stock_quantity
+                }
+            })
+            .filter(Boolean)
+        this.cartDiscount = this.cart.length > 0 ? parked.cartDiscount : null
+        this.discountApproval = this.cart.length > 0 ? parked.discountApproval : null
+        this.cartSaleId = this.cart.length > 0 ? parked.cartSaleId || null : null
+        this.updateCartUI()
+
+        if (shortened) {
+            this.showErrorToast('Some parked items have sold out since - check the cart')
+        } else if (this.cart.length > 0) {
+            this.showSuccessToast('Your parked cart is back')
+        }
+    }
+
+    // A different cashier has the till: their permissions, their shift and
+    // their own parked cart
+    async handleUnlock({ switched, parkedCart }) {
+        if (switched) {
+            applyPermissions((permission) => authManager.can(permission))
+            this.switchTab('pos')
+            await this.loadProducts()
+            await this.checkShift()
+            this.syncOfflineSales()
+        }
+
+        if (parkedCart) this.restoreCart(parkedCart)
+    }
+
+    // ==================== SHIFTS ====================
+
+    // Load the cashier's open shift; with none open, start by counting in a float
+    async checkShift() {
+        const result = await shiftManager.refresh()
+
+        if (!result.success) {
+            document.getElementById('shiftStatus').textContent = 'Shift status unavailable'
+            document.getElementById('shiftDetail').textContent = navigator.onLine
+                ? result.error
+                : 'Reconnect to open or close a shift'
+            return
+        }
+
+        if (!result.data) {
+            shiftManager.openShiftDialog()
+        }
+    }
+
+    updateShiftUI(shift) {
+        const status = document.getElementById('shiftStatus')
+        status.classList.toggle('open', !!shift)
+
+        if (shift) {
+            const openedAt = new Date(shift.opened_at).toLocaleString('en-US', {
+                month: 'short',
+                day: 'numeric',
+                hour: '2-digit',
+                minute: '2-digit'
+            })
+            status.textContent = 'Shift open'
+            document.getElementById('shiftDetail').textContent =
+                `Since ${openedAt} • Float $${parseFloat(shift.opening_float).toFixed(2)}`
+        } else {
+            status.textContent = 'No shift open'
+            document.getElementById('shiftDetail').textContent = 'Count in a float to start your shift'
+        }
+
+        document.getElementById('openShiftBtn').style.display = shift ? 'none' : ''
+        document.getElementById('xReportBtn').style.display = shift ? '' : 'none'
+        document.getElementById('cashMovementBtn').style.display = shift ? '' : 'none'
+        document.getElementById('closeShiftBtn').style.display = shift ? '' : 'none'
     }
 
     // Refresh all data
@@ -321,6 +635,110 @@ class POSApp {
             statusElement.textContent = 'Offline'
             statusElement.style.color = 'var(--danger)'
         }
+
+        // Header badge
+        const statusBadge = document.getElementById('statusBadge')
+        statusBadge.classList.toggle('online', navigator.onLine)
+        statusBadge.classList.toggle('offline', !navigator.onLine)
+        statusBadge.querySelector('span:last-child').textContent = navigator.onLine ? 'Online' : 'Offline'
+    }
+
+    // ==================== OFFLINE QUEUE ====================
+
+    async setupOfflineSupport() {
+        await registerServiceWorker({
+            onSyncRequested: () => this.syncOfflineSales()
+        })
+
+        window.addEventListener('online', () => {
+            this.updateConnectionStatus()
+            this.syncOfflineSales()
+        })
+        window.addEventListener('offline', () => this.updateConnectionStatus())
+
+        offlineQueue.onChange(counts => this.updateOfflineQueueUI(counts))
+
+        this.updateConnectionStatus()
+        this.updateOfflineQueueUI(await offlineQueue.getCounts())
+
+        // Flush anything left over from a previous offline session
+        if (navigator.onLine) {
+            this.syncOfflineSales()
+        }
+    }
+
+    // Show pending/failed counts in the profile tab
+    updateOfflineQueueUI({ pending, failed }) {
+        document.getElementById('offlinePendingCount').textContent = pending
+        document.getElementById('offlineFailedCount').textContent = failed
+        document.getElementById('offlineFailedCount').style.color = failed > 0 ? 'var(--danger)' : ''
+        document.getElementById('offlineSyncSubtitle').textContent =
+            pending + failed > 0 ? `${pending} pending, ${failed} failed` : 'All sales synced'
+    }
+
+    // Save the current cart to the offline queue instead of losing it
+    async queueOfflineSale(saleData) {
+        const result = await offlineQueue.enqueue(saleData, authManager.getCurrentUser()?.id)
+
+        if (!result.success) {
+            throw new Error('Could not save sale offline: ' + result.error)
+        }
+
+        // Reflect the sale in local stock until we can reload from the server
+        saleData.items.forEach(item => {
+            const product = this.products.find(p => p.id === item.id)
+            if (product) {
+                product.stock_quantity = Math.max(0, product.stock_quantity - item.quantity)
+            }
+        })
+
+        this.showToast(`Offline - sale saved ($${saleData.total.toFixed(2)}), will sync when back online`, 'info')
+
+        this.clearCart();
+        this.closeCart();
+        this.closeCashDialog();
+        this.closeTenderDialog();
+        this.filterProducts();
+    }
+
+    // Replay queued sales once we are back online
+    async syncOfflineSales() {
+        const result = await offlineQueue.sync(
+            saleData => db.createSale(saleData),
+            authManager.getCurrentUser()?.id
+        )
+
+        if (!result.success) return
+
+        if (result.synced > 0) {
+            this.showSuccessToast(`${result.synced} offline sale(s) synced`)
+            await this.loadProducts()
+        }
+        if (result.failed > 0) {
+            this.showErrorToast(`${result.failed} offline sale(s) failed to sync`)
+        }
+    }
+
+    // The Z-report only counts sales the server has, so a shift can't close
+    // while this cashier still has sales waiting in the offline queue. They
+    // are synced first (failed ones tried again); any the server still
+    // refuses don't hold the close up, but the cashier is told.
+    async getQueuedSalesBlock() {
+        const cashierId = authManager.getCurrentUser()?.id
+
+        if (navigator.onLine) {
+            await offlineQueue.retryFailed()
+            await this.syncOfflineSales()
+        }
+
+        const { pending, failed } = await offlineQueue.getCounts(cashierId)
+        if (pending > 0) {
+            return `${pending} offline sale(s) still to sync - close the shift once they have`
+        }
+        if (failed > 0) {
+            this.showErrorToast(`${failed} offline sale(s) failed to sync and are not in this shift's totals`)
+        }
+        return null
     }
 
     // Add these methods to your POSApp class
@@ -403,11 +821,9 @@ class POSApp {
         const todayTotal = todaySales.reduce((sum, sale) => sum + parseFloat(sale.total), 0)
         const todayCount = todaySales.length
 
-        const cashSales = this.sales.filter(sale => sale.payment_method === 'Cash')
-        const cashTotal = cashSales.reduce((sum, sale) => sum + parseFloat(sale.total), 0)
-
-        const transferSales = this.sales.filter(sale => sale.payment_method === 'Transfer')
-        const transferTotal = transferSales.reduce((sum, sale) => sum + parseFloat(sale.total), 0)
+        // Summed per tender, so split payments count towards both
+        const cashTotal = sumPayments(this.sales, 'Cash')
+        const transferTotal = sumPayments(this.sales, 'Transfer')
 
         document.getElementById('todaySalesTotal').textContent = `$${todayTotal.toFixed(2)}`
         document.getElementById('todaySalesCount').textContent = todayCount
@@ -442,7 +858,7 @@ class POSApp {
                 minute: '2-digit'
             })
 
-            const paymentBadgeClass = sale.payment_method === 'Cash' ? 'payment-cash' : 'payment-transfer'
+            const paymentBadgeClass = getPaymentBadgeClass(sale.payment_method)
 
             // Check if sale_items exists and has data
             const saleItems = sale.sale_items || []
@@ -471,16 +887,60 @@ class POSApp {
                            </div>`
                 }
                 </div>
+                ${this.renderSaleTenders(sale)}
+                ${getRefundedTotal(sale) > 0 ? `
+                <div class="sale-refund-row">
+                    <span>Refunded</span>
+                    <span>-$${getRefundedTotal(sale).toFixed(2)}</span>
+                </div>
+                ` : ''}
                 <div class="sale-footer">
                     <span>Total</span>
                     <span>$${parseFloat(sale.total).toFixed(2)}</span>
                 </div>
+                <div class="sale-card-actions">
+                    <button class="sale-action-btn" onclick="posApp.showSaleReceipt('${sale.id}')">Receipt</button>
+                    ${authManager.can("can_refund") ? `<button class="sale-action-btn" onclick="posApp.showSaleReturn('${sale.id}')">Return</button>` : ''}
+                </div>
             </div>
         `
         }).join('')
     }
 
 
+    // Tender breakdown for split payments, plus cash handed over and change
+    renderSaleTenders(sale) {
+        const parts = []
+
+        if (sale.payment_method === SPLIT_PAYMENT) {
+            parts.push(getSalePayments(sale)
+                .map(payment => `${payment.method} $${payment.amount.toFixed(2)}`)
+                .join(' + '))
+        }
+
+        if (parseFloat(sale.cash_tendered) > 0) {
+            parts.push(`Cash received $${parseFloat(sale.cash_tendered).toFixed(2)} • Change $${parseFloat(sale.change_given || 0).toFixed(2)}`)
+        }
+
+        return parts.map(part => `<div class="sale-tenders">${part}</div>`).join('')
+    }
+
+    // Reprint a receipt from the sales list
+    showSaleReceipt(saleId) {
+        const sale = this.sales.find(s => s.id === saleId)
+        if (!sale) return
+
+        receiptManager.showDialog(receiptManager.build(sale))
+    }
+
+    // Start a return from the sales list
+    showSaleReturn(saleId) {
+        const sale = this.sales.find(s => s.id === saleId)
+        if (!sale) return
+
+        returnsManager.openDialog(sale)
+    }
+
     // Get start of week (for week filter)
     getStartOfWeek() {
         const now = new Date()
@@ -505,6 +965,11 @@ class POSApp {
         document.getElementById('salesSearch').addEventListener('input', (e) => {
             this.filterSales(e.target.value)
         })
+
+        // Returns lookup (by sale ID, receipt or product)
+        document.getElementById('openReturnBtn').addEventListener('click', () => {
+            returnsManager.openDialog()
+        })
     }
 
     // Filter sales by search term
@@ -549,7 +1014,7 @@ class POSApp {
                 minute: '2-digit'
             })
 
-            const paymentBadgeClass = sale.payment_method === 'Cash' ? 'payment-cash' : 'payment-transfer'
+            const paymentBadgeClass = getPaymentBadgeClass(sale.payment_method)
             const saleItems = sale.sale_items || []
 
             return `
@@ -575,10 +1040,21 @@ class POSApp {
                            </div>`
                 }
                 </div>
+                ${this.renderSaleTenders(sale)}
+                ${getRefundedTotal(sale) > 0 ? `
+                <div class="sale-refund-row">
+                    <span>Refunded</span>
+                    <span>-$${getRefundedTotal(sale).toFixed(2)}</span>
+                </div>
+                ` : ''}
                 <div class="sale-footer">
                     <span>Total</span>
                     <span>$${parseFloat(sale.total).toFixed(2)}</span>
                 </div>
+                <div class="sale-card-actions">
+                    <button class="sale-action-btn" onclick="posApp.showSaleReceipt('${sale.id}')">Receipt</button>
+                    ${authManager.can("can_refund") ? `<button class="sale-action-btn" onclick="posApp.showSaleReturn('${sale.id}')">Return</button>` : ''}
+                </div>
             </div>
         `
         }).join('')
@@ -697,7 +1173,7 @@ class POSApp {
                     <div class="inventory-icon">${icon}</div>
                     <div class="inventory-info">
                         <div class="inventory-name">${product.name}</div>
-                        <div class="inventory-meta">${product.category} • ${product.size} • ${product.barcode}</div>
+                        <div class="inventory-meta">${product.category} • ${getVariantLabel(product) || "-"} • ${product.barcode}</div>
                         <span class="inventory-badge ${badgeClass}">${badgeText}</span>
                     </div>
                     <div class="inventory-stock">
@@ -797,7 +1273,7 @@ class POSApp {
                     <div class="inventory-icon">${icon}</div>
                     <div class="inventory-info">
                         <div class="inventory-name">${product.name}</div>
-                        <div class="inventory-meta">${product.category} • ${product.size} • ${product.barcode}</div>
+                        <div class="inventory-meta">${product.category} • ${getVariantLabel(product) || "-"} • ${product.barcode}</div>
                         <span class="inventory-badge ${badgeClass}">${badgeText}</span>
                     </div>
                     <div class="inventory-stock">
@@ -921,31 +1397,247 @@ class POSApp {
 
         document.getElementById('noProducts').classList.add('hidden');
 
-        // Render products with category styling
-        container.innerHTML = products.map(product => {
-            const isOutOfStock = product.stock_quantity === 0;
-            const stockClass = product.stock_quantity < 5 ? 'critical' :
-                product.stock_quantity < 10 ? 'low' : '';
+        // One card per style; styles with several variants open the size/colour picker
+        container.innerHTML = groupProductsByStyle(products).map(style => {
+            const isOutOfStock = style.totalStock === 0;
+            const stockClass = style.totalStock < 5 ? 'critical' :
+                style.totalStock < 10 ? 'low' : '';
+            const single = style.variants.length === 1 ? style.variants[0] : null;
+            const onSale = style.onSale;
+            const onClick = single
+                ? `posApp.addToCart('${single.id}')`
+                : `posApp.openVariantPicker('${style.key}')`;
+            const meta = single
+                ? getVariantLabel(single) || '-'
+                : [style.sizes.join(' '), style.colours.length > 1 ? `${style.colours.length} colours` : style.colours[0]]
+                    .filter(Boolean).join(' • ');
 
             return `
-            <div class="product-card ${isOutOfStock ? 'out-of-stock' : ''}" 
-                 data-category="${product.category}"
-                 onclick="posApp.addToCart('${product.id}')">
+            <div class="product-card ${isOutOfStock ? 'out-of-stock' : ''} ${onSale ? 'on-sale' : ''}" 
+                 data-category="${style.category}"
+                 onclick="${onClick}">
+                ${onSale ? '<span class="sale-badge">SALE</span>' : ''}
                 <div class="category-icon">
-                    ${this.getCategoryIcon(product.category)}
+                    ${this.getCategoryIcon(style.category)}
                 </div>
-                <div class="product-name">${product.name}</div>
-                <div class="product-meta">${product.category} • ${product.size}</div>
+                <div class="product-name">${style.name}</div>
+                <div class="product-meta">${style.category} • ${meta}</div>
                 <div class="product-footer">
-                    <div class="product-price">$${parseFloat(product.price).toFixed(2)}</div>
+                    <div class="product-price">
+                        ${style.minPrice !== style.maxPrice ? 'from ' : ''}$${style.minPrice.toFixed(2)}
+                        ${single && onSale ? `<span class="original-price">$${parseFloat(single.price).toFixed(2)}</span>` : ''}
+                    </div>
                     <div class="product-stock ${stockClass}">
-                        Stock: ${product.stock_quantity}
+                        Stock: ${style.totalStock}
                     </div>
                 </div>
             </div>
         `;
         }).join('');
     }
+
+    // ==================== BARCODE SCANNING ====================
+
+    setupScanner() {
+        this.updateScanModeUI();
+        document
+            .getElementById("scanModeBtn")
+            .addEventListener("click", () => {
+                barcodeScanner.setScanMode(!barcodeScanner.getScanMode());
+                this.updateScanModeUI();
+            });
+
+        // Camera scanning for phones/tablets without a wedge scanner - stays
+        // open so a whole basket can be scanned in one go
+        cameraScanner.bindDialog({
+            onMessage: (message, isError) =>
+                isError ? this.showErrorToast(message) : this.showSuccessToast(message),
+        });
+        document
+            .getElementById("cameraScanBtn")
+            .addEventListener("click", () =>
+                cameraScanner.open({
+                    continuous: true,
+                    onScan: (code) => this.handleBarcodeScan(code),
+                })
+            );
+
+        // Scans count on the POS tab only, and not while a dialog (cash,
+        // returns...) or the lock screen wants the keyboard - the receipt left
+        // up after the last sale is the exception, the next customer's first
+        // scan closes it
+        barcodeScanner.attach({
+            onScan: (code) => this.handleBarcodeScan(code),
+            isEnabled: () =>
+                document.getElementById("posTab").classList.contains("active") &&
+                !lockManager.isLocked() &&
+                !document.querySelector(".pos-dialog.active:not(#receiptDialog)"),
+        });
+    }
+
+    updateScanModeUI() {
+        const enabled = barcodeScanner.getScanMode();
+        const scanModeBtn = document.getElementById("scanModeBtn");
+        scanModeBtn.classList.toggle("active", enabled);
+        scanModeBtn.setAttribute("aria-pressed", enabled);
+        scanModeBtn.title = enabled
+            ? "Scan mode on: repeat scans add another"
+            : "Scan mode off: repeat scans are ignored";
+    }
+
+    async handleBarcodeScan(code) {
+        if (document.getElementById("receiptDialog").classList.contains("active")) {
+            receiptManager.closeDialog();
+        }
+
+        let product = this.products.find(
+            (p) => p.barcode && p.barcode.toLowerCase() === code.toLowerCase()
+        );
+
+        // Not in the loaded catalogue (e.g. added since it was loaded)
+        if (!product && navigator.onLine) {
+            const result = await db.getProductByBarcode(code);
+            if (result.success && result.data) {
+                product = result.data;
+                this.products.push(product);
+            }
+        }
+
+        // Removed products can linger in a catalogue loaded before they went
+        if (!product || product.is_active === false) {
+            this.showScanFeedback(false);
+            this.showErrorToast(`Unknown barcode: ${code}`);
+            return;
+        }
+
+        const name = getProductDisplayName(product);
+        const cartItem = this.cart.find((item) => item.id === product.id);
+
+        if (product.stock_quantity === 0) {
+            this.showScanFeedback(false);
+            this.showErrorToast(`${name} is out of stock`);
+            return;
+        }
+
+        if (cartItem && !barcodeScanner.getScanMode()) {
+            this.showScanFeedback(false);
+            this.showToast(`${name} is already in the cart. Turn on scan mode to add repeats.`);
+            return;
+        }
+
+        if (cartItem && cartItem.quantity >= product.stock_quantity) {
+            this.showScanFeedback(false);
+            this.showErrorToast(`Not enough stock for another ${name}`);
+            return;
+        }
+
+        this.addToCart(product.id);
+        this.showScanFeedback(true);
+    }
+
+    // Beep and flash the search box green (good read) or red (problem)
+    showScanFeedback(success) {
+        barcodeScanner.playTone(success);
+
+        const searchBox = document.querySelector("#posTab .search-box");
+        searchBox.classList.remove("scan-ok", "scan-error");
+        void searchBox.offsetWidth; // restart the animation on back-to-back scans
+        searchBox.classList.add(success ? "scan-ok" : "scan-error");
+
+        clearTimeout(this.scanFeedbackTimer);
+        this.scanFeedbackTimer = setTimeout(() => {
+            searchBox.classList.remove("scan-ok", "scan-error");
+        }, 600);
+    }
+
+    // ==================== VARIANT PICKER ====================
+
+    openVariantPicker(styleKey) {
+        const style = groupProductsByStyle(this.products).find((s) => s.key === styleKey);
+        if (!style) return;
+
+        // Pre-select whichever option has only one choice
+        this.variantPicker = {
+            style,
+            colour: style.colours.length === 1 ? style.colours[0] : null,
+            size: style.sizes.length === 1 ? style.sizes[0] : null,
+        };
+
+        document.getElementById("variantDialogTitle").textContent = style.name;
+        this.renderVariantPicker();
+        document.getElementById("variantDialog").classList.add("active");
+    }
+
+    closeVariantPicker() {
+        document.getElementById("variantDialog").classList.remove("active");
+        this.variantPicker = null;
+    }
+
+    selectVariantOption(kind, value) {
+        this.variantPicker[kind] = value;
+        this.renderVariantPicker();
+    }
+
+    renderVariantPicker() {
+        const { style, colour, size } = this.variantPicker;
+        const inStock = (variant) => !!variant && variant.stock_quantity > 0;
+
+        // Colours: greyed out when nothing in that colour is in stock
+        document.getElementById("variantColourGroup").classList.toggle("hidden", style.colours.length === 0);
+        document.getElementById("variantColours").innerHTML = style.colours
+            .map((option) => {
+                const available = style.variants.some((v) => v.colour === option && inStock(v));
+                return `
+                    <button class="variant-option ${option === colour ? "selected" : ""}"
+                        data-colour="${option}" ${available ? "" : "disabled"}>${option}</button>
+                `;
+            })
+            .join("");
+
+        // Sizes: stock shown for the chosen colour
+        document.getElementById("variantSizeGroup").classList.toggle("hidden", style.sizes.length === 0);
+        document.getElementById("variantSizes").innerHTML = style.sizes
+            .map((option) => {
+                const variant = style.colours.length === 0 || colour
+                    ? findVariant(style, option, colour)
+                    : style.variants.find((v) => v.size === option && inStock(v));
+                return `
+                    <button class="variant-option ${option === size ? "selected" : ""}"
+                        data-size="${option}" ${inStock(variant) ? "" : "disabled"}>
+                        ${option}
+                        <span class="variant-stock">${variant ? variant.stock_quantity : "-"}</span>
+                    </button>
+                `;
+            })
+            .join("");
+
+        const variant = findVariant(style, size, colour);
+        const selection = document.getElementById("variantSelection");
+
+        if (variant) {
+            selection.innerHTML = `
+                <span>${getVariantLabel(variant) || style.name}</span>
+                <span>$${getEffectivePrice(variant).toFixed(2)} • ${variant.stock_quantity} in stock</span>
+            `;
+        } else {
+            const missing = [
+                style.colours.length && !colour ? "a colour" : "",
+                style.sizes.length && !size ? "a size" : "",
+            ].filter(Boolean);
+            selection.innerHTML = `<span>${missing.length ? `Choose ${missing.join(" and ")}` : "Not available in this combination"}</span>`;
+        }
+
+        document.getElementById("addVariantBtn").disabled = !inStock(variant);
+    }
+
+    addSelectedVariant() {
+        const { style, size, colour } = this.variantPicker;
+        const variant = findVariant(style, size, colour);
+        if (!variant) return;
+
+        this.addToCart(variant.id);
+        this.closeVariantPicker();
+    }
     getCategoryIcon(category) {
         if (!this.iconsLoaded) {
             // Return simple fallback if icons aren't loaded yet
@@ -973,8 +1665,9 @@ class POSApp {
         } else {
             this.cart.push({
                 id: product.id,
-                name: product.name,
-                price: parseFloat(product.price),
+                name: getProductDisplayName(product),
+                price: getEffectivePrice(product),
+                originalPrice: parseFloat(product.price),
                 icon: this.getCategoryIcon(product.category),
                 quantity: 1,
                 maxQuantity: product.stock_quantity,
@@ -982,7 +1675,7 @@ class POSApp {
         }
 
         this.updateCartUI();
-        this.showAddToCartToast(product.name);
+        this.showAddToCartToast(getProductDisplayName(product));
     }
 
     // Add this method for toast notifications
@@ -1025,8 +1718,11 @@ class POSApp {
         }
 
         const cartItem = this.cart.find((item) => item.id === productId);
+        if (cartItem && newQuantity < cartItem.quantity && !this.canVoid()) return;
+
         if (cartItem && newQuantity <= cartItem.maxQuantity) {
             cartItem.quantity = newQuantity;
+            cartItem.stockError = null;
             this.updateCartUI();
         } else {
             alert("Not enough stock!");
@@ -1034,11 +1730,23 @@ class POSApp {
     }
 
     removeFromCart(productId) {
+        if (!this.canVoid()) return;
+
         this.cart = this.cart.filter((item) => item.id !== productId);
         this.updateCartUI();
     }
 
+    // Taking items back out of the cart is a void, which needs can_void
+    canVoid() {
+        if (authManager.can("can_void")) return true;
+
+        this.showErrorToast("You don't have permission to void items");
+        return false;
+    }
+
     updateCartUI() {
+        this.enforceDiscountApprovals();
+
         const cartCount = document.getElementById("cartCount");
         const cartTotal = document.getElementById("cartTotal");
         const cartItems = document.getElementById("cartItems");
@@ -1050,13 +1758,18 @@ class POSApp {
             (sum, item) => sum + item.quantity,
             0
         );
-        const totalAmount = this.cart.reduce(
-            (sum, item) => sum + item.price * item.quantity,
-            0
-        );
+        const totals = this.getCartTotals();
 
         cartCount.textContent = totalItems;
-        cartTotal.textContent = `$${totalAmount.toFixed(2)}`;
+        cartTotal.textContent = `$${totals.net.toFixed(2)}`;
+
+        // Subtotal/discount breakdown only when something was taken off
+        document.getElementById("cartBreakdown").classList.toggle("hidden", totals.discount === 0);
+        document.getElementById("cartSubtotal").textContent = `$${totals.gross.toFixed(2)}`;
+        document.getElementById("cartDiscountTotal").textContent = `-$${totals.discount.toFixed(2)}`;
+        document.getElementById("cartDiscountBtn").textContent = this.cartDiscount
+            ? `Cart Discount: ${this.formatDiscount(this.cartDiscount)} (-$${totals.cartDiscount.toFixed(2)})`
+            : "Add Cart Discount";
 
         if (totalItems > 0) {
             cartBadge.textContent = totalItems;
@@ -1076,14 +1789,16 @@ class POSApp {
 
             cartItems.innerHTML = this.cart
                 .map(
-                    (item) => `
-                        <div class="cart-item">
+                    (item, index) => `
+                        <div class="cart-item ${item.stockError ? "has-error" : ""}">
                             <div class="cart-item-icon">${item.icon}</div>
                             <div class="cart-item-details">
                                 <div class="cart-item-name">${item.name}</div>
                                 <div class="cart-item-price">$${item.price.toFixed(
                         2
-                    )}</div>
+                    )}${item.originalPrice > item.price ? ` <span class="original-price">$${item.originalPrice.toFixed(2)}</span>` : ""}</div>
+                                ${item.discount ? `<div class="cart-item-discount">${this.formatDiscount(item.discount)} off (-$${totals.lines[index].lineDiscount.toFixed(2)})</div>` : ""}
+                                ${item.stockError ? `<div class="cart-item-error">${item.stockError}</div>` : ""}
                                 <div class="cart-item-controls">
                                     <button class="qty-btn" onclick="posApp.updateCartItemQuantity('${item.id
                         }', ${item.quantity - 1})">-</button>
@@ -1091,6 +1806,7 @@ class POSApp {
                         }</span>
                                     <button class="qty-btn" onclick="posApp.updateCartItemQuantity('${item.id
                         }', ${item.quantity + 1})">+</button>
+                                    <button class="discount-btn" onclick="posApp.openDiscountDialog('${item.id}')">%</button>
                                     <button class="remove-btn" onclick="posApp.removeFromCart('${item.id
                         }')">
                                         <svg width="20" height="20" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -1116,15 +1832,28 @@ class POSApp {
 
     clearCart() {
         this.cart = [];
+        this.cartDiscount = null;
+        this.discountApproval = null;
+        this.cartSaleId = null;
         this.updateCartUI();
         this.closeCart();
     }
 
     // In pos.html - Update processPayment method
     // In pos.html - Update the processPayment method
-    async processPayment(paymentMethod) {
+    // payments: list of { method, amount } tenders for a split payment
+    // cashTendered: cash the customer handed over (change = tendered - cash due)
+    async processPayment(paymentMethod, payments = null, cashTendered = null) {
         if (this.isProcessingSale) return;
 
+        // A dialog left open after the cart was cleared must not ring up nothing
+        if (this.cart.length === 0) {
+            this.closeCashDialog();
+            this.closeTenderDialog();
+            this.showErrorToast("The cart is empty");
+            return;
+        }
+
         this.isProcessingSale = true;
         this.setPaymentButtonsLoading(true, paymentMethod);
 
@@ -1132,30 +1861,93 @@ class POSApp {
             console.log("Processing payment:", paymentMethod);
             console.log("Cart items:", this.cart);
 
+            // Fixed for the life of the cart, so retrying it (or replaying it
+            // from the offline queue) can never ring it up twice
+            this.cartSaleId = this.cartSaleId || crypto.randomUUID();
+
             const saleData = {
+                client_sale_id: this.cartSaleId,
                 items: this.cart,
-                total: this.cart.reduce(
-                    (sum, item) => sum + item.price * item.quantity,
-                    0
-                ),
+                total: this.getCartTotals().net,
+                cart_discount: this.cartDiscount,
+                discount_approval: this.discountApproval,
                 payment_method: paymentMethod,
+                payments: payments,
+                cash_tendered: cashTendered,
             };
 
             console.log("Sale data:", saleData);
 
+            if (!navigator.onLine) {
+                await this.queueOfflineSale(saleData);
+                return;
+            }
+
             const result = await db.createSale(saleData);
 
             console.log("Sale result:", result);
 
+            if (!result.success && offlineQueue.isNetworkError(result.error)) {
+                await this.queueOfflineSale(saleData);
+                return;
+            }
+
+            // Approvals are single use - the discounts need approving again
+            if (result.code === "APPROVAL_INVALID") {
+                this.discountApproval = null;
+                this.cart.forEach((item) => {
+                    if (item.discount) item.discount.approvedPercent = null;
+                });
+                if (this.cartDiscount) this.cartDiscount.approvedPercent = null;
+                this.updateCartUI();
+                this.showErrorToast(result.error);
+                return;
+            }
+
+            // The approval threshold was changed since the till loaded it
+            if (result.code === "APPROVAL_REQUIRED") {
+                await this.loadShopSettings();
+                this.updateCartUI();
+                this.showErrorToast(result.error);
+                return;
+            }
+
+            // A price changed since the till loaded it - ring the cart up again at the new price
+            if (result.code === "PRICE_CHANGED") {
+                this.applyPriceChanges(result.changedItems);
+                this.showErrorToast(result.error);
+                await this.loadProducts();
+                return;
+            }
+
+            // Another till sold the stock first - flag the short lines in the cart
+            if (result.code === "INSUFFICIENT_STOCK") {
+                this.markInsufficientStock(result.insufficientItems);
+                this.showErrorToast(result.error);
+                return;
+            }
+
             if (result.success) {
-                // Show success message
+                // Show success message (with the change to hand back for cash)
+                const change = parseFloat(result.data.sale.change_given || 0);
                 this.showSuccessToast(
-                    `Sale completed! Total: $${saleData.total.toFixed(2)}`
+                    `Sale completed! Total: $${saleData.total.toFixed(2)}` +
+                    (change > 0 ? ` • Change: $${change.toFixed(2)}` : "")
                 );
 
                 // Clear cart and close modal
                 this.clearCart();
                 this.closeCart();
+                this.closeCashDialog();
+                this.closeTenderDialog();
+
+                receiptManager.showDialog(
+                    receiptManager.build(result.data.sale, {
+                        items: result.data.items,
+                        payments: result.data.payments,
+                        cashierName: authManager.getUserProfile()?.full_name,
+                    })
+                );
 
                 // IMPORTANT: Reload products to get updated stock levels
                 await this.loadProducts();
@@ -1173,6 +1965,362 @@ class POSApp {
         }
     }
 
+    // ==================== CASH TENDER ====================
+
+    openCashDialog() {
+        const amountDue = this.getCartTotals().net;
+
+        document.getElementById("cashAmountDue").textContent = `$${amountDue.toFixed(2)}`;
+        document.getElementById("cashReceived").value = "";
+        document.getElementById("quickCashButtons").innerHTML = getQuickCashAmounts(amountDue)
+            .map(
+                (amount) => `
+                    <button class="quick-cash-btn" onclick="posApp.setCashReceived(${amount})">
+                        ${amount === amountDue ? "Exact" : `$${amount.toFixed(amount % 1 ? 2 : 0)}`}
+                    </button>
+                `
+            )
+            .join("");
+
+        this.updateCashChange();
+        document.getElementById("cashDialog").classList.add("active");
+        document.getElementById("cashReceived").focus();
+    }
+
+    closeCashDialog() {
+        document.getElementById("cashDialog").classList.remove("active");
+    }
+
+    setCashReceived(amount) {
+        document.getElementById("cashReceived").value = amount.toFixed(2);
+        this.updateCashChange();
+    }
+
+    updateCashChange() {
+        const amountDue = this.getCartTotals().net;
+        const received = document.getElementById("cashReceived").value;
+        const change = calculateChange(amountDue, received);
+        const isShort = change < 0;
+
+        document.getElementById("cashChangeBox").classList.toggle("short", isShort && received !== "");
+        document.getElementById("cashChangeLabel").textContent = isShort ? "Still due" : "Change";
+        document.getElementById("cashChange").textContent = `$${Math.abs(change).toFixed(2)}`;
+        document.getElementById("completeCashBtn").disabled = isShort || this.isProcessingSale;
+    }
+
+    completeCashSale() {
+        const received = parseFloat(document.getElementById("cashReceived").value);
+        this.processPayment("Cash", null, received);
+    }
+
+    // ==================== SPLIT PAYMENTS ====================
+
+    openTenderDialog() {
+        this.tenders = [];
+        this.renderTenders();
+        document.getElementById("tenderDialog").classList.add("active");
+    }
+
+    closeTenderDialog() {
+        document.getElementById("tenderDialog").classList.remove("active");
+        this.tenders = [];
+    }
+
+    addTender() {
+        const method = document.getElementById("tenderMethod").value;
+        const amount = parseFloat(document.getElementById("tenderAmount").value);
+        const remaining = getRemainingBalance(this.getCartTotals().net, this.tenders);
+
+        if (!(amount > 0)) {
+            this.showErrorToast("Enter an amount");
+            return;
+        }
+
+        if (amount > remaining + 0.001) {
+            this.showErrorToast(`Only $${remaining.toFixed(2)} left to pay`);
+            return;
+        }
+
+        this.tenders.push({ method, amount: Math.round(amount * 100) / 100 });
+        this.renderTenders();
+    }
+
+    removeTender(index) {
+        this.tenders.splice(index, 1);
+        this.renderTenders();
+    }
+
+    renderTenders() {
+        const total = this.getCartTotals().net;
+        const remaining = getRemainingBalance(total, this.tenders);
+
+        document.getElementById("tenderTotalDue").textContent = `$${total.toFixed(2)}`;
+        document.getElementById("tenderRemaining").textContent = `$${remaining.toFixed(2)}`;
+        document
+            .querySelector(".tender-summary-row.remaining")
+            .classList.toggle("settled", remaining === 0);
+
+        document.getElementById("tenderList").innerHTML = this.tenders
+            .map(
+                (tender, index) => `
+                    <div class="tender-row">
+                        <span>${tender.method}</span>
+                        <span>$${tender.amount.toFixed(2)}
+                            <button class="remove-btn" onclick="posApp.removeTender(${index})">✕</button>
+                        </span>
+                    </div>
+                `
+            )
+            .join("");
+
+        // Suggest the balance as the next tender
+        document.getElementById("tenderAmount").value = remaining > 0 ? remaining.toFixed(2) : "";
+        document.getElementById("completeTenderBtn").disabled =
+            remaining !== 0 || this.tenders.length === 0;
+    }
+
+    // ==================== DISCOUNTS ====================
+
+    // The approval threshold is a shop setting; offline the last default stands
+    async loadShopSettings() {
+        const result = await db.getShopSettings();
+        const percent = parseFloat(result.data?.manager_approval_percent);
+
+        if (!isNaN(percent)) {
+            discountConfig.managerApprovalPercent = percent;
+        }
+    }
+
+    getCartTotals() {
+        return calculateCartTotals(this.cart, this.cartDiscount);
+    }
+
+    formatDiscount(discount) {
+        return discount.type === "percent"
+            ? `${parseFloat(discount.value)}%`
+            : `$${parseFloat(discount.value).toFixed(2)}`;
+    }
+
+    // Amount a discount applies to: the line's gross, or the cart after line discounts
+    getDiscountBase(productId) {
+        if (productId) {
+            const item = this.cart.find((i) => i.id === productId);
+            return item ? item.price * item.quantity : 0;
+        }
+        return this.getCartTotals().subtotal;
+    }
+
+    // productId = null opens the cart-level discount
+    openDiscountDialog(productId = null) {
+        const item = productId ? this.cart.find((i) => i.id === productId) : null;
+        const current = item ? item.discount : this.cartDiscount;
+
+        this.discountTarget = productId;
+
+        document.getElementById("discountDialogTitle").textContent = item
+            ? `Discount: ${item.name}`
+            : "Cart Discount";
+        document.getElementById("discountBaseAmount").textContent =
+            `Applies to $${this.getDiscountBase(productId).toFixed(2)}`;
+        document.getElementById("discountType").value = current?.type || "percent";
+        document.getElementById("discountValue").value = current?.value ?? "";
+        document.getElementById("managerEmail").value = "";
+        document.getElementById("managerPassword").value = "";
+        document.getElementById("removeDiscountBtn").disabled = !current;
+
+        this.updateDiscountPreview();
+        document.getElementById("discountDialog").classList.add("active");
+    }
+
+    closeDiscountDialog() {
+        document.getElementById("discountDialog").classList.remove("active");
+        this.discountTarget = null;
+    }
+
+    readDiscountForm() {
+        return {
+            type: document.getElementById("discountType").value,
+            value: parseFloat(document.getElementById("discountValue").value) || 0,
+        };
+    }
+
+    // Live preview of the amount off, and whether a manager has to sign it off
+    updateDiscountPreview() {
+        const base = this.getDiscountBase(this.discountTarget);
+        const discount = this.readDiscountForm();
+        const amount = calculateDiscount(base, discount);
+
+        document.getElementById("discountPreview").textContent =
+            amount > 0 ? `-$${amount.toFixed(2)} → $${(base - amount).toFixed(2)}` : "";
+        document
+            .getElementById("discountApproval")
+            .classList.toggle("hidden", !this.discountNeedsApproval(base, amount));
+    }
+
+    // A manager signs off discounts over the threshold, and every discount
+    // from a cashier without can_discount
+    discountNeedsApproval(base, amount) {
+        if (amount <= 0) return false;
+        return !authManager.can("can_discount") || needsManagerApproval(base, amount);
+    }
+
+    // A discount is approved as a share of what it applied to. Changing the
+    // cart changes that share (a fixed $10 off is more of one shirt than of
+    // three), so any discount that now needs more approval than it was given
+    // comes off and has to be applied again.
+    enforceDiscountApprovals() {
+        const removed = [];
+
+        // Line discounts first: the cart discount's base is what they leave
+        this.cart.forEach((item) => {
+            if (item.discount && !this.isDiscountApproved(item.id, item.discount)) {
+                item.discount = null;
+                removed.push(item.name);
+            }
+        });
+
+        if (this.cartDiscount && !this.isDiscountApproved(null, this.cartDiscount)) {
+            this.cartDiscount = null;
+            removed.push("the cart");
+        }
+
+        if (removed.length > 0) {
+            this.showErrorToast(`Discount removed from ${removed.join(", ")} - it needs approving again`);
+        }
+    }
+
+    isDiscountApproved(productId, discount) {
+        const base = this.getDiscountBase(productId);
+        const amount = calculateDiscount(base, discount);
+
+        if (!this.discountNeedsApproval(base, amount)) return true;
+        return discount.approvedPercent != null && (amount / base) * 100 <= discount.approvedPercent + 0.01;
+    }
+
+    // Shares of their base taken off by the cart's other discounts, besides
+    // the one on `productId` (null for the cart discount)
+    getOtherDiscountPercents(productId) {
+        const others = this.cart
+            .filter((item) => item.discount && item.id !== productId)
+            .map((item) => ({ productId: item.id, discount: item.discount }));
+
+        if (productId && this.cartDiscount) {
+            others.push({ productId: null, discount: this.cartDiscount });
+        }
+
+        return others.map(({ productId: id, discount }) => {
+            const base = this.getDiscountBase(id);
+            return base > 0 ? (calculateDiscount(base, discount) / base) * 100 : 0;
+        });
+    }
+
+    async applyDiscount() {
+        const base = this.getDiscountBase(this.discountTarget);
+        const discount = this.readDiscountForm();
+        const amount = calculateDiscount(base, discount);
+
+        if (amount <= 0) {
+            this.showErrorToast("Enter a discount value");
+            return;
+        }
+
+        if (discount.type === "percent" && discount.value > 100) {
+            this.showErrorToast("A percentage discount cannot exceed 100%");
+            return;
+        }
+
+        // Above the threshold (or without can_discount) a manager has to enter their credentials
+        if (this.discountNeedsApproval(base, amount)) {
+            const email = document.getElementById("managerEmail").value.trim();
+            const password = document.getElementById("managerPassword").value;
+
+            if (!email || !password) {
+                this.showErrorToast(
+                    authManager.can("can_discount")
+                        ? `Discounts over ${discountConfig.managerApprovalPercent}% need manager approval`
+                        : "Discounts need manager approval"
+                );
+                return;
+            }
+
+            // The new approval replaces any earlier one in this cart, so it
+            // has to cover the discounts that one covered as well
+            const percent = (amount / base) * 100;
+            const approvedPercent = Math.min(100, Math.max(percent, ...this.getOtherDiscountPercents(this.discountTarget)));
+
+            const applyBtn = document.getElementById("applyDiscountBtn");
+            applyBtn.disabled = true;
+            const approval = await authManager.approveDiscount(email, password, approvedPercent);
+            applyBtn.disabled = false;
+
+            if (!approval.success) {
+                this.showErrorToast("Approval failed: " + approval.error);
+                return;
+            }
+
+            this.discountApproval = approval.approval;
+            discount.approvedPercent = percent;
+            console.log("Discount approved by:", approval.manager.full_name);
+        }
+
+        if (this.discountTarget) {
+            const item = this.cart.find((i) => i.id === this.discountTarget);
+            if (item) item.discount = discount;
+        } else {
+            this.cartDiscount = discount;
+        }
+
+        this.closeDiscountDialog();
+        this.updateCartUI();
+    }
+
+    removeDiscount() {
+        if (this.discountTarget) {
+            const item = this.cart.find((i) => i.id === this.discountTarget);
+            if (item) item.discount = null;
+        } else {
+            this.cartDiscount = null;
+        }
+
+        this.closeDiscountDialog();
+        this.updateCartUI();
+    }
+
+    // Flag cart lines the server rejected and cap them at the real stock level
+    markInsufficientStock(insufficientItems = []) {
+        insufficientItems.forEach((shortage) => {
+            const cartItem = this.cart.find((item) => item.id === shortage.product_id);
+            if (cartItem) {
+                cartItem.maxQuantity = shortage.available;
+                cartItem.stockError =
+                    shortage.available > 0
+                        ? `Only ${shortage.available} left in stock`
+                        : "Out of stock";
+            }
+
+            const product = this.products.find((p) => p.id === shortage.product_id);
+            if (product) {
+                product.stock_quantity = shortage.available;
+            }
+        });
+
+        this.updateCartUI();
+        this.filterProducts();
+    }
+
+    // Bring cart lines up to the prices the server charges for them
+    applyPriceChanges(changedItems = []) {
+        changedItems.forEach((change) => {
+            const cartItem = this.cart.find((item) => item.id === change.product_id);
+            if (cartItem) {
+                cartItem.price = parseFloat(change.price);
+                cartItem.originalPrice = parseFloat(change.original_price);
+            }
+        });
+
+        this.updateCartUI();
+    }
+
     // Add these helper methods for better user feedback
     showSuccessToast(message) {
         this.showToast(message, "success");
@@ -1228,10 +2376,17 @@ class POSApp {
         const transferText = document.getElementById("transferText");
         const cashSpinner = document.getElementById("cashSpinner");
         const transferSpinner = document.getElementById("transferSpinner");
+        const splitBtn = document.getElementById("splitPayment");
+        const completeTenderBtn = document.getElementById("completeTenderBtn");
+        const completeCashBtn = document.getElementById("completeCashBtn");
+
+        splitBtn.disabled = loading;
+        completeCashBtn.disabled = loading;
 
         if (loading) {
             cashBtn.disabled = true;
             transferBtn.disabled = true;
+            completeTenderBtn.disabled = true;
 
             if (activeMethod === "Cash") {
                 cashText.style.display = "none";
@@ -1247,6 +2402,14 @@ class POSApp {
             transferText.style.display = "inline-block";
             cashSpinner.style.display = "none";
             transferSpinner.style.display = "none";
+
+            // Re-check the balance if a tender dialog is still open
+            if (document.getElementById("tenderDialog").classList.contains("active")) {
+                this.renderTenders();
+            }
+            if (document.getElementById("cashDialog").classList.contains("active")) {
+                this.updateCashChange();
+            }
         }
     }
 
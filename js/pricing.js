@@ -0,0 +1,86 @@
+// js/pricing.js - Shared price helpers for POS, admin and reports
+
+// A markdown only counts when the flag is on AND a sale price is set
+export const isOnSale = (product) => {
+    const salePrice = parseFloat(product.sale_price)
+    return !!product.is_on_sale && !isNaN(salePrice) && salePrice < parseFloat(product.price)
+}
+
+// The price the customer actually pays at the till
+export const getEffectivePrice = (product) => {
+    return isOnSale(product) ? parseFloat(product.sale_price) : parseFloat(product.price)
+}
+
+// Money given away per unit by a markdown
+export const getMarkdownAmount = (product) => {
+    return parseFloat(product.price) - getEffectivePrice(product)
+}
+
+// ==================== DISCOUNTS ====================
+
+export const discountConfig = {
+    // Discounts above this share of the price need a manager's credentials.
+    // The shop's own figure (shop_settings.manager_approval_percent) replaces it once loaded.
+    managerApprovalPercent: 10,
+    types: {
+        percent: 'Percentage (%)',
+        fixed: 'Fixed amount ($)'
+    }
+}
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100
+
+// Amount taken off `amount` by a { type, value } discount, never more than the amount itself
+export const calculateDiscount = (amount, discount) => {
+    if (!discount || !(discount.value > 0)) return 0
+
+    const value = parseFloat(discount.value)
+    const off = discount.type === 'percent' ? amount * (value / 100) : value
+    return roundMoney(Math.min(Math.max(off, 0), amount))
+}
+
+// Whether a discount of `discountAmount` on `amount` needs a manager to approve it
+export const needsManagerApproval = (amount, discountAmount) => {
+    if (amount <= 0 || discountAmount <= 0) return false
+    return (discountAmount / amount) * 100 > discountConfig.managerApprovalPercent
+}
+
+// Totals for a cart of { price, quantity, discount } lines plus an optional
+// cart-wide discount. The cart discount is shared across the lines in
+// proportion to their value, so every line's net adds up to the sale total.
+export const calculateCartTotals = (items, cartDiscount = null) => {
+    const lines = items.map(item => {
+        const gross = roundMoney(item.price * item.quantity)
+        const lineDiscount = calculateDiscount(gross, item.discount)
+        return { id: item.id, gross, lineDiscount, cartShare: 0 }
+    })
+
+    const gross = roundMoney(lines.reduce((sum, line) => sum + line.gross, 0))
+    const lineDiscounts = roundMoney(lines.reduce((sum, line) => sum + line.lineDiscount, 0))
+    const subtotal = roundMoney(gross - lineDiscounts)
+    const cartDiscountAmount = calculateDiscount(subtotal, cartDiscount)
+
+    // Spread the cart discount by cents; the last line takes the rounding remainder
+    let remaining = cartDiscountAmount
+    lines.forEach((line, index) => {
+        const lineNet = line.gross - line.lineDiscount
+        line.cartShare = index === lines.length - 1
+            ? roundMoney(remaining)
+            : roundMoney(subtotal > 0 ? cartDiscountAmount * (lineNet / subtotal) : 0)
+        remaining = roundMoney(remaining - line.cartShare)
+        line.discount = roundMoney(line.lineDiscount + line.cartShare)
+        line.net = roundMoney(line.gross - line.discount)
+    })
+
+    const discount = roundMoney(lineDiscounts + cartDiscountAmount)
+
+    return {
+        lines,
+        gross,
+        lineDiscounts,
+        subtotal,
+        cartDiscount: cartDiscountAmount,
+        discount,
+        net: roundMoney(gross - discount)
+    }
+}
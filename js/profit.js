@@ -0,0 +1,142 @@
+// js/profit.js - Gross profit, margin and markdown impact from sale lines
+//
+// Cost is the unit_cost snapshotted onto each sale item when it was sold
+// (migration 011), never today's products.cost_price, so editing a cost
+// later does not rewrite past margins. Lines sold without a cost on record
+// are kept out of profit and margin rather than counted as 100% margin.
+import { toDateString } from './date-range.js'
+
+export const profitGroups = {
+    product: 'Product',
+    category: 'Category',
+    cashier: 'Cashier',
+    period: 'Period'
+}
+
+// Margin as a percentage of revenue, or null when there is nothing to divide by
+export const getMarginPercent = (revenue, profit) => {
+    return revenue > 0 ? (profit / revenue) * 100 : null
+}
+
+// Shelf price minus the price actually charged, across the line's units
+export const getLineMarkdown = (item) =>
+    (parseFloat(item.original_price ?? item.unit_price) - parseFloat(item.unit_price)) * item.quantity
+
+// { quantity, revenue, cost, markdown } for a sale line; cost is null when unknown
+export const getLineProfit = (item) => ({
+    quantity: item.quantity,
+    revenue: parseFloat(item.total),
+    cost: item.unit_cost === null || item.unit_cost === undefined ? null : parseFloat(item.unit_cost) * item.quantity,
+    markdown: getLineMarkdown(item)
+})
+
+// A returned line undoes its share of the sale line it came from: revenue is
+// what was refunded, cost and markdown are per unit of the original line
+export const getReturnedProfit = (returnItem) => {
+    const saleItem = returnItem.sale_items
+    const line = saleItem
+        ? getLineProfit({ ...saleItem, quantity: returnItem.quantity, total: returnItem.total })
+        : { quantity: returnItem.quantity, revenue: parseFloat(returnItem.total), cost: null, markdown: 0 }
+
+    return {
+        quantity: -line.quantity,
+        revenue: -line.revenue,
+        cost: line.cost === null ? null : -line.cost,
+        markdown: -line.markdown
+    }
+}
+
+// ==================== TOTALS ====================
+
+const emptyTotals = (name) => ({
+    name,
+    quantity: 0,
+    revenue: 0,
+    cost: 0,
+    profit: 0,
+    markdown: 0,
+    // The lines that have a cost, which profit and margin are taken over
+    costedLines: 0,
+    costedRevenue: 0,
+    costedMarkdown: 0,
+    uncostedRevenue: 0
+})
+
+const addLine = (totals, line) => {
+    totals.quantity += line.quantity
+    totals.revenue += line.revenue
+    totals.markdown += line.markdown
+
+    if (line.cost === null) {
+        totals.uncostedRevenue += line.revenue
+    } else {
+        totals.costedLines += 1
+        totals.cost += line.cost
+        totals.costedRevenue += line.revenue
+        totals.costedMarkdown += line.markdown
+        totals.profit = totals.costedRevenue - totals.cost
+    }
+
+    return totals
+}
+
+// Margin as sold, and the margin the same lines would have made at full
+// shelf price; the gap between the two is what markdowns cost
+const withMargins = (totals) => ({
+    ...totals,
+    margin: getMarginPercent(totals.costedRevenue, totals.profit),
+    fullPriceMargin: getMarginPercent(
+        totals.costedRevenue + totals.costedMarkdown,
+        totals.profit + totals.costedMarkdown
+    )
+})
+
+export const sumProfit = (lines, name = 'Total') => {
+    return withMargins(lines.reduce(addLine, emptyTotals(name)))
+}
+
+// Totals per getKey(line), most profitable first
+export const groupProfit = (lines, getKey) => {
+    const groups = {}
+    lines.forEach(line => {
+        const key = getKey(line)
+        groups[key] = addLine(groups[key] || emptyTotals(key), line)
+    })
+
+    return Object.values(groups)
+        .map(withMargins)
+        .sort((a, b) => b.profit - a.profit || b.revenue - a.revenue)
+}
+
+// ==================== PERIODS ====================
+
+// Ranges longer than this are broken down by month instead of by day
+const DAILY_PERIOD_LIMIT_DAYS = 31
+
+export const getPeriodUnit = (start, end) => {
+    const days = ((end || new Date()) - start) / (24 * 60 * 60 * 1000)
+    return days > DAILY_PERIOD_LIMIT_DAYS ? 'month' : 'day'
+}
+
+// 'YYYY-MM-DD' (or 'YYYY-MM') an instant falls on in `timeZone`, so periods sort as text
+export const getPeriodKey = (instant, timeZone, unit = 'day') => {
+    const date = toDateString(new Date(instant), timeZone)
+    return unit === 'month' ? date.slice(0, 7) : date
+}
+
+export const formatPeriodKey = (key) => {
+    const [year, month, day = 1] = key.split('-').map(Number)
+    return new Date(Date.UTC(year, month - 1, day)).toLocaleDateString('en-US', {
+        timeZone: 'UTC',
+        month: 'short',
+        year: 'numeric',
+        ...(key.length > 7 ? { day: 'numeric', weekday: 'short' } : {})
+    })
+}
+
+// ==================== FORMATTING ====================
+
+// "$12.50" / "-$3.00"; profit can go negative, markdowns and returns see to that
+export const formatMoney = (amount) => `${amount < 0 ? '-' : ''}$${Math.abs(amount).toFixed(2)}`
+
+export const formatMargin = (margin) => margin === null ? '–' : `${margin.toFixed(1)}%`
@@ -0,0 +1,339 @@
+// js/receipt.js - Sale receipts: layout, thermal printing, image export and sharing
+import { getSalePayments } from './payments.js'
+
+export const receiptConfig = {
+    storeName: 'Limitless Apparel',
+    // Printed under the store name, one entry per line
+    headerLines: [],
+    footerLines: ['Thank you for shopping with us!', 'Keep this receipt for returns'],
+    // Thermal roll widths and how many monospace characters fit on a line
+    paperSizes: {
+        58: { label: '58mm', width: 58, columns: 32 },
+        80: { label: '80mm', width: 80, columns: 48 }
+    },
+    defaultPaper: 80
+}
+
+const PAPER_STORAGE_KEY = 'receiptPaper'
+
+const money = (amount) => `$${parseFloat(amount || 0).toFixed(2)}`
+
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+
+// Collects fixed-width { text, strong } rows `columns` characters wide, for
+// anything printed on the receipt roll (receipts, shift reports)
+export const createRowWriter = (columns) => {
+    const rows = []
+    const divider = () => rows.push({ text: '-'.repeat(columns) })
+    const center = (text, strong = false) => {
+        // Word-wrap, then pad each line to the middle
+        const lines = text.split(' ').reduce((result, word) => {
+            const last = result[result.length - 1]
+            if (last && (last + ' ' + word).length <= columns) result[result.length - 1] = last + ' ' + word
+            else result.push(word)
+            return result
+        }, [])
+        lines.forEach(line => {
+            const padding = Math.max(0, Math.floor((columns - line.length) / 2))
+            rows.push({ text: ' '.repeat(padding) + line, strong })
+        })
+    }
+    const pair = (left, right, strong = false) => {
+        const space = columns - left.length - right.length
+        if (space >= 1) {
+            rows.push({ text: left + ' '.repeat(space) + right, strong })
+        } else {
+            rows.push({ text: left, strong })
+            rows.push({ text: right.padStart(columns), strong })
+        }
+    }
+    const wrap = (text) => {
+        for (let i = 0; i < text.length; i += columns) {
+            rows.push({ text: text.slice(i, i + columns) })
+        }
+    }
+
+    return { rows, divider, center, pair, wrap }
+}
+
+class ReceiptManager {
+    constructor() {
+        this.current = null
+        this.dialogBound = false
+    }
+
+    // ==================== LAYOUT ====================
+
+    // Everything a receipt needs from a sale. `items` and `payments` default to
+    // the sale_items / sale_payments joined onto the sale by db.getSales.
+    build(sale, { items = sale.sale_items, payments = sale.sale_payments, cashierName = sale.users?.full_name } = {}) {
+        const lines = (items || []).map(item => ({
+            name: item.product_name,
+            quantity: parseInt(item.quantity),
+            unitPrice: parseFloat(item.unit_price),
+            originalPrice: parseFloat(item.original_price ?? item.unit_price),
+            discount: parseFloat(item.discount_amount || 0),
+            total: parseFloat(item.total)
+        }))
+
+        return {
+            saleId: sale.id,
+            date: new Date(sale.created_at),
+            cashierName: cashierName || 'Unknown',
+            lines,
+            subtotal: parseFloat(sale.subtotal ?? sale.total),
+            discount: parseFloat(sale.discount_total || 0),
+            total: parseFloat(sale.total),
+            payments: getSalePayments({ ...sale, sale_payments: payments }),
+            cashTendered: sale.cash_tendered != null ? parseFloat(sale.cash_tendered) : null,
+            change: parseFloat(sale.change_given || 0)
+        }
+    }
+
+    // Receipt as fixed-width rows of { text, strong } so print, image and
+    // text exports all share one layout
+    toRows(receipt, columns) {
+        const { rows, divider, center, pair, wrap } = createRowWriter(columns)
+
+        center(receiptConfig.storeName.toUpperCase(), true)
+        receiptConfig.headerLines.forEach(line => center(line))
+        divider()
+
+        wrap(`Sale ID: ${receipt.saleId}`)
+        pair('Date:', receipt.date.toLocaleString('en-US', {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        }))
+        pair('Cashier:', receipt.cashierName)
+        divider()
+
+        receipt.lines.forEach(line => {
+            wrap(line.name)
+            pair(`  ${line.quantity} x ${money(line.unitPrice)}`, money(line.unitPrice * line.quantity))
+            if (line.originalPrice > line.unitPrice) {
+                rows.push({ text: `  (was ${money(line.originalPrice)})` })
+            }
+            if (line.discount > 0) {
+                pair('  Discount', `-${money(line.discount)}`)
+            }
+        })
+        divider()
+
+        if (receipt.discount > 0) {
+            pair('Subtotal', money(receipt.subtotal))
+            pair('Discount', `-${money(receipt.discount)}`)
+        }
+        pair('TOTAL', money(receipt.total), true)
+        divider()
+
+        receipt.payments.forEach(payment => pair(payment.method, money(payment.amount)))
+        if (receipt.cashTendered != null) {
+            pair('Cash received', money(receipt.cashTendered))
+            pair('Change', money(receipt.change), true)
+        }
+        divider()
+
+        receiptConfig.footerLines.forEach(line => center(line))
+
+        return rows
+    }
+
+    toText(receipt, paper = this.getPaper()) {
+        const { columns } = receiptConfig.paperSizes[paper]
+        return this.toRows(receipt, columns).map(row => row.text.trimEnd()).join('\n')
+    }
+
+    toDocument(receipt, paper = this.getPaper()) {
+        const { columns } = receiptConfig.paperSizes[paper]
+        return this.rowsToDocument(this.toRows(receipt, columns), `Receipt ${receipt.saleId}`, paper)
+    }
+
+    // Standalone HTML document of rows sized for the thermal roll
+    rowsToDocument(rows, title, paper = this.getPaper()) {
+        const { width, columns } = receiptConfig.paperSizes[paper]
+        const body = rows
+            .map(row => row.strong ? `<strong>${escapeHtml(row.text)}</strong>` : escapeHtml(row.text))
+            .join('\n')
+
+        // A monospace glyph is ~0.6em wide, so this fits `columns` characters
+        // inside the roll with a few millimetres of margin either side
+        const fontSize = ((width - 8) / columns / 0.6).toFixed(2)
+
+        return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="UTF-8" />
+<title>${escapeHtml(title)}</title>
+<style>
+    @page { size: ${width}mm auto; margin: 0; }
+    html, body { margin: 0; padding: 0; background: white; }
+    pre {
+        width: ${width - 8}mm;
+        margin: 0 4mm;
+        padding: 4mm 0;
+        font-family: 'Courier New', Courier, monospace;
+        font-size: ${fontSize}mm;
+        line-height: 1.3;
+        color: black;
+        white-space: pre;
+    }
+</style>
+</head>
+<body><pre>${body}</pre></body>
+</html>`
+    }
+
+    // ==================== OUTPUT ====================
+
+    print(receipt, paper = this.getPaper()) {
+        return this.printDocument(this.toDocument(receipt, paper))
+    }
+
+    // Print through a hidden iframe so the page itself is untouched.
+    // The browser's print dialog also offers "Save as PDF".
+    printDocument(html) {
+        return new Promise(resolve => {
+            const frame = document.createElement('iframe')
+            frame.style.cssText = 'position:fixed;right:0;bottom:0;width:0;height:0;border:0'
+            frame.onload = () => {
+                frame.contentWindow.focus()
+                frame.contentWindow.print()
+                // print() blocks until the dialog closes in most browsers
+                setTimeout(() => {
+                    frame.remove()
+                    resolve()
+                }, 1000)
+            }
+            frame.srcdoc = html
+            document.body.appendChild(frame)
+        })
+    }
+
+    // Draw the receipt onto a canvas and download it as a PNG
+    async downloadImage(receipt, paper = this.getPaper()) {
+        const { columns } = receiptConfig.paperSizes[paper]
+        const rows = this.toRows(receipt, columns)
+        const scale = 2
+        const fontSize = 14
+        const lineHeight = Math.round(fontSize * 1.35)
+        const padding = 16
+        const font = (strong) => `${strong ? 'bold ' : ''}${fontSize * scale}px 'Courier New', Courier, monospace`
+
+        const canvas = document.createElement('canvas')
+        const context = canvas.getContext('2d')
+        context.font = font(false)
+        const charWidth = context.measureText('M').width / scale
+
+        canvas.width = Math.ceil((columns * charWidth + padding * 2) * scale)
+        canvas.height = Math.ceil((rows.length * lineHeight + padding * 2) * scale)
+
+        context.fillStyle = '#ffffff'
+        context.fillRect(0, 0, canvas.width, canvas.height)
+        context.fillStyle = '#000000'
+        context.textBaseline = 'top'
+
+        rows.forEach((row, index) => {
+            context.font = font(row.strong)
+            context.fillText(row.text, padding * scale, (padding + index * lineHeight) * scale)
+        })
+
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'))
+        const url = window.URL.createObjectURL(blob)
+        const a = document.createElement('a')
+        a.href = url
+        a.download = `receipt-${receipt.saleId.slice(-8)}.png`
+        document.body.appendChild(a)
+        a.click()
+        document.body.removeChild(a)
+        window.URL.revokeObjectURL(url)
+    }
+
+    // Send the plain-text receipt through the device's share sheet
+    // (WhatsApp, SMS, email...), or copy it when sharing isn't available
+    async share(receipt, paper = this.getPaper()) {
+        const text = this.toText(receipt, paper)
+
+        try {
+            if (navigator.share) {
+                await navigator.share({ title: `${receiptConfig.storeName} receipt`, text })
+                return { success: true, method: 'share' }
+            }
+
+            await navigator.clipboard.writeText(text)
+            return { success: true, method: 'clipboard' }
+        } catch (error) {
+            // Closing the share sheet is not an error worth reporting
+            if (error.name === 'AbortError') return { success: false, cancelled: true }
+            console.error('Error sharing receipt:', error)
+            return { success: false, error: error.message }
+        }
+    }
+
+    // ==================== PAPER ====================
+
+    getPaper() {
+        const saved = parseInt(localStorage.getItem(PAPER_STORAGE_KEY))
+        return receiptConfig.paperSizes[saved] ? saved : receiptConfig.defaultPaper
+    }
+
+    setPaper(paper) {
+        localStorage.setItem(PAPER_STORAGE_KEY, paper)
+    }
+
+    // ==================== DIALOG ====================
+    // pos.html and admin.html both carry a #receiptDialog with the same ids
+
+    bindDialog({ onMessage = () => {} } = {}) {
+        if (this.dialogBound || !document.getElementById('receiptDialog')) return
+        this.dialogBound = true
+
+        const paperSelect = document.getElementById('receiptPaper')
+        paperSelect.innerHTML = Object.entries(receiptConfig.paperSizes)
+            .map(([value, size]) => `<option value="${value}">${size.label}</option>`)
+            .join('')
+        paperSelect.value = this.getPaper()
+        paperSelect.addEventListener('change', () => {
+            this.setPaper(paperSelect.value)
+            this.renderPreview()
+        })
+
+        document.getElementById('closeReceiptDialog').addEventListener('click', () => this.closeDialog())
+        document.getElementById('doneReceiptBtn').addEventListener('click', () => this.closeDialog())
+        document.getElementById('printReceiptBtn').addEventListener('click', () => this.print(this.current))
+        document.getElementById('saveReceiptBtn').addEventListener('click', () => this.downloadImage(this.current))
+        document.getElementById('shareReceiptBtn').addEventListener('click', async () => {
+            const result = await this.share(this.current)
+            if (result.method === 'clipboard') onMessage('Receipt copied to clipboard')
+            else if (!result.success && !result.cancelled) onMessage('Could not share receipt: ' + result.error, true)
+        })
+    }
+
+    showDialog(receipt) {
+        this.current = receipt
+        this.renderPreview()
+        document.getElementById('receiptDialog').classList.add('active')
+    }
+
+    closeDialog() {
+        document.getElementById('receiptDialog').classList.remove('active')
+        this.current = null
+    }
+
+    renderPreview() {
+        if (!this.current) return
+
+        const preview = document.getElementById('receiptPreview')
+        preview.onload = () => {
+            preview.style.height = `${preview.contentDocument.documentElement.scrollHeight}px`
+        }
+        preview.srcdoc = this.toDocument(this.current)
+    }
+}
+
+export const receiptManager = new ReceiptManager()
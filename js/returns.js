@@ -0,0 +1,411 @@
+// js/returns.js - Returns, refunds and exchanges against an original sale
+import { db } from './db.js'
+import { PAYMENT_METHODS } from './payments.js'
+import { getEffectivePrice } from './pricing.js'
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100
+
+// Total already refunded on a sale (returns joined by db.getSales)
+export const getRefundedTotal = (sale) => {
+    return roundMoney((sale.returns || []).reduce((sum, ret) => sum + parseFloat(ret.total), 0))
+}
+
+// Sale lines with how many units can still come back and what each refunds.
+// The refund is what the customer paid per unit, after markdowns and discounts.
+export const getReturnableLines = (sale) => {
+    const returnedBySaleItem = {}
+    const returnedItems = (sale.returns || []).flatMap(ret => ret.return_items || [])
+    returnedItems.forEach(item => {
+        returnedBySaleItem[item.sale_item_id] = (returnedBySaleItem[item.sale_item_id] || 0) + item.quantity
+    })
+
+    return (sale.sale_items || []).map(item => {
+        const returned = returnedBySaleItem[item.id] || 0
+        return {
+            saleItemId: item.id,
+            productName: item.product_name,
+            sold: item.quantity,
+            returned,
+            available: item.quantity - returned,
+            unitRefund: parseFloat(item.total) / item.quantity
+        }
+    })
+}
+
+class ReturnsManager {
+    constructor() {
+        this.sale = null
+        this.quantities = {}
+        this.results = []
+        // 'return' refunds the lines; 'exchange' swaps them for replacements
+        this.mode = 'return'
+        this.replacements = []
+        this.isProcessing = false
+        this.dialogBound = false
+        this.onMessage = () => {}
+        this.onReturnCompleted = () => {}
+        this.getProducts = () => []
+    }
+
+    // ==================== DIALOG ====================
+    // pos.html and admin.html both carry a #returnDialog with the same ids
+
+    // getProducts: the page's loaded catalogue, for picking exchange replacements
+    bindDialog({ onMessage = () => {}, onReturnCompleted = () => {}, getProducts = () => [] } = {}) {
+        if (this.dialogBound || !document.getElementById('returnDialog')) return
+        this.dialogBound = true
+        this.onMessage = onMessage
+        this.onReturnCompleted = onReturnCompleted
+        this.getProducts = getProducts
+
+        document.getElementById('returnRefundMethod').innerHTML = PAYMENT_METHODS
+            .map(method => `<option value="${method}">${method}</option>`)
+            .join('')
+
+        document.getElementById('closeReturnDialog').addEventListener('click', () => this.closeDialog())
+        document.getElementById('cancelReturnBtn').addEventListener('click', () => this.closeDialog())
+        document.getElementById('completeReturnBtn').addEventListener('click', () => this.submit())
+        document.getElementById('returnSearchBtn').addEventListener('click', () => this.search())
+        document.getElementById('returnSearchInput').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.search()
+        })
+
+        // Search results and quantity inputs are re-rendered, so delegate
+        document.getElementById('returnSearchResults').addEventListener('click', (e) => {
+            const result = e.target.closest('[data-sale-id]')
+            if (result) this.selectSale(this.results.find(sale => sale.id === result.dataset.saleId))
+        })
+        document.getElementById('returnLines').addEventListener('input', (e) => {
+            const saleItemId = e.target.dataset.saleItemId
+            if (saleItemId) this.setQuantity(saleItemId, e.target.value)
+        })
+
+        // Exchanges
+        document.querySelectorAll('[data-return-mode]').forEach(btn => {
+            btn.addEventListener('click', () => this.setMode(btn.dataset.returnMode))
+        })
+        document.getElementById('exchangeProductSearch').addEventListener('input', (e) => {
+            this.searchReplacementProducts(e.target.value)
+        })
+        document.getElementById('exchangeProductResults').addEventListener('click', (e) => {
+            const result = e.target.closest('[data-product-id]')
+            if (result) this.addReplacement(result.dataset.productId)
+        })
+        document.getElementById('exchangeItems').addEventListener('input', (e) => {
+            const productId = e.target.dataset.replacementId
+            if (productId) this.setReplacementQuantity(productId, e.target.value)
+        })
+        document.getElementById('exchangeItems').addEventListener('click', (e) => {
+            const remove = e.target.closest('[data-remove-replacement]')
+            if (remove) this.removeReplacement(remove.dataset.removeReplacement)
+        })
+    }
+
+    // Open empty for a lookup, or straight onto a sale from a sales list
+    openDialog(sale = null) {
+        this.sale = null
+        this.results = []
+        this.quantities = {}
+        this.replacements = []
+        document.getElementById('returnSearchInput').value = ''
+        document.getElementById('returnReason').value = ''
+        document.getElementById('returnSearchResults').innerHTML = ''
+        document.getElementById('exchangeProductSearch').value = ''
+        document.getElementById('exchangeProductResults').innerHTML = ''
+        this.setMode('return')
+
+        if (sale) {
+            this.selectSale(sale)
+        } else {
+            this.render()
+        }
+
+        document.getElementById('returnDialog').classList.add('active')
+        if (!sale) document.getElementById('returnSearchInput').focus()
+    }
+
+    closeDialog() {
+        document.getElementById('returnDialog').classList.remove('active')
+        this.sale = null
+    }
+
+    async search() {
+        const query = document.getElementById('returnSearchInput').value
+        const container = document.getElementById('returnSearchResults')
+        if (!query.trim()) return
+
+        container.innerHTML = '<div class="return-empty">Searching...</div>'
+        const result = await db.findSales(query)
+
+        if (!result.success) {
+            container.innerHTML = ''
+            this.onMessage('Sale lookup failed: ' + result.error, true)
+            return
+        }
+
+        this.results = result.data
+
+        if (this.results.length === 1) {
+            container.innerHTML = ''
+            this.selectSale(this.results[0])
+            return
+        }
+
+        container.innerHTML = this.results.length === 0
+            ? '<div class="return-empty">No matching sales</div>'
+            : this.results.map(sale => `
+                <button class="return-result" data-sale-id="${sale.id}">
+                    <span>Sale #${sale.id.slice(-4)} • ${new Date(sale.created_at).toLocaleDateString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}</span>
+                    <span>$${parseFloat(sale.total).toFixed(2)}</span>
+                </button>
+            `).join('')
+    }
+
+    selectSale(sale) {
+        if (!sale) return
+        this.sale = sale
+        this.quantities = {}
+        document.getElementById('returnSearchResults').innerHTML = ''
+        this.render()
+    }
+
+    setQuantity(saleItemId, value) {
+        const line = getReturnableLines(this.sale).find(l => l.saleItemId === saleItemId)
+        const quantity = Math.min(Math.max(parseInt(value) || 0, 0), line ? line.available : 0)
+        this.quantities[saleItemId] = quantity
+        this.updateTotal()
+    }
+
+    // Refund shown before submitting; create_return works out the final cents
+    getRefundEstimate() {
+        if (!this.sale) return 0
+        return roundMoney(getReturnableLines(this.sale)
+            .reduce((sum, line) => sum + line.unitRefund * (this.quantities[line.saleItemId] || 0), 0))
+    }
+
+    // ==================== EXCHANGES ====================
+
+    setMode(mode) {
+        this.mode = mode
+        document.querySelectorAll('[data-return-mode]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.returnMode === mode)
+        })
+        document.getElementById('exchangeSection').classList.toggle('hidden', mode !== 'exchange')
+        document.getElementById('completeReturnBtn').textContent = mode === 'exchange' ? 'Complete Exchange' : 'Refund'
+        this.renderReplacements()
+    }
+
+    searchReplacementProducts(term) {
+        const container = document.getElementById('exchangeProductResults')
+        const search = term.trim().toLowerCase()
+
+        if (!search) {
+            container.innerHTML = ''
+            return
+        }
+
+        const matches = this.getProducts()
+            .filter(product => product.is_active !== false && product.stock_quantity > 0)
+            .filter(product =>
+                product.name.toLowerCase().includes(search) ||
+                (product.barcode && product.barcode.toLowerCase().includes(search))
+            )
+            .slice(0, 6)
+
+        container.innerHTML = matches.length === 0
+            ? '<div class="return-empty">No products in stock match</div>'
+            : matches.map(product => `
+                <button class="return-result" data-product-id="${product.id}">
+                    <span>${product.name} <small>(${product.stock_quantity} left)</small></span>
+                    <span>$${getEffectivePrice(product).toFixed(2)}</span>
+                </button>
+            `).join('')
+    }
+
+    addReplacement(productId) {
+        const product = this.getProducts().find(p => p.id === productId)
+        if (!product) return
+
+        const existing = this.replacements.find(item => item.id === productId)
+        if (existing) {
+            existing.quantity = Math.min(existing.quantity + 1, product.stock_quantity)
+        } else {
+            this.replacements.push({
+                id: product.id,
+                name: product.name,
+                price: getEffectivePrice(product),
+                originalPrice: parseFloat(product.price),
+                quantity: 1,
+                maxQuantity: product.stock_quantity
+            })
+        }
+
+        document.getElementById('exchangeProductSearch').value = ''
+        document.getElementById('exchangeProductResults').innerHTML = ''
+        this.renderReplacements()
+    }
+
+    setReplacementQuantity(productId, value) {
+        const item = this.replacements.find(i => i.id === productId)
+        if (!item) return
+        item.quantity = Math.min(Math.max(parseInt(value) || 0, 0), item.maxQuantity)
+        this.updateTotal()
+    }
+
+    removeReplacement(productId) {
+        this.replacements = this.replacements.filter(item => item.id !== productId)
+        this.renderReplacements()
+    }
+
+    getReplacementTotal() {
+        return roundMoney(this.replacements.reduce((sum, item) => sum + item.price * item.quantity, 0))
+    }
+
+    renderReplacements() {
+        document.getElementById('exchangeItems').innerHTML = this.replacements.map(item => `
+            <div class="return-line">
+                <div class="return-line-info">
+                    <div class="return-line-name">${item.name}</div>
+                    <div class="return-line-meta">$${item.price.toFixed(2)} each</div>
+                </div>
+                <input type="number" class="form-input return-line-qty" min="1" max="${item.maxQuantity}" step="1"
+                    value="${item.quantity}" data-replacement-id="${item.id}" />
+                <button class="return-line-remove" data-remove-replacement="${item.id}" title="Remove">&times;</button>
+            </div>
+        `).join('')
+
+        this.updateTotal()
+    }
+
+    render() {
+        const details = document.getElementById('returnSaleDetails')
+        const linesContainer = document.getElementById('returnLines')
+
+        if (!this.sale) {
+            details.classList.add('hidden')
+            linesContainer.innerHTML = ''
+            this.updateTotal()
+            return
+        }
+
+        details.classList.remove('hidden')
+        document.getElementById('returnSaleLabel').textContent =
+            `Sale #${this.sale.id.slice(-4)} • ${new Date(this.sale.created_at).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })} • $${parseFloat(this.sale.total).toFixed(2)}`
+
+        // Refund the way the customer paid by default
+        const method = this.sale.payment_method
+        if (PAYMENT_METHODS.includes(method)) {
+            document.getElementById('returnRefundMethod').value = method
+        }
+
+        linesContainer.innerHTML = getReturnableLines(this.sale).map(line => `
+            <div class="return-line ${line.available === 0 ? 'returned' : ''}">
+                <div class="return-line-info">
+                    <div class="return-line-name">${line.productName}</div>
+                    <div class="return-line-meta">
+                        Sold ${line.sold}${line.returned ? ` • ${line.returned} returned` : ''} • $${line.unitRefund.toFixed(2)} each
+                    </div>
+                </div>
+                <input type="number" class="form-input return-line-qty" min="0" max="${line.available}" step="1"
+                    value="0" data-sale-item-id="${line.saleItemId}" ${line.available === 0 ? 'disabled' : ''} />
+            </div>
+        `).join('')
+
+        this.updateTotal()
+    }
+
+    updateTotal() {
+        const estimate = this.getRefundEstimate()
+        const isExchange = this.mode === 'exchange'
+        let label = 'Refund'
+        let amount = estimate
+
+        if (isExchange) {
+            const replacementTotal = this.getReplacementTotal()
+            const difference = roundMoney(replacementTotal - estimate)
+            document.getElementById('exchangeCredit').textContent = `$${estimate.toFixed(2)}`
+            document.getElementById('exchangeReplacement').textContent = `$${replacementTotal.toFixed(2)}`
+
+            label = difference > 0 ? 'Customer pays' : difference < 0 ? 'Refund customer' : 'No difference'
+            amount = Math.abs(difference)
+        }
+
+        document.getElementById('returnTotalLabel').textContent = label
+        document.getElementById('returnTotal').textContent = `$${amount.toFixed(2)}`
+        document.getElementById('returnRefundMethodLabel').textContent = isExchange ? 'Settle difference by' : 'Refund by'
+        document.getElementById('completeReturnBtn').disabled = !this.canSubmit() || this.isProcessing
+    }
+
+    canSubmit() {
+        if (!this.hasSelection()) return false
+        if (this.mode !== 'exchange') return true
+        return this.replacements.some(item => item.quantity > 0)
+    }
+
+    hasSelection() {
+        return Object.values(this.quantities).some(quantity => quantity > 0)
+    }
+
+    getReturnedItems() {
+        return Object.entries(this.quantities)
+            .filter(([, quantity]) => quantity > 0)
+            .map(([saleItemId, quantity]) => ({ sale_item_id: saleItemId, quantity }))
+    }
+
+    async submit() {
+        if (!this.sale || !this.canSubmit() || this.isProcessing) return
+
+        if (!navigator.onLine) {
+            this.onMessage('Returns need a connection - please try again once online', true)
+            return
+        }
+
+        this.isProcessing = true
+        this.updateTotal()
+
+        try {
+            const method = document.getElementById('returnRefundMethod').value
+            const reason = document.getElementById('returnReason').value
+            const result = this.mode === 'exchange'
+                ? await db.createExchange({
+                    sale_id: this.sale.id,
+                    reason,
+                    settlement_method: method,
+                    returns: this.getReturnedItems(),
+                    items: this.replacements.filter(item => item.quantity > 0)
+                })
+                : await db.createReturn({
+                    sale_id: this.sale.id,
+                    refund_method: method,
+                    reason,
+                    items: this.getReturnedItems()
+                })
+
+            if (!result.success) {
+                this.onMessage(result.error, true)
+                return
+            }
+
+            this.onMessage(this.mode === 'exchange'
+                ? this.describeExchange(result.data.exchange)
+                : `Refunded $${parseFloat(result.data.return.total).toFixed(2)} by ${result.data.return.refund_method}`)
+            this.closeDialog()
+            await this.onReturnCompleted(result.data)
+        } catch (error) {
+            console.error('Error processing return:', error)
+            this.onMessage('Error processing return: ' + error.message, true)
+        } finally {
+            this.isProcessing = false
+            if (this.sale) this.updateTotal()
+        }
+    }
+
+    describeExchange(exchange) {
+        const difference = parseFloat(exchange.difference)
+        if (difference > 0) return `Exchange complete - customer paid $${difference.toFixed(2)} by ${exchange.settlement_method}`
+        if (difference < 0) return `Exchange complete - refunded $${Math.abs(difference).toFixed(2)} by ${exchange.settlement_method}`
+        return 'Exchange complete - no difference to settle'
+    }
+}
+
+export const returnsManager = new ReturnsManager()
@@ -0,0 +1,361 @@
+// js/scanner.js - Barcode scanner input: keyboard-wedge (USB/Bluetooth) scanners, the device camera and scan feedback
+
+export const scannerConfig = {
+    // Wedge scanners "type" a whole code in a few milliseconds; people don't.
+    // Keys closer together than this belong to the same burst.
+    maxKeyInterval: 50,
+    // Shortest burst treated as a barcode (LIM001 is 6)
+    minLength: 4,
+    // Scanners set up without an Enter suffix finish when the burst goes quiet
+    idleTimeout: 100
+}
+
+const SCAN_MODE_STORAGE_KEY = 'scanMode'
+
+// Symbologies the camera looks for (BarcodeDetector names)
+const CAMERA_FORMATS = ['code_128', 'ean_13', 'ean_8', 'upc_a', 'upc_e', 'code_39', 'qr_code']
+
+// Decoder for browsers without BarcodeDetector (iOS Safari, Firefox), only
+// downloaded the first time one of them opens the camera
+const ZXING_URL = 'https://cdn.jsdelivr.net/npm/@zxing/library@0.21.3/+esm'
+
+// Time between decode attempts, and how long the camera ignores the code it just read
+const CAMERA_SCAN_INTERVAL = 150
+const CAMERA_REPEAT_DELAY = 2000
+
+const isEditable = (element) => element && (
+    element.tagName === 'INPUT' ||
+    element.tagName === 'TEXTAREA' ||
+    element.isContentEditable
+)
+
+class BarcodeScanner {
+    constructor() {
+        this.buffer = ''
+        this.lastKeyTime = 0
+        this.timer = null
+        this.target = null
+        this.targetValue = null
+        this.onScan = null
+        this.isEnabled = () => true
+        this.audioContext = null
+    }
+
+    // ==================== KEYBOARD WEDGE ====================
+
+    // Listen for scanner bursts anywhere on the page. `isEnabled` is checked
+    // on every key so the page can pause scanning (other tab, dialog open).
+    attach({ onScan, isEnabled = () => true }) {
+        if (this.onScan) return
+        this.onScan = onScan
+        this.isEnabled = isEnabled
+
+        // Capture phase, so a burst is seen before any focused field acts on its Enter
+        document.addEventListener('keydown', (e) => this.handleKeydown(e), true)
+    }
+
+    handleKeydown(e) {
+        if (!this.isEnabled() || e.ctrlKey || e.altKey || e.metaKey) {
+            this.reset()
+            return
+        }
+
+        const now = performance.now()
+        if (now - this.lastKeyTime > scannerConfig.maxKeyInterval) {
+            // Too slow to be the same burst - this key starts a new one
+            this.reset()
+        }
+        this.lastKeyTime = now
+
+        if (e.key === 'Enter') {
+            if (this.buffer.length >= scannerConfig.minLength) {
+                e.preventDefault()
+                e.stopPropagation()
+                this.finish()
+            } else {
+                this.reset()
+            }
+            return
+        }
+
+        if (e.key.length !== 1) return
+
+        if (!this.buffer) {
+            // Remember what the focused field held before the burst typed into it
+            this.target = isEditable(e.target) ? e.target : null
+            this.targetValue = this.target ? this.target.value : null
+        }
+
+        this.buffer += e.key
+
+        clearTimeout(this.timer)
+        this.timer = setTimeout(() => {
+            if (this.buffer.length >= scannerConfig.minLength) this.finish()
+            else this.reset()
+        }, scannerConfig.idleTimeout)
+    }
+
+    finish() {
+        const code = this.buffer.trim()
+
+        // Take the scanned characters back out of whatever field had focus
+        if (this.target && this.targetValue !== null) {
+            this.target.value = this.targetValue
+            this.target.dispatchEvent(new Event('input', { bubbles: true }))
+        }
+
+        this.reset()
+        if (code) this.onScan(code)
+    }
+
+    reset() {
+        clearTimeout(this.timer)
+        this.buffer = ''
+        this.target = null
+        this.targetValue = null
+    }
+
+    // ==================== SCAN MODE ====================
+    // With scan mode on, scanning an item that is already in the cart adds
+    // another one. With it off, repeat scans are treated as accidental double
+    // reads and ignored.
+
+    getScanMode() {
+        return localStorage.getItem(SCAN_MODE_STORAGE_KEY) === 'on'
+    }
+
+    setScanMode(enabled) {
+        localStorage.setItem(SCAN_MODE_STORAGE_KEY, enabled ? 'on' : 'off')
+    }
+
+    // ==================== FEEDBACK ====================
+
+    // Short beep for a good read, low double buzz for an unknown code
+    playTone(success = true) {
+        try {
+            const AudioContext = window.AudioContext || window.webkitAudioContext
+            if (!AudioContext) return
+            this.audioContext = this.audioContext || new AudioContext()
+
+            const context = this.audioContext
+            const beeps = success ? [{ at: 0, frequency: 1760 }] : [{ at: 0, frequency: 220 }, { at: 0.18, frequency: 220 }]
+            const length = success ? 0.08 : 0.14
+
+            beeps.forEach(({ at, frequency }) => {
+                const oscillator = context.createOscillator()
+                const gain = context.createGain()
+                oscillator.type = success ? 'sine' : 'square'
+                oscillator.frequency.value = frequency
+                gain.gain.value = 0.15
+                oscillator.connect(gain)
+                gain.connect(context.destination)
+                oscillator.start(context.currentTime + at)
+                oscillator.stop(context.currentTime + at + length)
+            })
+        } catch (error) {
+            // No audio is not worth interrupting a sale for
+            console.warn('Could not play scan tone:', error)
+        }
+
+        if (!success && navigator.vibrate) navigator.vibrate([80, 60, 80])
+    }
+}
+
+export const barcodeScanner = new BarcodeScanner()
+
+class CameraScanner {
+    constructor() {
+        this.stream = null
+        this.detect = null
+        this.timer = null
+        this.onScan = null
+        this.continuous = false
+        this.lastCode = null
+        this.lastCodeTime = 0
+        this.dialogBound = false
+        this.onMessage = () => {}
+    }
+
+    isSupported() {
+        // getUserMedia only exists on HTTPS (or localhost)
+        return !!navigator.mediaDevices?.getUserMedia
+    }
+
+    // ==================== DECODER ====================
+
+    // Returns `detect(video)`, resolving to the first barcode in the frame or null
+    async createDetector() {
+        if ('BarcodeDetector' in window) {
+            const supported = await window.BarcodeDetector.getSupportedFormats()
+            const formats = CAMERA_FORMATS.filter(format => supported.includes(format))
+
+            if (formats.length) {
+                const detector = new window.BarcodeDetector({ formats })
+                return async (video) => {
+                    const codes = await detector.detect(video)
+                    return codes.length ? codes[0].rawValue : null
+                }
+            }
+        }
+
+        const ZXing = await import(ZXING_URL)
+        const reader = new ZXing.MultiFormatReader()
+        reader.setHints(new Map([
+            [ZXing.DecodeHintType.POSSIBLE_FORMATS, [
+                ZXing.BarcodeFormat.CODE_128,
+                ZXing.BarcodeFormat.EAN_13,
+                ZXing.BarcodeFormat.EAN_8,
+                ZXing.BarcodeFormat.UPC_A,
+                ZXing.BarcodeFormat.UPC_E,
+                ZXing.BarcodeFormat.CODE_39,
+                ZXing.BarcodeFormat.QR_CODE
+            ]],
+            [ZXing.DecodeHintType.TRY_HARDER, true]
+        ]))
+
+        const canvas = document.createElement('canvas')
+        const context = canvas.getContext('2d', { willReadFrequently: true })
+
+        return async (video) => {
+            canvas.width = video.videoWidth
+            canvas.height = video.videoHeight
+            context.drawImage(video, 0, 0)
+
+            try {
+                const source = new ZXing.HTMLCanvasElementLuminanceSource(canvas)
+                const bitmap = new ZXing.BinaryBitmap(new ZXing.HybridBinarizer(source))
+                return reader.decodeWithState(bitmap).getText()
+            } catch (error) {
+                // NotFoundException - no barcode in this frame
+                return null
+            }
+        }
+    }
+
+    // ==================== DIALOG ====================
+    // pos.html and admin.html both carry a #cameraDialog with the same ids
+
+    bindDialog({ onMessage = () => {} } = {}) {
+        if (this.dialogBound || !document.getElementById('cameraDialog')) return
+        this.dialogBound = true
+        this.onMessage = onMessage
+
+        document.getElementById('closeCameraDialog').addEventListener('click', () => this.close())
+        document.getElementById('doneCameraBtn').addEventListener('click', () => this.close())
+    }
+
+    // Open the camera. `onScan(code)` gets each barcode read; a single-shot
+    // scan closes after the first one, a continuous scan keeps reading until Done.
+    async open({ onScan, continuous = false }) {
+        if (!this.isSupported()) {
+            this.onMessage('Camera scanning needs camera access over HTTPS', true)
+            return
+        }
+
+        this.onScan = onScan
+        this.continuous = continuous
+        this.lastCode = null
+
+        const dialog = document.getElementById('cameraDialog')
+        const video = document.getElementById('cameraVideo')
+        dialog.classList.add('active')
+        this.setStatus('Starting camera...')
+
+        try {
+            this.detect = this.detect || await this.createDetector()
+
+            const stream = await navigator.mediaDevices.getUserMedia({
+                video: { facingMode: { ideal: 'environment' } },
+                audio: false
+            })
+
+            // Closed while the permission prompt was up
+            if (!dialog.classList.contains('active')) {
+                stream.getTracks().forEach(track => track.stop())
+                return
+            }
+
+            this.stream = stream
+            video.srcObject = stream
+            await video.play()
+
+            this.setStatus('Point the camera at a barcode')
+            this.scanFrame()
+        } catch (error) {
+            console.error('Error starting camera scanner:', error)
+            this.stopCamera()
+            this.setStatus(error.name === 'NotAllowedError'
+                ? 'Camera permission was denied. Allow it in your browser settings.'
+                : `Could not start the camera: ${error.message}`, true)
+        }
+    }
+
+    async scanFrame() {
+        if (!this.stream) return
+
+        const video = document.getElementById('cameraVideo')
+        let code = null
+
+        if (video.readyState >= video.HAVE_CURRENT_DATA) {
+            try {
+                code = await this.detect(video)
+            } catch (error) {
+                console.warn('Barcode detection failed:', error)
+            }
+        }
+
+        // Closed while this frame was decoding
+        if (!this.stream) return
+
+        if (code && this.isNewCode(code)) {
+            const onScan = this.onScan
+
+            if (!this.continuous) {
+                this.close()
+                onScan(code)
+                return
+            }
+
+            this.setStatus(`Scanned ${code}`)
+            onScan(code)
+        }
+
+        this.timer = setTimeout(() => this.scanFrame(), CAMERA_SCAN_INTERVAL)
+    }
+
+    // The camera sees the same barcode on every frame it stays in view
+    isNewCode(code) {
+        const now = Date.now()
+        if (code === this.lastCode && now - this.lastCodeTime < CAMERA_REPEAT_DELAY) {
+            this.lastCodeTime = now
+            return false
+        }
+
+        this.lastCode = code
+        this.lastCodeTime = now
+        return true
+    }
+
+    setStatus(message, isError = false) {
+        const status = document.getElementById('cameraStatus')
+        status.textContent = message
+        status.classList.toggle('error', isError)
+    }
+
+    stopCamera() {
+        clearTimeout(this.timer)
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop())
+            this.stream = null
+        }
+        document.getElementById('cameraVideo').srcObject = null
+    }
+
+    close() {
+        this.stopCamera()
+        this.onScan = null
+        document.getElementById('cameraDialog').classList.remove('active')
+    }
+}
+
+export const cameraScanner = new CameraScanner()
@@ -0,0 +1,539 @@
+// js/shifts.js - Cashier shifts: opening float, paid-ins and paid-outs, closing
+// drawer count, X and Z reports
+import { db } from './db.js'
+import { receiptConfig, receiptManager, createRowWriter } from './receipt.js'
+import { CASH_DENOMINATIONS } from './payments.js'
+
+export const shiftConfig = {
+    // Notes and coins counted into and out of the drawer, largest first
+    denominations: [...CASH_DENOMINATIONS].reverse(),
+    // A drawer this close to expected (either way) counts as balanced
+    varianceTolerance: 1
+}
+
+// Cash put into or taken out of the drawer outside a sale, by reason code
+export const cashMovementConfig = {
+    types: {
+        paid_out: 'Paid out',
+        paid_in: 'Paid in'
+    },
+    // The database only accepts these codes (023_cash_movement_reasons.sql)
+    reasons: {
+        paid_out: {
+            supplies: 'Bags & supplies',
+            cleaning: 'Cleaning',
+            repairs: 'Repairs & maintenance',
+            postage: 'Postage & delivery',
+            staff: 'Staff expenses',
+            cash_drop: 'Cash drop to safe',
+            other: 'Other'
+        },
+        paid_in: {
+            change: 'Change top-up',
+            reimbursement: 'Expense reimbursed',
+            owner: 'Owner contribution',
+            other: 'Other'
+        }
+    }
+}
+
+export const getCashMovementReason = (type, reason) => cashMovementConfig.reasons[type]?.[reason] || reason
+
+// This device's drawer. A till has one open shift at a time
+// (024_till_handover.sql), so the id stays with the browser, not the cashier.
+export const getTillId = () => {
+    let tillId = localStorage.getItem('till_id')
+    if (!tillId) {
+        tillId = crypto.randomUUID()
+        localStorage.setItem('till_id', tillId)
+    }
+    return tillId
+}
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100
+
+const money = (amount) => `${amount < 0 ? '-' : ''}$${Math.abs(parseFloat(amount || 0)).toFixed(2)}`
+
+export const formatDenomination = (value) => value >= 1 ? `$${value}` : `${Math.round(value * 100)}¢`
+
+// Total of a { denomination: quantity } count
+export const getCountTotal = (count) => {
+    return roundMoney(Object.entries(count || {})
+        .reduce((sum, [denomination, quantity]) => sum + parseFloat(denomination) * quantity, 0))
+}
+
+// 'balanced', 'over' or 'short'
+export const getVarianceStatus = (variance) => {
+    if (Math.abs(variance) < shiftConfig.varianceTolerance) return 'balanced'
+    return variance > 0 ? 'over' : 'short'
+}
+
+export const describeVariance = (variance) => {
+    const status = getVarianceStatus(variance)
+    if (status === 'balanced') return variance === 0 ? 'Balanced' : `Balanced (${variance > 0 ? '+' : ''}${money(variance)})`
+    return `${status === 'over' ? 'Over' : 'Short'} by ${money(Math.abs(variance))}`
+}
+
+// ==================== REPORTS ====================
+
+// X-report (mid-shift, from a live summary) or Z-report (a closed shift,
+// from the summary snapshotted when it closed)
+export const buildShiftReport = (shift, summary = shift.summary, cashierName = shift.users?.full_name) => {
+    const closed = !!shift.closed_at
+
+    return {
+        type: closed ? 'Z' : 'X',
+        shiftId: shift.id,
+        cashierName: cashierName || 'Unknown',
+        openedAt: new Date(shift.opened_at),
+        closedAt: closed ? new Date(shift.closed_at) : null,
+        printedAt: new Date(),
+        openingFloat: parseFloat(shift.opening_float),
+        salesCount: summary.sales_count,
+        salesTotal: parseFloat(summary.sales_total),
+        cashSales: parseFloat(summary.cash_sales),
+        transferSales: parseFloat(summary.transfer_sales),
+        returnsCount: summary.returns_count,
+        cashRefunds: parseFloat(summary.cash_refunds),
+        transferRefunds: parseFloat(summary.transfer_refunds),
+        paidIns: parseFloat(summary.paid_ins || 0),
+        payouts: parseFloat(summary.payouts || 0),
+        expectedCash: parseFloat(summary.expected_cash),
+        countedCash: closed ? parseFloat(shift.counted_cash) : null,
+        variance: closed ? parseFloat(shift.variance) : null,
+        closingCount: shift.closing_count || {},
+        notes: shift.notes || ''
+    }
+}
+
+export const shiftReportRows = (report, columns) => {
+    const { rows, divider, center, pair, wrap } = createRowWriter(columns)
+    const formatTime = (date) => date.toLocaleString('en-US', {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+    })
+
+    center(receiptConfig.storeName.toUpperCase(), true)
+    center(report.type === 'Z' ? 'Z-REPORT (END OF SHIFT)' : 'X-REPORT (MID-SHIFT)', true)
+    divider()
+
+    wrap(`Shift ID: ${report.shiftId}`)
+    pair('Cashier:', report.cashierName)
+    pair('Opened:', formatTime(report.openedAt))
+    pair(report.closedAt ? 'Closed:' : 'Printed:', formatTime(report.closedAt || report.printedAt))
+    divider()
+
+    pair(`Sales (${report.salesCount})`, money(report.salesTotal))
+    pair('  Cash', money(report.cashSales))
+    pair('  Transfer', money(report.transferSales))
+    pair(`Refunds (${report.returnsCount} return${report.returnsCount === 1 ? '' : 's'})`, money(-(report.cashRefunds + report.transferRefunds)))
+    pair('  Cash', money(-report.cashRefunds))
+    pair('  Transfer', money(-report.transferRefunds))
+    divider()
+
+    center('CASH DRAWER', true)
+    pair('Opening float', money(report.openingFloat))
+    pair('+ Cash sales', money(report.cashSales))
+    pair('- Cash refunds', money(report.cashRefunds))
+    pair('+ Paid in', money(report.paidIns))
+    pair('- Paid out', money(report.payouts))
+    pair('Expected cash', money(report.expectedCash), true)
+
+    if (report.type === 'Z') {
+        pair('Counted cash', money(report.countedCash), true)
+        pair('Variance', describeVariance(report.variance), true)
+        divider()
+
+        const counted = shiftConfig.denominations.filter(value => report.closingCount[value])
+        if (counted.length > 0) {
+            center('DRAWER COUNT')
+            counted.forEach(value => {
+                const quantity = report.closingCount[value]
+                pair(`  ${quantity} x ${formatDenomination(value)}`, money(quantity * value))
+            })
+            divider()
+        }
+
+        if (report.notes) {
+            wrap(`Notes: ${report.notes}`)
+            divider()
+        }
+    } else {
+        divider()
+        center('Shift still open - not a closing count')
+    }
+
+    return rows
+}
+
+class ShiftManager {
+    constructor() {
+        // The signed-in cashier's open shift
+        this.shift = null
+        // #shiftDialog is either opening a shift or closing this.shift
+        this.mode = 'open'
+        this.summary = null
+        // Closing with a variance takes a second click; this is the variance agreed to
+        this.acceptedVariance = null
+        // The report on show in #shiftReportDialog
+        this.report = null
+        this.dialogBound = false
+        this.onMessage = () => {}
+        this.onChange = () => {}
+        this.getCashierName = () => null
+        this.getCloseBlock = async () => null
+    }
+
+    getShift() {
+        return this.shift
+    }
+
+    async refresh() {
+        const result = await db.getOpenShift()
+        if (result.success) {
+            this.shift = result.data
+            this.onChange(this.shift)
+        }
+        return result
+    }
+
+    // ==================== DIALOG ====================
+    // pos.html has #shiftDialog (open/close), #cashMovementDialog and #shiftReportDialog;
+    // admin.html only the report dialog, for reviewing shifts
+
+    // onChange(shift) runs whenever the open shift changes (null once closed);
+    // getCashierName names the signed-in cashier on X and Z reports;
+    // getCloseBlock() resolves to why the shift can't close yet, or null
+    bindDialog({ onMessage = () => {}, onChange = () => {}, getCashierName = () => null, getCloseBlock = async () => null } = {}) {
+        if (this.dialogBound) return
+        this.dialogBound = true
+        this.onMessage = onMessage
+        this.onChange = onChange
+        this.getCashierName = getCashierName
+        this.getCloseBlock = getCloseBlock
+
+        if (document.getElementById('shiftReportDialog')) {
+            document.getElementById('closeShiftReportDialog').addEventListener('click', () => this.closeReport())
+            document.getElementById('doneShiftReportBtn').addEventListener('click', () => this.closeReport())
+            document.getElementById('printShiftReportBtn').addEventListener('click', () => {
+                if (this.report) receiptManager.printDocument(this.toDocument(this.report))
+            })
+        }
+
+        if (!document.getElementById('shiftDialog')) return
+
+        document.getElementById('shiftCountGrid').innerHTML = shiftConfig.denominations.map(value => `
+            <label class="cash-count-row">
+                <span class="cash-count-denomination">${formatDenomination(value)}</span>
+                <input type="number" class="form-input cash-count-input" min="0" step="1" inputmode="numeric"
+                    data-denomination="${value}" placeholder="0" aria-label="Number of ${formatDenomination(value)}" />
+                <span class="cash-count-subtotal">$0.00</span>
+            </label>
+        `).join('')
+        document.querySelectorAll('.cash-count-input').forEach(input => {
+            input.addEventListener('input', () => this.updateCountTotal())
+        })
+
+        document.getElementById('closeShiftDialog').addEventListener('click', () => this.closeDialog())
+        document.getElementById('cancelShiftBtn').addEventListener('click', () => this.closeDialog())
+        document.getElementById('confirmShiftBtn').addEventListener('click', () => this.submit())
+
+        document.getElementById('cashMovementType').innerHTML = Object.entries(cashMovementConfig.types)
+            .map(([type, label]) => `<option value="${type}">${label}</option>`)
+            .join('')
+        document.getElementById('cashMovementType').addEventListener('change', () => this.updateCashMovementReasons())
+        document.getElementById('closeCashMovementDialog').addEventListener('click', () => this.closeCashMovementDialog())
+        document.getElementById('cancelCashMovementBtn').addEventListener('click', () => this.closeCashMovementDialog())
+        document.getElementById('confirmCashMovementBtn').addEventListener('click', () => this.submitCashMovement())
+    }
+
+    openShiftDialog() {
+        this.mode = 'open'
+        this.summary = null
+        this.resetCount()
+
+        document.getElementById('shiftDialogTitle').textContent = 'Open Shift'
+        document.getElementById('shiftCountLabel').textContent = 'Count the float into the drawer'
+        document.getElementById('shiftExpected').innerHTML = ''
+        document.getElementById('shiftNotesGroup').style.display = 'none'
+        this.updateCountTotal()
+
+        document.getElementById('shiftDialog').classList.add('active')
+    }
+
+    async closeShiftDialog() {
+        if (!this.shift) {
+            this.onMessage('No shift is open', true)
+            return
+        }
+
+        const blocked = await this.getCloseBlock()
+        if (blocked) {
+            this.onMessage(blocked, true)
+            return
+        }
+
+        const result = await db.getShiftSummary(this.shift.id)
+        if (!result.success) {
+            this.onMessage('Could not load the shift totals: ' + result.error, true)
+            return
+        }
+
+        this.mode = 'close'
+        this.summary = result.data
+        this.resetCount()
+
+        document.getElementById('shiftDialogTitle').textContent = 'Close Shift'
+        document.getElementById('shiftCountLabel').textContent = 'Count the cash in the drawer'
+        document.getElementById('shiftExpected').innerHTML = `
+            <div class="shift-expected-row"><span>Opening float</span><span>${money(this.summary.opening_float)}</span></div>
+            <div class="shift-expected-row"><span>+ Cash sales</span><span>${money(this.summary.cash_sales)}</span></div>
+            <div class="shift-expected-row"><span>- Cash refunds</span><span>${money(this.summary.cash_refunds)}</span></div>
+            <div class="shift-expected-row"><span>+ Paid in</span><span>${money(this.summary.paid_ins)}</span></div>
+            <div class="shift-expected-row"><span>- Paid out</span><span>${money(this.summary.payouts)}</span></div>
+            <div class="shift-expected-row total"><span>Expected in drawer</span><span>${money(this.summary.expected_cash)}</span></div>
+        `
+        document.getElementById('shiftNotes').value = ''
+        document.getElementById('shiftNotesGroup').style.display = ''
+        this.updateCountTotal()
+
+        document.getElementById('shiftDialog').classList.add('active')
+    }
+
+    closeDialog() {
+        document.getElementById('shiftDialog').classList.remove('active')
+    }
+
+    resetCount() {
+        document.querySelectorAll('.cash-count-input').forEach(input => {
+            input.value = ''
+        })
+    }
+
+    // { denomination: quantity } for every denomination counted
+    readCount() {
+        const count = {}
+        document.querySelectorAll('.cash-count-input').forEach(input => {
+            const quantity = parseInt(input.value)
+            if (quantity > 0) count[input.dataset.denomination] = quantity
+        })
+        return count
+    }
+
+    updateCountTotal() {
+        const count = this.readCount()
+        const total = getCountTotal(count)
+
+        document.querySelectorAll('.cash-count-input').forEach(input => {
+            const subtotal = (count[input.dataset.denomination] || 0) * parseFloat(input.dataset.denomination)
+            input.parentElement.querySelector('.cash-count-subtotal').textContent = money(subtotal)
+        })
+        document.getElementById('shiftCountTotal').textContent = money(total)
+
+        // A new count needs its variance accepting again
+        this.acceptedVariance = null
+        document.getElementById('confirmShiftBtn').textContent = this.mode === 'close' ? 'Close Shift' : 'Open Shift'
+
+        const varianceElement = document.getElementById('shiftVariance')
+        if (this.mode === 'close' && this.summary) {
+            const variance = roundMoney(total - parseFloat(this.summary.expected_cash))
+            varianceElement.textContent = describeVariance(variance)
+            varianceElement.className = `shift-variance ${getVarianceStatus(variance)}`
+        } else {
+            varianceElement.textContent = ''
+            varianceElement.className = 'shift-variance'
+        }
+    }
+
+    async submit() {
+        const count = this.readCount()
+        const total = getCountTotal(count)
+        const confirmBtn = document.getElementById('confirmShiftBtn')
+
+        confirmBtn.disabled = true
+
+        try {
+            if (this.mode === 'open') {
+                const result = await db.openShift({ openingFloat: total, count, tillId: getTillId() })
+                if (!result.success) {
+                    this.onMessage(result.error, true)
+                    if (result.code === 'SHIFT_ALREADY_OPEN') {
+                        this.closeDialog()
+                        await this.refresh()
+                    }
+                    return
+                }
+
+                this.shift = result.data
+                this.closeDialog()
+                this.onChange(this.shift)
+                this.onMessage(`Shift opened with a ${money(total)} float`)
+                return
+            }
+
+            const variance = roundMoney(total - parseFloat(this.summary.expected_cash))
+            if (getVarianceStatus(variance) !== 'balanced' && this.acceptedVariance !== variance) {
+                this.acceptedVariance = variance
+                confirmBtn.textContent = 'Close Shift Anyway'
+                this.onMessage(`The drawer is ${describeVariance(variance).toLowerCase()} - recount, or close the shift anyway`, true)
+                return
+            }
+
+            const result = await db.closeShift({
+                shiftId: this.shift.id,
+                countedCash: total,
+                count,
+                notes: document.getElementById('shiftNotes').value.trim()
+            })
+            if (!result.success) {
+                this.onMessage(result.error, true)
+                if (result.code === 'SHIFT_CLOSED') {
+                    this.closeDialog()
+                    await this.refresh()
+                }
+                return
+            }
+
+            const closedShift = result.data
+            this.shift = null
+            this.closeDialog()
+            this.onChange(null)
+            this.onMessage('Shift closed')
+            this.showReport(buildShiftReport(closedShift, closedShift.summary, this.getCashierName()))
+        } finally {
+            confirmBtn.disabled = false
+        }
+    }
+
+    // ==================== PAID IN / PAID OUT ====================
+
+    openCashMovementDialog() {
+        if (!this.shift) {
+            this.onMessage('Open a shift before paying cash in or out', true)
+            return
+        }
+
+        document.getElementById('cashMovementType').value = 'paid_out'
+        document.getElementById('cashMovementAmount').value = ''
+        document.getElementById('cashMovementNotes').value = ''
+        this.updateCashMovementReasons()
+
+        document.getElementById('cashMovementDialog').classList.add('active')
+        document.getElementById('cashMovementAmount').focus()
+    }
+
+    closeCashMovementDialog() {
+        document.getElementById('cashMovementDialog').classList.remove('active')
+    }
+
+    updateCashMovementReasons() {
+        const type = document.getElementById('cashMovementType').value
+        document.getElementById('cashMovementReason').innerHTML = Object.entries(cashMovementConfig.reasons[type])
+            .map(([reason, label]) => `<option value="${reason}">${label}</option>`)
+            .join('')
+        document.getElementById('confirmCashMovementBtn').textContent = type === 'paid_in' ? 'Record Paid In' : 'Record Paid Out'
+    }
+
+    async submitCashMovement() {
+        const type = document.getElementById('cashMovementType').value
+        const amount = roundMoney(parseFloat(document.getElementById('cashMovementAmount').value))
+        const reason = document.getElementById('cashMovementReason').value
+        const notes = document.getElementById('cashMovementNotes').value.trim()
+
+        if (!(amount > 0)) {
+            this.onMessage('Enter the amount of cash', true)
+            return
+        }
+
+        // "Other" says nothing on its own
+        if (reason === 'other' && !notes) {
+            this.onMessage('Add a note saying what the cash was for', true)
+            return
+        }
+
+        const confirmBtn = document.getElementById('confirmCashMovementBtn')
+        confirmBtn.disabled = true
+
+        try {
+            const result = await db.createCashMovement({ type, amount, reason, notes })
+            if (!result.success) {
+                this.onMessage(result.error, true)
+                if (result.code === 'NO_OPEN_SHIFT') {
+                    this.closeCashMovementDialog()
+                    await this.refresh()
+                }
+                return
+            }
+
+            this.closeCashMovementDialog()
+            this.onMessage(`${cashMovementConfig.types[type]}: ${money(amount)} (${getCashMovementReason(type, reason)})`)
+        } finally {
+            confirmBtn.disabled = false
+        }
+    }
+
+    // ==================== REPORT DIALOG ====================
+
+    // X-report for the signed-in cashier's open shift
+    async showXReport() {
+        if (!this.shift) {
+            this.onMessage('No shift is open', true)
+            return
+        }
+
+        const result = await db.getShiftSummary(this.shift.id)
+        if (!result.success) {
+            this.onMessage('Could not load the shift totals: ' + result.error, true)
+            return
+        }
+
+        this.showReport(buildShiftReport(this.shift, result.data, this.getCashierName()))
+    }
+
+    // Any shift from db.getShifts: its Z-report, or an X-report while still open
+    async showShiftReport(shift) {
+        if (shift.closed_at && shift.summary) {
+            this.showReport(buildShiftReport(shift))
+            return
+        }
+
+        const result = await db.getShiftSummary(shift.id)
+        if (!result.success) {
+            this.onMessage('Could not load the shift totals: ' + result.error, true)
+            return
+        }
+
+        this.showReport(buildShiftReport(shift, result.data))
+    }
+
+    toDocument(report) {
+        const { columns } = receiptConfig.paperSizes[receiptManager.getPaper()]
+        return receiptManager.rowsToDocument(
+            shiftReportRows(report, columns),
+            `${report.type}-report ${report.shiftId}`
+        )
+    }
+
+    showReport(report) {
+        this.report = report
+
+        document.getElementById('shiftReportTitle').textContent = report.type === 'Z' ? 'Z-Report' : 'X-Report'
+        const preview = document.getElementById('shiftReportPreview')
+        preview.onload = () => {
+            preview.style.height = `${preview.contentDocument.documentElement.scrollHeight}px`
+        }
+        preview.srcdoc = this.toDocument(report)
+
+        document.getElementById('shiftReportDialog').classList.add('active')
+    }
+
+    closeReport() {
+        document.getElementById('shiftReportDialog').classList.remove('active')
+        this.report = null
+    }
+}
+
+export const shiftManager = new ShiftManager()
@@ -7,6 +7,17 @@ const supabaseAnonKey = 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9.eyJpc3MiOiJzdXBhYm
 
 export const supabase = createClient(supabaseUrl, supabaseAnonKey)
 
+// A throwaway client that never touches the stored session - used to check
+// someone else's credentials (e.g. a manager approving a discount) without
+// signing the cashier out
+export const createIsolatedClient = () => createClient(supabaseUrl, supabaseAnonKey, {
+    auth: {
+        persistSession: false,
+        autoRefreshToken: false,
+        detectSessionInUrl: false
+    }
+})
+
 export const initSupabase = () => {
     console.log('Supabase client initialized with URL:', supabaseUrl)
 }
\ No newline at end of file
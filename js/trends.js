@@ -0,0 +1,108 @@
+// js/trends.js - Sales trend series for the Analytics charts
+//
+// A trend covers whole calendar days ending today in the report time zone,
+// split into hours, days or 7-day weeks, alongside the same stretch of time
+// just before it so every chart can show "this period vs the last one".
+import { toDateString, addDays, daysBetween, formatShortDate } from './date-range.js'
+
+export const trendRanges = {
+    today: { label: 'Today', previousLabel: 'Yesterday', unit: 'hour', days: 1 },
+    week: { label: 'Last 7 days', previousLabel: 'Previous 7 days', unit: 'day', days: 7 },
+    month: { label: 'Last 30 days', previousLabel: 'Previous 30 days', unit: 'day', days: 30 },
+    quarter: { label: 'Last 12 weeks', previousLabel: 'Previous 12 weeks', unit: 'week', days: 84 }
+}
+
+export const trendMetrics = {
+    revenue: 'Revenue',
+    orders: 'Orders',
+    basket: 'Average basket',
+    tenders: 'Cash vs transfer'
+}
+
+// { current, previous } calendar ranges for a key of trendRanges
+export const getTrendWindow = (rangeKey, timeZone, now = new Date()) => {
+    const range = trendRanges[rangeKey] || trendRanges.week
+    const endDate = toDateString(now, timeZone)
+    const startDate = addDays(endDate, 1 - range.days)
+
+    return {
+        ...range,
+        timeZone,
+        current: { startDate, endDate, timeZone },
+        previous: { startDate: addDays(startDate, -range.days), endDate: addDays(startDate, -1), timeZone }
+    }
+}
+
+const getBucketCount = ({ unit, days }) => {
+    if (unit === 'hour') return 24
+    return unit === 'week' ? Math.ceil(days / 7) : days
+}
+
+// "14:00", "Oct 12" (a day, or the first day of a week)
+const getBucketLabels = (span, period) => {
+    return Array.from({ length: getBucketCount(span) }, (_, index) => {
+        if (span.unit === 'hour') return `${String(index).padStart(2, '0')}:00`
+        return formatShortDate(addDays(span[period].startDate, span.unit === 'week' ? index * 7 : index))
+    })
+}
+
+const emptyBucket = () => ({ revenue: 0, orders: 0, cash: 0, transfer: 0 })
+
+// Average basket is left null (a gap in the chart) when nothing sold
+const withBasket = (bucket) => ({
+    ...bucket,
+    basket: bucket.orders > 0 ? bucket.revenue / bucket.orders : null
+})
+
+const sumBuckets = (buckets) => withBasket(buckets.reduce((total, bucket) => ({
+    revenue: total.revenue + bucket.revenue,
+    orders: total.orders + bucket.orders,
+    cash: total.cash + bucket.cash,
+    transfer: total.transfer + bucket.transfer
+}), emptyBucket()))
+
+// `totals` are get_sales_trend's daily (or hourly) figures covering both
+// periods of `span`: { date, hour, orders, revenue, cash, transfer }, with
+// Exchange credit already left out of the tender split
+export const buildTrend = (span, totals) => {
+    const count = getBucketCount(span)
+    const periods = {
+        current: Array.from({ length: count }, emptyBucket),
+        previous: Array.from({ length: count }, emptyBucket)
+    }
+
+    const findBucket = ({ date, hour }) => {
+        const period = date >= span.current.startDate ? 'current' : 'previous'
+        const day = daysBetween(span[period].startDate, date)
+
+        if (span.unit === 'hour') return day === 0 ? periods[period][hour] : null
+        return periods[period][span.unit === 'week' ? Math.floor(day / 7) : day] || null
+    }
+
+    totals.forEach(total => {
+        const bucket = findBucket(total)
+        if (!bucket) return
+        bucket.revenue += parseFloat(total.revenue)
+        bucket.orders += total.orders
+        bucket.cash += parseFloat(total.cash)
+        bucket.transfer += parseFloat(total.transfer)
+    })
+
+    const current = periods.current.map(withBasket)
+    const previous = periods.previous.map(withBasket)
+
+    return {
+        ...span,
+        labels: getBucketLabels(span, 'current'),
+        previousLabels: getBucketLabels(span, 'previous'),
+        current,
+        previous,
+        totals: { current: sumBuckets(current), previous: sumBuckets(previous) }
+    }
+}
+
+// Percentage change from `previous` to `current`, or null when there was nothing before
+export const getChangePercent = (current, previous) => {
+    if (current === null || previous === null || !previous) return null
+    return ((current - previous) / previous) * 100
+}
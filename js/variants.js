@@ -0,0 +1,71 @@
+// js/variants.js - Styles and their size/colour variants, shared by POS and admin
+import { getEffectivePrice, isOnSale } from './pricing.js'
+
+// Sizes sort in this order; anything else (e.g. shoe sizes) sorts numerically after
+const SIZE_ORDER = ['XXS', 'XS', 'S', 'M', 'L', 'XL', 'XXL', 'XXXL']
+
+export const compareSizes = (a, b) => {
+    const rankA = SIZE_ORDER.indexOf(String(a).toUpperCase())
+    const rankB = SIZE_ORDER.indexOf(String(b).toUpperCase())
+
+    if (rankA !== -1 && rankB !== -1) return rankA - rankB
+    if (rankA !== -1) return -1
+    if (rankB !== -1) return 1
+    return String(a).localeCompare(String(b), undefined, { numeric: true })
+}
+
+// "M / Navy", "M" or "" for a variant
+export const getVariantLabel = (product) => {
+    return [product.size, product.colour].filter(Boolean).join(' / ')
+}
+
+// Name used on cart lines, sale items and receipts
+export const getProductDisplayName = (product) => {
+    const label = getVariantLabel(product)
+    return label ? `${product.name} (${label})` : product.name
+}
+
+// Group a product list into styles. Products without a style_id (not yet
+// migrated, or added straight into the table) are a style of their own.
+export const groupProductsByStyle = (products) => {
+    const styles = new Map()
+
+    products.forEach(product => {
+        const key = product.style_id || product.id
+        if (!styles.has(key)) {
+            styles.set(key, {
+                key,
+                styleId: product.style_id || null,
+                name: product.name,
+                category: product.category,
+                variants: []
+            })
+        }
+        styles.get(key).variants.push(product)
+    })
+
+    return [...styles.values()].map(style => {
+        const prices = style.variants.map(getEffectivePrice)
+        const sizes = [...new Set(style.variants.map(v => v.size).filter(Boolean))].sort(compareSizes)
+        const colours = [...new Set(style.variants.map(v => v.colour).filter(Boolean))].sort()
+
+        return {
+            ...style,
+            sizes,
+            colours,
+            totalStock: style.variants.reduce((sum, v) => sum + (v.stock_quantity || 0), 0),
+            minPrice: Math.min(...prices),
+            maxPrice: Math.max(...prices),
+            onSale: style.variants.some(isOnSale)
+        }
+    })
+}
+
+// The variant for a size/colour pair (either may be empty when the style
+// doesn't vary on it)
+export const findVariant = (style, size, colour) => {
+    return style.variants.find(v =>
+        (v.size || '') === (size || '') &&
+        (v.colour || '') === (colour || '')
+    )
+}
@@ -0,0 +1,91 @@
+-- 001_create_sale_function.sql
+-- Creates a sale, its line items, the stock decrements and the matching
+-- inventory transactions in ONE transaction. A Postgres function body runs
+-- atomically: if any statement raises, every insert/update made so far is
+-- rolled back, so we can never end up with a sale that has no items or
+-- stock that was not decremented.
+--
+-- Called from DatabaseManager.createSale via supabase.rpc('create_sale', ...)
+
+create or replace function public.create_sale(
+    p_total numeric,
+    p_payment_method text,
+    p_items jsonb,
+    p_created_at timestamptz default null
+)
+returns jsonb
+language plpgsql
+security invoker
+set search_path = public
+as $$
+declare
+    v_user_id uuid := auth.uid();
+    v_sale public.sales%rowtype;
+    v_item jsonb;
+    v_product_id uuid;
+    v_quantity integer;
+    v_unit_price numeric;
+    v_items jsonb := '[]'::jsonb;
+begin
+    if v_user_id is null then
+        raise exception 'User not authenticated' using errcode = '28000';
+    end if;
+
+    if p_items is null or jsonb_array_length(p_items) = 0 then
+        raise exception 'Sale has no items' using errcode = '22023';
+    end if;
+
+    -- Sale record
+    insert into public.sales (cashier_id, total, payment_method, created_at)
+    values (v_user_id, p_total, p_payment_method, coalesce(p_created_at, now()))
+    returning * into v_sale;
+
+    for v_item in select * from jsonb_array_elements(p_items)
+    loop
+        v_product_id := (v_item->>'product_id')::uuid;
+        v_quantity := (v_item->>'quantity')::integer;
+        v_unit_price := (v_item->>'unit_price')::numeric;
+
+        if v_quantity is null or v_quantity <= 0 then
+            raise exception 'Invalid quantity for product %', v_product_id using errcode = '22023';
+        end if;
+
+        -- Sale item
+        insert into public.sale_items (sale_id, product_id, product_name, quantity, unit_price, total)
+        values (
+            v_sale.id,
+            v_product_id,
+            v_item->>'product_name',
+            v_quantity,
+            v_unit_price,
+            v_unit_price * v_quantity
+        );
+
+        -- Stock decrement
+        update public.products
+        set stock_quantity = stock_quantity - v_quantity,
+            updated_at = now()
+        where id = v_product_id;
+
+        if not found then
+            raise exception 'Product % not found', v_product_id using errcode = 'P0002';
+        end if;
+
+        -- Inventory transaction (negative for sales)
+        insert into public.inventory_transactions (product_id, type, quantity, user_id, notes)
+        values (v_product_id, 'sale', -v_quantity, v_user_id, 'Sale ' || v_sale.id);
+    end loop;
+
+    select coalesce(jsonb_agg(to_jsonb(si)), '[]'::jsonb)
+    into v_items
+    from public.sale_items si
+    where si.sale_id = v_sale.id;
+
+    return jsonb_build_object(
+        'sale', to_jsonb(v_sale),
+        'items', v_items
+    );
+end;
+$$;
+
+grant execute on function public.create_sale(numeric, text, jsonb, timestamptz) to authenticated;
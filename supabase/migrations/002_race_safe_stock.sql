@@ -0,0 +1,192 @@
+-- 002_race_safe_stock.sql
+-- Stock is only ever changed relatively (stock_quantity = stock_quantity + n)
+-- inside the database, with the product rows locked, so two tills selling
+-- the same shirt at once can no longer overwrite each other's decrement.
+-- A sale that would take stock below zero is rejected as a whole.
+
+-- Belt and braces: the table itself refuses negative stock
+alter table public.products
+    drop constraint if exists products_stock_quantity_non_negative;
+alter table public.products
+    add constraint products_stock_quantity_non_negative check (stock_quantity >= 0) not valid;
+
+-- ==================== create_sale ====================
+-- Same contract as 001, plus an oversell check. When any line is short the
+-- function raises INSUFFICIENT_STOCK with a JSON array in DETAIL:
+--   [{ "product_id", "product_name", "requested", "available" }, ...]
+-- DatabaseManager.createSale turns that into a per-line error for pos.js.
+
+create or replace function public.create_sale(
+    p_total numeric,
+    p_payment_method text,
+    p_items jsonb,
+    p_created_at timestamptz default null
+)
+returns jsonb
+language plpgsql
+security invoker
+set search_path = public
+as $$
+declare
+    v_user_id uuid := auth.uid();
+    v_sale public.sales%rowtype;
+    v_item jsonb;
+    v_product_id uuid;
+    v_quantity integer;
+    v_unit_price numeric;
+    v_shortages jsonb;
+    v_items jsonb := '[]'::jsonb;
+begin
+    if v_user_id is null then
+        raise exception 'User not authenticated' using errcode = '28000';
+    end if;
+
+    if p_items is null or jsonb_array_length(p_items) = 0 then
+        raise exception 'Sale has no items' using errcode = '22023';
+    end if;
+
+    -- Lock every product in the cart (in id order, so tills never deadlock)
+    perform 1
+    from public.products
+    where id in (select (value->>'product_id')::uuid from jsonb_array_elements(p_items))
+    order by id
+    for update;
+
+    -- Check all lines before touching anything, so the till can show every shortage at once
+    select jsonb_agg(jsonb_build_object(
+        'product_id', requested.product_id,
+        'product_name', coalesce(p.name, requested.product_name),
+        'requested', requested.quantity,
+        'available', coalesce(p.stock_quantity, 0)
+    ))
+    into v_shortages
+    from (
+        select (value->>'product_id')::uuid as product_id,
+               max(value->>'product_name') as product_name,
+               sum((value->>'quantity')::integer) as quantity
+        from jsonb_array_elements(p_items)
+        group by 1
+    ) requested
+    left join public.products p on p.id = requested.product_id
+    where p.id is null or p.stock_quantity < requested.quantity;
+
+    if v_shortages is not null then
+        raise exception 'INSUFFICIENT_STOCK'
+            using errcode = 'P0001',
+                  detail = v_shortages::text,
+                  hint = 'One or more cart lines exceed the stock on hand';
+    end if;
+
+    -- Sale record
+    insert into public.sales (cashier_id, total, payment_method, created_at)
+    values (v_user_id, p_total, p_payment_method, coalesce(p_created_at, now()))
+    returning * into v_sale;
+
+    for v_item in select * from jsonb_array_elements(p_items)
+    loop
+        v_product_id := (v_item->>'product_id')::uuid;
+        v_quantity := (v_item->>'quantity')::integer;
+        v_unit_price := (v_item->>'unit_price')::numeric;
+
+        if v_quantity is null or v_quantity <= 0 then
+            raise exception 'Invalid quantity for product %', v_product_id using errcode = '22023';
+        end if;
+
+        -- Sale item
+        insert into public.sale_items (sale_id, product_id, product_name, quantity, unit_price, total)
+        values (
+            v_sale.id,
+            v_product_id,
+            v_item->>'product_name',
+            v_quantity,
+            v_unit_price,
+            v_unit_price * v_quantity
+        );
+
+        -- Relative, conditional stock decrement
+        update public.products
+        set stock_quantity = stock_quantity - v_quantity,
+            updated_at = now()
+        where id = v_product_id
+          and stock_quantity >= v_quantity;
+
+        if not found then
+            raise exception 'INSUFFICIENT_STOCK'
+                using errcode = 'P0001',
+                      detail = jsonb_build_array(jsonb_build_object(
+                          'product_id', v_product_id,
+                          'product_name', v_item->>'product_name',
+                          'requested', v_quantity,
+                          'available', (select stock_quantity from public.products where id = v_product_id)
+                      ))::text;
+        end if;
+
+        -- Inventory transaction (negative for sales)
+        insert into public.inventory_transactions (product_id, type, quantity, user_id, notes)
+        values (v_product_id, 'sale', -v_quantity, v_user_id, 'Sale ' || v_sale.id);
+    end loop;
+
+    select coalesce(jsonb_agg(to_jsonb(si)), '[]'::jsonb)
+    into v_items
+    from public.sale_items si
+    where si.sale_id = v_sale.id;
+
+    return jsonb_build_object(
+        'sale', to_jsonb(v_sale),
+        'items', v_items
+    );
+end;
+$$;
+
+-- ==================== adjust_stock ====================
+-- Relative stock change plus its inventory transaction, used for restocks.
+-- Returns the new stock level; refuses to go below zero.
+
+create or replace function public.adjust_stock(
+    p_product_id uuid,
+    p_quantity integer,
+    p_type text,
+    p_notes text default null
+)
+returns integer
+language plpgsql
+security invoker
+set search_path = public
+as $$
+declare
+    v_user_id uuid := auth.uid();
+    v_new_stock integer;
+begin
+    if v_user_id is null then
+        raise exception 'User not authenticated' using errcode = '28000';
+    end if;
+
+    update public.products
+    set stock_quantity = stock_quantity + p_quantity,
+        updated_at = now()
+    where id = p_product_id
+      and stock_quantity + p_quantity >= 0
+    returning stock_quantity into v_new_stock;
+
+    if not found then
+        if not exists (select 1 from public.products where id = p_product_id) then
+            raise exception 'Product % not found', p_product_id using errcode = 'P0002';
+        end if;
+
+        raise exception 'INSUFFICIENT_STOCK'
+            using errcode = 'P0001',
+                  detail = jsonb_build_array(jsonb_build_object(
+                      'product_id', p_product_id,
+                      'requested', -p_quantity,
+                      'available', (select stock_quantity from public.products where id = p_product_id)
+                  ))::text;
+    end if;
+
+    insert into public.inventory_transactions (product_id, type, quantity, user_id, notes)
+    values (p_product_id, p_type, p_quantity, v_user_id, p_notes);
+
+    return v_new_stock;
+end;
+$$;
+
+grant execute on function public.adjust_stock(uuid, integer, text, text) to authenticated;
@@ -0,0 +1,141 @@
+-- 003_sale_item_original_price.sql
+-- sale_items.unit_price is the price actually charged (the sale price when a
+-- product is marked down). original_price keeps the shelf price next to it
+-- so reports can show what markdowns cost.
+
+alter table public.sale_items
+    add column if not exists original_price numeric(10, 2);
+
+-- Existing lines were all sold at full price
+update public.sale_items
+set original_price = unit_price
+where original_price is null;
+
+-- ==================== create_sale ====================
+-- Same contract as 002; each item may now carry original_price.
+
+create or replace function public.create_sale(
+    p_total numeric,
+    p_payment_method text,
+    p_items jsonb,
+    p_created_at timestamptz default null
+)
+returns jsonb
+language plpgsql
+security invoker
+set search_path = public
+as $$
+declare
+    v_user_id uuid := auth.uid();
+    v_sale public.sales%rowtype;
+    v_item jsonb;
+    v_product_id uuid;
+    v_quantity integer;
+    v_unit_price numeric;
+    v_shortages jsonb;
+    v_items jsonb := '[]'::jsonb;
+begin
+    if v_user_id is null then
+        raise exception 'User not authenticated' using errcode = '28000';
+    end if;
+
+    if p_items is null or jsonb_array_length(p_items) = 0 then
+        raise exception 'Sale has no items' using errcode = '22023';
+    end if;
+
+    -- Lock every product in the cart (in id order, so tills never deadlock)
+    perform 1
+    from public.products
+    where id in (select (value->>'product_id')::uuid from jsonb_array_elements(p_items))
+    order by id
+    for update;
+
+    -- Check all lines before touching anything, so the till can show every shortage at once
+    select jsonb_agg(jsonb_build_object(
+        'product_id', requested.product_id,
+        'product_name', coalesce(p.name, requested.product_name),
+        'requested', requested.quantity,
+        'available', coalesce(p.stock_quantity, 0)
+    ))
+    into v_shortages
+    from (
+        select (value->>'product_id')::uuid as product_id,
+               max(value->>'product_name') as product_name,
+               sum((value->>'quantity')::integer) as quantity
+        from jsonb_array_elements(p_items)
+        group by 1
+    ) requested
+    left join public.products p on p.id = requested.product_id
+    where p.id is null or p.stock_quantity < requested.quantity;
+
+    if v_shortages is not null then
+        raise exception 'INSUFFICIENT_STOCK'
+            using errcode = 'P0001',
+                  detail = v_shortages::text,
+                  hint = 'One or more cart lines exceed the stock on hand';
+    end if;
+
+    -- Sale record
+    insert into public.sales (cashier_id, total, payment_method, created_at)
+    values (v_user_id, p_total, p_payment_method, coalesce(p_created_at, now()))
+    returning * into v_sale;
+
+    for v_item in select * from jsonb_array_elements(p_items)
+    loop
+        v_product_id := (v_item->>'product_id')::uuid;
+        v_quantity := (v_item->>'quantity')::integer;
+        v_unit_price := (v_item->>'unit_price')::numeric;
+
+        if v_quantity is null or v_quantity <= 0 then
+            raise exception 'Invalid quantity for product %', v_product_id using errcode = '22023';
+        end if;
+
+        -- Sale item (original_price falls back to the shelf price)
+        insert into public.sale_items (sale_id, product_id, product_name, quantity, unit_price, original_price, total)
+        values (
+            v_sale.id,
+            v_product_id,
+            v_item->>'product_name',
+            v_quantity,
+            v_unit_price,
+            coalesce(
+                (v_item->>'original_price')::numeric,
+                (select price from public.products where id = v_product_id)
+            ),
+            v_unit_price * v_quantity
+        );
+
+        -- Relative, conditional stock decrement
+        update public.products
+        set stock_quantity = stock_quantity - v_quantity,
+            updated_at = now()
+        where id = v_product_id
+          and stock_quantity >= v_quantity;
+
+        if not found then
+            raise exception 'INSUFFICIENT_STOCK'
+                using errcode = 'P0001',
+                      detail = jsonb_build_array(jsonb_build_object(
+                          'product_id', v_product_id,
+                          'product_name', v_item->>'product_name',
+                          'requested', v_quantity,
+                          'available', (select stock_quantity from public.products where id = v_product_id)
+                      ))::text;
+        end if;
+
+        -- Inventory transaction (negative for sales)
+        insert into public.inventory_transactions (product_id, type, quantity, user_id, notes)
+        values (v_product_id, 'sale', -v_quantity, v_user_id, 'Sale ' || v_sale.id);
+    end loop;
+
+    select coalesce(jsonb_agg(to_jsonb(si)), '[]'::jsonb)
+    into v_items
+    from public.sale_items si
+    where si.sale_id = v_sale.id;
+
+    return jsonb_build_object(
+        'sale', to_jsonb(v_sale),
+        'items', v_items
+    );
+end;
+$$;
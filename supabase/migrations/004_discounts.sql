@@ -0,0 +1,188 @@
+-- 004_discounts.sql
+-- Line-level and cart-level discounts.
+--   sales.subtotal        gross value of the goods before any discount
+--   sales.discount_total  everything taken off (line + cart discounts)
+--   sales.total           what the customer paid (subtotal - discount_total)
+--   sale_items.discount_amount is the line's own discount PLUS its share of
+--   the cart discount, so sum(sale_items.total) = sales.total.
+--
+-- create_sale now takes a single jsonb argument so later additions to a
+-- sale do not have to change the function signature again.
+
+alter table public.sales
+    add column if not exists subtotal numeric(10, 2),
+    add column if not exists discount_total numeric(10, 2) not null default 0,
+    add column if not exists discount_type text check (discount_type in ('percent', 'fixed')),
+    add column if not exists discount_value numeric(10, 2),
+    add column if not exists discount_approved_by uuid references public.users (id);
+
+update public.sales
+set subtotal = total
+where subtotal is null;
+
+alter table public.sale_items
+    add column if not exists discount_type text check (discount_type in ('percent', 'fixed')),
+    add column if not exists discount_value numeric(10, 2),
+    add column if not exists discount_amount numeric(10, 2) not null default 0;
+
+-- ==================== create_sale ====================
+-- p_sale:
+-- {
+--   "total", "subtotal", "discount_total", "payment_method", "created_at",
+--   "discount_type", "discount_value", "discount_approved_by",
+--   "items": [{ "product_id", "product_name", "quantity", "unit_price",
+--               "original_price", "discount_type", "discount_value",
+--               "discount_amount" }]
+-- }
+
+drop function if exists public.create_sale(numeric, text, jsonb, timestamptz);
+
+create or replace function public.create_sale(p_sale jsonb)
+returns jsonb
+language plpgsql
+security invoker
+set search_path = public
+as $$
+declare
+    v_user_id uuid := auth.uid();
+    v_items_in jsonb := p_sale->'items';
+    v_sale public.sales%rowtype;
+    v_item jsonb;
+    v_product_id uuid;
+    v_quantity integer;
+    v_unit_price numeric;
+    v_discount_amount numeric;
+    v_shortages jsonb;
+    v_items jsonb := '[]'::jsonb;
+begin
+    if v_user_id is null then
+        raise exception 'User not authenticated' using errcode = '28000';
+    end if;
+
+    if v_items_in is null or jsonb_array_length(v_items_in) = 0 then
+        raise exception 'Sale has no items' using errcode = '22023';
+    end if;
+
+    -- Lock every product in the cart (in id order, so tills never deadlock)
+    perform 1
+    from public.products
+    where id in (select (value->>'product_id')::uuid from jsonb_array_elements(v_items_in))
+    order by id
+    for update;
+
+    -- Check all lines before touching anything, so the till can show every shortage at once
+    select jsonb_agg(jsonb_build_object(
+        'product_id', requested.product_id,
+        'product_name', coalesce(p.name, requested.product_name),
+        'requested', requested.quantity,
+        'available', coalesce(p.stock_quantity, 0)
+    ))
+    into v_shortages
+    from (
+        select (value->>'product_id')::uuid as product_id,
+               max(value->>'product_name') as product_name,
+               sum((value->>'quantity')::integer) as quantity
+        from jsonb_array_elements(v_items_in)
+        group by 1
+    ) requested
+    left join public.products p on p.id = requested.product_id
+    where p.id is null or p.stock_quantity < requested.quantity;
+
+    if v_shortages is not null then
+        raise exception 'INSUFFICIENT_STOCK'
+            using errcode = 'P0001',
+                  detail = v_shortages::text,
+                  hint = 'One or more cart lines exceed the stock on hand';
+    end if;
+
+    -- Sale record
+    insert into public.sales (
+        cashier_id, total, subtotal, discount_total,
+        discount_type, discount_value, discount_approved_by,
+        payment_method, created_at
+    )
+    values (
+        v_user_id,
+        (p_sale->>'total')::numeric,
+        coalesce((p_sale->>'subtotal')::numeric, (p_sale->>'total')::numeric),
+        coalesce((p_sale->>'discount_total')::numeric, 0),
+        p_sale->>'discount_type',
+        (p_sale->>'discount_value')::numeric,
+        (p_sale->>'discount_approved_by')::uuid,
+        p_sale->>'payment_method',
+        coalesce((p_sale->>'created_at')::timestamptz, now())
+    )
+    returning * into v_sale;
+
+    for v_item in select * from jsonb_array_elements(v_items_in)
+    loop
+        v_product_id := (v_item->>'product_id')::uuid;
+        v_quantity := (v_item->>'quantity')::integer;
+        v_unit_price := (v_item->>'unit_price')::numeric;
+        v_discount_amount := coalesce((v_item->>'discount_amount')::numeric, 0);
+
+        if v_quantity is null or v_quantity <= 0 then
+            raise exception 'Invalid quantity for product %', v_product_id using errcode = '22023';
+        end if;
+
+        if v_discount_amount < 0 or v_discount_amount > v_unit_price * v_quantity then
+            raise exception 'Invalid discount for product %', v_product_id using errcode = '22023';
+        end if;
+
+        -- Sale item (original_price falls back to the shelf price)
+        insert into public.sale_items (
+            sale_id, product_id, product_name, quantity, unit_price, original_price,
+            discount_type, discount_value, discount_amount, total
+        )
+        values (
+            v_sale.id,
+            v_product_id,
+            v_item->>'product_name',
+            v_quantity,
+            v_unit_price,
+            coalesce(
+                (v_item->>'original_price')::numeric,
+                (select price from public.products where id = v_product_id)
+            ),
+            v_item->>'discount_type',
+            (v_item->>'discount_value')::numeric,
+            v_discount_amount,
+            v_unit_price * v_quantity - v_discount_amount
+        );
+
+        -- Relative, conditional stock decrement
+        update public.products
+        set stock_quantity = stock_quantity - v_quantity,
+            updated_at = now()
+        where id = v_product_id
+          and stock_quantity >= v_quantity;
+
+        if not found then
+            raise exception 'INSUFFICIENT_STOCK'
+                using errcode = 'P0001',
+                      detail = jsonb_build_array(jsonb_build_object(
+                          'product_id', v_product_id,
+                          'product_name', v_item->>'product_name',
+                          'requested', v_quantity,
+                          'available', (select stock_quantity from public.products where id = v_product_id)
+                      ))::text;
+        end if;
+
+        -- Inventory transaction (negative for sales)
+        insert into public.inventory_transactions (product_id, type, quantity, user_id, notes)
+        values (v_product_id, 'sale', -v_quantity, v_user_id, 'Sale ' || v_sale.id);
+    end loop;
+
+    select coalesce(jsonb_agg(to_jsonb(si)), '[]'::jsonb)
+    into v_items
+    from public.sale_items si
+    where si.sale_id = v_sale.id;
+
+    return jsonb_build_object(
+        'sale', to_jsonb(v_sale),
+        'items', v_items
+    );
+end;
+$$;
+
+grant execute on function public.create_sale(jsonb) to authenticated;
@@ -0,0 +1,238 @@
+-- 007_returns.sql
+-- Returns and refunds against an original sale.
+--   returns        one refund: which sale, who processed it, how it was paid back
+--   return_items   the sale lines (and quantities) that came back
+-- Refunds are what the customer actually paid per unit (sale_items.total /
+-- quantity, i.e. after markdowns and discounts), and returned stock goes
+-- back on the shelf through a 'return' inventory transaction.
+
+-- inventory_transactions.type may now also be 'return'
+alter table public.inventory_transactions
+    drop constraint if exists inventory_transactions_type_check;
+alter table public.inventory_transactions
+    add constraint inventory_transactions_type_check check (type in ('sale', 'restock', 'return'));
+
+create table if not exists public.returns (
+    id uuid primary key default gen_random_uuid(),
+    sale_id uuid not null references public.sales (id) on delete cascade,
+    cashier_id uuid references public.users (id),
+    refund_method text not null check (refund_method in ('Cash', 'Transfer')),
+    total numeric(10, 2) not null check (total >= 0),
+    reason text,
+    created_at timestamptz not null default now()
+);
+
+create table if not exists public.return_items (
+    id uuid primary key default gen_random_uuid(),
+    return_id uuid not null references public.returns (id) on delete cascade,
+    sale_item_id uuid not null references public.sale_items (id) on delete cascade,
+    product_id uuid references public.products (id) on delete set null,
+    product_name text not null,
+    quantity integer not null check (quantity > 0),
+    total numeric(10, 2) not null check (total >= 0),
+    created_at timestamptz not null default now()
+);
+
+create index if not exists returns_sale_id_idx on public.returns (sale_id);
+create index if not exists returns_created_at_idx on public.returns (created_at);
+create index if not exists return_items_return_id_idx on public.return_items (return_id);
+create index if not exists return_items_sale_item_id_idx on public.return_items (sale_item_id);
+
+alter table public.returns enable row level security;
+alter table public.return_items enable row level security;
+
+drop policy if exists "Authenticated users can read returns" on public.returns;
+create policy "Authenticated users can read returns"
+    on public.returns for select
+    to authenticated
+    using (true);
+
+drop policy if exists "Authenticated users can record returns" on public.returns;
+create policy "Authenticated users can record returns"
+    on public.returns for insert
+    to authenticated
+    with check (true);
+
+drop policy if exists "Authenticated users can read return items" on public.return_items;
+create policy "Authenticated users can read return items"
+    on public.return_items for select
+    to authenticated
+    using (true);
+
+drop policy if exists "Authenticated users can record return items" on public.return_items;
+create policy "Authenticated users can record return items"
+    on public.return_items for insert
+    to authenticated
+    with check (true);
+
+-- ==================== create_return ====================
+-- p_return:
+-- {
+--   "sale_id", "refund_method", "reason",
+--   "items": [{ "sale_item_id", "quantity" }]
+-- }
+-- Raises RETURN_EXCEEDS_SALE (errcode P0001) with a JSON object in DETAIL
+--   { "sale_item_id", "product_name", "sold", "returned", "requested" }
+-- when more units would come back than were sold (counting earlier returns).
+
+create or replace function public.create_return(p_return jsonb)
+returns jsonb
+language plpgsql
+security invoker
+set search_path = public
+as $$
+declare
+    v_user_id uuid := auth.uid();
+    v_sale_id uuid := (p_return->>'sale_id')::uuid;
+    v_items_in jsonb := p_return->'items';
+    v_return public.returns%rowtype;
+    v_line record;
+    v_sale_item public.sale_items%rowtype;
+    v_returned integer;
+    v_returned_total numeric;
+    v_amount numeric;
+    v_total numeric := 0;
+    v_lines jsonb := '[]'::jsonb;
+    v_items jsonb;
+begin
+    if v_user_id is null then
+        raise exception 'User not authenticated' using errcode = '28000';
+    end if;
+
+    if not exists (select 1 from public.sales where id = v_sale_id) then
+        raise exception 'Sale % not found', v_sale_id using errcode = 'P0002';
+    end if;
+
+    if v_items_in is null or jsonb_array_length(v_items_in) = 0 then
+        raise exception 'Return has no items' using errcode = '22023';
+    end if;
+
+    -- Lock the sale's lines so two tills can't both return the same units
+    perform 1
+    from public.sale_items
+    where sale_id = v_sale_id
+    order by id
+    for update;
+
+    -- Validate every line and work out its refund before writing anything
+    for v_line in
+        select (value->>'sale_item_id')::uuid as sale_item_id,
+               sum((value->>'quantity')::integer) as quantity
+        from jsonb_array_elements(v_items_in)
+        group by 1
+    loop
+        select * into v_sale_item
+        from public.sale_items
+        where id = v_line.sale_item_id
+          and sale_id = v_sale_id;
+
+        if not found then
+            raise exception 'Item % is not part of sale %', v_line.sale_item_id, v_sale_id using errcode = '22023';
+        end if;
+
+        if v_line.quantity is null or v_line.quantity <= 0 then
+            raise exception 'Invalid return quantity for %', v_sale_item.product_name using errcode = '22023';
+        end if;
+
+        select coalesce(sum(quantity), 0), coalesce(sum(total), 0)
+        into v_returned, v_returned_total
+        from public.return_items
+        where sale_item_id = v_sale_item.id;
+
+        if v_returned + v_line.quantity > v_sale_item.quantity then
+            raise exception 'RETURN_EXCEEDS_SALE'
+                using errcode = 'P0001',
+                      detail = jsonb_build_object(
+                          'sale_item_id', v_sale_item.id,
+                          'product_name', v_sale_item.product_name,
+                          'sold', v_sale_item.quantity,
+                          'returned', v_returned,
+                          'requested', v_line.quantity
+                      )::text;
+        end if;
+
+        -- The last units back refund whatever is left of the line, so a line
+        -- returned in several goes never refunds more or less than it took
+        if v_returned + v_line.quantity = v_sale_item.quantity then
+            v_amount := v_sale_item.total - v_returned_total;
+        else
+            v_amount := round(v_sale_item.total / v_sale_item.quantity * v_line.quantity, 2);
+        end if;
+
+        v_total := v_total + v_amount;
+        v_lines := v_lines || jsonb_build_object(
+            'sale_item_id', v_sale_item.id,
+            'product_id', v_sale_item.product_id,
+            'product_name', v_sale_item.product_name,
+            'quantity', v_line.quantity,
+            'total', v_amount
+        );
+    end loop;
+
+    -- Return record
+    insert into public.returns (sale_id, cashier_id, refund_method, total, reason)
+    values (v_sale_id, v_user_id, p_return->>'refund_method', v_total, nullif(trim(p_return->>'reason'), ''))
+    returning * into v_return;
+
+    for v_line in
+        select (value->>'sale_item_id')::uuid as sale_item_id,
+               (value->>'product_id')::uuid as product_id,
+               value->>'product_name' as product_name,
+               (value->>'quantity')::integer as quantity,
+               (value->>'total')::numeric as total
+        from jsonb_array_elements(v_lines)
+    loop
+        insert into public.return_items (return_id, sale_item_id, product_id, product_name, quantity, total)
+        values (v_return.id, v_line.sale_item_id, v_line.product_id, v_line.product_name, v_line.quantity, v_line.total);
+
+        -- Back on the shelf (skipped if the product has since been deleted)
+        update public.products
+        set stock_quantity = stock_quantity + v_line.quantity,
+            updated_at = now()
+        where id = v_line.product_id;
+
+        if found then
+            insert into public.inventory_transactions (product_id, type, quantity, user_id, notes)
+            values (v_line.product_id, 'return', v_line.quantity, v_user_id, 'Return ' || v_return.id || ' for sale ' || v_sale_id);
+        end if;
+    end loop;
+
+    select coalesce(jsonb_agg(to_jsonb(ri)), '[]'::jsonb)
+    into v_items
+    from public.return_items ri
+    where ri.return_id = v_return.id;
+
+    return jsonb_build_object(
+        'return', to_jsonb(v_return),
+        'items', v_items
+    );
+end;
+$$;
+
+grant execute on function public.create_return(jsonb) to authenticated;
+
+-- ==================== find_sale_ids ====================
+-- Sale lookup for returns: matches any part of the sale ID (receipts print
+-- the full ID, sale cards the last four characters) or a product name.
+
+create or replace function public.find_sale_ids(p_query text, p_limit integer default 10)
+returns setof uuid
+language sql
+stable
+security invoker
+set search_path = public
+as $$
+    select s.id
+    from public.sales s
+    where s.id::text ilike '%' || trim(p_query) || '%'
+       or exists (
+           select 1
+           from public.sale_items si
+           where si.sale_id = s.id
+             and si.product_name ilike '%' || trim(p_query) || '%'
+       )
+    order by s.created_at desc
+    limit p_limit;
+$$;
+
+grant execute on function public.find_sale_ids(text, integer) to authenticated;
@@ -0,0 +1,527 @@
+-- 008_exchanges.sql
+-- Exchanges: the customer brings an item back (usually for another size or
+-- colour) and leaves with a replacement. One exchange is recorded as
+--   * a return against the original sale, refunded as 'Exchange' credit
+--   * a new sale for the replacement lines, paid with that credit
+--   * an exchanges row linking the two, with the price difference and how
+--     it was settled (positive = customer paid more, negative = refunded)
+-- Both legs write 'exchange' inventory transactions that name the exchange,
+-- so the returned and the replacement product each keep the right stock.
+
+-- 'Exchange' credit is a tender on the replacement sale and a refund method
+-- on the return; it never touches the till, so cash/transfer totals skip it
+alter table public.sales
+    drop constraint if exists sales_payment_method_check;
+alter table public.sales
+    add constraint sales_payment_method_check check (payment_method in ('Cash', 'Transfer', 'Split', 'Exchange'));
+
+alter table public.sale_payments
+    drop constraint if exists sale_payments_method_check;
+alter table public.sale_payments
+    add constraint sale_payments_method_check check (method in ('Cash', 'Transfer', 'Exchange'));
+
+alter table public.returns
+    drop constraint if exists returns_refund_method_check;
+alter table public.returns
+    add constraint returns_refund_method_check check (refund_method in ('Cash', 'Transfer', 'Exchange'));
+
+alter table public.inventory_transactions
+    drop constraint if exists inventory_transactions_type_check;
+alter table public.inventory_transactions
+    add constraint inventory_transactions_type_check check (type in ('sale', 'restock', 'return', 'exchange'));
+
+create table if not exists public.exchanges (
+    id uuid primary key default gen_random_uuid(),
+    original_sale_id uuid not null references public.sales (id) on delete cascade,
+    return_id uuid not null references public.returns (id) on delete cascade,
+    sale_id uuid not null references public.sales (id) on delete cascade,
+    cashier_id uuid references public.users (id),
+    returned_total numeric(10, 2) not null,
+    replacement_total numeric(10, 2) not null,
+    difference numeric(10, 2) not null,
+    settlement_method text check (settlement_method in ('Cash', 'Transfer')),
+    created_at timestamptz not null default now()
+);
+
+create index if not exists exchanges_original_sale_id_idx on public.exchanges (original_sale_id);
+create index if not exists exchanges_created_at_idx on public.exchanges (created_at);
+
+alter table public.exchanges enable row level security;
+
+drop policy if exists "Authenticated users can read exchanges" on public.exchanges;
+create policy "Authenticated users can read exchanges"
+    on public.exchanges for select
+    to authenticated
+    using (true);
+
+drop policy if exists "Authenticated users can record exchanges" on public.exchanges;
+create policy "Authenticated users can record exchanges"
+    on public.exchanges for insert
+    to authenticated
+    with check (true);
+
+-- ==================== create_sale ====================
+-- Same contract as 006, plus optional p_sale.inventory_type / inventory_note
+-- so an exchange can label the stock movements it makes.
+
+create or replace function public.create_sale(p_sale jsonb)
+returns jsonb
+language plpgsql
+security invoker
+set search_path = public
+as $$
+declare
+    v_user_id uuid := auth.uid();
+    v_items_in jsonb := p_sale->'items';
+    v_sale public.sales%rowtype;
+    v_item jsonb;
+    v_product_id uuid;
+    v_quantity integer;
+    v_unit_price numeric;
+    v_discount_amount numeric;
+    v_shortages jsonb;
+    v_payments jsonb;
+    v_paid numeric;
+    v_cash_paid numeric;
+    v_cash_tendered numeric;
+    v_items jsonb := '[]'::jsonb;
+begin
+    if v_user_id is null then
+        raise exception 'User not authenticated' using errcode = '28000';
+    end if;
+
+    if v_items_in is null or jsonb_array_length(v_items_in) = 0 then
+        raise exception 'Sale has no items' using errcode = '22023';
+    end if;
+
+    -- Tenders: default to one payment of the whole total in payment_method
+    v_payments := coalesce(
+        nullif(p_sale->'payments', '[]'::jsonb),
+        jsonb_build_array(jsonb_build_object(
+            'method', p_sale->>'payment_method',
+            'amount', (p_sale->>'total')::numeric
+        ))
+    );
+
+    select sum((value->>'amount')::numeric)
+    into v_paid
+    from jsonb_array_elements(v_payments);
+
+    if abs(v_paid - (p_sale->>'total')::numeric) >= 0.005 then
+        raise exception 'Tenders (%) do not add up to the sale total (%)', v_paid, p_sale->>'total'
+            using errcode = '22023';
+    end if;
+
+    -- Cash handed over vs. cash owed; the difference is the change given back
+    select coalesce(sum((value->>'amount')::numeric), 0)
+    into v_cash_paid
+    from jsonb_array_elements(v_payments)
+    where value->>'method' = 'Cash';
+
+    if v_cash_paid > 0 then
+        v_cash_tendered := coalesce((p_sale->>'cash_tendered')::numeric, v_cash_paid);
+
+        if v_cash_tendered < v_cash_paid then
+            raise exception 'Cash tendered (%) is less than the cash due (%)', v_cash_tendered, v_cash_paid
+                using errcode = '22023';
+        end if;
+    end if;
+
+    -- Lock every product in the cart (in id order, so tills never deadlock)
+    perform 1
+    from public.products
+    where id in (select (value->>'product_id')::uuid from jsonb_array_elements(v_items_in))
+    order by id
+    for update;
+
+    -- Check all lines before touching anything, so the till can show every shortage at once
+    select jsonb_agg(jsonb_build_object(
+        'product_id', requested.product_id,
+        'product_name', coalesce(p.name, requested.product_name),
+        'requested', requested.quantity,
+        'available', coalesce(p.stock_quantity, 0)
+    ))
+    into v_shortages
+    from (
+        select (value->>'product_id')::uuid as product_id,
+               max(value->>'product_name') as product_name,
+               sum((value->>'quantity')::integer) as quantity
+        from jsonb_array_elements(v_items_in)
+        group by 1
+    ) requested
+    left join public.products p on p.id = requested.product_id
+    where p.id is null or p.stock_quantity < requested.quantity;
+
+    if v_shortages is not null then
+        raise exception 'INSUFFICIENT_STOCK'
+            using errcode = 'P0001',
+                  detail = v_shortages::text,
+                  hint = 'One or more cart lines exceed the stock on hand';
+    end if;
+
+    -- Sale record
+    insert into public.sales (
+        cashier_id, total, subtotal, discount_total,
+        discount_type, discount_value, discount_approved_by,
+        payment_method, cash_tendered, change_given, created_at
+    )
+    values (
+        v_user_id,
+        (p_sale->>'total')::numeric,
+        coalesce((p_sale->>'subtotal')::numeric, (p_sale->>'total')::numeric),
+        coalesce((p_sale->>'discount_total')::numeric, 0),
+        p_sale->>'discount_type',
+        (p_sale->>'discount_value')::numeric,
+        (p_sale->>'discount_approved_by')::uuid,
+        case
+            when (select count(distinct value->>'method') from jsonb_array_elements(v_payments)) > 1 then 'Split'
+            else v_payments->0->>'method'
+        end,
+        v_cash_tendered,
+        v_cash_tendered - v_cash_paid,
+        coalesce((p_sale->>'created_at')::timestamptz, now())
+    )
+    returning * into v_sale;
+
+    -- One row per tender
+    insert into public.sale_payments (sale_id, method, amount, created_at)
+    select v_sale.id, value->>'method', (value->>'amount')::numeric, v_sale.created_at
+    from jsonb_array_elements(v_payments);
+
+    for v_item in select * from jsonb_array_elements(v_items_in)
+    loop
+        v_product_id := (v_item->>'product_id')::uuid;
+        v_quantity := (v_item->>'quantity')::integer;
+        v_unit_price := (v_item->>'unit_price')::numeric;
+        v_discount_amount := coalesce((v_item->>'discount_amount')::numeric, 0);
+
+        if v_quantity is null or v_quantity <= 0 then
+            raise exception 'Invalid quantity for product %', v_product_id using errcode = '22023';
+        end if;
+
+        if v_discount_amount < 0 or v_discount_amount > v_unit_price * v_quantity then
+            raise exception 'Invalid discount for product %', v_product_id using errcode = '22023';
+        end if;
+
+        -- Sale item (original_price falls back to the shelf price)
+        insert into public.sale_items (
+            sale_id, product_id, product_name, quantity, unit_price, original_price,
+            discount_type, discount_value, discount_amount, total
+        )
+        values (
+            v_sale.id,
+            v_product_id,
+            v_item->>'product_name',
+            v_quantity,
+            v_unit_price,
+            coalesce(
+                (v_item->>'original_price')::numeric,
+                (select price from public.products where id = v_product_id)
+            ),
+            v_item->>'discount_type',
+            (v_item->>'discount_value')::numeric,
+            v_discount_amount,
+            v_unit_price * v_quantity - v_discount_amount
+        );
+
+        -- Relative, conditional stock decrement
+        update public.products
+        set stock_quantity = stock_quantity - v_quantity,
+            updated_at = now()
+        where id = v_product_id
+          and stock_quantity >= v_quantity;
+
+        if not found then
+            raise exception 'INSUFFICIENT_STOCK'
+                using errcode = 'P0001',
+                      detail = jsonb_build_array(jsonb_build_object(
+                          'product_id', v_product_id,
+                          'product_name', v_item->>'product_name',
+                          'requested', v_quantity,
+                          'available', (select stock_quantity from public.products where id = v_product_id)
+                      ))::text;
+        end if;
+
+        -- Inventory transaction (negative for sales; exchanges label their own)
+        insert into public.inventory_transactions (product_id, type, quantity, user_id, notes)
+        values (
+            v_product_id,
+            coalesce(p_sale->>'inventory_type', 'sale'),
+            -v_quantity,
+            v_user_id,
+            coalesce(p_sale->>'inventory_note', 'Sale ' || v_sale.id)
+        );
+    end loop;
+
+    select coalesce(jsonb_agg(to_jsonb(si)), '[]'::jsonb)
+    into v_items
+    from public.sale_items si
+    where si.sale_id = v_sale.id;
+
+    return jsonb_build_object(
+        'sale', to_jsonb(v_sale),
+        'items', v_items,
+        'payments', (
+            select coalesce(jsonb_agg(to_jsonb(sp)), '[]'::jsonb)
+            from public.sale_payments sp
+            where sp.sale_id = v_sale.id
+        )
+    );
+end;
+$$;
+
+-- ==================== create_return ====================
+-- Same contract as 007, plus optional p_return.inventory_type / inventory_note.
+
+create or replace function public.create_return(p_return jsonb)
+returns jsonb
+language plpgsql
+security invoker
+set search_path = public
+as $$
+declare
+    v_user_id uuid := auth.uid();
+    v_sale_id uuid := (p_return->>'sale_id')::uuid;
+    v_items_in jsonb := p_return->'items';
+    v_return public.returns%rowtype;
+    v_line record;
+    v_sale_item public.sale_items%rowtype;
+    v_returned integer;
+    v_returned_total numeric;
+    v_amount numeric;
+    v_total numeric := 0;
+    v_lines jsonb := '[]'::jsonb;
+    v_items jsonb;
+begin
+    if v_user_id is null then
+        raise exception 'User not authenticated' using errcode = '28000';
+    end if;
+
+    if not exists (select 1 from public.sales where id = v_sale_id) then
+        raise exception 'Sale % not found', v_sale_id using errcode = 'P0002';
+    end if;
+
+    if v_items_in is null or jsonb_array_length(v_items_in) = 0 then
+        raise exception 'Return has no items' using errcode = '22023';
+    end if;
+
+    -- Lock the sale's lines so two tills can't both return the same units
+    perform 1
+    from public.sale_items
+    where sale_id = v_sale_id
+    order by id
+    for update;
+
+    -- Validate every line and work out its refund before writing anything
+    for v_line in
+        select (value->>'sale_item_id')::uuid as sale_item_id,
+               sum((value->>'quantity')::integer) as quantity
+        from jsonb_array_elements(v_items_in)
+        group by 1
+    loop
+        select * into v_sale_item
+        from public.sale_items
+        where id = v_line.sale_item_id
+          and sale_id = v_sale_id;
+
+        if not found then
+            raise exception 'Item % is not part of sale %', v_line.sale_item_id, v_sale_id using errcode = '22023';
+        end if;
+
+        if v_line.quantity is null or v_line.quantity <= 0 then
+            raise exception 'Invalid return quantity for %', v_sale_item.product_name using errcode = '22023';
+        end if;
+
+        select coalesce(sum(quantity), 0), coalesce(sum(total), 0)
+        into v_returned, v_returned_total
+        from public.return_items
+        where sale_item_id = v_sale_item.id;
+
+        if v_returned + v_line.quantity > v_sale_item.quantity then
+            raise exception 'RETURN_EXCEEDS_SALE'
+                using errcode = 'P0001',
+                      detail = jsonb_build_object(
+                          'sale_item_id', v_sale_item.id,
+                          'product_name', v_sale_item.product_name,
+                          'sold', v_sale_item.quantity,
+                          'returned', v_returned,
+                          'requested', v_line.quantity
+                      )::text;
+        end if;
+
+        -- The last units back refund whatever is left of the line, so a line
+        -- returned in several goes never refunds more or less than it took
+        if v_returned + v_line.quantity = v_sale_item.quantity then
+            v_amount := v_sale_item.total - v_returned_total;
+        else
+            v_amount := round(v_sale_item.total / v_sale_item.quantity * v_line.quantity, 2);
+        end if;
+
+        v_total := v_total + v_amount;
+        v_lines := v_lines || jsonb_build_object(
+            'sale_item_id', v_sale_item.id,
+            'product_id', v_sale_item.product_id,
+            'product_name', v_sale_item.product_name,
+            'quantity', v_line.quantity,
+            'total', v_amount
+        );
+    end loop;
+
+    -- Return record
+    insert into public.returns (sale_id, cashier_id, refund_method, total, reason)
+    values (v_sale_id, v_user_id, p_return->>'refund_method', v_total, nullif(trim(p_return->>'reason'), ''))
+    returning * into v_return;
+
+    for v_line in
+        select (value->>'sale_item_id')::uuid as sale_item_id,
+               (value->>'product_id')::uuid as product_id,
+               value->>'product_name' as product_name,
+               (value->>'quantity')::integer as quantity,
+               (value->>'total')::numeric as total
+        from jsonb_array_elements(v_lines)
+    loop
+        insert into public.return_items (return_id, sale_item_id, product_id, product_name, quantity, total)
+        values (v_return.id, v_line.sale_item_id, v_line.product_id, v_line.product_name, v_line.quantity, v_line.total);
+
+        -- Back on the shelf (skipped if the product has since been deleted)
+        update public.products
+        set stock_quantity = stock_quantity + v_line.quantity,
+            updated_at = now()
+        where id = v_line.product_id;
+
+        if found then
+            insert into public.inventory_transactions (product_id, type, quantity, user_id, notes)
+            values (
+                v_line.product_id,
+                coalesce(p_return->>'inventory_type', 'return'),
+                v_line.quantity,
+                v_user_id,
+                coalesce(p_return->>'inventory_note', 'Return ' || v_return.id || ' for sale ' || v_sale_id)
+            );
+        end if;
+    end loop;
+
+    select coalesce(jsonb_agg(to_jsonb(ri)), '[]'::jsonb)
+    into v_items
+    from public.return_items ri
+    where ri.return_id = v_return.id;
+
+    return jsonb_build_object(
+        'return', to_jsonb(v_return),
+        'items', v_items
+    );
+end;
+$$;
+
+-- ==================== create_exchange ====================
+-- p_exchange:
+-- {
+--   "sale_id", "reason", "settlement_method", "cash_tendered",
+--   "returns": [{ "sale_item_id", "quantity" }],
+--   "items":   [{ "product_id", "product_name", "quantity", "unit_price", "original_price" }]
+-- }
+-- settlement_method ('Cash' / 'Transfer') is required when the prices differ.
+-- Everything runs in one transaction: an over-return or a replacement that
+-- is out of stock rolls the whole exchange back.
+
+create or replace function public.create_exchange(p_exchange jsonb)
+returns jsonb
+language plpgsql
+security invoker
+set search_path = public
+as $$
+declare
+    v_user_id uuid := auth.uid();
+    v_exchange_id uuid := gen_random_uuid();
+    v_original_sale_id uuid := (p_exchange->>'sale_id')::uuid;
+    v_method text := p_exchange->>'settlement_method';
+    v_note text;
+    v_return jsonb;
+    v_sale jsonb;
+    v_returned numeric;
+    v_replacement numeric;
+    v_difference numeric;
+    v_credit numeric;
+    v_payments jsonb := '[]'::jsonb;
+    v_exchange public.exchanges%rowtype;
+begin
+    if v_user_id is null then
+        raise exception 'User not authenticated' using errcode = '28000';
+    end if;
+
+    if p_exchange->'items' is null or jsonb_array_length(p_exchange->'items') = 0 then
+        raise exception 'Exchange has no replacement items' using errcode = '22023';
+    end if;
+
+    v_note := 'Exchange ' || v_exchange_id;
+
+    select sum((value->>'unit_price')::numeric * (value->>'quantity')::integer)
+    into v_replacement
+    from jsonb_array_elements(p_exchange->'items');
+
+    if v_replacement is null or v_replacement <= 0 then
+        raise exception 'Replacement items must have a price' using errcode = '22023';
+    end if;
+
+    -- Returned lines go back on the shelf and become exchange credit
+    v_return := public.create_return(jsonb_build_object(
+        'sale_id', v_original_sale_id,
+        'refund_method', 'Exchange',
+        'reason', p_exchange->>'reason',
+        'items', p_exchange->'returns',
+        'inventory_type', 'exchange',
+        'inventory_note', v_note || ' (returned)'
+    ));
+
+    v_returned := (v_return->'return'->>'total')::numeric;
+    v_difference := v_replacement - v_returned;
+    v_credit := least(v_returned, v_replacement);
+
+    if v_difference <> 0 and (v_method is null or v_method not in ('Cash', 'Transfer')) then
+        raise exception 'Choose how the price difference (%) is settled', v_difference using errcode = '22023';
+    end if;
+
+    -- Only the difference changes hands
+    if v_credit > 0 then
+        v_payments := v_payments || jsonb_build_object('method', 'Exchange', 'amount', v_credit);
+    end if;
+    if v_difference > 0 then
+        v_payments := v_payments || jsonb_build_object('method', v_method, 'amount', v_difference);
+    end if;
+
+    v_sale := public.create_sale(jsonb_build_object(
+        'total', v_replacement,
+        'subtotal', v_replacement,
+        'payments', v_payments,
+        'cash_tendered', p_exchange->'cash_tendered',
+        'items', p_exchange->'items',
+        'inventory_type', 'exchange',
+        'inventory_note', v_note || ' (replacement)'
+    ));
+
+    insert into public.exchanges (
+        id, original_sale_id, return_id, sale_id, cashier_id,
+        returned_total, replacement_total, difference, settlement_method
+    )
+    values (
+        v_exchange_id,
+        v_original_sale_id,
+        (v_return->'return'->>'id')::uuid,
+        (v_sale->'sale'->>'id')::uuid,
+        v_user_id,
+        v_returned,
+        v_replacement,
+        v_difference,
+        case when v_difference <> 0 then v_method end
+    )
+    returning * into v_exchange;
+
+    return jsonb_build_object(
+        'exchange', to_jsonb(v_exchange),
+        'return', v_return,
+        'sale', v_sale
+    );
+end;
+$$;
+
+grant execute on function public.create_exchange(jsonb) to authenticated;
@@ -0,0 +1,87 @@
+-- 009_product_variants.sql
+-- Styles and variants. A style ("Blue Cotton Shirt") groups the sellable
+-- variants of one garment; each variant stays a row in products with its
+-- own size, colour, barcode and stock, so sales, returns and stock
+-- movements keep working per variant exactly as before.
+--   product_styles.base_price  price every variant sells at by default
+--   products.price_override    true when a variant keeps its own price
+--                              instead of following the style's base price
+
+create table if not exists public.product_styles (
+    id uuid primary key default gen_random_uuid(),
+    name text not null,
+    category text not null,
+    base_price numeric(10, 2) not null check (base_price >= 0),
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create unique index if not exists product_styles_name_category_idx
+    on public.product_styles (lower(name), category);
+
+alter table public.products
+    add column if not exists style_id uuid references public.product_styles (id) on delete set null,
+    add column if not exists colour text,
+    add column if not exists price_override boolean not null default false;
+
+create index if not exists products_style_id_idx on public.products (style_id);
+
+alter table public.product_styles enable row level security;
+
+drop policy if exists "Authenticated users can read styles" on public.product_styles;
+create policy "Authenticated users can read styles"
+    on public.product_styles for select
+    to authenticated
+    using (true);
+
+drop policy if exists "Authenticated users can manage styles" on public.product_styles;
+create policy "Authenticated users can manage styles"
+    on public.product_styles for all
+    to authenticated
+    using (true)
+    with check (true);
+
+-- Existing products with the same name and category were really sizes of one
+-- style: give each group a style and hang the products off it
+insert into public.product_styles (name, category, base_price)
+select min(p.name), p.category, min(p.price)
+from public.products p
+where p.style_id is null
+group by lower(p.name), p.category
+on conflict do nothing;
+
+update public.products p
+set style_id = s.id,
+    price_override = p.price <> s.base_price
+from public.product_styles s
+where p.style_id is null
+  and lower(p.name) = lower(s.name)
+  and p.category = s.category;
+
+-- ==================== sync_style_variants ====================
+-- Renaming, recategorising or repricing a style carries through to its
+-- variants (variants with their own price keep it).
+
+create or replace function public.sync_style_variants()
+returns trigger
+language plpgsql
+security invoker
+set search_path = public
+as $$
+begin
+    update public.products
+    set name = new.name,
+        category = new.category,
+        price = case when price_override then price else new.base_price end,
+        updated_at = now()
+    where style_id = new.id;
+
+    return new;
+end;
+$$;
+
+drop trigger if exists product_styles_sync_variants on public.product_styles;
+create trigger product_styles_sync_variants
+    after update of name, category, base_price on public.product_styles
+    for each row
+    execute function public.sync_style_variants();
@@ -0,0 +1,130 @@
+-- 010_import_products.sql
+-- Bulk product import from the admin CSV/XLSX importer, in one transaction
+-- so a failed import leaves the catalogue untouched.
+-- Each row is matched to an existing variant by style (name + category),
+-- size and colour, ignoring case:
+--   new variant        inserted under its style (created on first use), with
+--                      its opening stock as a 'restock' inventory transaction
+--   existing variant   price, cost and barcode updated when given, and the
+--                      row's stock_quantity ADDED to stock as a 'restock'
+
+-- ==================== import_products ====================
+-- p_rows: [{ "name", "category", "size", "colour", "barcode", "price",
+--            "cost_price", "stock_quantity" }]
+-- Barcodes are assigned by the client before calling (blank ones get the next
+-- LIM### code). Raises BARCODE_IN_USE (errcode 23505) with the barcode in
+-- DETAIL when one belongs to another product.
+-- Returns { "created": n, "updated": n }.
+
+create or replace function public.import_products(p_rows jsonb)
+returns jsonb
+language plpgsql
+security invoker
+set search_path = public
+as $$
+declare
+    v_user_id uuid := auth.uid();
+    v_row record;
+    v_style public.product_styles%rowtype;
+    v_product public.products%rowtype;
+    v_note text;
+    v_created integer := 0;
+    v_updated integer := 0;
+begin
+    if v_user_id is null then
+        raise exception 'User not authenticated' using errcode = '28000';
+    end if;
+
+    if p_rows is null or jsonb_array_length(p_rows) = 0 then
+        raise exception 'Import has no rows' using errcode = '22023';
+    end if;
+
+    for v_row in
+        select trim(value->>'name') as name,
+               value->>'category' as category,
+               nullif(trim(value->>'size'), '') as size,
+               nullif(trim(value->>'colour'), '') as colour,
+               nullif(trim(value->>'barcode'), '') as barcode,
+               (value->>'price')::numeric as price,
+               (value->>'cost_price')::numeric as cost_price,
+               coalesce((value->>'stock_quantity')::integer, 0) as stock_quantity
+        from jsonb_array_elements(p_rows)
+    loop
+        if v_row.stock_quantity < 0 then
+            raise exception 'Negative stock for %', v_row.name using errcode = '22023';
+        end if;
+
+        -- Style, created on first use (same rule as DatabaseManager.getOrCreateStyle)
+        select * into v_style
+        from public.product_styles
+        where lower(name) = lower(v_row.name)
+          and category = v_row.category;
+
+        if not found then
+            insert into public.product_styles (name, category, base_price)
+            values (v_row.name, v_row.category, coalesce(v_row.price, 0))
+            returning * into v_style;
+        end if;
+
+        select * into v_product
+        from public.products
+        where style_id = v_style.id
+          and is_active = true
+          and lower(size) is not distinct from lower(v_row.size)
+          and lower(colour) is not distinct from lower(v_row.colour)
+        for update;
+
+        if v_row.barcode is not null and exists (
+            select 1
+            from public.products
+            where barcode = v_row.barcode
+              and is_active = true
+              and id is distinct from v_product.id
+        ) then
+            raise exception 'BARCODE_IN_USE'
+                using errcode = '23505',
+                      detail = v_row.barcode;
+        end if;
+
+        if v_product.id is null then
+            if v_row.price is null then
+                raise exception 'Price missing for new product %', v_row.name using errcode = '22023';
+            end if;
+
+            insert into public.products (
+                name, category, style_id, size, colour, barcode,
+                price, price_override, cost_price, stock_quantity, is_on_sale, is_active
+            )
+            values (
+                v_style.name, v_style.category, v_style.id, v_row.size, v_row.colour, v_row.barcode,
+                v_row.price, v_row.price <> v_style.base_price, v_row.cost_price, v_row.stock_quantity, false, true
+            )
+            returning * into v_product;
+
+            v_created := v_created + 1;
+            v_note := 'Initial stock (import)';
+        else
+            update public.products
+            set price = coalesce(v_row.price, price),
+                price_override = case when v_row.price is null then price_override else v_row.price <> v_style.base_price end,
+                cost_price = coalesce(v_row.cost_price, cost_price),
+                barcode = coalesce(v_row.barcode, barcode),
+                stock_quantity = stock_quantity + v_row.stock_quantity,
+                updated_at = now()
+            where id = v_product.id;
+
+            v_updated := v_updated + 1;
+            v_note := 'Import restock';
+        end if;
+
+        if v_row.stock_quantity > 0 then
+            insert into public.inventory_transactions (product_id, type, quantity, user_id, notes)
+            values (v_product.id, 'restock', v_row.stock_quantity, v_user_id, v_note);
+        end if;
+    end loop;
+
+    return jsonb_build_object('created', v_created, 'updated', v_updated);
+end;
+$$;
+
+grant execute on function public.import_products(jsonb) to authenticated;
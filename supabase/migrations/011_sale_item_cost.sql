@@ -0,0 +1,232 @@
+-- 011_sale_item_cost.sql
+-- Profit reporting: each sale line keeps the product's cost_price as it was
+-- when it was sold, so editing a cost later never rewrites past margins.
+-- unit_cost is null when the product had no cost recorded; reports treat
+-- those lines as "cost unknown" rather than 100% margin.
+
+alter table public.sale_items
+    add column if not exists unit_cost numeric(10, 2);
+
+-- Existing lines take the product's current cost: the best history available
+update public.sale_items si
+set unit_cost = p.cost_price
+from public.products p
+where p.id = si.product_id
+  and si.unit_cost is null;
+
+-- ==================== create_sale ====================
+-- Same contract as 008; each sale item now snapshots products.cost_price
+-- into unit_cost.
+
+create or replace function public.create_sale(p_sale jsonb)
+returns jsonb
+language plpgsql
+security invoker
+set search_path = public
+as $$
+declare
+    v_user_id uuid := auth.uid();
+    v_items_in jsonb := p_sale->'items';
+    v_sale public.sales%rowtype;
+    v_item jsonb;
+    v_product_id uuid;
+    v_quantity integer;
+    v_unit_price numeric;
+    v_discount_amount numeric;
+    v_unit_cost numeric;
+    v_shortages jsonb;
+    v_payments jsonb;
+    v_paid numeric;
+    v_cash_paid numeric;
+    v_cash_tendered numeric;
+    v_items jsonb := '[]'::jsonb;
+begin
+    if v_user_id is null then
+        raise exception 'User not authenticated' using errcode = '28000';
+    end if;
+
+    if v_items_in is null or jsonb_array_length(v_items_in) = 0 then
+        raise exception 'Sale has no items' using errcode = '22023';
+    end if;
+
+    -- Tenders: default to one payment of the whole total in payment_method
+    v_payments := coalesce(
+        nullif(p_sale->'payments', '[]'::jsonb),
+        jsonb_build_array(jsonb_build_object(
+            'method', p_sale->>'payment_method',
+            'amount', (p_sale->>'total')::numeric
+        ))
+    );
+
+    select sum((value->>'amount')::numeric)
+    into v_paid
+    from jsonb_array_elements(v_payments);
+
+    if abs(v_paid - (p_sale->>'total')::numeric) >= 0.005 then
+        raise exception 'Tenders (%) do not add up to the sale total (%)', v_paid, p_sale->>'total'
+            using errcode = '22023';
+    end if;
+
+    -- Cash handed over vs. cash owed; the difference is the change given back
+    select coalesce(sum((value->>'amount')::numeric), 0)
+    into v_cash_paid
+    from jsonb_array_elements(v_payments)
+    where value->>'method' = 'Cash';
+
+    if v_cash_paid > 0 then
+        v_cash_tendered := coalesce((p_sale->>'cash_tendered')::numeric, v_cash_paid);
+
+        if v_cash_tendered < v_cash_paid then
+            raise exception 'Cash tendered (%) is less than the cash due (%)', v_cash_tendered, v_cash_paid
+                using errcode = '22023';
+        end if;
+    end if;
+
+    -- Lock every product in the cart (in id order, so tills never deadlock)
+    perform 1
+    from public.products
+    where id in (select (value->>'product_id')::uuid from jsonb_array_elements(v_items_in))
+    order by id
+    for update;
+
+    -- Check all lines before touching anything, so the till can show every shortage at once
+    select jsonb_agg(jsonb_build_object(
+        'product_id', requested.product_id,
+        'product_name', coalesce(p.name, requested.product_name),
+        'requested', requested.quantity,
+        'available', coalesce(p.stock_quantity, 0)
+    ))
+    into v_shortages
+    from (
+        select (value->>'product_id')::uuid as product_id,
+               max(value->>'product_name') as product_name,
+               sum((value->>'quantity')::integer) as quantity
+        from jsonb_array_elements(v_items_in)
+        group by 1
+    ) requested
+    left join public.products p on p.id = requested.product_id
+    where p.id is null or p.stock_quantity < requested.quantity;
+
+    if v_shortages is not null then
+        raise exception 'INSUFFICIENT_STOCK'
+            using errcode = 'P0001',
+                  detail = v_shortages::text,
+                  hint = 'One or more cart lines exceed the stock on hand';
+    end if;
+
+    -- Sale record
+    insert into public.sales (
+        cashier_id, total, subtotal, discount_total,
+        discount_type, discount_value, discount_approved_by,
+        payment_method, cash_tendered, change_given, created_at
+    )
+    values (
+        v_user_id,
+        (p_sale->>'total')::numeric,
+        coalesce((p_sale->>'subtotal')::numeric, (p_sale->>'total')::numeric),
+        coalesce((p_sale->>'discount_total')::numeric, 0),
+        p_sale->>'discount_type',
+        (p_sale->>'discount_value')::numeric,
+        (p_sale->>'discount_approved_by')::uuid,
+        case
+            when (select count(distinct value->>'method') from jsonb_array_elements(v_payments)) > 1 then 'Split'
+            else v_payments->0->>'method'
+        end,
+        v_cash_tendered,
+        v_cash_tendered - v_cash_paid,
+        coalesce((p_sale->>'created_at')::timestamptz, now())
+    )
+    returning * into v_sale;
+
+    -- One row per tender
+    insert into public.sale_payments (sale_id, method, amount, created_at)
+    select v_sale.id, value->>'method', (value->>'amount')::numeric, v_sale.created_at
+    from jsonb_array_elements(v_payments);
+
+    for v_item in select * from jsonb_array_elements(v_items_in)
+    loop
+        v_product_id := (v_item->>'product_id')::uuid;
+        v_quantity := (v_item->>'quantity')::integer;
+        v_unit_price := (v_item->>'unit_price')::numeric;
+        v_discount_amount := coalesce((v_item->>'discount_amount')::numeric, 0);
+
+        if v_quantity is null or v_quantity <= 0 then
+            raise exception 'Invalid quantity for product %', v_product_id using errcode = '22023';
+        end if;
+
+        if v_discount_amount < 0 or v_discount_amount > v_unit_price * v_quantity then
+            raise exception 'Invalid discount for product %', v_product_id using errcode = '22023';
+        end if;
+
+        -- Cost as it stands right now; later cost changes never reach this line
+        select cost_price into v_unit_cost
+        from public.products
+        where id = v_product_id;
+
+        -- Sale item (original_price falls back to the shelf price)
+        insert into public.sale_items (
+            sale_id, product_id, product_name, quantity, unit_price, original_price,
+            unit_cost, discount_type, discount_value, discount_amount, total
+        )
+        values (
+            v_sale.id,
+            v_product_id,
+            v_item->>'product_name',
+            v_quantity,
+            v_unit_price,
+            coalesce(
+                (v_item->>'original_price')::numeric,
+                (select price from public.products where id = v_product_id)
+            ),
+            v_unit_cost,
+            v_item->>'discount_type',
+            (v_item->>'discount_value')::numeric,
+            v_discount_amount,
+            v_unit_price * v_quantity - v_discount_amount
+        );
+
+        -- Relative, conditional stock decrement
+        update public.products
+        set stock_quantity = stock_quantity - v_quantity,
+            updated_at = now()
+        where id = v_product_id
+          and stock_quantity >= v_quantity;
+
+        if not found then
+            raise exception 'INSUFFICIENT_STOCK'
+                using errcode = 'P0001',
+                      detail = jsonb_build_array(jsonb_build_object(
+                          'product_id', v_product_id,
+                          'product_name', v_item->>'product_name',
+                          'requested', v_quantity,
+                          'available', (select stock_quantity from public.products where id = v_product_id)
+                      ))::text;
+        end if;
+
+        -- Inventory transaction (negative for sales; exchanges label their own)
+        insert into public.inventory_transactions (product_id, type, quantity, user_id, notes)
+        values (
+            v_product_id,
+            coalesce(p_sale->>'inventory_type', 'sale'),
+            -v_quantity,
+            v_user_id,
+            coalesce(p_sale->>'inventory_note', 'Sale ' || v_sale.id)
+        );
+    end loop;
+
+    select coalesce(jsonb_agg(to_jsonb(si)), '[]'::jsonb)
+    into v_items
+    from public.sale_items si
+    where si.sale_id = v_sale.id;
+
+    return jsonb_build_object(
+        'sale', to_jsonb(v_sale),
+        'items', v_items,
+        'payments', (
+            select coalesce(jsonb_agg(to_jsonb(sp)), '[]'::jsonb)
+            from public.sale_payments sp
+            where sp.sale_id = v_sale.id
+        )
+    );
+end;
+$$;
@@ -0,0 +1,262 @@
+-- 012_shifts.sql
+-- Cashier shifts and cash drawer reconciliation.
+--   shifts   one cashier's stint at the till: the float counted in when it
+--            opened, and the drawer counted out when it closed
+-- A shift covers that cashier's sales, returns and exchanges from opened_at
+-- up to closed_at, found by cashier_id and created_at, so sales replayed from
+-- the offline queue (which keep their original time) land in the right shift.
+--
+-- Expected cash in the drawer is
+--   opening float + cash tenders - cash refunds - payouts
+-- where cash refunds include exchanges that paid the difference back in cash.
+-- Closing a shift records the counted cash, the variance (counted - expected)
+-- and a snapshot of the summary as the shift's Z-report.
+
+create table if not exists public.shifts (
+    id uuid primary key default gen_random_uuid(),
+    cashier_id uuid not null references public.users (id),
+    opened_at timestamptz not null default now(),
+    opening_float numeric(10, 2) not null check (opening_float >= 0),
+    -- Denomination counts, e.g. { "20": 3, "0.25": 8 }
+    opening_count jsonb,
+    closed_at timestamptz,
+    closed_by uuid references public.users (id),
+    closing_count jsonb,
+    counted_cash numeric(10, 2),
+    expected_cash numeric(10, 2),
+    variance numeric(10, 2),
+    summary jsonb,
+    notes text
+);
+
+-- A cashier has at most one open shift
+create unique index if not exists shifts_one_open_per_cashier_idx
+    on public.shifts (cashier_id)
+    where closed_at is null;
+create index if not exists shifts_opened_at_idx on public.shifts (opened_at);
+
+alter table public.shifts enable row level security;
+
+drop policy if exists "Authenticated users can read shifts" on public.shifts;
+create policy "Authenticated users can read shifts"
+    on public.shifts for select
+    to authenticated
+    using (true);
+
+drop policy if exists "Authenticated users can open shifts" on public.shifts;
+create policy "Authenticated users can open shifts"
+    on public.shifts for insert
+    to authenticated
+    with check (cashier_id = auth.uid());
+
+drop policy if exists "Authenticated users can close shifts" on public.shifts;
+create policy "Authenticated users can close shifts"
+    on public.shifts for update
+    to authenticated
+    using (true)
+    with check (true);
+
+-- ==================== get_shift_summary ====================
+-- Totals for a shift so far (X-report), or for the whole of a closed shift:
+-- {
+--   "shift_id", "cashier_id", "opened_at", "closed_at", "opening_float",
+--   "sales_count", "sales_total", "cash_sales", "transfer_sales",
+--   "returns_count", "cash_refunds", "transfer_refunds", "payouts",
+--   "expected_cash"
+-- }
+
+create or replace function public.get_shift_summary(p_shift_id uuid)
+returns jsonb
+language plpgsql
+stable
+security invoker
+set search_path = public
+as $$
+declare
+    v_shift public.shifts%rowtype;
+    v_until timestamptz;
+    v_sales_count integer;
+    v_sales_total numeric;
+    v_cash_sales numeric;
+    v_transfer_sales numeric;
+    v_returns_count integer;
+    v_cash_refunds numeric;
+    v_transfer_refunds numeric;
+    -- Nothing pays cash out of the drawer outside refunds yet
+    v_payouts numeric := 0;
+begin
+    select * into v_shift
+    from public.shifts
+    where id = p_shift_id;
+
+    if not found then
+        raise exception 'Shift % not found', p_shift_id using errcode = 'P0002';
+    end if;
+
+    v_until := coalesce(v_shift.closed_at, 'infinity'::timestamptz);
+
+    select count(*), coalesce(sum(total), 0)
+    into v_sales_count, v_sales_total
+    from public.sales
+    where cashier_id = v_shift.cashier_id
+      and created_at >= v_shift.opened_at
+      and created_at < v_until;
+
+    -- Cash tenders are what the sale was owed in cash; change is already netted off
+    select coalesce(sum(sp.amount) filter (where sp.method = 'Cash'), 0),
+           coalesce(sum(sp.amount) filter (where sp.method = 'Transfer'), 0)
+    into v_cash_sales, v_transfer_sales
+    from public.sale_payments sp
+    join public.sales s on s.id = sp.sale_id
+    where s.cashier_id = v_shift.cashier_id
+      and s.created_at >= v_shift.opened_at
+      and s.created_at < v_until;
+
+    -- Exchange credit never leaves the drawer, so only Cash/Transfer refunds count
+    select count(*),
+           coalesce(sum(total) filter (where refund_method = 'Cash'), 0),
+           coalesce(sum(total) filter (where refund_method = 'Transfer'), 0)
+    into v_returns_count, v_cash_refunds, v_transfer_refunds
+    from public.returns
+    where cashier_id = v_shift.cashier_id
+      and created_at >= v_shift.opened_at
+      and created_at < v_until;
+
+    -- Exchanges for something cheaper paid the difference back
+    select v_cash_refunds + coalesce(sum(-difference) filter (where settlement_method = 'Cash'), 0),
+           v_transfer_refunds + coalesce(sum(-difference) filter (where settlement_method = 'Transfer'), 0)
+    into v_cash_refunds, v_transfer_refunds
+    from public.exchanges
+    where cashier_id = v_shift.cashier_id
+      and difference < 0
+      and created_at >= v_shift.opened_at
+      and created_at < v_until;
+
+    return jsonb_build_object(
+        'shift_id', v_shift.id,
+        'cashier_id', v_shift.cashier_id,
+        'opened_at', v_shift.opened_at,
+        'closed_at', v_shift.closed_at,
+        'opening_float', v_shift.opening_float,
+        'sales_count', v_sales_count,
+        'sales_total', v_sales_total,
+        'cash_sales', v_cash_sales,
+        'transfer_sales', v_transfer_sales,
+        'returns_count', v_returns_count,
+        'cash_refunds', v_cash_refunds,
+        'transfer_refunds', v_transfer_refunds,
+        'payouts', v_payouts,
+        'expected_cash', v_shift.opening_float + v_cash_sales - v_cash_refunds - v_payouts
+    );
+end;
+$$;
+
+grant execute on function public.get_shift_summary(uuid) to authenticated;
+
+-- ==================== open_shift ====================
+-- p_shift: { "opening_float", "opening_count" }
+-- Raises SHIFT_ALREADY_OPEN (errcode 23505) with the open shift's id in
+-- DETAIL when the cashier has not closed their last shift.
+
+create or replace function public.open_shift(p_shift jsonb)
+returns jsonb
+language plpgsql
+security invoker
+set search_path = public
+as $$
+declare
+    v_user_id uuid := auth.uid();
+    v_open_id uuid;
+    v_shift public.shifts%rowtype;
+begin
+    if v_user_id is null then
+        raise exception 'User not authenticated' using errcode = '28000';
+    end if;
+
+    if coalesce((p_shift->>'opening_float')::numeric, -1) < 0 then
+        raise exception 'Invalid opening float' using errcode = '22023';
+    end if;
+
+    select id into v_open_id
+    from public.shifts
+    where cashier_id = v_user_id
+      and closed_at is null;
+
+    if v_open_id is not null then
+        raise exception 'SHIFT_ALREADY_OPEN'
+            using errcode = '23505',
+                  detail = v_open_id::text;
+    end if;
+
+    insert into public.shifts (cashier_id, opening_float, opening_count)
+    values (v_user_id, (p_shift->>'opening_float')::numeric, p_shift->'opening_count')
+    returning * into v_shift;
+
+    return to_jsonb(v_shift);
+end;
+$$;
+
+grant execute on function public.open_shift(jsonb) to authenticated;
+
+-- ==================== close_shift ====================
+-- p_close: { "shift_id", "counted_cash", "closing_count", "notes" }
+-- Raises SHIFT_CLOSED (errcode P0001) when the shift was already closed.
+-- Returns the closed shift, with its Z-report summary.
+
+create or replace function public.close_shift(p_close jsonb)
+returns jsonb
+language plpgsql
+security invoker
+set search_path = public
+as $$
+declare
+    v_user_id uuid := auth.uid();
+    v_shift_id uuid := (p_close->>'shift_id')::uuid;
+    v_counted numeric := (p_close->>'counted_cash')::numeric;
+    v_shift public.shifts%rowtype;
+    v_summary jsonb;
+begin
+    if v_user_id is null then
+        raise exception 'User not authenticated' using errcode = '28000';
+    end if;
+
+    if v_counted is null or v_counted < 0 then
+        raise exception 'Invalid counted cash' using errcode = '22023';
+    end if;
+
+    select * into v_shift
+    from public.shifts
+    where id = v_shift_id
+    for update;
+
+    if not found then
+        raise exception 'Shift % not found', v_shift_id using errcode = 'P0002';
+    end if;
+
+    if v_shift.closed_at is not null then
+        raise exception 'SHIFT_CLOSED' using errcode = 'P0001';
+    end if;
+
+    -- Fix the end of the shift first so the summary covers exactly up to it
+    update public.shifts
+    set closed_at = now(),
+        closed_by = v_user_id
+    where id = v_shift_id;
+
+    v_summary := public.get_shift_summary(v_shift_id);
+
+    update public.shifts
+    set closing_count = p_close->'closing_count',
+        counted_cash = v_counted,
+        expected_cash = (v_summary->>'expected_cash')::numeric,
+        variance = v_counted - (v_summary->>'expected_cash')::numeric,
+        summary = v_summary,
+        notes = nullif(trim(p_close->>'notes'), '')
+    where id = v_shift_id
+    returning * into v_shift;
+
+    return to_jsonb(v_shift);
+end;
+$$;
+
+grant execute on function public.close_shift(jsonb) to authenticated;
@@ -0,0 +1,195 @@
+-- 013_cash_movements.sql
+-- Paid-ins and paid-outs: cash put into or taken out of the drawer outside a
+-- sale or refund (buying bags, paying a cleaner, topping up change), with a
+-- reason code and notes. Each belongs to the cashier's open shift, so shift
+-- reconciliation counts it:
+--   expected cash = opening float + cash tenders - cash refunds
+--                   + paid-ins - paid-outs
+
+create table if not exists public.cash_movements (
+    id uuid primary key default gen_random_uuid(),
+    shift_id uuid not null references public.shifts (id),
+    cashier_id uuid not null references public.users (id),
+    type text not null check (type in ('paid_in', 'paid_out')),
+    amount numeric(10, 2) not null check (amount > 0),
+    -- A reason code from cashMovementConfig in js/shifts.js
+    reason text not null,
+    notes text,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists cash_movements_shift_id_idx on public.cash_movements (shift_id);
+create index if not exists cash_movements_created_at_idx on public.cash_movements (created_at);
+
+alter table public.cash_movements enable row level security;
+
+drop policy if exists "Authenticated users can read cash movements" on public.cash_movements;
+create policy "Authenticated users can read cash movements"
+    on public.cash_movements for select
+    to authenticated
+    using (true);
+
+drop policy if exists "Authenticated users can record cash movements" on public.cash_movements;
+create policy "Authenticated users can record cash movements"
+    on public.cash_movements for insert
+    to authenticated
+    with check (cashier_id = auth.uid());
+
+-- ==================== record_cash_movement ====================
+-- p_movement: { "type", "amount", "reason", "notes" }
+-- Records against the signed-in cashier's open shift. Raises NO_OPEN_SHIFT
+-- (errcode P0001) when they have none, since there is no drawer to count it in.
+
+create or replace function public.record_cash_movement(p_movement jsonb)
+returns jsonb
+language plpgsql
+security invoker
+set search_path = public
+as $$
+declare
+    v_user_id uuid := auth.uid();
+    v_amount numeric := (p_movement->>'amount')::numeric;
+    v_shift_id uuid;
+    v_movement public.cash_movements%rowtype;
+begin
+    if v_user_id is null then
+        raise exception 'User not authenticated' using errcode = '28000';
+    end if;
+
+    if coalesce(p_movement->>'type', '') not in ('paid_in', 'paid_out') then
+        raise exception 'Invalid cash movement type' using errcode = '22023';
+    end if;
+
+    if v_amount is null or v_amount <= 0 then
+        raise exception 'Invalid amount' using errcode = '22023';
+    end if;
+
+    if nullif(trim(p_movement->>'reason'), '') is null then
+        raise exception 'A reason is required' using errcode = '22023';
+    end if;
+
+    select id into v_shift_id
+    from public.shifts
+    where cashier_id = v_user_id
+      and closed_at is null;
+
+    if v_shift_id is null then
+        raise exception 'NO_OPEN_SHIFT' using errcode = 'P0001';
+    end if;
+
+    insert into public.cash_movements (shift_id, cashier_id, type, amount, reason, notes)
+    values (
+        v_shift_id,
+        v_user_id,
+        p_movement->>'type',
+        v_amount,
+        trim(p_movement->>'reason'),
+        nullif(trim(p_movement->>'notes'), '')
+    )
+    returning * into v_movement;
+
+    return to_jsonb(v_movement);
+end;
+$$;
+
+grant execute on function public.record_cash_movement(jsonb) to authenticated;
+
+-- ==================== get_shift_summary ====================
+-- Same contract as 012, plus "paid_ins"; paid_ins and payouts are the shift's
+-- cash_movements, and expected_cash now adds the one and takes off the other.
+
+create or replace function public.get_shift_summary(p_shift_id uuid)
+returns jsonb
+language plpgsql
+stable
+security invoker
+set search_path = public
+as $$
+declare
+    v_shift public.shifts%rowtype;
+    v_until timestamptz;
+    v_sales_count integer;
+    v_sales_total numeric;
+    v_cash_sales numeric;
+    v_transfer_sales numeric;
+    v_returns_count integer;
+    v_cash_refunds numeric;
+    v_transfer_refunds numeric;
+    v_paid_ins numeric;
+    v_payouts numeric;
+begin
+    select * into v_shift
+    from public.shifts
+    where id = p_shift_id;
+
+    if not found then
+        raise exception 'Shift % not found', p_shift_id using errcode = 'P0002';
+    end if;
+
+    v_until := coalesce(v_shift.closed_at, 'infinity'::timestamptz);
+
+    select count(*), coalesce(sum(total), 0)
+    into v_sales_count, v_sales_total
+    from public.sales
+    where cashier_id = v_shift.cashier_id
+      and created_at >= v_shift.opened_at
+      and created_at < v_until;
+
+    -- Cash tenders are what the sale was owed in cash; change is already netted off
+    select coalesce(sum(sp.amount) filter (where sp.method = 'Cash'), 0),
+           coalesce(sum(sp.amount) filter (where sp.method = 'Transfer'), 0)
+    into v_cash_sales, v_transfer_sales
+    from public.sale_payments sp
+    join public.sales s on s.id = sp.sale_id
+    where s.cashier_id = v_shift.cashier_id
+      and s.created_at >= v_shift.opened_at
+      and s.created_at < v_until;
+
+    -- Exchange credit never leaves the drawer, so only Cash/Transfer refunds count
+    select count(*),
+           coalesce(sum(total) filter (where refund_method = 'Cash'), 0),
+           coalesce(sum(total) filter (where refund_method = 'Transfer'), 0)
+    into v_returns_count, v_cash_refunds, v_transfer_refunds
+    from public.returns
+    where cashier_id = v_shift.cashier_id
+      and created_at >= v_shift.opened_at
+      and created_at < v_until;
+
+    -- Exchanges for something cheaper paid the difference back
+    select v_cash_refunds + coalesce(sum(-difference) filter (where settlement_method = 'Cash'), 0),
+           v_transfer_refunds + coalesce(sum(-difference) filter (where settlement_method = 'Transfer'), 0)
+    into v_cash_refunds, v_transfer_refunds
+    from public.exchanges
+    where cashier_id = v_shift.cashier_id
+      and difference < 0
+      and created_at >= v_shift.opened_at
+      and created_at < v_until;
+
+    -- Paid-ins and paid-outs are recorded against the shift itself
+    select coalesce(sum(amount) filter (where type = 'paid_in'), 0),
+           coalesce(sum(amount) filter (where type = 'paid_out'), 0)
+    into v_paid_ins, v_payouts
+    from public.cash_movements
+    where shift_id = v_shift.id;
+
+    return jsonb_build_object(
+        'shift_id', v_shift.id,
+        'cashier_id', v_shift.cashier_id,
+        'opened_at', v_shift.opened_at,
+        'closed_at', v_shift.closed_at,
+        'opening_float', v_shift.opening_float,
+        'sales_count', v_sales_count,
+        'sales_total', v_sales_total,
+        'cash_sales', v_cash_sales,
+        'transfer_sales', v_transfer_sales,
+        'returns_count', v_returns_count,
+        'cash_refunds', v_cash_refunds,
+        'transfer_refunds', v_transfer_refunds,
+        'paid_ins', v_paid_ins,
+        'payouts', v_payouts,
+        'expected_cash', v_shift.opening_float + v_cash_sales - v_cash_refunds + v_paid_ins - v_payouts
+    );
+end;
+$$;
+
+grant execute on function public.get_shift_summary(uuid) to authenticated;
@@ -0,0 +1,318 @@
+-- 014_permissions.sql
+-- Permissions. What a member of staff may do is no longer only "shopkeeper
+-- or manager": every role has a set of permissions, and any user can have
+-- single permissions switched on or off on top of their role's.
+--   role_permissions.permissions  { "can_refund": true, ... } for each role
+--   users.permissions             that user's overrides, e.g. { "can_discount": false }
+-- A permission missing from both is off. The names match permissionConfig in
+-- js/permissions.js, which resolves them the same way as get_permissions.
+--
+-- The app hides what a user cannot do; the policies and triggers below make
+-- the database refuse it as well:
+--   can_discount         sales with a discount (unless someone who can approved it)
+--   can_refund           returns and exchanges
+--   can_void             deleting sales
+--   can_edit_price       price, sale price and cost price changes
+--   can_manage_products  adding, editing and removing products and styles
+--   can_manage_staff     role permissions, and a user's role and overrides
+-- can_access_admin decides what the app shows. can_view_cost and
+-- can_view_reports decide what it loads, and 032_cost_permissions.sql keeps
+-- costs and other cashiers' sales out of reach of the API as well.
+
+alter table public.users
+    add column if not exists permissions jsonb not null default '{}'::jsonb;
+
+create table if not exists public.role_permissions (
+    role text primary key,
+    permissions jsonb not null default '{}'::jsonb,
+    updated_at timestamptz not null default now()
+);
+
+insert into public.role_permissions (role, permissions)
+values
+    ('manager', '{
+        "can_discount": true,
+        "can_refund": true,
+        "can_void": true,
+        "can_edit_price": true,
+        "can_view_cost": true,
+        "can_manage_products": true,
+        "can_view_reports": true,
+        "can_access_admin": true,
+        "can_manage_staff": true
+    }'::jsonb),
+    ('shopkeeper', '{
+        "can_discount": true,
+        "can_refund": true,
+        "can_void": true
+    }'::jsonb)
+on conflict (role) do nothing;
+
+-- ==================== get_permissions ====================
+-- { permission: true/false } for a user: their role's permissions with their
+-- own overrides on top. Security definer because the policies below call it
+-- and it has to read users and role_permissions whatever their own policies
+-- allow; it only ever reads.
+
+create or replace function public.get_permissions(p_user_id uuid default auth.uid())
+returns jsonb
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select coalesce(rp.permissions, '{}'::jsonb) || coalesce(u.permissions, '{}'::jsonb)
+    from public.users u
+    left join public.role_permissions rp on rp.role = u.role
+    where u.id = p_user_id;
+$$;
+
+grant execute on function public.get_permissions(uuid) to authenticated;
+
+create or replace function public.has_permission(p_permission text, p_user_id uuid default auth.uid())
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select coalesce((public.get_permissions(p_user_id)->>p_permission)::boolean, false);
+$$;
+
+grant execute on function public.has_permission(text, uuid) to authenticated;
+
+-- ==================== role_permissions ====================
+
+alter table public.role_permissions enable row level security;
+
+drop policy if exists "Authenticated users can read role permissions" on public.role_permissions;
+create policy "Authenticated users can read role permissions"
+    on public.role_permissions for select
+    to authenticated
+    using (true);
+
+drop policy if exists "Staff managers can change role permissions" on public.role_permissions;
+create policy "Staff managers can change role permissions"
+    on public.role_permissions for all
+    to authenticated
+    using (public.has_permission('can_manage_staff'))
+    with check (public.has_permission('can_manage_staff'));
+
+-- ==================== Restrictive policies ====================
+-- Restrictive policies are ANDed with the permissive ones already on these
+-- tables, so they narrow who can write without replacing anything.
+
+drop policy if exists "Discounts need can_discount or an approval" on public.sales;
+create policy "Discounts need can_discount or an approval"
+    on public.sales as restrictive for insert
+    to authenticated
+    with check (
+        coalesce(discount_total, 0) = 0
+        or public.has_permission('can_discount')
+        or (discount_approved_by is not null and public.has_permission('can_discount', discount_approved_by))
+    );
+
+drop policy if exists "Voiding sales needs can_void" on public.sales;
+create policy "Voiding sales needs can_void"
+    on public.sales as restrictive for delete
+    to authenticated
+    using (public.has_permission('can_void'));
+
+drop policy if exists "Voiding sale items needs can_void" on public.sale_items;
+create policy "Voiding sale items needs can_void"
+    on public.sale_items as restrictive for delete
+    to authenticated
+    using (public.has_permission('can_void'));
+
+drop policy if exists "Returns need can_refund" on public.returns;
+create policy "Returns need can_refund"
+    on public.returns as restrictive for insert
+    to authenticated
+    with check (public.has_permission('can_refund'));
+
+drop policy if exists "Return items need can_refund" on public.return_items;
+create policy "Return items need can_refund"
+    on public.return_items as restrictive for insert
+    to authenticated
+    with check (public.has_permission('can_refund'));
+
+drop policy if exists "Exchanges need can_refund" on public.exchanges;
+create policy "Exchanges need can_refund"
+    on public.exchanges as restrictive for insert
+    to authenticated
+    with check (public.has_permission('can_refund'));
+
+drop policy if exists "Adding products needs can_manage_products" on public.products;
+create policy "Adding products needs can_manage_products"
+    on public.products as restrictive for insert
+    to authenticated
+    with check (public.has_permission('can_manage_products'));
+
+drop policy if exists "Deleting products needs can_manage_products" on public.products;
+create policy "Deleting products needs can_manage_products"
+    on public.products as restrictive for delete
+    to authenticated
+    using (public.has_permission('can_manage_products'));
+
+drop policy if exists "Adding styles needs can_manage_products" on public.product_styles;
+create policy "Adding styles needs can_manage_products"
+    on public.product_styles as restrictive for insert
+    to authenticated
+    with check (public.has_permission('can_manage_products'));
+
+drop policy if exists "Deleting styles needs can_manage_products" on public.product_styles;
+create policy "Deleting styles needs can_manage_products"
+    on public.product_styles as restrictive for delete
+    to authenticated
+    using (public.has_permission('can_manage_products'));
+
+-- ==================== Column checks ====================
+-- Every cashier updates products (a sale takes stock off), so which columns
+-- changed decides the permission, in a trigger. Raises PERMISSION_DENIED
+-- (errcode 42501) with the missing permission in DETAIL. Changes made with
+-- no signed-in user (the SQL editor, the service role) are let through.
+
+create or replace function public.check_product_permissions()
+returns trigger
+language plpgsql
+security invoker
+set search_path = public
+as $$
+begin
+    if auth.uid() is null then
+        return new;
+    end if;
+
+    if (new.name, new.category, new.size, new.colour, new.barcode, new.style_id, new.is_active)
+        is distinct from (old.name, old.category, old.size, old.colour, old.barcode, old.style_id, old.is_active)
+        and not public.has_permission('can_manage_products') then
+        raise exception 'PERMISSION_DENIED'
+            using errcode = '42501',
+                  detail = 'can_manage_products';
+    end if;
+
+    if (new.price, new.sale_price, new.is_on_sale, new.price_override, new.cost_price)
+        is distinct from (old.price, old.sale_price, old.is_on_sale, old.price_override, old.cost_price)
+        and not public.has_permission('can_edit_price') then
+        raise exception 'PERMISSION_DENIED'
+            using errcode = '42501',
+                  detail = 'can_edit_price';
+    end if;
+
+    return new;
+end;
+$$;
+
+drop trigger if exists products_check_permissions on public.products;
+create trigger products_check_permissions
+    before update on public.products
+    for each row
+    execute function public.check_product_permissions();
+
+create or replace function public.check_style_permissions()
+returns trigger
+language plpgsql
+security invoker
+set search_path = public
+as $$
+begin
+    if auth.uid() is null then
+        return new;
+    end if;
+
+    if (new.name, new.category) is distinct from (old.name, old.category)
+        and not public.has_permission('can_manage_products') then
+        raise exception 'PERMISSION_DENIED'
+            using errcode = '42501',
+                  detail = 'can_manage_products';
+    end if;
+
+    if new.base_price is distinct from old.base_price
+        and not public.has_permission('can_edit_price') then
+        raise exception 'PERMISSION_DENIED'
+            using errcode = '42501',
+                  detail = 'can_edit_price';
+    end if;
+
+    return new;
+end;
+$$;
+
+drop trigger if exists product_styles_check_permissions on public.product_styles;
+create trigger product_styles_check_permissions
+    before update on public.product_styles
+    for each row
+    execute function public.check_style_permissions();
+
+-- A user's role and overrides are theirs to read, but only a staff manager's to change
+create or replace function public.check_user_permissions()
+returns trigger
+language plpgsql
+security invoker
+set search_path = public
+as $$
+begin
+    if auth.uid() is null then
+        return new;
+    end if;
+
+    if (new.role, new.permissions) is distinct from (old.role, old.permissions)
+        and not public.has_permission('can_manage_staff') then
+        raise exception 'PERMISSION_DENIED'
+            using errcode = '42501',
+                  detail = 'can_manage_staff';
+    end if;
+
+    return new;
+end;
+$$;
+
+drop trigger if exists users_check_permissions on public.users;
+create trigger users_check_permissions
+    before update on public.users
+    for each row
+    execute function public.check_user_permissions();
+
+-- ==================== set_user_permissions ====================
+-- p_user_id's overrides: { permission: true/false }, leaving out any that
+-- should follow their role. Goes through a function so the change is checked
+-- against the caller's permission even where users' own policies only let
+-- people update their own row.
+
+create or replace function public.set_user_permissions(p_user_id uuid, p_permissions jsonb)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_user public.users%rowtype;
+begin
+    if auth.uid() is null then
+        raise exception 'User not authenticated' using errcode = '28000';
+    end if;
+
+    if not public.has_permission('can_manage_staff') then
+        raise exception 'PERMISSION_DENIED'
+            using errcode = '42501',
+                  detail = 'can_manage_staff';
+    end if;
+
+    if jsonb_typeof(coalesce(p_permissions, '{}'::jsonb)) <> 'object' then
+        raise exception 'Invalid permissions' using errcode = '22023';
+    end if;
+
+    update public.users
+    set permissions = coalesce(p_permissions, '{}'::jsonb)
+    where id = p_user_id
+    returning * into v_user;
+
+    if not found then
+        raise exception 'User % not found', p_user_id using errcode = 'P0002';
+    end if;
+
+    return to_jsonb(v_user);
+end;
+$$;
+
+grant execute on function public.set_user_permissions(uuid, jsonb) to authenticated;
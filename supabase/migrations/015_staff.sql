@@ -0,0 +1,277 @@
+-- 015_staff.sql
+-- Staff accounts, managed from the back office rather than by hand in
+-- Supabase. A new member of staff signs up through Supabase Auth (the app
+-- does this on a throwaway client, so the manager stays signed in; with email
+-- confirmation switched on, the confirmation email is their invite), then
+-- create_staff_member gives them their public.users row. Until then (and
+-- once deactivated) they can read and write nothing: 033_active_staff.sql.
+--   users.is_active        false once deactivated: they are refused at sign
+--                          in, and get_permissions gives them nothing
+--   users.pin_updated_at   when their till PIN was last set
+--   user_pins              the PIN hashes, which no one can read back
+-- Everything here takes can_manage_staff (014_permissions.sql).
+
+create extension if not exists pgcrypto with schema extensions;
+
+alter table public.users
+    add column if not exists is_active boolean not null default true,
+    add column if not exists deactivated_at timestamptz,
+    add column if not exists pin_updated_at timestamptz;
+
+create table if not exists public.user_pins (
+    user_id uuid primary key references public.users (id) on delete cascade,
+    pin_hash text not null,
+    updated_at timestamptz not null default now()
+);
+
+-- No policies: only the security definer functions below touch PIN hashes
+alter table public.user_pins enable row level security;
+
+-- ==================== get_permissions ====================
+-- As in 014, except a deactivated user has no permissions at all, so every
+-- policy and trigger that checks one refuses them even mid-session.
+
+create or replace function public.get_permissions(p_user_id uuid default auth.uid())
+returns jsonb
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select case
+        when u.is_active then coalesce(rp.permissions, '{}'::jsonb) || coalesce(u.permissions, '{}'::jsonb)
+        else '{}'::jsonb
+    end
+    from public.users u
+    left join public.role_permissions rp on rp.role = u.role
+    where u.id = p_user_id;
+$$;
+
+-- ==================== check_user_permissions ====================
+-- As in 014, with whether the account is active and its PIN added to what
+-- only a staff manager can change.
+
+create or replace function public.check_user_permissions()
+returns trigger
+language plpgsql
+security invoker
+set search_path = public
+as $$
+begin
+    if auth.uid() is null then
+        return new;
+    end if;
+
+    if (new.role, new.permissions, new.is_active, new.deactivated_at, new.pin_updated_at)
+        is distinct from (old.role, old.permissions, old.is_active, old.deactivated_at, old.pin_updated_at)
+        and not public.has_permission('can_manage_staff') then
+        raise exception 'PERMISSION_DENIED'
+            using errcode = '42501',
+                  detail = 'can_manage_staff';
+    end if;
+
+    return new;
+end;
+$$;
+
+-- ==================== Helpers ====================
+
+create or replace function public.require_staff_manager()
+returns void
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+begin
+    if auth.uid() is null then
+        raise exception 'User not authenticated' using errcode = '28000';
+    end if;
+
+    if not public.has_permission('can_manage_staff') then
+        raise exception 'PERMISSION_DENIED'
+            using errcode = '42501',
+                  detail = 'can_manage_staff';
+    end if;
+end;
+$$;
+
+-- Raises INVALID_ROLE (errcode 22023) for a role with no role_permissions row
+create or replace function public.require_role(p_role text)
+returns void
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+begin
+    if not exists (select 1 from public.role_permissions where role = p_role) then
+        raise exception 'INVALID_ROLE'
+            using errcode = '22023',
+                  detail = coalesce(p_role, '');
+    end if;
+end;
+$$;
+
+-- ==================== create_staff_member ====================
+-- p_user: { "id", "full_name", "role" } where id is the Supabase Auth user
+-- just signed up. The email is taken from auth.users so it always matches
+-- the one they sign in with. Raises STAFF_EXISTS (errcode 23505) when they
+-- already have a profile.
+
+create or replace function public.create_staff_member(p_user jsonb)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_user_id uuid := (p_user->>'id')::uuid;
+    v_full_name text := nullif(trim(p_user->>'full_name'), '');
+    v_role text := p_user->>'role';
+    v_email text;
+    v_user public.users%rowtype;
+begin
+    perform public.require_staff_manager();
+    perform public.require_role(v_role);
+
+    if v_full_name is null then
+        raise exception 'Full name is required' using errcode = '22023';
+    end if;
+
+    select email into v_email
+    from auth.users
+    where id = v_user_id;
+
+    if not found then
+        raise exception 'Sign-in account % not found', v_user_id using errcode = 'P0002';
+    end if;
+
+    if exists (select 1 from public.users where id = v_user_id) then
+        raise exception 'STAFF_EXISTS'
+            using errcode = '23505',
+                  detail = v_email;
+    end if;
+
+    insert into public.users (id, email, full_name, role)
+    values (v_user_id, v_email, v_full_name, v_role)
+    returning * into v_user;
+
+    return to_jsonb(v_user);
+end;
+$$;
+
+grant execute on function public.create_staff_member(jsonb) to authenticated;
+
+-- ==================== update_staff_member ====================
+-- p_changes: { "full_name", "role" }, either or both
+
+create or replace function public.update_staff_member(p_user_id uuid, p_changes jsonb)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_user public.users%rowtype;
+begin
+    perform public.require_staff_manager();
+
+    if p_changes ? 'role' then
+        perform public.require_role(p_changes->>'role');
+    end if;
+
+    if p_changes ? 'full_name' and nullif(trim(p_changes->>'full_name'), '') is null then
+        raise exception 'Full name is required' using errcode = '22023';
+    end if;
+
+    update public.users
+    set full_name = coalesce(nullif(trim(p_changes->>'full_name'), ''), full_name),
+        role = coalesce(p_changes->>'role', role)
+    where id = p_user_id
+    returning * into v_user;
+
+    if not found then
+        raise exception 'User % not found', p_user_id using errcode = 'P0002';
+    end if;
+
+    return to_jsonb(v_user);
+end;
+$$;
+
+grant execute on function public.update_staff_member(uuid, jsonb) to authenticated;
+
+-- ==================== set_staff_active ====================
+-- Deactivating keeps the account and everything it rang up; it only stops
+-- them signing in. Raises OWN_ACCOUNT (errcode 42501) for the caller's own.
+
+create or replace function public.set_staff_active(p_user_id uuid, p_active boolean)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_user public.users%rowtype;
+begin
+    perform public.require_staff_manager();
+
+    if p_user_id = auth.uid() then
+        raise exception 'OWN_ACCOUNT' using errcode = '42501';
+    end if;
+
+    update public.users
+    set is_active = p_active,
+        deactivated_at = case when p_active then null else now() end
+    where id = p_user_id
+    returning * into v_user;
+
+    if not found then
+        raise exception 'User % not found', p_user_id using errcode = 'P0002';
+    end if;
+
+    return to_jsonb(v_user);
+end;
+$$;
+
+grant execute on function public.set_staff_active(uuid, boolean) to authenticated;
+
+-- ==================== reset_staff_pin ====================
+-- Sets a 4 to 6 digit till PIN, stored as a bcrypt hash. Raises INVALID_PIN
+-- (errcode 22023) for anything else.
+
+create or replace function public.reset_staff_pin(p_user_id uuid, p_pin text)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public, extensions
+as $$
+declare
+    v_user public.users%rowtype;
+begin
+    perform public.require_staff_manager();
+
+    if p_pin is null or p_pin !~ '^[0-9]{4,6}$' then
+        raise exception 'INVALID_PIN' using errcode = '22023';
+    end if;
+
+    update public.users
+    set pin_updated_at = now()
+    where id = p_user_id
+    returning * into v_user;
+
+    if not found then
+        raise exception 'User % not found', p_user_id using errcode = 'P0002';
+    end if;
+
+    insert into public.user_pins (user_id, pin_hash, updated_at)
+    values (p_user_id, crypt(p_pin, gen_salt('bf')), now())
+    on conflict (user_id) do update
+    set pin_hash = excluded.pin_hash,
+        updated_at = excluded.updated_at;
+
+    return to_jsonb(v_user);
+end;
+$$;
+
+grant execute on function public.reset_staff_pin(uuid, text) to authenticated;
@@ -0,0 +1,157 @@
+-- 016_till_lock.sql
+-- PIN switching on a shared till. Sales, returns and shifts are recorded
+-- against the signed-in user, so switching cashier swaps the Supabase session
+-- itself: the till keeps each cashier's session encrypted with their
+-- user_pins.unlock_secret, which the server only gives out
+--   to anyone who knows their PIN   verify_pin
+--   to themselves                   get_unlock_secret (to lock their own session away)
+-- Resetting a PIN replaces the secret, so sessions kept on any till stop
+-- opening and that cashier signs in with their password once more.
+--
+-- Five wrong PINs in a row lock that PIN for five minutes.
+
+alter table public.user_pins
+    add column if not exists unlock_secret text not null default encode(extensions.gen_random_bytes(32), 'hex'),
+    add column if not exists failed_attempts integer not null default 0,
+    add column if not exists locked_until timestamptz;
+
+-- ==================== reset_staff_pin ====================
+-- As in 015, and also replaces the unlock secret and clears any lockout
+
+create or replace function public.reset_staff_pin(p_user_id uuid, p_pin text)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public, extensions
+as $$
+declare
+    v_user public.users%rowtype;
+begin
+    perform public.require_staff_manager();
+
+    if p_pin is null or p_pin !~ '^[0-9]{4,6}$' then
+        raise exception 'INVALID_PIN' using errcode = '22023';
+    end if;
+
+    update public.users
+    set pin_updated_at = now()
+    where id = p_user_id
+    returning * into v_user;
+
+    if not found then
+        raise exception 'User % not found', p_user_id using errcode = 'P0002';
+    end if;
+
+    insert into public.user_pins (user_id, pin_hash, unlock_secret, failed_attempts, locked_until, updated_at)
+    values (p_user_id, crypt(p_pin, gen_salt('bf')), encode(gen_random_bytes(32), 'hex'), 0, null, now())
+    on conflict (user_id) do update
+    set pin_hash = excluded.pin_hash,
+        unlock_secret = excluded.unlock_secret,
+        failed_attempts = 0,
+        locked_until = null,
+        updated_at = excluded.updated_at;
+
+    return to_jsonb(v_user);
+end;
+$$;
+
+-- ==================== verify_pin ====================
+-- Returns one of
+--   { "verified": true, "user_id", "unlock_secret" }
+--   { "verified": false, "attempts_left" }
+--   { "verified": false, "locked_until" }
+-- A wrong PIN is returned rather than raised, because raising would roll
+-- back the failed attempt it counts. Raises ACCOUNT_INACTIVE (errcode 42501)
+-- for a deactivated user and NO_PIN (errcode P0002) when none is set.
+
+create or replace function public.verify_pin(p_user_id uuid, p_pin text)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public, extensions
+as $$
+declare
+    v_max_attempts constant integer := 5;
+    v_lockout constant interval := interval '5 minutes';
+    v_active boolean;
+    v_pin public.user_pins%rowtype;
+begin
+    if auth.uid() is null then
+        raise exception 'User not authenticated' using errcode = '28000';
+    end if;
+
+    select is_active into v_active
+    from public.users
+    where id = p_user_id;
+
+    if not found then
+        raise exception 'User % not found', p_user_id using errcode = 'P0002';
+    end if;
+
+    if not v_active then
+        raise exception 'ACCOUNT_INACTIVE' using errcode = '42501';
+    end if;
+
+    select * into v_pin
+    from public.user_pins
+    where user_id = p_user_id
+    for update;
+
+    if not found then
+        raise exception 'NO_PIN' using errcode = 'P0002';
+    end if;
+
+    if v_pin.locked_until is not null and v_pin.locked_until > now() then
+        return jsonb_build_object('verified', false, 'locked_until', v_pin.locked_until);
+    end if;
+
+    if crypt(coalesce(p_pin, ''), v_pin.pin_hash) <> v_pin.pin_hash then
+        if v_pin.failed_attempts + 1 >= v_max_attempts then
+            update public.user_pins
+            set failed_attempts = 0,
+                locked_until = now() + v_lockout
+            where user_id = p_user_id;
+
+            return jsonb_build_object('verified', false, 'locked_until', now() + v_lockout);
+        end if;
+
+        update public.user_pins
+        set failed_attempts = failed_attempts + 1
+        where user_id = p_user_id;
+
+        return jsonb_build_object('verified', false, 'attempts_left', v_max_attempts - v_pin.failed_attempts - 1);
+    end if;
+
+    update public.user_pins
+    set failed_attempts = 0,
+        locked_until = null
+    where user_id = p_user_id;
+
+    return jsonb_build_object(
+        'verified', true,
+        'user_id', p_user_id,
+        'unlock_secret', v_pin.unlock_secret
+    );
+end;
+$$;
+
+grant execute on function public.verify_pin(uuid, text) to authenticated;
+
+-- ==================== get_unlock_secret ====================
+-- The signed-in user's own unlock secret, or null when they have no PIN
+
+create or replace function public.get_unlock_secret()
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select p.unlock_secret
+    from public.user_pins p
+    join public.users u on u.id = p.user_id
+    where p.user_id = auth.uid()
+      and u.is_active;
+$$;
+
+grant execute on function public.get_unlock_secret() to authenticated;
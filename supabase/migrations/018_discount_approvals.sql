@@ -0,0 +1,393 @@
+-- 018_discount_approvals.sql
+-- Discounts were only as honest as the till: create_sale wrote the
+-- discount_total and discount_approved_by it was sent, and the policy in
+-- 014_permissions.sql checked those same figures, so a cashier without
+-- can_discount could send a discounted cart with discount_total 0, or name
+-- any manager as the approver.
+--   create_sale              now security definer. It works the discounts out
+--                            from the lines itself and records who approved
+--                            them from an approval, never from the till
+--   discount_approvals       one row per approval a manager gives at the
+--                            till, good for a single sale within a day (long
+--                            enough for a sale queued offline to sync)
+--   approve_discount         called on the manager's own session when they
+--                            enter their password, returns the approval id
+-- Sales, their lines and their tenders can no longer be inserted directly;
+-- create_sale (and create_exchange through it) is the only way in.
+
+create table if not exists public.discount_approvals (
+    id uuid primary key default gen_random_uuid(),
+    approved_by uuid not null references public.users (id),
+    sale_id uuid references public.sales (id) on delete set null,
+    created_at timestamptz not null default now(),
+    expires_at timestamptz not null default now() + interval '1 day',
+    used_at timestamptz
+);
+
+-- No policies: only approve_discount and create_sale touch approvals
+alter table public.discount_approvals enable row level security;
+
+-- ==================== Policies ====================
+
+drop policy if exists "Discounts need can_discount or an approval" on public.sales;
+
+drop policy if exists "Sales are created through create_sale" on public.sales;
+create policy "Sales are created through create_sale"
+    on public.sales as restrictive for insert
+    to authenticated
+    with check (false);
+
+drop policy if exists "Sale items are created through create_sale" on public.sale_items;
+create policy "Sale items are created through create_sale"
+    on public.sale_items as restrictive for insert
+    to authenticated
+    with check (false);
+
+drop policy if exists "Sale payments are created through create_sale" on public.sale_payments;
+create policy "Sale payments are created through create_sale"
+    on public.sale_payments as restrictive for insert
+    to authenticated
+    with check (false);
+
+-- ==================== approve_discount ====================
+-- Returns { "approval", "approved_by", "full_name", "expires_at" }. Raises
+-- PERMISSION_DENIED (errcode 42501) unless the caller has can_discount.
+
+create or replace function public.approve_discount()
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_approval public.discount_approvals%rowtype;
+begin
+    if auth.uid() is null then
+        raise exception 'User not authenticated' using errcode = '28000';
+    end if;
+
+    if not public.has_permission('can_discount') then
+        raise exception 'PERMISSION_DENIED'
+            using errcode = '42501',
+                  detail = 'can_discount';
+    end if;
+
+    insert into public.discount_approvals (approved_by)
+    values (auth.uid())
+    returning * into v_approval;
+
+    return jsonb_build_object(
+        'approval', v_approval.id,
+        'approved_by', v_approval.approved_by,
+        'full_name', (select full_name from public.users where id = v_approval.approved_by),
+        'expires_at', v_approval.expires_at
+    );
+end;
+$$;
+
+grant execute on function public.approve_discount() to authenticated;
+
+-- ==================== discount_amount ====================
+-- The server's calculateDiscount (js/pricing.js): what a { type, value }
+-- discount takes off p_amount, never more than p_amount itself
+
+create or replace function public.discount_amount(p_amount numeric, p_type text, p_value numeric)
+returns numeric
+language sql
+immutable
+set search_path = public
+as $$
+    select case
+        when p_value is null or p_value <= 0 or p_amount <= 0 then 0
+        when p_type = 'percent' then round(least(p_amount * p_value / 100, p_amount), 2)
+        when p_type = 'fixed' then round(least(p_value, p_amount), 2)
+        else 0
+    end;
+$$;
+
+-- ==================== create_sale ====================
+-- Same contract as 017, except
+--   discount_total, subtotal    worked out here from the lines (the till's
+--                               figures have to agree with them)
+--   discount_approval           replaces discount_approved_by: an id from
+--                               approve_discount, used up by this sale
+-- Raises PERMISSION_DENIED (errcode 42501) for a discount from a cashier
+-- without can_discount and no approval, and APPROVAL_INVALID (errcode 42501)
+-- for an approval that is unknown, used or expired.
+
+create or replace function public.create_sale(p_sale jsonb)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_user_id uuid := auth.uid();
+    v_items_in jsonb := p_sale->'items';
+    v_sale public.sales%rowtype;
+    v_item jsonb;
+    v_product_id uuid;
+    v_quantity integer;
+    v_unit_price numeric;
+    v_discount_amount numeric;
+    v_unit_cost numeric;
+    v_shortages jsonb;
+    v_payments jsonb;
+    v_paid numeric;
+    v_cash_paid numeric;
+    v_cash_tendered numeric;
+    v_client_sale_id uuid := (p_sale->>'client_sale_id')::uuid;
+    v_gross numeric;
+    v_line_discounts numeric;
+    v_lines_discount_amount numeric;
+    v_cart_discount numeric;
+    v_discount_total numeric;
+    v_approved_by uuid;
+begin
+    if v_user_id is null then
+        raise exception 'User not authenticated' using errcode = '28000';
+    end if;
+
+    -- One call per client_sale_id at a time; whichever comes second finds the
+    -- sale the first one made
+    if v_client_sale_id is not null then
+        perform pg_advisory_xact_lock(hashtextextended(v_client_sale_id::text, 0));
+
+        select * into v_sale
+        from public.sales
+        where client_sale_id = v_client_sale_id;
+
+        if found then
+            return public.sale_result(v_sale.id);
+        end if;
+    end if;
+
+    if v_items_in is null or jsonb_array_length(v_items_in) = 0 then
+        raise exception 'Sale has no items' using errcode = '22023';
+    end if;
+
+    -- Work the discounts out from the lines rather than trusting the till's
+    -- figures: line discounts first, then the cart discount on what is left
+    select coalesce(sum(round((value->>'unit_price')::numeric * (value->>'quantity')::integer, 2)), 0),
+           coalesce(sum(public.discount_amount(
+               round((value->>'unit_price')::numeric * (value->>'quantity')::integer, 2),
+               value->>'discount_type',
+               (value->>'discount_value')::numeric
+           )), 0),
+           coalesce(sum(coalesce((value->>'discount_amount')::numeric, 0)), 0)
+    into v_gross, v_line_discounts, v_lines_discount_amount
+    from jsonb_array_elements(v_items_in);
+
+    v_cart_discount := public.discount_amount(
+        v_gross - v_line_discounts,
+        p_sale->>'discount_type',
+        (p_sale->>'discount_value')::numeric
+    );
+    v_discount_total := v_line_discounts + v_cart_discount;
+
+    -- Each line's discount_amount carries its share of the cart discount
+    if abs(v_lines_discount_amount - v_discount_total) >= 0.01 then
+        raise exception 'Line discounts (%) do not match the discounts on the sale (%)', v_lines_discount_amount, v_discount_total
+            using errcode = '22023';
+    end if;
+
+    if abs((p_sale->>'total')::numeric - (v_gross - v_discount_total)) >= 0.01 then
+        raise exception 'Sale total (%) does not match its lines (%)', p_sale->>'total', v_gross - v_discount_total
+            using errcode = '22023';
+    end if;
+
+    -- A manager's approval is good for one sale
+    if p_sale->>'discount_approval' is not null then
+        update public.discount_approvals
+        set used_at = now()
+        where id = (p_sale->>'discount_approval')::uuid
+          and used_at is null
+          and expires_at > now()
+        returning approved_by into v_approved_by;
+
+        if v_approved_by is null or not public.has_permission('can_discount', v_approved_by) then
+            raise exception 'APPROVAL_INVALID'
+                using errcode = '42501',
+                      detail = 'can_discount';
+        end if;
+    end if;
+
+    if v_discount_total > 0 and v_approved_by is null and not public.has_permission('can_discount') then
+        raise exception 'PERMISSION_DENIED'
+            using errcode = '42501',
+                  detail = 'can_discount';
+    end if;
+
+    -- Tenders: default to one payment of the whole total in payment_method
+    v_payments := coalesce(
+        nullif(p_sale->'payments', '[]'::jsonb),
+        jsonb_build_array(jsonb_build_object(
+            'method', p_sale->>'payment_method',
+            'amount', (p_sale->>'total')::numeric
+        ))
+    );
+
+    select sum((value->>'amount')::numeric)
+    into v_paid
+    from jsonb_array_elements(v_payments);
+
+    if abs(v_paid - (p_sale->>'total')::numeric) >= 0.005 then
+        raise exception 'Tenders (%) do not add up to the sale total (%)', v_paid, p_sale->>'total'
+            using errcode = '22023';
+    end if;
+
+    -- Cash handed over vs. cash owed; the difference is the change given back
+    select coalesce(sum((value->>'amount')::numeric), 0)
+    into v_cash_paid
+    from jsonb_array_elements(v_payments)
+    where value->>'method' = 'Cash';
+
+    if v_cash_paid > 0 then
+        v_cash_tendered := coalesce((p_sale->>'cash_tendered')::numeric, v_cash_paid);
+
+        if v_cash_tendered < v_cash_paid then
+            raise exception 'Cash tendered (%) is less than the cash due (%)', v_cash_tendered, v_cash_paid
+                using errcode = '22023';
+        end if;
+    end if;
+
+    -- Lock every product in the cart (in id order, so tills never deadlock)
+    perform 1
+    from public.products
+    where id in (select (value->>'product_id')::uuid from jsonb_array_elements(v_items_in))
+    order by id
+    for update;
+
+    -- Check all lines before touching anything, so the till can show every shortage at once
+    select jsonb_agg(jsonb_build_object(
+        'product_id', requested.product_id,
+        'product_name', coalesce(p.name, requested.product_name),
+        'requested', requested.quantity,
+        'available', coalesce(p.stock_quantity, 0)
+    ))
+    into v_shortages
+    from (
+        select (value->>'product_id')::uuid as product_id,
+               max(value->>'product_name') as product_name,
+               sum((value->>'quantity')::integer) as quantity
+        from jsonb_array_elements(v_items_in)
+        group by 1
+    ) requested
+    left join public.products p on p.id = requested.product_id
+    where p.id is null or p.stock_quantity < requested.quantity;
+
+    if v_shortages is not null then
+        raise exception 'INSUFFICIENT_STOCK'
+            using errcode = 'P0001',
+                  detail = v_shortages::text,
+                  hint = 'One or more cart lines exceed the stock on hand';
+    end if;
+
+    -- Sale record
+    insert into public.sales (
+        cashier_id, total, subtotal, discount_total,
+        discount_type, discount_value, discount_approved_by,
+        payment_method, cash_tendered, change_given, created_at, client_sale_id
+    )
+    values (
+        v_user_id,
+        (p_sale->>'total')::numeric,
+        v_gross,
+        v_discount_total,
+        p_sale->>'discount_type',
+        (p_sale->>'discount_value')::numeric,
+        v_approved_by,
+        case
+            when (select count(distinct value->>'method') from jsonb_array_elements(v_payments)) > 1 then 'Split'
+            else v_payments->0->>'method'
+        end,
+        v_cash_tendered,
+        v_cash_tendered - v_cash_paid,
+        coalesce((p_sale->>'created_at')::timestamptz, now()),
+        v_client_sale_id
+    )
+    returning * into v_sale;
+
+    update public.discount_approvals
+    set sale_id = v_sale.id
+    where id = (p_sale->>'discount_approval')::uuid;
+
+    -- One row per tender
+    insert into public.sale_payments (sale_id, method, amount, created_at)
+    select v_sale.id, value->>'method', (value->>'amount')::numeric, v_sale.created_at
+    from jsonb_array_elements(v_payments);
+
+    for v_item in select * from jsonb_array_elements(v_items_in)
+    loop
+        v_product_id := (v_item->>'product_id')::uuid;
+        v_quantity := (v_item->>'quantity')::integer;
+        v_unit_price := (v_item->>'unit_price')::numeric;
+        v_discount_amount := coalesce((v_item->>'discount_amount')::numeric, 0);
+
+        if v_quantity is null or v_quantity <= 0 then
+            raise exception 'Invalid quantity for product %', v_product_id using errcode = '22023';
+        end if;
+
+        if v_discount_amount < 0 or v_discount_amount > v_unit_price * v_quantity then
+            raise exception 'Invalid discount for product %', v_product_id using errcode = '22023';
+        end if;
+
+        -- Cost as it stands right now; later cost changes never reach this line
+        select cost_price into v_unit_cost
+        from public.products
+        where id = v_product_id;
+
+        -- Sale item (original_price falls back to the shelf price)
+        insert into public.sale_items (
+            sale_id, product_id, product_name, quantity, unit_price, original_price,
+            unit_cost, discount_type, discount_value, discount_amount, total
+        )
+        values (
+            v_sale.id,
+            v_product_id,
+            v_item->>'product_name',
+            v_quantity,
+            v_unit_price,
+            coalesce(
+                (v_item->>'original_price')::numeric,
+                (select price from public.products where id = v_product_id)
+            ),
+            v_unit_cost,
+            v_item->>'discount_type',
+            (v_item->>'discount_value')::numeric,
+            v_discount_amount,
+            v_unit_price * v_quantity - v_discount_amount
+        );
+
+        -- Relative, conditional stock decrement
+        update public.products
+        set stock_quantity = stock_quantity - v_quantity,
+            updated_at = now()
+        where id = v_product_id
+          and stock_quantity >= v_quantity;
+
+        if not found then
+            raise exception 'INSUFFICIENT_STOCK'
+                using errcode = 'P0001',
+                      detail = jsonb_build_array(jsonb_build_object(
+                          'product_id', v_product_id,
+                          'product_name', v_item->>'product_name',
+                          'requested', v_quantity,
+                          'available', (select stock_quantity from public.products where id = v_product_id)
+                      ))::text;
+        end if;
+
+        -- Inventory transaction (negative for sales; exchanges label their own)
+        insert into public.inventory_transactions (product_id, type, quantity, user_id, notes)
+        values (
+            v_product_id,
+            coalesce(p_sale->>'inventory_type', 'sale'),
+            -v_quantity,
+            v_user_id,
+            coalesce(p_sale->>'inventory_note', 'Sale ' || v_sale.id)
+        );
+    end loop;
+
+    return public.sale_result(v_sale.id);
+end;
+$$;
@@ -0,0 +1,36 @@
+-- 020_unique_barcodes.sql
+-- Two products could end up with the same barcode: the app checks before it
+-- saves, but two people saving at once both passed the check. The database
+-- now refuses it. Only products still on sale count, matching every check
+-- in the app (db.checkBarcodeExists, import_products): a removed product
+-- keeps its barcode for history, and that barcode may go on a new product.
+--
+-- The index cannot be built while duplicates exist, so they are listed
+-- first. Give each one its own barcode (or remove one of the pair) and run
+-- this migration again.
+
+do $$
+declare
+    v_duplicates text;
+begin
+    select string_agg(barcode || ' (' || products || ')', ', ')
+    into v_duplicates
+    from (
+        select barcode, string_agg(name || coalesce(' ' || size, '') || coalesce(' ' || colour, ''), ' / ') as products
+        from public.products
+        where is_active
+          and barcode is not null
+        group by barcode
+        having count(*) > 1
+    ) duplicates;
+
+    if v_duplicates is not null then
+        raise exception 'Barcodes shared by more than one product: %', v_duplicates
+            using hint = 'Give each product its own barcode, then run 020_unique_barcodes.sql again';
+    end if;
+end;
+$$;
+
+create unique index if not exists products_active_barcode_key
+    on public.products (barcode)
+    where is_active and barcode is not null;
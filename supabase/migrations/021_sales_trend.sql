@@ -0,0 +1,58 @@
+-- 021_sales_trend.sql
+-- The Analytics trend charts fetched every sale and every tender in both
+-- periods and bucketed them in the browser. Supabase returns at most 1000
+-- rows per request, so a busy quarter came back cut short and the chart
+-- under-reported without saying so. The buckets are now added up here.
+
+-- ==================== get_sales_trend ====================
+-- One entry per calendar day (or per hour of each day, with p_by_hour) in
+-- p_time_zone that had sales or tenders between p_start and p_end:
+-- [{ "date": "2024-10-12", "hour", "orders", "revenue", "cash", "transfer" }]
+-- hour is 0 unless p_by_hour. Exchange credit is in neither cash nor
+-- transfer. Security invoker, so it only adds up the sales the caller can see.
+
+create or replace function public.get_sales_trend(
+    p_start timestamptz,
+    p_end timestamptz,
+    p_time_zone text,
+    p_by_hour boolean default false
+)
+returns jsonb
+language sql
+stable
+security invoker
+set search_path = public
+as $$
+    with sale_buckets as (
+        select (created_at at time zone p_time_zone)::date as day,
+               case when p_by_hour then extract(hour from created_at at time zone p_time_zone)::integer else 0 end as hour,
+               count(*) as orders,
+               sum(total) as revenue
+        from public.sales
+        where created_at >= p_start
+          and created_at < p_end
+        group by 1, 2
+    ),
+    payment_buckets as (
+        select (created_at at time zone p_time_zone)::date as day,
+               case when p_by_hour then extract(hour from created_at at time zone p_time_zone)::integer else 0 end as hour,
+               sum(amount) filter (where method = 'Cash') as cash,
+               sum(amount) filter (where method = 'Transfer') as transfer
+        from public.sale_payments
+        where created_at >= p_start
+          and created_at < p_end
+        group by 1, 2
+    )
+    select coalesce(jsonb_agg(jsonb_build_object(
+        'date', to_char(day, 'YYYY-MM-DD'),
+        'hour', hour,
+        'orders', coalesce(s.orders, 0),
+        'revenue', coalesce(s.revenue, 0),
+        'cash', coalesce(p.cash, 0),
+        'transfer', coalesce(p.transfer, 0)
+    ) order by day, hour), '[]'::jsonb)
+    from sale_buckets s
+    full join payment_buckets p using (day, hour);
+$$;
+
+grant execute on function public.get_sales_trend(timestamptz, timestamptz, text, boolean) to authenticated;
@@ -0,0 +1,78 @@
+-- 022_shift_close_permissions.sql
+-- Shifts could be updated by anyone signed in, straight through the API:
+-- "Authenticated users can close shifts" allowed any change to any shift, so
+-- a cashier could rewrite the counted cash, variance or Z-report of their
+-- own shift or anyone else's after it closed. That policy is gone, and
+-- close_shift (now security definer) is the only way to change a shift. It
+-- closes the caller's own shift, or anyone's for someone with
+-- can_view_reports (whoever reconciles the drawers).
+
+drop policy if exists "Authenticated users can close shifts" on public.shifts;
+
+-- ==================== close_shift ====================
+-- Same contract as 012. Raises PERMISSION_DENIED (errcode 42501) for someone
+-- else's shift without can_view_reports.
+
+create or replace function public.close_shift(p_close jsonb)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_user_id uuid := auth.uid();
+    v_shift_id uuid := (p_close->>'shift_id')::uuid;
+    v_counted numeric := (p_close->>'counted_cash')::numeric;
+    v_shift public.shifts%rowtype;
+    v_summary jsonb;
+begin
+    if v_user_id is null then
+        raise exception 'User not authenticated' using errcode = '28000';
+    end if;
+
+    if v_counted is null or v_counted < 0 then
+        raise exception 'Invalid counted cash' using errcode = '22023';
+    end if;
+
+    select * into v_shift
+    from public.shifts
+    where id = v_shift_id
+    for update;
+
+    if not found then
+        raise exception 'Shift % not found', v_shift_id using errcode = 'P0002';
+    end if;
+
+    if v_shift.cashier_id <> v_user_id and not public.has_permission('can_view_reports') then
+        raise exception 'PERMISSION_DENIED'
+            using errcode = '42501',
+                  detail = 'can_view_reports';
+    end if;
+
+    if v_shift.closed_at is not null then
+        raise exception 'SHIFT_CLOSED' using errcode = 'P0001';
+    end if;
+
+    -- Fix the end of the shift first so the summary covers exactly up to it
+    update public.shifts
+    set closed_at = now(),
+        closed_by = v_user_id
+    where id = v_shift_id;
+
+    v_summary := public.get_shift_summary(v_shift_id);
+
+    update public.shifts
+    set closing_count = p_close->'closing_count',
+        counted_cash = v_counted,
+        expected_cash = (v_summary->>'expected_cash')::numeric,
+        variance = v_counted - (v_summary->>'expected_cash')::numeric,
+        summary = v_summary,
+        notes = nullif(trim(p_close->>'notes'), '')
+    where id = v_shift_id
+    returning * into v_shift;
+
+    return to_jsonb(v_shift);
+end;
+$$;
+
+grant execute on function public.close_shift(jsonb) to authenticated;
@@ -0,0 +1,98 @@
+-- 023_cash_movement_reasons.sql
+-- Cash movements could be inserted straight through the API, skipping
+-- record_cash_movement: against any shift (another cashier's, or one already
+-- closed, changing its paid-in/paid-out totals after the count), and with any
+-- reason at all. The insert policy is gone, so record_cash_movement (now
+-- security definer) is the only way in, and it always uses the caller's open
+-- shift. The reason has to be one of the codes in cashMovementConfig
+-- (js/shifts.js) for its type; the constraint holds new rows to the same
+-- list without failing on any recorded before it.
+
+drop policy if exists "Authenticated users can record cash movements" on public.cash_movements;
+
+-- ==================== is_cash_movement_reason ====================
+-- Keep in step with cashMovementConfig.reasons in js/shifts.js
+
+create or replace function public.is_cash_movement_reason(p_type text, p_reason text)
+returns boolean
+language sql
+immutable
+set search_path = public
+as $$
+    select case p_type
+        when 'paid_out' then p_reason in ('supplies', 'cleaning', 'repairs', 'postage', 'staff', 'cash_drop', 'other')
+        when 'paid_in' then p_reason in ('change', 'reimbursement', 'owner', 'other')
+        else false
+    end;
+$$;
+
+alter table public.cash_movements
+    drop constraint if exists cash_movements_reason_check;
+
+alter table public.cash_movements
+    add constraint cash_movements_reason_check
+    check (public.is_cash_movement_reason(type, reason)) not valid;
+
+-- ==================== record_cash_movement ====================
+-- Same contract as 013. Raises INVALID_REASON (errcode 22023) for a reason
+-- code that is not one of its type's.
+
+create or replace function public.record_cash_movement(p_movement jsonb)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_user_id uuid := auth.uid();
+    v_amount numeric := (p_movement->>'amount')::numeric;
+    v_shift_id uuid;
+    v_movement public.cash_movements%rowtype;
+begin
+    if v_user_id is null then
+        raise exception 'User not authenticated' using errcode = '28000';
+    end if;
+
+    if coalesce(p_movement->>'type', '') not in ('paid_in', 'paid_out') then
+        raise exception 'Invalid cash movement type' using errcode = '22023';
+    end if;
+
+    if v_amount is null or v_amount <= 0 then
+        raise exception 'Invalid amount' using errcode = '22023';
+    end if;
+
+    if nullif(trim(p_movement->>'reason'), '') is null then
+        raise exception 'A reason is required' using errcode = '22023';
+    end if;
+
+    if not public.is_cash_movement_reason(p_movement->>'type', trim(p_movement->>'reason')) then
+        raise exception 'INVALID_REASON'
+            using errcode = '22023',
+                  detail = trim(p_movement->>'reason');
+    end if;
+
+    select id into v_shift_id
+    from public.shifts
+    where cashier_id = v_user_id
+      and closed_at is null;
+
+    if v_shift_id is null then
+        raise exception 'NO_OPEN_SHIFT' using errcode = 'P0001';
+    end if;
+
+    insert into public.cash_movements (shift_id, cashier_id, type, amount, reason, notes)
+    values (
+        v_shift_id,
+        v_user_id,
+        p_movement->>'type',
+        v_amount,
+        trim(p_movement->>'reason'),
+        nullif(trim(p_movement->>'notes'), '')
+    )
+    returning * into v_movement;
+
+    return to_jsonb(v_movement);
+end;
+$$;
+
+grant execute on function public.record_cash_movement(jsonb) to authenticated;
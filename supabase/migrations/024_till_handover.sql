@@ -0,0 +1,230 @@
+-- 024_till_handover.sql
+-- Two fixes to PIN switching on a shared till (016_till_lock.sql).
+--
+-- One drawer, one shift. Cashiers could switch with their own shifts still
+-- open, so two shifts counted the same drawer and neither count was right.
+-- Each till now has an id (kept in the browser, see getTillId in
+-- js/shifts.js) that open_shift records on the shift, and a till can only
+-- have one open shift: the cashier on it closes theirs before the next one
+-- opens a shift there. The lock screen also refuses the switch until then.
+--
+-- PIN lockouts per caller. verify_pin counted wrong PINs per cashier, so
+-- anyone signed in could lock anyone else's PIN by typing five wrong ones.
+-- Wrong PINs now count per caller (the session the till is signed in on) and
+-- cashier, in pin_attempts, so a lockout only stops the till it came from.
+
+alter table public.shifts
+    add column if not exists till_id text;
+
+create unique index if not exists shifts_one_open_per_till_idx
+    on public.shifts (till_id)
+    where closed_at is null and till_id is not null;
+
+create table if not exists public.pin_attempts (
+    caller_id uuid not null references public.users (id) on delete cascade,
+    user_id uuid not null references public.users (id) on delete cascade,
+    failed_attempts integer not null default 0,
+    locked_until timestamptz,
+    primary key (caller_id, user_id)
+);
+
+-- No policies: only verify_pin and reset_staff_pin touch attempts
+alter table public.pin_attempts enable row level security;
+
+-- ==================== open_shift ====================
+-- Same contract as 012, plus p_shift.till_id. Raises TILL_IN_USE (errcode
+-- 23505) with the name of the cashier whose shift is open on that till.
+
+create or replace function public.open_shift(p_shift jsonb)
+returns jsonb
+language plpgsql
+security invoker
+set search_path = public
+as $$
+declare
+    v_user_id uuid := auth.uid();
+    v_open_id uuid;
+    v_till_id text := nullif(p_shift->>'till_id', '');
+    v_till_cashier text;
+    v_shift public.shifts%rowtype;
+begin
+    if v_user_id is null then
+        raise exception 'User not authenticated' using errcode = '28000';
+    end if;
+
+    if coalesce((p_shift->>'opening_float')::numeric, -1) < 0 then
+        raise exception 'Invalid opening float' using errcode = '22023';
+    end if;
+
+    select id into v_open_id
+    from public.shifts
+    where cashier_id = v_user_id
+      and closed_at is null;
+
+    if v_open_id is not null then
+        raise exception 'SHIFT_ALREADY_OPEN'
+            using errcode = '23505',
+                  detail = v_open_id::text;
+    end if;
+
+    -- Serialise openings on a till, so two cashiers can't both get in first
+    if v_till_id is not null then
+        perform pg_advisory_xact_lock(hashtextextended('till:' || v_till_id, 0));
+
+        select coalesce(u.full_name, 'Another cashier') into v_till_cashier
+        from public.shifts s
+        left join public.users u on u.id = s.cashier_id
+        where s.till_id = v_till_id
+          and s.closed_at is null;
+
+        if v_till_cashier is not null then
+            raise exception 'TILL_IN_USE'
+                using errcode = '23505',
+                      detail = v_till_cashier;
+        end if;
+    end if;
+
+    insert into public.shifts (cashier_id, till_id, opening_float, opening_count)
+    values (v_user_id, v_till_id, (p_shift->>'opening_float')::numeric, p_shift->'opening_count')
+    returning * into v_shift;
+
+    return to_jsonb(v_shift);
+end;
+$$;
+
+grant execute on function public.open_shift(jsonb) to authenticated;
+
+-- ==================== reset_staff_pin ====================
+-- As in 016; clears the cashier's lockouts on every till
+
+create or replace function public.reset_staff_pin(p_user_id uuid, p_pin text)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public, extensions
+as $$
+declare
+    v_user public.users%rowtype;
+begin
+    perform public.require_staff_manager();
+
+    if p_pin is null or p_pin !~ '^[0-9]{4,6}$' then
+        raise exception 'INVALID_PIN' using errcode = '22023';
+    end if;
+
+    update public.users
+    set pin_updated_at = now()
+    where id = p_user_id
+    returning * into v_user;
+
+    if not found then
+        raise exception 'User % not found', p_user_id using errcode = 'P0002';
+    end if;
+
+    insert into public.user_pins (user_id, pin_hash, unlock_secret, updated_at)
+    values (p_user_id, crypt(p_pin, gen_salt('bf')), encode(gen_random_bytes(32), 'hex'), now())
+    on conflict (user_id) do update
+    set pin_hash = excluded.pin_hash,
+        unlock_secret = excluded.unlock_secret,
+        updated_at = excluded.updated_at;
+
+    delete from public.pin_attempts
+    where user_id = p_user_id;
+
+    return to_jsonb(v_user);
+end;
+$$;
+
+-- ==================== verify_pin ====================
+-- Same contract as 016, with attempts counted per caller and cashier
+
+create or replace function public.verify_pin(p_user_id uuid, p_pin text)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public, extensions
+as $$
+declare
+    v_max_attempts constant integer := 5;
+    v_lockout constant interval := interval '5 minutes';
+    v_caller_id uuid := auth.uid();
+    v_active boolean;
+    v_pin public.user_pins%rowtype;
+    v_attempts public.pin_attempts%rowtype;
+begin
+    if v_caller_id is null then
+        raise exception 'User not authenticated' using errcode = '28000';
+    end if;
+
+    select is_active into v_active
+    from public.users
+    where id = p_user_id;
+
+    if not found then
+        raise exception 'User % not found', p_user_id using errcode = 'P0002';
+    end if;
+
+    if not v_active then
+        raise exception 'ACCOUNT_INACTIVE' using errcode = '42501';
+    end if;
+
+    select * into v_pin
+    from public.user_pins
+    where user_id = p_user_id;
+
+    if not found then
+        raise exception 'NO_PIN' using errcode = 'P0002';
+    end if;
+
+    insert into public.pin_attempts (caller_id, user_id)
+    values (v_caller_id, p_user_id)
+    on conflict (caller_id, user_id) do nothing;
+
+    select * into v_attempts
+    from public.pin_attempts
+    where caller_id = v_caller_id
+      and user_id = p_user_id
+    for update;
+
+    if v_attempts.locked_until is not null and v_attempts.locked_until > now() then
+        return jsonb_build_object('verified', false, 'locked_until', v_attempts.locked_until);
+    end if;
+
+    if crypt(coalesce(p_pin, ''), v_pin.pin_hash) <> v_pin.pin_hash then
+        if v_attempts.failed_attempts + 1 >= v_max_attempts then
+            update public.pin_attempts
+            set failed_attempts = 0,
+                locked_until = now() + v_lockout
+            where caller_id = v_caller_id
+              and user_id = p_user_id;
+
+            return jsonb_build_object('verified', false, 'locked_until', now() + v_lockout);
+        end if;
+
+        update public.pin_attempts
+        set failed_attempts = failed_attempts + 1
+        where caller_id = v_caller_id
+          and user_id = p_user_id;
+
+        return jsonb_build_object('verified', false, 'attempts_left', v_max_attempts - v_attempts.failed_attempts - 1);
+    end if;
+
+    update public.pin_attempts
+    set failed_attempts = 0,
+        locked_until = null
+    where caller_id = v_caller_id
+      and user_id = p_user_id;
+
+    return jsonb_build_object(
+        'verified', true,
+        'user_id', p_user_id,
+        'unlock_secret', v_pin.unlock_secret
+    );
+end;
+$$;
+
+grant execute on function public.verify_pin(uuid, text) to authenticated;
+
+alter table public.user_pins
+    drop column if exists failed_attempts,
+    drop column if exists locked_until;
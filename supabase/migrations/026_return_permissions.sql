@@ -0,0 +1,163 @@
+-- 026_return_permissions.sql
+-- Returns and their lines could be inserted straight through the API:
+-- "Authenticated users can record returns" (and "... return items") let
+-- anyone with can_refund write a refund of any amount against any sale
+-- without create_return, and those rows feed the expected cash in
+-- get_shift_summary and every report. Both insert policies are gone, so
+-- create_return (now security definer, checking can_refund itself) is the
+-- only way in.
+
+drop policy if exists "Authenticated users can record returns" on public.returns;
+drop policy if exists "Authenticated users can record return items" on public.return_items;
+
+-- ==================== create_return ====================
+-- Same contract as 008. Raises PERMISSION_DENIED (errcode 42501) without
+-- can_refund.
+
+create or replace function public.create_return(p_return jsonb)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_user_id uuid := auth.uid();
+    v_sale_id uuid := (p_return->>'sale_id')::uuid;
+    v_items_in jsonb := p_return->'items';
+    v_return public.returns%rowtype;
+    v_line record;
+    v_sale_item public.sale_items%rowtype;
+    v_returned integer;
+    v_returned_total numeric;
+    v_amount numeric;
+    v_total numeric := 0;
+    v_lines jsonb := '[]'::jsonb;
+    v_items jsonb;
+begin
+    if v_user_id is null then
+        raise exception 'User not authenticated' using errcode = '28000';
+    end if;
+
+    if not public.has_permission('can_refund') then
+        raise exception 'PERMISSION_DENIED'
+            using errcode = '42501',
+                  detail = 'can_refund';
+    end if;
+
+    if not exists (select 1 from public.sales where id = v_sale_id) then
+        raise exception 'Sale % not found', v_sale_id using errcode = 'P0002';
+    end if;
+
+    if v_items_in is null or jsonb_array_length(v_items_in) = 0 then
+        raise exception 'Return has no items' using errcode = '22023';
+    end if;
+
+    -- Lock the sale's lines so two tills can't both return the same units
+    perform 1
+    from public.sale_items
+    where sale_id = v_sale_id
+    order by id
+    for update;
+
+    -- Validate every line and work out its refund before writing anything
+    for v_line in
+        select (value->>'sale_item_id')::uuid as sale_item_id,
+               sum((value->>'quantity')::integer) as quantity
+        from jsonb_array_elements(v_items_in)
+        group by 1
+    loop
+        select * into v_sale_item
+        from public.sale_items
+        where id = v_line.sale_item_id
+          and sale_id = v_sale_id;
+
+        if not found then
+            raise exception 'Item % is not part of sale %', v_line.sale_item_id, v_sale_id using errcode = '22023';
+        end if;
+
+        if v_line.quantity is null or v_line.quantity <= 0 then
+            raise exception 'Invalid return quantity for %', v_sale_item.product_name using errcode = '22023';
+        end if;
+
+        select coalesce(sum(quantity), 0), coalesce(sum(total), 0)
+        into v_returned, v_returned_total
+        from public.return_items
+        where sale_item_id = v_sale_item.id;
+
+        if v_returned + v_line.quantity > v_sale_item.quantity then
+            raise exception 'RETURN_EXCEEDS_SALE'
+                using errcode = 'P0001',
+                      detail = jsonb_build_object(
+                          'sale_item_id', v_sale_item.id,
+                          'product_name', v_sale_item.product_name,
+                          'sold', v_sale_item.quantity,
+                          'returned', v_returned,
+                          'requested', v_line.quantity
+                      )::text;
+        end if;
+
+        -- The last units back refund whatever is left of the line, so a line
+        -- returned in several goes never refunds more or less than it took
+        if v_returned + v_line.quantity = v_sale_item.quantity then
+            v_amount := v_sale_item.total - v_returned_total;
+        else
+            v_amount := round(v_sale_item.total / v_sale_item.quantity * v_line.quantity, 2);
+        end if;
+
+        v_total := v_total + v_amount;
+        v_lines := v_lines || jsonb_build_object(
+            'sale_item_id', v_sale_item.id,
+            'product_id', v_sale_item.product_id,
+            'product_name', v_sale_item.product_name,
+            'quantity', v_line.quantity,
+            'total', v_amount
+        );
+    end loop;
+
+    -- Return record
+    insert into public.returns (sale_id, cashier_id, refund_method, total, reason)
+    values (v_sale_id, v_user_id, p_return->>'refund_method', v_total, nullif(trim(p_return->>'reason'), ''))
+    returning * into v_return;
+
+    for v_line in
+        select (value->>'sale_item_id')::uuid as sale_item_id,
+               (value->>'product_id')::uuid as product_id,
+               value->>'product_name' as product_name,
+               (value->>'quantity')::integer as quantity,
+               (value->>'total')::numeric as total
+        from jsonb_array_elements(v_lines)
+    loop
+        insert into public.return_items (return_id, sale_item_id, product_id, product_name, quantity, total)
+        values (v_return.id, v_line.sale_item_id, v_line.product_id, v_line.product_name, v_line.quantity, v_line.total);
+
+        -- Back on the shelf (skipped if the product has since been deleted)
+        update public.products
+        set stock_quantity = stock_quantity + v_line.quantity,
+            updated_at = now()
+        where id = v_line.product_id;
+
+        if found then
+            insert into public.inventory_transactions (product_id, type, quantity, user_id, notes)
+            values (
+                v_line.product_id,
+                coalesce(p_return->>'inventory_type', 'return'),
+                v_line.quantity,
+                v_user_id,
+                coalesce(p_return->>'inventory_note', 'Return ' || v_return.id || ' for sale ' || v_sale_id)
+            );
+        end if;
+    end loop;
+
+    select coalesce(jsonb_agg(to_jsonb(ri)), '[]'::jsonb)
+    into v_items
+    from public.return_items ri
+    where ri.return_id = v_return.id;
+
+    return jsonb_build_object(
+        'return', to_jsonb(v_return),
+        'items', v_items
+    );
+end;
+$$;
+
+grant execute on function public.create_return(jsonb) to authenticated;
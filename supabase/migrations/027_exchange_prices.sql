@@ -0,0 +1,133 @@
+-- 027_exchange_prices.sql
+-- create_exchange added up the replacement lines at the unit_price the till
+-- sent, so a $50 item could be swapped for a "$1" replacement and $49 paid
+-- out in cash. It now prices them from products, as create_sale does
+-- (025_sale_prices.sql). Exchanges could also be inserted straight through
+-- the API, like returns before 026; that insert policy is gone as well, and
+-- create_exchange (now security definer, checking can_refund itself) is the
+-- only way in.
+
+drop policy if exists "Authenticated users can record exchanges" on public.exchanges;
+
+-- ==================== create_exchange ====================
+-- Same contract as 008, except the replacement items need no unit_price or
+-- original_price (any sent are ignored for the product's own). Raises PERMISSION_DENIED (errcode
+-- 42501) without can_refund.
+
+create or replace function public.create_exchange(p_exchange jsonb)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_user_id uuid := auth.uid();
+    v_exchange_id uuid := gen_random_uuid();
+    v_original_sale_id uuid := (p_exchange->>'sale_id')::uuid;
+    v_method text := p_exchange->>'settlement_method';
+    v_note text;
+    v_return jsonb;
+    v_sale jsonb;
+    v_returned numeric;
+    v_replacement numeric;
+    v_difference numeric;
+    v_credit numeric;
+    v_items jsonb;
+    v_payments jsonb := '[]'::jsonb;
+    v_exchange public.exchanges%rowtype;
+begin
+    if v_user_id is null then
+        raise exception 'User not authenticated' using errcode = '28000';
+    end if;
+
+    if not public.has_permission('can_refund') then
+        raise exception 'PERMISSION_DENIED'
+            using errcode = '42501',
+                  detail = 'can_refund';
+    end if;
+
+    if p_exchange->'items' is null or jsonb_array_length(p_exchange->'items') = 0 then
+        raise exception 'Exchange has no replacement items' using errcode = '22023';
+    end if;
+
+    v_note := 'Exchange ' || v_exchange_id;
+
+    -- Replacements go at what they sell for now, whatever the till sent
+    select jsonb_agg(
+               line.value || jsonb_build_object(
+                   'unit_price', public.effective_price(p.price, p.sale_price, p.is_on_sale),
+                   'original_price', p.price
+               )
+               order by line.line_no
+           ),
+           sum(public.effective_price(p.price, p.sale_price, p.is_on_sale) * (line.value->>'quantity')::integer)
+    into v_items, v_replacement
+    from jsonb_array_elements(p_exchange->'items') with ordinality as line (value, line_no)
+    left join public.products p on p.id = (line.value->>'product_id')::uuid;
+
+    if v_replacement is null or v_replacement <= 0 then
+        raise exception 'Replacement items must have a price' using errcode = '22023';
+    end if;
+
+    -- Returned lines go back on the shelf and become exchange credit
+    v_return := public.create_return(jsonb_build_object(
+        'sale_id', v_original_sale_id,
+        'refund_method', 'Exchange',
+        'reason', p_exchange->>'reason',
+        'items', p_exchange->'returns',
+        'inventory_type', 'exchange',
+        'inventory_note', v_note || ' (returned)'
+    ));
+
+    v_returned := (v_return->'return'->>'total')::numeric;
+    v_difference := v_replacement - v_returned;
+    v_credit := least(v_returned, v_replacement);
+
+    if v_difference <> 0 and (v_method is null or v_method not in ('Cash', 'Transfer')) then
+        raise exception 'Choose how the price difference (%) is settled', v_difference using errcode = '22023';
+    end if;
+
+    -- Only the difference changes hands
+    if v_credit > 0 then
+        v_payments := v_payments || jsonb_build_object('method', 'Exchange', 'amount', v_credit);
+    end if;
+    if v_difference > 0 then
+        v_payments := v_payments || jsonb_build_object('method', v_method, 'amount', v_difference);
+    end if;
+
+    v_sale := public.create_sale(jsonb_build_object(
+        'total', v_replacement,
+        'subtotal', v_replacement,
+        'payments', v_payments,
+        'cash_tendered', p_exchange->'cash_tendered',
+        'items', v_items,
+        'inventory_type', 'exchange',
+        'inventory_note', v_note || ' (replacement)'
+    ));
+
+    insert into public.exchanges (
+        id, original_sale_id, return_id, sale_id, cashier_id,
+        returned_total, replacement_total, difference, settlement_method
+    )
+    values (
+        v_exchange_id,
+        v_original_sale_id,
+        (v_return->'return'->>'id')::uuid,
+        (v_sale->'sale'->>'id')::uuid,
+        v_user_id,
+        v_returned,
+        v_replacement,
+        v_difference,
+        case when v_difference <> 0 then v_method end
+    )
+    returning * into v_exchange;
+
+    return jsonb_build_object(
+        'exchange', to_jsonb(v_exchange),
+        'return', v_return,
+        'sale', v_sale
+    );
+end;
+$$;
+
+grant execute on function public.create_exchange(jsonb) to authenticated;
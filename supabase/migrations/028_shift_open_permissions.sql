@@ -0,0 +1,71 @@
+-- 028_shift_open_permissions.sql
+-- 022 took away the update policy on shifts but kept "Authenticated users can
+-- open shifts", so a cashier could still insert a shift of their own straight
+-- through the API: one already closed, with whatever counted cash, variance
+-- and Z-report they liked, or an open one on a till someone else is using.
+-- That policy is gone too, and open_shift (now security definer) is the only
+-- way to start a shift, as close_shift is the only way to end one.
+
+drop policy if exists "Authenticated users can open shifts" on public.shifts;
+
+-- ==================== open_shift ====================
+-- Same contract as 024
+
+create or replace function public.open_shift(p_shift jsonb)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_user_id uuid := auth.uid();
+    v_open_id uuid;
+    v_till_id text := nullif(p_shift->>'till_id', '');
+    v_till_cashier text;
+    v_shift public.shifts%rowtype;
+begin
+    if v_user_id is null then
+        raise exception 'User not authenticated' using errcode = '28000';
+    end if;
+
+    if coalesce((p_shift->>'opening_float')::numeric, -1) < 0 then
+        raise exception 'Invalid opening float' using errcode = '22023';
+    end if;
+
+    select id into v_open_id
+    from public.shifts
+    where cashier_id = v_user_id
+      and closed_at is null;
+
+    if v_open_id is not null then
+        raise exception 'SHIFT_ALREADY_OPEN'
+            using errcode = '23505',
+                  detail = v_open_id::text;
+    end if;
+
+    -- Serialise openings on a till, so two cashiers can't both get in first
+    if v_till_id is not null then
+        perform pg_advisory_xact_lock(hashtextextended('till:' || v_till_id, 0));
+
+        select coalesce(u.full_name, 'Another cashier') into v_till_cashier
+        from public.shifts s
+        left join public.users u on u.id = s.cashier_id
+        where s.till_id = v_till_id
+          and s.closed_at is null;
+
+        if v_till_cashier is not null then
+            raise exception 'TILL_IN_USE'
+                using errcode = '23505',
+                      detail = v_till_cashier;
+        end if;
+    end if;
+
+    insert into public.shifts (cashier_id, till_id, opening_float, opening_count)
+    values (v_user_id, v_till_id, (p_shift->>'opening_float')::numeric, p_shift->'opening_count')
+    returning * into v_shift;
+
+    return to_jsonb(v_shift);
+end;
+$$;
+
+grant execute on function public.open_shift(jsonb) to authenticated;
@@ -0,0 +1,13 @@
+-- 030_stock_adjustments.sql
+-- Stock edited in the back office inventory list was written as an absolute
+-- stock_quantity, from whatever the list had loaded, with no inventory
+-- transaction: a sale rung up in between was simply overwritten. The list
+-- now sends the difference through adjust_stock (002_race_safe_stock.sql),
+-- as a 'restock' when stock goes up, or as an 'adjustment' with the reason
+-- given when it comes down (damaged, lost, a recount...).
+
+-- inventory_transactions.type may now also be 'adjustment'
+alter table public.inventory_transactions
+    drop constraint if exists inventory_transactions_type_check;
+alter table public.inventory_transactions
+    add constraint inventory_transactions_type_check check (type in ('sale', 'restock', 'return', 'exchange', 'adjustment'));
@@ -0,0 +1,321 @@
+-- 032_cost_permissions.sql
+-- can_view_cost and can_view_reports were only kept by the app: anyone
+-- signed in could read products.cost_price, sale_items.unit_cost and every
+-- sale, return and shift straight through the API.
+--
+-- Costs. Row-level security cannot hide a column, so select on cost_price
+-- and unit_cost is revoked and every other column granted back one by one
+-- (a column added later needs its own grant). Someone with can_view_cost
+-- reads costs through get_product_costs and get_sale_item_costs; sale_result
+-- leaves unit_cost out of what create_sale hands back. import_products read
+-- the cost it was replacing, so it is now security definer and checks its
+-- permissions itself.
+--
+-- Sales. Restrictive select policies, ANDed with the read-everything ones,
+-- limit sales, returns and exchanges (and their lines and tenders) to the
+-- cashier who rang them up, plus anyone with can_view_reports, or
+-- can_refund (a refund starts from looking up whichever sale the customer
+-- brings back). Shifts and cash movements are the cashier's own unless they
+-- have can_view_reports. get_shift_summary and get_sales_trend are security
+-- invoker, so they add up only what the caller may read.
+
+-- ==================== Cost columns ====================
+
+revoke select on public.products, public.sale_items from anon, authenticated;
+
+do $$
+declare
+    v_column record;
+begin
+    for v_column in
+        select table_name, column_name
+        from information_schema.columns
+        where table_schema = 'public'
+          and table_name in ('products', 'sale_items')
+          and column_name not in ('cost_price', 'unit_cost')
+    loop
+        execute format('grant select (%I) on public.%I to authenticated', v_column.column_name, v_column.table_name);
+    end loop;
+end;
+$$;
+
+-- ==================== get_product_costs ====================
+-- { product_id: cost_price } for the given products. Raises
+-- PERMISSION_DENIED (errcode 42501) without can_view_cost.
+
+create or replace function public.get_product_costs(p_product_ids uuid[])
+returns jsonb
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+begin
+    if not public.has_permission('can_view_cost') then
+        raise exception 'PERMISSION_DENIED'
+            using errcode = '42501',
+                  detail = 'can_view_cost';
+    end if;
+
+    return (
+        select coalesce(jsonb_object_agg(id, cost_price), '{}'::jsonb)
+        from public.products
+        where id = any(p_product_ids)
+    );
+end;
+$$;
+
+grant execute on function public.get_product_costs(uuid[]) to authenticated;
+
+-- ==================== get_sale_item_costs ====================
+-- { sale_item_id: unit_cost } for the given sale lines; same check as
+-- get_product_costs.
+
+create or replace function public.get_sale_item_costs(p_sale_item_ids uuid[])
+returns jsonb
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+begin
+    if not public.has_permission('can_view_cost') then
+        raise exception 'PERMISSION_DENIED'
+            using errcode = '42501',
+                  detail = 'can_view_cost';
+    end if;
+
+    return (
+        select coalesce(jsonb_object_agg(id, unit_cost), '{}'::jsonb)
+        from public.sale_items
+        where id = any(p_sale_item_ids)
+    );
+end;
+$$;
+
+grant execute on function public.get_sale_item_costs(uuid[]) to authenticated;
+
+-- ==================== sale_result ====================
+-- As in 017, without each line's unit_cost.
+
+create or replace function public.sale_result(p_sale_id uuid)
+returns jsonb
+language sql
+stable
+security invoker
+set search_path = public
+as $$
+    select jsonb_build_object(
+        'sale', to_jsonb(s),
+        'items', (
+            select coalesce(jsonb_agg(to_jsonb(si) - 'unit_cost'), '[]'::jsonb)
+            from public.sale_items si
+            where si.sale_id = s.id
+        ),
+        'payments', (
+            select coalesce(jsonb_agg(to_jsonb(sp)), '[]'::jsonb)
+            from public.sale_payments sp
+            where sp.sale_id = s.id
+        )
+    )
+    from public.sales s
+    where s.id = p_sale_id;
+$$;
+
+-- ==================== import_products ====================
+-- Same contract as 010. Raises PERMISSION_DENIED (errcode 42501) without
+-- can_manage_products or can_edit_price.
+
+create or replace function public.import_products(p_rows jsonb)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_user_id uuid := auth.uid();
+    v_row record;
+    v_style public.product_styles%rowtype;
+    v_product public.products%rowtype;
+    v_note text;
+    v_created integer := 0;
+    v_updated integer := 0;
+begin
+    if v_user_id is null then
+        raise exception 'User not authenticated' using errcode = '28000';
+    end if;
+
+    if not public.has_permission('can_manage_products') then
+        raise exception 'PERMISSION_DENIED'
+            using errcode = '42501',
+                  detail = 'can_manage_products';
+    end if;
+
+    if not public.has_permission('can_edit_price') then
+        raise exception 'PERMISSION_DENIED'
+            using errcode = '42501',
+                  detail = 'can_edit_price';
+    end if;
+
+    if p_rows is null or jsonb_array_length(p_rows) = 0 then
+        raise exception 'Import has no rows' using errcode = '22023';
+    end if;
+
+    for v_row in
+        select trim(value->>'name') as name,
+               value->>'category' as category,
+               nullif(trim(value->>'size'), '') as size,
+               nullif(trim(value->>'colour'), '') as colour,
+               nullif(trim(value->>'barcode'), '') as barcode,
+               (value->>'price')::numeric as price,
+               (value->>'cost_price')::numeric as cost_price,
+               coalesce((value->>'stock_quantity')::integer, 0) as stock_quantity
+        from jsonb_array_elements(p_rows)
+    loop
+        if v_row.stock_quantity < 0 then
+            raise exception 'Negative stock for %', v_row.name using errcode = '22023';
+        end if;
+
+        -- Style, created on first use (same rule as DatabaseManager.getOrCreateStyle)
+        select * into v_style
+        from public.product_styles
+        where lower(name) = lower(v_row.name)
+          and category = v_row.category;
+
+        if not found then
+            insert into public.product_styles (name, category, base_price)
+            values (v_row.name, v_row.category, coalesce(v_row.price, 0))
+            returning * into v_style;
+        end if;
+
+        select * into v_product
+        from public.products
+        where style_id = v_style.id
+          and is_active = true
+          and lower(size) is not distinct from lower(v_row.size)
+          and lower(colour) is not distinct from lower(v_row.colour)
+        for update;
+
+        if v_row.barcode is not null and exists (
+            select 1
+            from public.products
+            where barcode = v_row.barcode
+              and is_active = true
+              and id is distinct from v_product.id
+        ) then
+            raise exception 'BARCODE_IN_USE'
+                using errcode = '23505',
+                      detail = v_row.barcode;
+        end if;
+
+        if v_product.id is null then
+            if v_row.price is null then
+                raise exception 'Price missing for new product %', v_row.name using errcode = '22023';
+            end if;
+
+            insert into public.products (
+                name, category, style_id, size, colour, barcode,
+                price, price_override, cost_price, stock_quantity, is_on_sale, is_active
+            )
+            values (
+                v_style.name, v_style.category, v_style.id, v_row.size, v_row.colour, v_row.barcode,
+                v_row.price, v_row.price <> v_style.base_price, v_row.cost_price, v_row.stock_quantity, false, true
+            )
+            returning * into v_product;
+
+            v_created := v_created + 1;
+            v_note := 'Initial stock (import)';
+        else
+            update public.products
+            set price = coalesce(v_row.price, price),
+                price_override = case when v_row.price is null then price_override else v_row.price <> v_style.base_price end,
+                cost_price = coalesce(v_row.cost_price, cost_price),
+                barcode = coalesce(v_row.barcode, barcode),
+                stock_quantity = stock_quantity + v_row.stock_quantity,
+                updated_at = now()
+            where id = v_product.id;
+
+            v_updated := v_updated + 1;
+            v_note := 'Import restock';
+        end if;
+
+        if v_row.stock_quantity > 0 then
+            insert into public.inventory_transactions (product_id, type, quantity, user_id, notes)
+            values (v_product.id, 'restock', v_row.stock_quantity, v_user_id, v_note);
+        end if;
+    end loop;
+
+    return jsonb_build_object('created', v_created, 'updated', v_updated);
+end;
+$$;
+
+grant execute on function public.import_products(jsonb) to authenticated;
+
+-- ==================== Sales ====================
+-- Whether the caller may read the sales, returns and exchanges of
+-- p_cashier_id
+
+create or replace function public.can_read_sales(p_cashier_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select p_cashier_id = auth.uid()
+        or public.has_permission('can_view_reports')
+        or public.has_permission('can_refund');
+$$;
+
+grant execute on function public.can_read_sales(uuid) to authenticated;
+
+drop policy if exists "Sales are read by their cashier, reports or refunds" on public.sales;
+create policy "Sales are read by their cashier, reports or refunds"
+    on public.sales as restrictive for select
+    to authenticated
+    using (public.can_read_sales(cashier_id));
+
+-- Lines and tenders follow their sale (the subquery sees only readable sales)
+drop policy if exists "Sale items are read with their sale" on public.sale_items;
+create policy "Sale items are read with their sale"
+    on public.sale_items as restrictive for select
+    to authenticated
+    using (exists (select 1 from public.sales s where s.id = sale_items.sale_id));
+
+drop policy if exists "Sale payments are read with their sale" on public.sale_payments;
+create policy "Sale payments are read with their sale"
+    on public.sale_payments as restrictive for select
+    to authenticated
+    using (exists (select 1 from public.sales s where s.id = sale_payments.sale_id));
+
+drop policy if exists "Returns are read by their cashier, reports or refunds" on public.returns;
+create policy "Returns are read by their cashier, reports or refunds"
+    on public.returns as restrictive for select
+    to authenticated
+    using (public.can_read_sales(cashier_id));
+
+drop policy if exists "Return items are read with their return" on public.return_items;
+create policy "Return items are read with their return"
+    on public.return_items as restrictive for select
+    to authenticated
+    using (exists (select 1 from public.returns r where r.id = return_items.return_id));
+
+drop policy if exists "Exchanges are read by their cashier, reports or refunds" on public.exchanges;
+create policy "Exchanges are read by their cashier, reports or refunds"
+    on public.exchanges as restrictive for select
+    to authenticated
+    using (public.can_read_sales(cashier_id));
+
+-- ==================== Shifts ====================
+
+drop policy if exists "Shifts are read by their cashier or reports" on public.shifts;
+create policy "Shifts are read by their cashier or reports"
+    on public.shifts as restrictive for select
+    to authenticated
+    using (cashier_id = auth.uid() or public.has_permission('can_view_reports'));
+
+drop policy if exists "Cash movements are read by their cashier or reports" on public.cash_movements;
+create policy "Cash movements are read by their cashier or reports"
+    on public.cash_movements as restrictive for select
+    to authenticated
+    using (cashier_id = auth.uid() or public.has_permission('can_view_reports'));
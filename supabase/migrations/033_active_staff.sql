@@ -0,0 +1,58 @@
+-- 033_active_staff.sql
+-- New staff sign up through Supabase Auth with the public (anon) key
+-- (DatabaseManager.createStaffMember), so anyone could do the same and get
+-- a sign-in account of their own, and every "to authenticated" policy let
+-- that account read the catalogue, sales and staff list, and write wherever
+-- a policy allowed. Being signed in is no longer enough: a restrictive
+-- policy on every table asks for an active public.users row, which only
+-- create_staff_member (a staff manager) hands out. Deactivated staff lose
+-- access the same way, mid-session, rather than only at the next sign in.
+-- Their own users row stays readable, so the app can still tell them they
+-- were deactivated.
+
+-- ==================== is_active_staff ====================
+-- Whether the caller has a users row and it is active. Security definer
+-- because the policies below call it, users included.
+
+create or replace function public.is_active_staff()
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select coalesce((select is_active from public.users where id = auth.uid()), false);
+$$;
+
+grant execute on function public.is_active_staff() to authenticated;
+
+-- ==================== Restrictive policies ====================
+
+drop policy if exists "Only active staff use the users table" on public.users;
+create policy "Only active staff use the users table"
+    on public.users as restrictive for all
+    to authenticated
+    using (id = auth.uid() or public.is_active_staff())
+    with check (public.is_active_staff());
+
+do $$
+declare
+    v_table text;
+begin
+    foreach v_table in array array[
+        'products', 'product_styles', 'inventory_transactions',
+        'sales', 'sale_items', 'sale_payments',
+        'returns', 'return_items', 'exchanges',
+        'shifts', 'cash_movements',
+        'role_permissions', 'discount_approvals', 'shop_settings'
+    ]
+    loop
+        execute format('drop policy if exists "Only active staff" on public.%I', v_table);
+        execute format(
+            'create policy "Only active staff" on public.%I as restrictive for all to authenticated '
+            'using (public.is_active_staff()) with check (public.is_active_staff())',
+            v_table
+        );
+    end loop;
+end;
+$$;
@@ -0,0 +1,1074 @@
+-- 034_active_staff_functions.sql
+-- 015 refused deactivated staff at sign in and took their permissions away,
+-- and 033 shut them out of every table, but security definer functions skip
+-- row-level security and most check no permission for everyday till work:
+-- a session that was already open could still ring up sales, open and close
+-- shifts and pay cash in or out after its user was deactivated.
+-- Each of them now calls require_active_staff straight after the sign-in
+-- check (adjust_stock too, for a clear error rather than "not found"),
+-- raising ACCOUNT_INACTIVE (errcode 42501) as verify_pin does for a
+-- deactivated cashier's PIN.
+
+-- ==================== require_active_staff ====================
+
+create or replace function public.require_active_staff()
+returns void
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+begin
+    if not public.is_active_staff() then
+        raise exception 'ACCOUNT_INACTIVE' using errcode = '42501';
+    end if;
+end;
+$$;
+
+-- ==================== create_sale ====================
+-- As in 031, for active staff only
+
+create or replace function public.create_sale(p_sale jsonb)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_user_id uuid := auth.uid();
+    v_items_in jsonb := p_sale->'items';
+    v_sale public.sales%rowtype;
+    v_item jsonb;
+    v_product_id uuid;
+    v_quantity integer;
+    v_unit_price numeric;
+    v_discount_amount numeric;
+    v_unit_cost numeric;
+    v_shortages jsonb;
+    v_payments jsonb;
+    v_paid numeric;
+    v_cash_paid numeric;
+    v_cash_tendered numeric;
+    v_client_sale_id uuid := (p_sale->>'client_sale_id')::uuid;
+    v_gross numeric;
+    v_line_discounts numeric;
+    v_lines_discount_amount numeric;
+    v_cart_discount numeric;
+    v_discount_total numeric;
+    v_approved_by uuid;
+    v_approved_percent numeric;
+    v_largest_percent numeric;
+    v_approval_percent numeric := public.manager_approval_percent();
+    v_over_threshold boolean;
+    v_can_edit_price boolean := public.has_permission('can_edit_price');
+    v_price_changes jsonb;
+begin
+    if v_user_id is null then
+        raise exception 'User not authenticated' using errcode = '28000';
+    end if;
+
+    perform public.require_active_staff();
+
+    -- One call per client_sale_id at a time; whichever comes second finds the
+    -- sale the first one made
+    if v_client_sale_id is not null then
+        perform pg_advisory_xact_lock(hashtextextended(v_client_sale_id::text, 0));
+
+        select * into v_sale
+        from public.sales
+        where client_sale_id = v_client_sale_id;
+
+        if found then
+            return public.sale_result(v_sale.id);
+        end if;
+    end if;
+
+    if v_items_in is null or jsonb_array_length(v_items_in) = 0 then
+        raise exception 'Sale has no items' using errcode = '22023';
+    end if;
+
+    -- Lock every product in the cart (in id order, so tills never deadlock)
+    perform 1
+    from public.products
+    where id in (select (value->>'product_id')::uuid from jsonb_array_elements(v_items_in))
+    order by id
+    for update;
+
+    -- Check all lines before touching anything, so the till can show every shortage at once
+    select jsonb_agg(jsonb_build_object(
+        'product_id', requested.product_id,
+        'product_name', coalesce(p.name, requested.product_name),
+        'requested', requested.quantity,
+        'available', coalesce(p.stock_quantity, 0)
+    ))
+    into v_shortages
+    from (
+        select (value->>'product_id')::uuid as product_id,
+               max(value->>'product_name') as product_name,
+               sum((value->>'quantity')::integer) as quantity
+        from jsonb_array_elements(v_items_in)
+        group by 1
+    ) requested
+    left join public.products p on p.id = requested.product_id
+    where p.id is null or p.stock_quantity < requested.quantity;
+
+    if v_shortages is not null then
+        raise exception 'INSUFFICIENT_STOCK'
+            using errcode = 'P0001',
+                  detail = v_shortages::text,
+                  hint = 'One or more cart lines exceed the stock on hand';
+    end if;
+
+    -- Price every line from the catalogue as it stands under the lock. The
+    -- till's unit_price has to agree with it, unless the cashier may change
+    -- prices, when theirs stands; original_price is always the shelf price
+    select jsonb_agg(
+               line.value || jsonb_build_object(
+                   'unit_price', case
+                       when v_can_edit_price then coalesce((line.value->>'unit_price')::numeric, shelf.price)
+                       else shelf.price
+                   end,
+                   'original_price', p.price
+               )
+               order by line.line_no
+           ),
+           jsonb_agg(jsonb_build_object(
+               'product_id', p.id,
+               'product_name', p.name,
+               'unit_price', (line.value->>'unit_price')::numeric,
+               'price', shelf.price,
+               'original_price', p.price
+           )) filter (where abs((line.value->>'unit_price')::numeric - shelf.price) >= 0.005)
+    into v_items_in, v_price_changes
+    from jsonb_array_elements(v_items_in) with ordinality as line (value, line_no)
+    join public.products p on p.id = (line.value->>'product_id')::uuid
+    cross join lateral (select public.effective_price(p.price, p.sale_price, p.is_on_sale) as price) shelf;
+
+    if v_price_changes is not null and not v_can_edit_price then
+        raise exception 'PRICE_CHANGED'
+            using errcode = 'P0001',
+                  detail = v_price_changes::text,
+                  hint = 'One or more cart lines are not at the current price';
+    end if;
+
+    -- Work the discounts out from the lines rather than trusting the till's
+    -- figures: line discounts first, then the cart discount on what is left
+    select coalesce(sum(line.gross), 0),
+           coalesce(sum(line.discount), 0),
+           coalesce(sum(line.discount_amount), 0),
+           coalesce(bool_or(line.discount * 100 > line.gross * v_approval_percent), false),
+           max(line.discount * 100 / nullif(line.gross, 0))
+    into v_gross, v_line_discounts, v_lines_discount_amount, v_over_threshold, v_largest_percent
+    from (
+        select priced.gross,
+               public.discount_amount(priced.gross, value->>'discount_type', (value->>'discount_value')::numeric) as discount,
+               coalesce((value->>'discount_amount')::numeric, 0) as discount_amount
+        from jsonb_array_elements(v_items_in)
+        cross join lateral (
+            select round((value->>'unit_price')::numeric * (value->>'quantity')::integer, 2) as gross
+        ) priced
+    ) line;
+
+    v_cart_discount := public.discount_amount(
+        v_gross - v_line_discounts,
+        p_sale->>'discount_type',
+        (p_sale->>'discount_value')::numeric
+    );
+    v_discount_total := v_line_discounts + v_cart_discount;
+
+    -- The same rule as needsManagerApproval (js/pricing.js), discount by discount
+    v_over_threshold := v_over_threshold
+        or v_cart_discount * 100 > (v_gross - v_line_discounts) * v_approval_percent;
+    v_largest_percent := coalesce(greatest(
+        v_largest_percent,
+        v_cart_discount * 100 / nullif(v_gross - v_line_discounts, 0)
+    ), 0);
+
+    -- Each line's discount_amount carries its share of the cart discount
+    if abs(v_lines_discount_amount - v_discount_total) >= 0.01 then
+        raise exception 'Line discounts (%) do not match the discounts on the sale (%)', v_lines_discount_amount, v_discount_total
+            using errcode = '22023';
+    end if;
+
+    if abs((p_sale->>'total')::numeric - (v_gross - v_discount_total)) >= 0.01 then
+        raise exception 'Sale total (%) does not match its lines (%)', p_sale->>'total', v_gross - v_discount_total
+            using errcode = '22023';
+    end if;
+
+    -- A manager's approval is good for one sale, and for discounts up to the
+    -- share they signed off
+    if p_sale->>'discount_approval' is not null then
+        update public.discount_approvals
+        set used_at = now()
+        where id = (p_sale->>'discount_approval')::uuid
+          and used_at is null
+          and expires_at > now()
+        returning approved_by, approved_percent into v_approved_by, v_approved_percent;
+
+        if v_approved_by is null or not public.has_permission('can_discount', v_approved_by) then
+            raise exception 'APPROVAL_INVALID'
+                using errcode = '42501',
+                      detail = 'can_discount';
+        end if;
+
+        if v_largest_percent > v_approved_percent + 0.01 then
+            raise exception 'APPROVAL_EXCEEDED'
+                using errcode = '42501',
+                      detail = v_approved_percent::text;
+        end if;
+    end if;
+
+    if v_discount_total > 0 and v_approved_by is null and not public.has_permission('can_discount') then
+        raise exception 'PERMISSION_DENIED'
+            using errcode = '42501',
+                  detail = 'can_discount';
+    end if;
+
+    if v_over_threshold and v_approved_by is null then
+        raise exception 'APPROVAL_REQUIRED'
+            using errcode = '42501',
+                  detail = v_approval_percent::text;
+    end if;
+
+    -- Tenders: default to one payment of the whole total in payment_method
+    v_payments := coalesce(
+        nullif(p_sale->'payments', '[]'::jsonb),
+        jsonb_build_array(jsonb_build_object(
+            'method', p_sale->>'payment_method',
+            'amount', (p_sale->>'total')::numeric
+        ))
+    );
+
+    select sum((value->>'amount')::numeric)
+    into v_paid
+    from jsonb_array_elements(v_payments);
+
+    if abs(v_paid - (p_sale->>'total')::numeric) >= 0.005 then
+        raise exception 'Tenders (%) do not add up to the sale total (%)', v_paid, p_sale->>'total'
+            using errcode = '22023';
+    end if;
+
+    -- Cash handed over vs. cash owed; the difference is the change given back
+    select coalesce(sum((value->>'amount')::numeric), 0)
+    into v_cash_paid
+    from jsonb_array_elements(v_payments)
+    where value->>'method' = 'Cash';
+
+    if v_cash_paid > 0 then
+        v_cash_tendered := coalesce((p_sale->>'cash_tendered')::numeric, v_cash_paid);
+
+        if v_cash_tendered < v_cash_paid then
+            raise exception 'Cash tendered (%) is less than the cash due (%)', v_cash_tendered, v_cash_paid
+                using errcode = '22023';
+        end if;
+    end if;
+
+    -- Sale record
+    insert into public.sales (
+        cashier_id, total, subtotal, discount_total,
+        discount_type, discount_value, discount_approved_by,
+        payment_method, cash_tendered, change_given, created_at, client_sale_id
+    )
+    values (
+        v_user_id,
+        (p_sale->>'total')::numeric,
+        v_gross,
+        v_discount_total,
+        p_sale->>'discount_type',
+        (p_sale->>'discount_value')::numeric,
+        v_approved_by,
+        case
+            when (select count(distinct value->>'method') from jsonb_array_elements(v_payments)) > 1 then 'Split'
+            else v_payments->0->>'method'
+        end,
+        v_cash_tendered,
+        v_cash_tendered - v_cash_paid,
+        coalesce((p_sale->>'created_at')::timestamptz, now()),
+        v_client_sale_id
+    )
+    returning * into v_sale;
+
+    update public.discount_approvals
+    set sale_id = v_sale.id
+    where id = (p_sale->>'discount_approval')::uuid;
+
+    -- One row per tender
+    insert into public.sale_payments (sale_id, method, amount, created_at)
+    select v_sale.id, value->>'method', (value->>'amount')::numeric, v_sale.created_at
+    from jsonb_array_elements(v_payments);
+
+    for v_item in select * from jsonb_array_elements(v_items_in)
+    loop
+        v_product_id := (v_item->>'product_id')::uuid;
+        v_quantity := (v_item->>'quantity')::integer;
+        v_unit_price := (v_item->>'unit_price')::numeric;
+        v_discount_amount := coalesce((v_item->>'discount_amount')::numeric, 0);
+
+        if v_quantity is null or v_quantity <= 0 then
+            raise exception 'Invalid quantity for product %', v_product_id using errcode = '22023';
+        end if;
+
+        if v_discount_amount < 0 or v_discount_amount > v_unit_price * v_quantity then
+            raise exception 'Invalid discount for product %', v_product_id using errcode = '22023';
+        end if;
+
+        -- Cost as it stands right now; later cost changes never reach this line
+        select cost_price into v_unit_cost
+        from public.products
+        where id = v_product_id;
+
+        -- Sale item, at the time of the sale like its tenders
+        insert into public.sale_items (
+            sale_id, product_id, product_name, quantity, unit_price, original_price,
+            unit_cost, discount_type, discount_value, discount_amount, total, created_at
+        )
+        values (
+            v_sale.id,
+            v_product_id,
+            v_item->>'product_name',
+            v_quantity,
+            v_unit_price,
+            (v_item->>'original_price')::numeric,
+            v_unit_cost,
+            v_item->>'discount_type',
+            (v_item->>'discount_value')::numeric,
+            v_discount_amount,
+            v_unit_price * v_quantity - v_discount_amount,
+            v_sale.created_at
+        );
+
+        -- Relative, conditional stock decrement
+        update public.products
+        set stock_quantity = stock_quantity - v_quantity,
+            updated_at = now()
+        where id = v_product_id
+          and stock_quantity >= v_quantity;
+
+        if not found then
+            raise exception 'INSUFFICIENT_STOCK'
+                using errcode = 'P0001',
+                      detail = jsonb_build_array(jsonb_build_object(
+                          'product_id', v_product_id,
+                          'product_name', v_item->>'product_name',
+                          'requested', v_quantity,
+                          'available', (select stock_quantity from public.products where id = v_product_id)
+                      ))::text;
+        end if;
+
+        -- Inventory transaction (negative for sales; exchanges label their own)
+        insert into public.inventory_transactions (product_id, type, quantity, user_id, notes, created_at)
+        values (
+            v_product_id,
+            coalesce(p_sale->>'inventory_type', 'sale'),
+            -v_quantity,
+            v_user_id,
+            coalesce(p_sale->>'inventory_note', 'Sale ' || v_sale.id),
+            v_sale.created_at
+        );
+    end loop;
+
+    return public.sale_result(v_sale.id);
+end;
+$$;
+
+-- ==================== create_return ====================
+-- As in 026, for active staff only
+
+create or replace function public.create_return(p_return jsonb)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_user_id uuid := auth.uid();
+    v_sale_id uuid := (p_return->>'sale_id')::uuid;
+    v_items_in jsonb := p_return->'items';
+    v_return public.returns%rowtype;
+    v_line record;
+    v_sale_item public.sale_items%rowtype;
+    v_returned integer;
+    v_returned_total numeric;
+    v_amount numeric;
+    v_total numeric := 0;
+    v_lines jsonb := '[]'::jsonb;
+    v_items jsonb;
+begin
+    if v_user_id is null then
+        raise exception 'User not authenticated' using errcode = '28000';
+    end if;
+
+    perform public.require_active_staff();
+
+    if not public.has_permission('can_refund') then
+        raise exception 'PERMISSION_DENIED'
+            using errcode = '42501',
+                  detail = 'can_refund';
+    end if;
+
+    if not exists (select 1 from public.sales where id = v_sale_id) then
+        raise exception 'Sale % not found', v_sale_id using errcode = 'P0002';
+    end if;
+
+    if v_items_in is null or jsonb_array_length(v_items_in) = 0 then
+        raise exception 'Return has no items' using errcode = '22023';
+    end if;
+
+    -- Lock the sale's lines so two tills can't both return the same units
+    perform 1
+    from public.sale_items
+    where sale_id = v_sale_id
+    order by id
+    for update;
+
+    -- Validate every line and work out its refund before writing anything
+    for v_line in
+        select (value->>'sale_item_id')::uuid as sale_item_id,
+               sum((value->>'quantity')::integer) as quantity
+        from jsonb_array_elements(v_items_in)
+        group by 1
+    loop
+        select * into v_sale_item
+        from public.sale_items
+        where id = v_line.sale_item_id
+          and sale_id = v_sale_id;
+
+        if not found then
+            raise exception 'Item % is not part of sale %', v_line.sale_item_id, v_sale_id using errcode = '22023';
+        end if;
+
+        if v_line.quantity is null or v_line.quantity <= 0 then
+            raise exception 'Invalid return quantity for %', v_sale_item.product_name using errcode = '22023';
+        end if;
+
+        select coalesce(sum(quantity), 0), coalesce(sum(total), 0)
+        into v_returned, v_returned_total
+        from public.return_items
+        where sale_item_id = v_sale_item.id;
+
+        if v_returned + v_line.quantity > v_sale_item.quantity then
+            raise exception 'RETURN_EXCEEDS_SALE'
+                using errcode = 'P0001',
+                      detail = jsonb_build_object(
+                          'sale_item_id', v_sale_item.id,
+                          'product_name', v_sale_item.product_name,
+                          'sold', v_sale_item.quantity,
+                          'returned', v_returned,
+                          'requested', v_line.quantity
+                      )::text;
+        end if;
+
+        -- The last units back refund whatever is left of the line, so a line
+        -- returned in several goes never refunds more or less than it took
+        if v_returned + v_line.quantity = v_sale_item.quantity then
+            v_amount := v_sale_item.total - v_returned_total;
+        else
+            v_amount := round(v_sale_item.total / v_sale_item.quantity * v_line.quantity, 2);
+        end if;
+
+        v_total := v_total + v_amount;
+        v_lines := v_lines || jsonb_build_object(
+            'sale_item_id', v_sale_item.id,
+            'product_id', v_sale_item.product_id,
+            'product_name', v_sale_item.product_name,
+            'quantity', v_line.quantity,
+            'total', v_amount
+        );
+    end loop;
+
+    -- Return record
+    insert into public.returns (sale_id, cashier_id, refund_method, total, reason)
+    values (v_sale_id, v_user_id, p_return->>'refund_method', v_total, nullif(trim(p_return->>'reason'), ''))
+    returning * into v_return;
+
+    for v_line in
+        select (value->>'sale_item_id')::uuid as sale_item_id,
+               (value->>'product_id')::uuid as product_id,
+               value->>'product_name' as product_name,
+               (value->>'quantity')::integer as quantity,
+               (value->>'total')::numeric as total
+        from jsonb_array_elements(v_lines)
+    loop
+        insert into public.return_items (return_id, sale_item_id, product_id, product_name, quantity, total)
+        values (v_return.id, v_line.sale_item_id, v_line.product_id, v_line.product_name, v_line.quantity, v_line.total);
+
+        -- Back on the shelf (skipped if the product has since been deleted)
+        update public.products
+        set stock_quantity = stock_quantity + v_line.quantity,
+            updated_at = now()
+        where id = v_line.product_id;
+
+        if found then
+            insert into public.inventory_transactions (product_id, type, quantity, user_id, notes)
+            values (
+                v_line.product_id,
+                coalesce(p_return->>'inventory_type', 'return'),
+                v_line.quantity,
+                v_user_id,
+                coalesce(p_return->>'inventory_note', 'Return ' || v_return.id || ' for sale ' || v_sale_id)
+            );
+        end if;
+    end loop;
+
+    select coalesce(jsonb_agg(to_jsonb(ri)), '[]'::jsonb)
+    into v_items
+    from public.return_items ri
+    where ri.return_id = v_return.id;
+
+    return jsonb_build_object(
+        'return', to_jsonb(v_return),
+        'items', v_items
+    );
+end;
+$$;
+
+grant execute on function public.create_return(jsonb) to authenticated;
+
+-- ==================== create_exchange ====================
+-- As in 027, for active staff only
+
+create or replace function public.create_exchange(p_exchange jsonb)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_user_id uuid := auth.uid();
+    v_exchange_id uuid := gen_random_uuid();
+    v_original_sale_id uuid := (p_exchange->>'sale_id')::uuid;
+    v_method text := p_exchange->>'settlement_method';
+    v_note text;
+    v_return jsonb;
+    v_sale jsonb;
+    v_returned numeric;
+    v_replacement numeric;
+    v_difference numeric;
+    v_credit numeric;
+    v_items jsonb;
+    v_payments jsonb := '[]'::jsonb;
+    v_exchange public.exchanges%rowtype;
+begin
+    if v_user_id is null then
+        raise exception 'User not authenticated' using errcode = '28000';
+    end if;
+
+    perform public.require_active_staff();
+
+    if not public.has_permission('can_refund') then
+        raise exception 'PERMISSION_DENIED'
+            using errcode = '42501',
+                  detail = 'can_refund';
+    end if;
+
+    if p_exchange->'items' is null or jsonb_array_length(p_exchange->'items') = 0 then
+        raise exception 'Exchange has no replacement items' using errcode = '22023';
+    end if;
+
+    v_note := 'Exchange ' || v_exchange_id;
+
+    -- Replacements go at what they sell for now, whatever the till sent
+    select jsonb_agg(
+               line.value || jsonb_build_object(
+                   'unit_price', public.effective_price(p.price, p.sale_price, p.is_on_sale),
+                   'original_price', p.price
+               )
+               order by line.line_no
+           ),
+           sum(public.effective_price(p.price, p.sale_price, p.is_on_sale) * (line.value->>'quantity')::integer)
+    into v_items, v_replacement
+    from jsonb_array_elements(p_exchange->'items') with ordinality as line (value, line_no)
+    left join public.products p on p.id = (line.value->>'product_id')::uuid;
+
+    if v_replacement is null or v_replacement <= 0 then
+        raise exception 'Replacement items must have a price' using errcode = '22023';
+    end if;
+
+    -- Returned lines go back on the shelf and become exchange credit
+    v_return := public.create_return(jsonb_build_object(
+        'sale_id', v_original_sale_id,
+        'refund_method', 'Exchange',
+        'reason', p_exchange->>'reason',
+        'items', p_exchange->'returns',
+        'inventory_type', 'exchange',
+        'inventory_note', v_note || ' (returned)'
+    ));
+
+    v_returned := (v_return->'return'->>'total')::numeric;
+    v_difference := v_replacement - v_returned;
+    v_credit := least(v_returned, v_replacement);
+
+    if v_difference <> 0 and (v_method is null or v_method not in ('Cash', 'Transfer')) then
+        raise exception 'Choose how the price difference (%) is settled', v_difference using errcode = '22023';
+    end if;
+
+    -- Only the difference changes hands
+    if v_credit > 0 then
+        v_payments := v_payments || jsonb_build_object('method', 'Exchange', 'amount', v_credit);
+    end if;
+    if v_difference > 0 then
+        v_payments := v_payments || jsonb_build_object('method', v_method, 'amount', v_difference);
+    end if;
+
+    v_sale := public.create_sale(jsonb_build_object(
+        'total', v_replacement,
+        'subtotal', v_replacement,
+        'payments', v_payments,
+        'cash_tendered', p_exchange->'cash_tendered',
+        'items', v_items,
+        'inventory_type', 'exchange',
+        'inventory_note', v_note || ' (replacement)'
+    ));
+
+    insert into public.exchanges (
+        id, original_sale_id, return_id, sale_id, cashier_id,
+        returned_total, replacement_total, difference, settlement_method
+    )
+    values (
+        v_exchange_id,
+        v_original_sale_id,
+        (v_return->'return'->>'id')::uuid,
+        (v_sale->'sale'->>'id')::uuid,
+        v_user_id,
+        v_returned,
+        v_replacement,
+        v_difference,
+        case when v_difference <> 0 then v_method end
+    )
+    returning * into v_exchange;
+
+    return jsonb_build_object(
+        'exchange', to_jsonb(v_exchange),
+        'return', v_return,
+        'sale', v_sale
+    );
+end;
+$$;
+
+grant execute on function public.create_exchange(jsonb) to authenticated;
+
+-- ==================== open_shift ====================
+-- As in 028, for active staff only
+
+create or replace function public.open_shift(p_shift jsonb)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_user_id uuid := auth.uid();
+    v_open_id uuid;
+    v_till_id text := nullif(p_shift->>'till_id', '');
+    v_till_cashier text;
+    v_shift public.shifts%rowtype;
+begin
+    if v_user_id is null then
+        raise exception 'User not authenticated' using errcode = '28000';
+    end if;
+
+    perform public.require_active_staff();
+
+    if coalesce((p_shift->>'opening_float')::numeric, -1) < 0 then
+        raise exception 'Invalid opening float' using errcode = '22023';
+    end if;
+
+    select id into v_open_id
+    from public.shifts
+    where cashier_id = v_user_id
+      and closed_at is null;
+
+    if v_open_id is not null then
+        raise exception 'SHIFT_ALREADY_OPEN'
+            using errcode = '23505',
+                  detail = v_open_id::text;
+    end if;
+
+    -- Serialise openings on a till, so two cashiers can't both get in first
+    if v_till_id is not null then
+        perform pg_advisory_xact_lock(hashtextextended('till:' || v_till_id, 0));
+
+        select coalesce(u.full_name, 'Another cashier') into v_till_cashier
+        from public.shifts s
+        left join public.users u on u.id = s.cashier_id
+        where s.till_id = v_till_id
+          and s.closed_at is null;
+
+        if v_till_cashier is not null then
+            raise exception 'TILL_IN_USE'
+                using errcode = '23505',
+                      detail = v_till_cashier;
+        end if;
+    end if;
+
+    insert into public.shifts (cashier_id, till_id, opening_float, opening_count)
+    values (v_user_id, v_till_id, (p_shift->>'opening_float')::numeric, p_shift->'opening_count')
+    returning * into v_shift;
+
+    return to_jsonb(v_shift);
+end;
+$$;
+
+grant execute on function public.open_shift(jsonb) to authenticated;
+
+-- ==================== close_shift ====================
+-- As in 022, for active staff only
+
+create or replace function public.close_shift(p_close jsonb)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_user_id uuid := auth.uid();
+    v_shift_id uuid := (p_close->>'shift_id')::uuid;
+    v_counted numeric := (p_close->>'counted_cash')::numeric;
+    v_shift public.shifts%rowtype;
+    v_summary jsonb;
+begin
+    if v_user_id is null then
+        raise exception 'User not authenticated' using errcode = '28000';
+    end if;
+
+    perform public.require_active_staff();
+
+    if v_counted is null or v_counted < 0 then
+        raise exception 'Invalid counted cash' using errcode = '22023';
+    end if;
+
+    select * into v_shift
+    from public.shifts
+    where id = v_shift_id
+    for update;
+
+    if not found then
+        raise exception 'Shift % not found', v_shift_id using errcode = 'P0002';
+    end if;
+
+    if v_shift.cashier_id <> v_user_id and not public.has_permission('can_view_reports') then
+        raise exception 'PERMISSION_DENIED'
+            using errcode = '42501',
+                  detail = 'can_view_reports';
+    end if;
+
+    if v_shift.closed_at is not null then
+        raise exception 'SHIFT_CLOSED' using errcode = 'P0001';
+    end if;
+
+    -- Fix the end of the shift first so the summary covers exactly up to it
+    update public.shifts
+    set closed_at = now(),
+        closed_by = v_user_id
+    where id = v_shift_id;
+
+    v_summary := public.get_shift_summary(v_shift_id);
+
+    update public.shifts
+    set closing_count = p_close->'closing_count',
+        counted_cash = v_counted,
+        expected_cash = (v_summary->>'expected_cash')::numeric,
+        variance = v_counted - (v_summary->>'expected_cash')::numeric,
+        summary = v_summary,
+        notes = nullif(trim(p_close->>'notes'), '')
+    where id = v_shift_id
+    returning * into v_shift;
+
+    return to_jsonb(v_shift);
+end;
+$$;
+
+grant execute on function public.close_shift(jsonb) to authenticated;
+
+-- ==================== record_cash_movement ====================
+-- As in 023, for active staff only
+
+create or replace function public.record_cash_movement(p_movement jsonb)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_user_id uuid := auth.uid();
+    v_amount numeric := (p_movement->>'amount')::numeric;
+    v_shift_id uuid;
+    v_movement public.cash_movements%rowtype;
+begin
+    if v_user_id is null then
+        raise exception 'User not authenticated' using errcode = '28000';
+    end if;
+
+    perform public.require_active_staff();
+
+    if coalesce(p_movement->>'type', '') not in ('paid_in', 'paid_out') then
+        raise exception 'Invalid cash movement type' using errcode = '22023';
+    end if;
+
+    if v_amount is null or v_amount <= 0 then
+        raise exception 'Invalid amount' using errcode = '22023';
+    end if;
+
+    if nullif(trim(p_movement->>'reason'), '') is null then
+        raise exception 'A reason is required' using errcode = '22023';
+    end if;
+
+    if not public.is_cash_movement_reason(p_movement->>'type', trim(p_movement->>'reason')) then
+        raise exception 'INVALID_REASON'
+            using errcode = '22023',
+                  detail = trim(p_movement->>'reason');
+    end if;
+
+    select id into v_shift_id
+    from public.shifts
+    where cashier_id = v_user_id
+      and closed_at is null;
+
+    if v_shift_id is null then
+        raise exception 'NO_OPEN_SHIFT' using errcode = 'P0001';
+    end if;
+
+    insert into public.cash_movements (shift_id, cashier_id, type, amount, reason, notes)
+    values (
+        v_shift_id,
+        v_user_id,
+        p_movement->>'type',
+        v_amount,
+        trim(p_movement->>'reason'),
+        nullif(trim(p_movement->>'notes'), '')
+    )
+    returning * into v_movement;
+
+    return to_jsonb(v_movement);
+end;
+$$;
+
+grant execute on function public.record_cash_movement(jsonb) to authenticated;
+
+-- ==================== adjust_stock ====================
+-- As in 002, for active staff only
+
+create or replace function public.adjust_stock(
+    p_product_id uuid,
+    p_quantity integer,
+    p_type text,
+    p_notes text default null
+)
+returns integer
+language plpgsql
+security invoker
+set search_path = public
+as $$
+declare
+    v_user_id uuid := auth.uid();
+    v_new_stock integer;
+begin
+    if v_user_id is null then
+        raise exception 'User not authenticated' using errcode = '28000';
+    end if;
+
+    perform public.require_active_staff();
+
+    update public.products
+    set stock_quantity = stock_quantity + p_quantity,
+        updated_at = now()
+    where id = p_product_id
+      and stock_quantity + p_quantity >= 0
+    returning stock_quantity into v_new_stock;
+
+    if not found then
+        if not exists (select 1 from public.products where id = p_product_id) then
+            raise exception 'Product % not found', p_product_id using errcode = 'P0002';
+        end if;
+
+        raise exception 'INSUFFICIENT_STOCK'
+            using errcode = 'P0001',
+                  detail = jsonb_build_array(jsonb_build_object(
+                      'product_id', p_product_id,
+                      'requested', -p_quantity,
+                      'available', (select stock_quantity from public.products where id = p_product_id)
+                  ))::text;
+    end if;
+
+    insert into public.inventory_transactions (product_id, type, quantity, user_id, notes)
+    values (p_product_id, p_type, p_quantity, v_user_id, p_notes);
+
+    return v_new_stock;
+end;
+$$;
+
+grant execute on function public.adjust_stock(uuid, integer, text, text) to authenticated;
+
+-- ==================== approve_discount ====================
+-- As in 029, for active staff only
+
+create or replace function public.approve_discount(p_percent numeric)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_approval public.discount_approvals%rowtype;
+begin
+    if auth.uid() is null then
+        raise exception 'User not authenticated' using errcode = '28000';
+    end if;
+
+    perform public.require_active_staff();
+
+    if not public.has_permission('can_discount') then
+        raise exception 'PERMISSION_DENIED'
+            using errcode = '42501',
+                  detail = 'can_discount';
+    end if;
+
+    if p_percent is null or p_percent <= 0 or p_percent > 100 then
+        raise exception 'Invalid discount percentage' using errcode = '22023';
+    end if;
+
+    insert into public.discount_approvals (approved_by, approved_percent)
+    values (auth.uid(), p_percent)
+    returning * into v_approval;
+
+    return jsonb_build_object(
+        'approval', v_approval.id,
+        'approved_by', v_approval.approved_by,
+        'approved_percent', v_approval.approved_percent,
+        'full_name', (select full_name from public.users where id = v_approval.approved_by),
+        'expires_at', v_approval.expires_at
+    );
+end;
+$$;
+
+grant execute on function public.approve_discount(numeric) to authenticated;
+
+-- ==================== import_products ====================
+-- As in 032, for active staff only
+
+create or replace function public.import_products(p_rows jsonb)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_user_id uuid := auth.uid();
+    v_row record;
+    v_style public.product_styles%rowtype;
+    v_product public.products%rowtype;
+    v_note text;
+    v_created integer := 0;
+    v_updated integer := 0;
+begin
+    if v_user_id is null then
+        raise exception 'User not authenticated' using errcode = '28000';
+    end if;
+
+    perform public.require_active_staff();
+
+    if not public.has_permission('can_manage_products') then
+        raise exception 'PERMISSION_DENIED'
+            using errcode = '42501',
+                  detail = 'can_manage_products';
+    end if;
+
+    if not public.has_permission('can_edit_price') then
+        raise exception 'PERMISSION_DENIED'
+            using errcode = '42501',
+                  detail = 'can_edit_price';
+    end if;
+
+    if p_rows is null or jsonb_array_length(p_rows) = 0 then
+        raise exception 'Import has no rows' using errcode = '22023';
+    end if;
+
+    for v_row in
+        select trim(value->>'name') as name,
+               value->>'category' as category,
+               nullif(trim(value->>'size'), '') as size,
+               nullif(trim(value->>'colour'), '') as colour,
+               nullif(trim(value->>'barcode'), '') as barcode,
+               (value->>'price')::numeric as price,
+               (value->>'cost_price')::numeric as cost_price,
+               coalesce((value->>'stock_quantity')::integer, 0) as stock_quantity
+        from jsonb_array_elements(p_rows)
+    loop
+        if v_row.stock_quantity < 0 then
+            raise exception 'Negative stock for %', v_row.name using errcode = '22023';
+        end if;
+
+        -- Style, created on first use (same rule as DatabaseManager.getOrCreateStyle)
+        select * into v_style
+        from public.product_styles
+        where lower(name) = lower(v_row.name)
+          and category = v_row.category;
+
+        if not found then
+            insert into public.product_styles (name, category, base_price)
+            values (v_row.name, v_row.category, coalesce(v_row.price, 0))
+            returning * into v_style;
+        end if;
+
+        select * into v_product
+        from public.products
+        where style_id = v_style.id
+          and is_active = true
+          and lower(size) is not distinct from lower(v_row.size)
+          and lower(colour) is not distinct from lower(v_row.colour)
+        for update;
+
+        if v_row.barcode is not null and exists (
+            select 1
+            from public.products
+            where barcode = v_row.barcode
+              and is_active = true
+              and id is distinct from v_product.id
+        ) then
+            raise exception 'BARCODE_IN_USE'
+                using errcode = '23505',
+                      detail = v_row.barcode;
+        end if;
+
+        if v_product.id is null then
+            if v_row.price is null then
+                raise exception 'Price missing for new product %', v_row.name using errcode = '22023';
+            end if;
+
+            insert into public.products (
+                name, category, style_id, size, colour, barcode,
+                price, price_override, cost_price, stock_quantity, is_on_sale, is_active
+            )
+            values (
+                v_style.name, v_style.category, v_style.id, v_row.size, v_row.colour, v_row.barcode,
+                v_row.price, v_row.price <> v_style.base_price, v_row.cost_price, v_row.stock_quantity, false, true
+            )
+            returning * into v_product;
+
+            v_created := v_created + 1;
+            v_note := 'Initial stock (import)';
+        else
+            update public.products
+            set price = coalesce(v_row.price, price),
+                price_override = case when v_row.price is null then price_override else v_row.price <> v_style.base_price end,
+                cost_price = coalesce(v_row.cost_price, cost_price),
+                barcode = coalesce(v_row.barcode, barcode),
+                stock_quantity = stock_quantity + v_row.stock_quantity,
+                updated_at = now()
+            where id = v_product.id;
+
+            v_updated := v_updated + 1;
+            v_note := 'Import restock';
+        end if;
+
+        if v_row.stock_quantity > 0 then
+            insert into public.inventory_transactions (product_id, type, quantity, user_id, notes)
+            values (v_product.id, 'restock', v_row.stock_quantity, v_user_id, v_note);
+        end if;
+    end loop;
+
+    return jsonb_build_object('created', v_created, 'updated', v_updated);
+end;
+$$;
+
+grant execute on function public.import_products(jsonb) to authenticated;
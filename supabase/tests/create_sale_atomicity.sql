@@ -0,0 +1,126 @@
+-- create_sale_atomicity.sql
+-- create_sale must leave nothing behind when any line fails: no sale, no
+-- sale items, no tenders, no inventory transactions and no stock taken off.
+-- Each case below rings up a good first line and a second line that only
+-- fails inside the item loop, after the sale row and the first line are
+-- already written. The totals add up, so the checks create_sale makes
+-- before it writes anything (018_discount_approvals.sql) let them through.
+--
+-- Run against a database with every migration applied and at least one
+-- active user in public.users, e.g. the local `supabase start` stack:
+--   psql "$DATABASE_URL" -v ON_ERROR_STOP=1 -f supabase/tests/create_sale_atomicity.sql
+-- It runs in one transaction that is rolled back, so it leaves no trace.
+-- A failed check raises an assertion error; success ends with a notice.
+
+begin;
+
+-- ==================== Fixtures ====================
+
+create temporary table test_fixture on commit drop as
+select
+    (select id from public.users where is_active order by email limit 1) as user_id,
+    gen_random_uuid() as good_product_id,
+    gen_random_uuid() as bad_product_id;
+
+do $$
+begin
+    if (select user_id from test_fixture) is null then
+        raise exception 'No active user in public.users to ring the test sales up as';
+    end if;
+end;
+$$;
+
+insert into public.products (id, name, category, price, cost_price, stock_quantity, is_active)
+select good_product_id, 'Atomicity test tee', 'T-Shirts', 20.00, 8.00, 10, true
+from test_fixture
+union all
+select bad_product_id, 'Atomicity test cap', 'Accessories', 15.00, 5.00, 10, true
+from test_fixture;
+
+grant select on test_fixture to authenticated;
+
+-- Call as the signed-in cashier, through RLS, the way the till does
+select set_config('request.jwt.claim.sub', user_id::text, true),
+       set_config('request.jwt.claims', jsonb_build_object('sub', user_id, 'role', 'authenticated')::text, true)
+from test_fixture;
+
+set local role authenticated;
+
+-- ==================== Cases ====================
+
+do $$
+declare
+    v_fixture record;
+    v_case record;
+    v_sales_before bigint;
+    v_failed boolean;
+begin
+    select * into v_fixture from test_fixture;
+
+    for v_case in
+        select *
+        from (values
+            ('zero quantity', 0),
+            ('negative quantity', -1)
+        ) as cases (name, bad_quantity)
+    loop
+        select count(*) into v_sales_before
+        from public.sales
+        where cashier_id = v_fixture.user_id;
+
+        v_failed := false;
+
+        begin
+            perform public.create_sale(jsonb_build_object(
+                'total', 20.00 + 15.00 * v_case.bad_quantity,
+                'subtotal', 20.00 + 15.00 * v_case.bad_quantity,
+                'payment_method', 'Cash',
+                'items', jsonb_build_array(
+                    jsonb_build_object(
+                        'product_id', v_fixture.good_product_id,
+                        'product_name', 'Atomicity test tee',
+                        'quantity', 1,
+                        'unit_price', 20.00
+                    ),
+                    jsonb_build_object(
+                        'product_id', v_fixture.bad_product_id,
+                        'product_name', 'Atomicity test cap',
+                        'quantity', v_case.bad_quantity,
+                        'unit_price', 15.00
+                    )
+                )
+            ));
+        exception when others then
+            v_failed := true;
+        end;
+
+        assert v_failed,
+            format('%s: create_sale should have raised', v_case.name);
+
+        assert (select count(*) from public.sales where cashier_id = v_fixture.user_id) = v_sales_before,
+            format('%s: a sale row was left behind', v_case.name);
+
+        assert not exists (
+            select 1 from public.sale_items
+            where product_id in (v_fixture.good_product_id, v_fixture.bad_product_id)
+        ), format('%s: sale items were left behind', v_case.name);
+
+        assert not exists (
+            select 1 from public.inventory_transactions
+            where product_id in (v_fixture.good_product_id, v_fixture.bad_product_id)
+        ), format('%s: inventory transactions were left behind', v_case.name);
+
+        assert (
+            select bool_and(stock_quantity = 10)
+            from public.products
+            where id in (v_fixture.good_product_id, v_fixture.bad_product_id)
+        ), format('%s: stock was taken off', v_case.name);
+
+        raise notice 'ok - %', v_case.name;
+    end loop;
+
+    raise notice 'create_sale atomicity: all cases passed';
+end;
+$$;
+
+rollback;
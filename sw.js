@@ -0,0 +1,194 @@
+// sw.js - Service worker for Limitless Apparel POS
+// Precaches the app shell so the tills can launch without a connection,
+// keeps the last product catalogue for when they are offline, and relays
+// background sync for the offline sale queue (see js/offline.js).
+
+// Bump this whenever any file in APP_SHELL changes
+const CACHE_VERSION = 'v43'
+const SHELL_CACHE = `limitless-shell-${CACHE_VERSION}`
+const RUNTIME_CACHE = `limitless-runtime-${CACHE_VERSION}`
+const CATALOGUE_CACHE = `limitless-catalogue-${CACHE_VERSION}`
+
+const SYNC_TAG = 'sync-sales'
+
+const APP_SHELL = [
+    './',
+    './index.html',
+    './pos.html',
+    './admin.html',
+    './manifest.json',
+
+    // Styles
+    './css/main.css',
+    './css/login.css',
+    './css/pos.css',
+    './css/admin.css',
+
+    // Scripts
+    './js/supabase-client.js',
+    './js/auth.js',
+    './js/db.js',
+    './js/offline.js',
+    './js/pricing.js',
+    './js/payments.js',
+    './js/receipt.js',
+    './js/returns.js',
+    './js/variants.js',
+    './js/scanner.js',
+    './js/labels.js',
+    './js/import.js',
+    './js/export.js',
+    './js/date-range.js',
+    './js/profit.js',
+    './js/trends.js',
+    './js/charts.js',
+    './js/shifts.js',
+    './js/permissions.js',
+    './js/lock.js',
+    './js/category-config.js',
+    './js/pos.js',
+    './js/admin.js',
+
+    // Icons
+    './icons/app-icon.svg',
+    './icons/categories/shirts.svg',
+    './icons/categories/blazers.svg',
+    './icons/categories/jeans.svg',
+    './icons/categories/trousers.svg',
+    './icons/categories/shoes.svg',
+    './icons/categories/accessories.svg',
+    './icons/ui/save.svg',
+    './icons/ui/delete.svg',
+
+    // supabase-js ESM bundle (its own imports are cached at runtime)
+    'https://cdn.jsdelivr.net/npm/@supabase/supabase-js@2/+esm'
+]
+
+// Third-party hosts whose responses never change for a given URL
+const CDN_HOSTS = ['cdn.jsdelivr.net', 'fonts.googleapis.com', 'fonts.gstatic.com']
+
+// ==================== LIFECYCLE ====================
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    )
+})
+
+self.addEventListener('activate', (event) => {
+    const currentCaches = [SHELL_CACHE, RUNTIME_CACHE, CATALOGUE_CACHE]
+
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key.startsWith('limitless-') && !currentCaches.includes(key))
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    )
+})
+
+// ==================== FETCH ====================
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event
+    if (request.method !== 'GET') return
+
+    const url = new URL(request.url)
+
+    // Product catalogue from Supabase - live whenever the network answers (stock
+    // and prices change with every sale and edit), the last copy when it doesn't
+    if (isCatalogueRequest(request, url)) {
+        event.respondWith(networkThenCache(request, CATALOGUE_CACHE))
+        return
+    }
+
+    // Everything else from Supabase (auth, sales, analytics) must stay live
+    if (url.hostname.endsWith('.supabase.co')) return
+
+    // Pages - try the network so deploys show up, fall back to the shell
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request, SHELL_CACHE))
+        return
+    }
+
+    if (url.origin === self.location.origin || CDN_HOSTS.includes(url.hostname)) {
+        event.respondWith(cacheFirst(request, RUNTIME_CACHE))
+    }
+})
+
+// Only the product list itself (db.getProducts). Lookups by id or barcode and
+// the duplicate checks before a save have to see the database as it is now.
+const CATALOGUE_PARAMS = ['select', 'order', 'is_active', 'category', 'name']
+
+function isCatalogueRequest(request, url) {
+    if (!url.hostname.endsWith('.supabase.co') || url.pathname !== '/rest/v1/products') return false
+
+    // .single() / .maybeSingle() ask for one object rather than a list
+    if ((request.headers.get('Accept') || '').includes('vnd.pgrst.object')) return false
+
+    const params = [...url.searchParams.keys()]
+    return url.searchParams.get('select') === '*' &&
+        url.searchParams.get('order') === 'name.asc' &&
+        params.every(param => CATALOGUE_PARAMS.includes(param))
+}
+
+async function cacheFirst(request, cacheName) {
+    const cached = await caches.match(request)
+    if (cached) return cached
+
+    const response = await fetch(request)
+    if (response.ok || response.type === 'opaque') {
+        const cache = await caches.open(cacheName)
+        cache.put(request, response.clone())
+    }
+    return response
+}
+
+async function networkFirst(request, cacheName) {
+    try {
+        const response = await fetch(request)
+        if (response.ok) {
+            const cache = await caches.open(cacheName)
+            cache.put(request, response.clone())
+        }
+        return response
+    } catch (error) {
+        const cached = await caches.match(request, { ignoreSearch: true })
+        return cached || caches.match('./index.html')
+    }
+}
+
+async function networkThenCache(request, cacheName) {
+    const cache = await caches.open(cacheName)
+
+    try {
+        const response = await fetch(request)
+        if (response.ok) {
+            await cache.put(request, response.clone())
+        }
+        return response
+    } catch (error) {
+        const cached = await cache.match(request)
+        if (cached) return cached
+        throw error
+    }
+}
+
+// ==================== BACKGROUND SYNC ====================
+
+// Sales are replayed by the page (it holds the Supabase session), so the
+// worker's job on a background sync is just to tell open tabs to do it.
+self.addEventListener('sync', (event) => {
+    if (event.tag === SYNC_TAG) {
+        event.waitUntil(notifyClients({ type: 'SYNC_SALES' }))
+    }
+})
+
+async function notifyClients(message) {
+    const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true })
+    clients.forEach(client => client.postMessage(message))
+}